@@ -15,9 +15,8 @@ sap.ui.define([
           messages: [],
           isLoading: false,
           isVisible: false,
+          // Follow-ups are resolved on the server from the history of this session
           conversationContext: {
-            lastQuery: null,
-            lastResults: null,
             sessionId: this._generateSessionId(),
             userPreferences: {}
           }
@@ -257,11 +256,9 @@ sap.ui.define([
 
           oChatModel.setProperty("/isLoading", true);
 
-          // Enhance prompt with conversation context
-          const enhancedPrompt = this._enhancePromptWithContext(text);
-
-          // Call enhanced Gemini service
-          const response = await this._callGeminiService(enhancedPrompt);
+          // Stream the reply, falling back to the plain action call
+          const response = await this._streamGeminiService(text, msgBox, loadingIndicator) ||
+            await this._callGeminiService(text);
 
           // Process enhanced response
           const messageClass = response.success ? "assistant-message" : "error-message";
@@ -285,11 +282,21 @@ sap.ui.define([
             `;
           }
 
+          // Offer the options of a clarifying question as buttons
+          if (response.type === "clarification" && response.clarification) {
+            responseHtml += this._renderClarificationOptions(response.clarification);
+          }
+
           // Add data visualization if available
           if (response.data && Array.isArray(response.data) && response.data.length > 0) {
             responseHtml += this._renderDataTable(response.data, response.query);
           }
 
+          // Offer the next page of a paged result
+          if (response.query && response.query.continuation) {
+            responseHtml += this._renderShowMore(response.query);
+          }
+
           // Add query information for debugging (in development)
           if (response.query && window.location.hostname === 'localhost') {
             responseHtml += `
@@ -307,12 +314,6 @@ sap.ui.define([
             this._triggerReportDownload(response.data.reportFile);
           }
 
-          // Update conversation context
-          const context = oChatModel.getProperty("/conversationContext");
-          context.lastQuery = text;
-          context.lastResults = response.data;
-          oChatModel.setProperty("/conversationContext", context);
-
           // Store in model
           const messages = oChatModel.getProperty("/messages") || [];
           messages.push(
@@ -341,6 +342,7 @@ sap.ui.define([
           // Reset UI state
           input.disabled = false;
           loadingIndicator.style.display = "none";
+          loadingIndicator.innerHTML = "<span>🤖 Thinking...</span>";
           oChatModel.setProperty("/isLoading", false);
           msgBox.scrollTop = msgBox.scrollHeight;
           input.focus();
@@ -355,7 +357,7 @@ sap.ui.define([
               "Content-Type": "application/json",
               "Accept": "application/json"
             },
-            body: JSON.stringify({ prompt: prompt })
+            body: JSON.stringify({ prompt: prompt, sessionId: this._getSessionId() })
           });
 
           if (!response.ok) {
@@ -375,6 +377,146 @@ sap.ui.define([
         }
       },
 
+      /**
+       * Stream a reply from the SSE endpoint, rendering status events and tokens as they arrive
+       * Resolves with the final response, or null if streaming is not available. Once the
+       * server has started on the prompt, failures resolve with an error response instead:
+       * sending the prompt again could repeat a create, update or delete.
+       */
+      _streamGeminiService: async function(prompt, msgBox, loadingIndicator) {
+        let streamingMessage = null;
+        let started = false;
+        let draft = "";
+
+        try {
+          const response = await fetch("/api/copilot/stream", {
+            method: "POST",
+            headers: {
+              "Content-Type": "application/json",
+              "Accept": "text/event-stream"
+            },
+            body: JSON.stringify({ prompt: prompt, sessionId: this._getSessionId() })
+          });
+
+          if (!response.ok || !response.body) {
+            return null;
+          }
+
+          const reader = response.body.getReader();
+          const decoder = new TextDecoder();
+          let buffer = "";
+          let result = null;
+
+          const handleEvent = (event) => {
+            if (event.type !== "error") {
+              started = true;
+            }
+
+            if (event.type === "status") {
+              loadingIndicator.innerHTML = `<span>🤖 ${this._escapeHtml(event.data.message)}...</span>`;
+            } else if (event.type === "token") {
+              // Tokens are an unchecked draft; the final reply replaces them
+              if (!streamingMessage) {
+                streamingMessage = document.createElement("div");
+                streamingMessage.className = "chat-message assistant-message streaming-message";
+                streamingMessage.innerHTML = `<span class="sender">Copilot (draft, checking against your data):</span> <span class="streaming-text"></span>`;
+                msgBox.appendChild(streamingMessage);
+              }
+              draft += event.data.text;
+              streamingMessage.querySelector(".streaming-text").textContent = draft.replace(/\[PII:[^\]]*\]?/g, "•••");
+              msgBox.scrollTop = msgBox.scrollHeight;
+            } else if (event.type === "done") {
+              result = event.data;
+            } else if (event.type === "error") {
+              throw new Error(event.data.message);
+            }
+          };
+
+          while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const blocks = buffer.split("\n\n");
+            buffer = blocks.pop();
+            blocks.map(block => this._parseSseEvent(block)).filter(Boolean).forEach(handleEvent);
+          }
+
+          if (!result && started) {
+            throw new Error("The reply stream ended before the answer was complete");
+          }
+          return result;
+        } catch (error) {
+          if (started) {
+            console.error("Streamed prompt failed:", error.message);
+            return {
+              reply: `Your request was received, but the reply could not be completed: ${error.message}. Please check the result before trying again.`,
+              success: false,
+              timestamp: new Date().toISOString()
+            };
+          }
+          console.warn("Streaming unavailable, falling back to prompt action:", error.message);
+          return null;
+        } finally {
+          // The final message is rendered by submitChat
+          if (streamingMessage) {
+            streamingMessage.remove();
+          }
+        }
+      },
+
+      /**
+       * Parse one Server-Sent Events block into { type, data }
+       */
+      _parseSseEvent: function(block) {
+        let type = "message";
+        let data = "";
+
+        block.split("\n").forEach(line => {
+          if (line.startsWith("event:")) {
+            type = line.substring(6).trim();
+          } else if (line.startsWith("data:")) {
+            data += line.substring(5).trim();
+          }
+        });
+
+        return data ? { type: type, data: JSON.parse(data) } : null;
+      },
+
+      _renderClarificationOptions: function(clarification) {
+        const buttons = (clarification.options || []).map(option => `
+          <button onclick="window.sapCopilotController.sendPrompt(this.dataset.value)"
+                  data-value="${this._escapeHtml(option.value).replace(/"/g, "&quot;")}"
+                  style="background: white; color: #0070f2; border: 1px solid #0070f2; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 13px;">
+            ${this._escapeHtml(option.label)}
+          </button>
+        `).join("");
+
+        return `<div class="clarification-options" style="margin-top: 10px; display: flex; gap: 8px; flex-wrap: wrap;">${buttons}</div>`;
+      },
+
+      _renderShowMore: function(query) {
+        return `
+          <div class="show-more" style="margin-top: 10px;">
+            <button onclick="window.sapCopilotController.sendPrompt('show more')"
+                    style="background: white; color: #0070f2; border: 1px solid #0070f2; padding: 6px 12px; border-radius: 4px; cursor: pointer; font-size: 13px;">
+              Show more (${query.skip + query.count} of ${query.total})
+            </button>
+          </div>
+        `;
+      },
+
+      /**
+       * Send a prompt as if typed: the option chosen in a clarifying question, "show more"
+       */
+      sendPrompt: function(value) {
+        const input = document.getElementById("chatInputField");
+        if (!input || input.disabled) return;
+
+        input.value = value;
+        this.submitChat();
+      },
+
       _escapeHtml: function(text) {
         const div = document.createElement('div');
         div.textContent = text;
@@ -385,6 +527,10 @@ sap.ui.define([
         return 'session_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
       },
 
+      _getSessionId: function() {
+        return this.getView().getModel("chat").getProperty("/conversationContext/sessionId");
+      },
+
       /**
        * Format stock status text based on stock level
        */
@@ -1382,29 +1528,6 @@ sap.ui.define([
         return tableHtml;
       },
 
-      _enhancePromptWithContext: function(prompt) {
-        const oChatModel = this.getView().getModel("chat");
-        const context = oChatModel.getProperty("/conversationContext");
-
-        // Add context for follow-up queries
-        if (context.lastQuery && this._isFollowUpQuery(prompt)) {
-          return `Previous query: "${context.lastQuery}"\nCurrent query: "${prompt}"\n\nPlease consider the context of the previous query when responding.`;
-        }
-
-        return prompt;
-      },
-
-      _isFollowUpQuery: function(prompt) {
-        const followUpIndicators = [
-          "same", "those", "them", "these", "that", "this",
-          "also", "too", "as well", "similar", "like that",
-          "more", "other", "another", "again"
-        ];
-
-        const lowerPrompt = prompt.toLowerCase();
-        return followUpIndicators.some(indicator => lowerPrompt.includes(indicator));
-      },
-
       onClearSearch: function() {
         const oSearchField = this.byId("productSearch");
         const oTable = this.byId("productTable");
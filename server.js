@@ -6,6 +6,7 @@ const express = require('express');
 const path = require('path');
 const http = require('http');
 const socketIo = require('socket.io');
+const copilotRoutes = require('./srv/streaming/sse-handler');
 
 // Load environment variables
 require('dotenv').config();
@@ -78,9 +79,14 @@ cds.on('bootstrap', (app) => {
     res.json({ message: 'Notifications endpoint ready' });
   });
 
+  // Streaming copilot replies (Server-Sent Events) and copilot status, for authenticated users
+  copilotRoutes.mount(app);
+
   console.log(`📊 Reports will be served from: /reports`);
   console.log(`⬇️ Direct downloads available at: /download/[filename]`);
   console.log(`🔔 Real-time notifications enabled via WebSocket`);
+  console.log(`🌊 Streaming copilot replies at: /api/copilot/stream`);
+  console.log(`🩺 Copilot status at: /api/copilot/status`);
 
   // Make io available globally for alert notifications
   global.notificationIO = io;
@@ -0,0 +1,119 @@
+/**
+ * BM25 Full-Text Index
+ * Small in-memory Okapi BM25 index. Documents consist of weighted text
+ * fields; a field weight multiplies the term frequency of its tokens, so a
+ * hit in a name counts more than a hit in a long description.
+ */
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "can", "do", "does", "for", "from", "have", "how",
+  "i", "in", "is", "it", "me", "my", "of", "on", "or", "our", "show", "that", "the", "there", "these",
+  "this", "to", "us", "we", "what", "which", "who", "with", "you", "your", "all", "any", "list", "give",
+  "tell", "about", "please", "get", "find", "some", "much", "many"
+]);
+
+class BM25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.clear();
+  }
+
+  /**
+   * Remove all documents
+   */
+  clear() {
+    this.documents = [];
+    this.postings = new Map(); // term → Map(docIndex → weighted tf)
+    this.totalLength = 0;
+  }
+
+  /**
+   * Split text into normalized search terms
+   */
+  static tokenize(text) {
+    return String(text || "")
+      .toLowerCase()
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .split(/[^a-z0-9]+/)
+      .filter(token => token.length > 1 && !STOP_WORDS.has(token))
+      .map(token => BM25Index.stem(token));
+  }
+
+  /**
+   * Very light stemming so that plurals match their singular
+   */
+  static stem(token) {
+    if (token.length > 4 && token.endsWith("ies")) return `${token.slice(0, -3)}y`;
+    if (token.length > 3 && token.endsWith("es") && /(ch|sh|x|ss)es$/.test(token)) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) return token.slice(0, -1);
+    return token;
+  }
+
+  /**
+   * Add a document
+   * @param {object} doc - { id, fields: { name: text }, payload }
+   * @param {object} [weights] - Field weights, default 1
+   */
+  add(doc, weights = {}) {
+    const docIndex = this.documents.length;
+    const frequencies = new Map();
+    let length = 0;
+
+    for (const [field, text] of Object.entries(doc.fields)) {
+      const weight = weights[field] ?? 1;
+      for (const term of BM25Index.tokenize(text)) {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      }
+    }
+
+    for (const [term, frequency] of frequencies) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(docIndex, frequency);
+    }
+
+    this.documents.push({ id: doc.id, payload: doc.payload, length });
+    this.totalLength += length;
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {string} query - Free text
+   * @param {object} [options] - { limit, filter(payload) }
+   * @returns {Array<{id, score, payload}>}
+   */
+  search(query, options = {}) {
+    const { limit = 10, filter } = options;
+    const count = this.documents.length;
+    if (count === 0) return [];
+
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const term of new Set(BM25Index.tokenize(query))) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [docIndex, frequency] of posting) {
+        const doc = this.documents[docIndex];
+        const norm = frequency + this.k1 * (1 - this.b + this.b * doc.length / averageLength);
+        scores.set(docIndex, (scores.get(docIndex) || 0) + idf * (frequency * (this.k1 + 1)) / norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .map(([docIndex, score]) => ({ ...this.documents[docIndex], score }))
+      .filter(hit => !filter || filter(hit.payload))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ id, score, payload }) => ({ id, score, payload }));
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+}
+
+module.exports = BM25Index;
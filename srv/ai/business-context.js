@@ -5,6 +5,12 @@ const cds = require("@sap/cds");
  * Resolves business-friendly references to actual data
  */
 
+// Fuzzy matches within this confidence of the best one are equally plausible
+const AMBIGUITY_MARGIN = 0.1;
+
+// Words that precede a product name without being part of it
+const LEADING_FILLERS = /^(?:(?:the|a|an|my|our|this|that|product|products)\s+)+/i;
+
 class BusinessContextResolver {
   
   /**
@@ -36,6 +42,10 @@ class BusinessContextResolver {
       resolvedContext.resolvedEntities.push(...supplierRefs);
     }
     
+    resolvedContext.ambiguities = resolvedContext.resolvedEntities.filter(entity =>
+      /_BY_(NAME|COMPANY)$/.test(entity.type) && entity.matches.length > 1);
+    resolvedContext.suggestions = this.generateSuggestions(resolvedContext);
+    
     return resolvedContext;
   }
   
@@ -110,6 +120,46 @@ class BusinessContextResolver {
     return resolved;
   }
   
+  /**
+   * Resolve one product mention, recording the products it may refer to
+   * An exact name or a single candidate is unambiguous. Otherwise fuzzy
+   * matches close to the best one and products whose name contains the
+   * mention's words are all candidates, and the mention is ambiguous when
+   * there are several.
+   * @param {string} mention - Name as the user wrote it ("the queso")
+   * @param {object|null} reference - `EntityResolver` match of the mention
+   * @returns {Promise<object>} Resolved context; `ambiguities` lists the mention with its candidates
+   */
+  static async resolveProductMention(mention, reference) {
+    const keyword = String(mention).trim().replace(LEADING_FILLERS, "");
+    const resolvedContext = { originalInput: mention, resolvedEntities: [], suggestions: [], ambiguities: [] };
+    if (!keyword || reference?.confidence === 1) return resolvedContext;
+
+    const db = await cds.connect.to('db');
+    const { Products } = db.entities;
+
+    const fuzzy = reference ?
+      [reference, ...reference.alternatives.filter(alternative => alternative.confidence >= reference.confidence - AMBIGUITY_MARGIN)] :
+      [];
+    const words = keyword.split(/\s+/).filter(word => word.length >= 3);
+    const byName = words.length ?
+      await db.run(SELECT.from(Products).columns('ID', 'ProductName', 'Description').where`ProductName like ${`%${words.join('%')}%`}`) :
+      [];
+
+    const ids = [...new Set([...fuzzy.map(match => match.id), ...byName.map(product => product.ID)])];
+    const matches = ids.length ?
+      await db.run(SELECT.from(Products).columns('ID', 'ProductName', 'Description').where({ ID: { in: ids } })) :
+      [];
+    matches.sort((a, b) => ids.indexOf(a.ID) - ids.indexOf(b.ID));
+
+    const entity = { type: "PRODUCT_BY_NAME", keyword, matches, confidence: reference?.confidence ?? 0 };
+    resolvedContext.resolvedEntities.push(entity);
+    if (matches.length > 1) resolvedContext.ambiguities.push(entity);
+    resolvedContext.suggestions = this.generateSuggestions(resolvedContext);
+
+    return resolvedContext;
+  }
+  
   /**
    * Resolve customer references by company name or contact name
    */
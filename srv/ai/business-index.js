@@ -0,0 +1,145 @@
+const cds = require("@sap/cds");
+const BM25Index = require("./bm25-index");
+
+/**
+ * Business Retrieval Index
+ * Keeps a BM25 index over products (with category and supplier names),
+ * categories, suppliers and customers, so that AI context is made of the
+ * records most relevant to a question instead of the first N rows.
+ * The index is rebuilt lazily after any write to one of the source entities.
+ */
+
+// Indexed entities with their field weights
+const SOURCES = {
+  Products: { ProductName: 3, CategoryName: 2, SupplierName: 1.5, Description: 1, QuantityPerUnit: 0.5 },
+  Categories: { CategoryName: 3, Description: 1 },
+  Suppliers: { CompanyName: 3, ContactName: 1, City: 1, Country: 1 },
+  Customers: { CompanyName: 3, ContactName: 2, City: 1, Country: 1 }
+};
+
+const WRITE_EVENTS = ["CREATE", "UPDATE", "DELETE", "UPSERT"];
+
+class BusinessIndex {
+  constructor(options = {}) {
+    this.index = new BM25Index(options);
+    this.dirty = true;
+    this.building = null;
+    this.builtAt = null;
+  }
+
+  /**
+   * Invalidate the index whenever a source entity is written through the database service
+   */
+  attach(db) {
+    db.after(WRITE_EVENTS, (_, req) => {
+      const entity = req.target?.name?.split('.').pop();
+      if (entity && SOURCES[entity]) {
+        this.invalidate(`${req.event} on ${entity}`);
+      }
+    });
+  }
+
+  /**
+   * Mark the index as stale - it is rebuilt on the next search
+   */
+  invalidate(reason) {
+    if (!this.dirty) {
+      console.log(`🔎 Retrieval index invalidated (${reason})`);
+    }
+    this.dirty = true;
+  }
+
+  /**
+   * Rebuild the index if data changed since the last build
+   */
+  async ensureFresh() {
+    if (!this.dirty) return;
+    if (!this.building) {
+      this.building = this.build().finally(() => { this.building = null; });
+    }
+    await this.building;
+  }
+
+  /**
+   * Load all source records and rebuild the index
+   */
+  async build() {
+    // Cleared first so that writes during the build mark it stale again;
+    // set again if it fails, so that the next call retries instead of
+    // working with missing data
+    this.dirty = false;
+    try {
+      const db = await cds.connect.to('db');
+      const { Products, Categories, Suppliers, Customers } = db.entities;
+
+      const [products, categories, suppliers, customers] = await Promise.all([
+        db.run(SELECT.from(Products)),
+        db.run(SELECT.from(Categories).columns('ID', 'CategoryName', 'Description')),
+        db.run(SELECT.from(Suppliers)),
+        db.run(SELECT.from(Customers))
+      ]);
+
+      const categoryNames = new Map(categories.map(c => [c.ID, c.CategoryName]));
+      const supplierNames = new Map(suppliers.map(s => [s.ID, s.CompanyName]));
+
+      this.index.clear();
+
+      products.forEach(product => this.addRecord("Products", {
+        ...product,
+        CategoryName: categoryNames.get(product.CategoryID),
+        SupplierName: supplierNames.get(product.SupplierID)
+      }));
+      categories.forEach(category => this.addRecord("Categories", category));
+      suppliers.forEach(supplier => this.addRecord("Suppliers", supplier));
+      customers.forEach(customer => this.addRecord("Customers", customer));
+
+      this.builtAt = new Date().toISOString();
+      console.log(`🔎 Retrieval index built: ${this.index.size} records`);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Add one record of a source entity
+   */
+  addRecord(entity, record) {
+    const weights = SOURCES[entity];
+    const fields = Object.fromEntries(Object.keys(weights).map(field => [field, record[field]]));
+    this.index.add({ id: `${entity}:${record.ID}`, fields, payload: { entity, record } }, weights);
+  }
+
+  /**
+   * Find the records most relevant to a question
+   * @param {string} query - User question
+   * @param {object} [options] - { limit, entities }
+   * @returns {Promise<Array<{entity: string, record: object, score: number}>>}
+   */
+  async search(query, options = {}) {
+    const { limit = 20, entities } = options;
+    await this.ensureFresh();
+
+    return this.index.search(query, {
+      limit,
+      filter: entities ? payload => entities.includes(payload.entity) : undefined
+    }).map(hit => ({ entity: hit.payload.entity, record: hit.payload.record, score: hit.score }));
+  }
+
+  /**
+   * Relevant records grouped by entity, each list capped separately
+   * @param {string} query - User question
+   * @param {object} [limits] - Max records per entity, e.g. { Products: 20, Customers: 10 }
+   * @returns {Promise<{products: Array, categories: Array, suppliers: Array, customers: Array}>}
+   */
+  async searchByEntity(query, limits = {}) {
+    const result = {};
+    for (const entity of Object.keys(SOURCES)) {
+      const hits = await this.search(query, { limit: limits[entity] ?? 10, entities: [entity] });
+      result[entity.toLowerCase()] = hits.map(hit => hit.record);
+    }
+    return result;
+  }
+}
+
+module.exports = BusinessIndex;
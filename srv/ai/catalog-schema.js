@@ -0,0 +1,144 @@
+const cds = require("@sap/cds");
+
+/**
+ * Catalog Schema Introspection
+ * Exposes the entities and elements of CatalogService from the compiled CDS
+ * model, so AI features can offer and validate fields against the real
+ * schema instead of hard-coded lists.
+ */
+
+const SERVICE_NAME = "CatalogService";
+
+// CDS types mapped to JSON schema types
+const TYPE_MAP = {
+  "cds.Integer": "integer",
+  "cds.Int16": "integer",
+  "cds.Int32": "integer",
+  "cds.Int64": "integer",
+  "cds.UInt8": "integer",
+  "cds.Decimal": "number",
+  "cds.Double": "number",
+  "cds.Boolean": "boolean",
+  "cds.String": "string",
+  "cds.UUID": "string",
+  "cds.Date": "string",
+  "cds.Time": "string",
+  "cds.DateTime": "string",
+  "cds.Timestamp": "string"
+};
+
+class CatalogSchema {
+
+  /**
+   * Get all queryable CatalogService entities with their scalar elements
+   * @returns {Object<string, {name, fullName, keys, elements}>}
+   */
+  static getEntities() {
+    const model = cds.model;
+    if (!model) {
+      throw new Error("CDS model not loaded");
+    }
+
+    if (this._cache && this._cache.model === model) {
+      return this._cache.entities;
+    }
+
+    const entities = {};
+    for (const [fullName, definition] of Object.entries(model.definitions)) {
+      if (definition.kind !== "entity" || !fullName.startsWith(`${SERVICE_NAME}.`)) continue;
+
+      const name = fullName.substring(SERVICE_NAME.length + 1);
+      const elements = {};
+      const keys = [];
+
+      for (const [elementName, element] of Object.entries(definition.elements || {})) {
+        const jsonType = TYPE_MAP[element.type];
+        if (!jsonType) continue; // skip associations, binaries etc.
+
+        elements[elementName] = {
+          name: elementName,
+          cdsType: element.type,
+          type: jsonType,
+          numeric: jsonType === "integer" || jsonType === "number",
+          key: !!element.key,
+          length: element.length,
+          annotations: Object.fromEntries(Object.entries(element).filter(([k]) => k.startsWith('@')))
+        };
+
+        if (element.key) keys.push(elementName);
+      }
+
+      entities[name] = { name, fullName, keys, elements };
+    }
+
+    this._cache = { model, entities };
+    return entities;
+  }
+
+  /**
+   * Get the names of all queryable entities
+   */
+  static getEntityNames() {
+    return Object.keys(this.getEntities());
+  }
+
+  /**
+   * Resolve an entity by name (case-insensitive, tolerates singular forms)
+   */
+  static getEntity(name) {
+    if (!name) return null;
+    const entities = this.getEntities();
+    const lowerName = String(name).toLowerCase();
+
+    return Object.values(entities).find(entity => {
+      const lowerEntity = entity.name.toLowerCase();
+      return lowerEntity === lowerName ||
+             lowerEntity === `${lowerName}s` ||
+             lowerEntity === lowerName.replace(/y$/, 'ies');
+    }) || null;
+  }
+
+  /**
+   * Resolve an element of an entity by name (case-insensitive)
+   */
+  static getElement(entity, elementName) {
+    if (!entity || !elementName) return null;
+    const lowerName = String(elementName).toLowerCase();
+    return Object.values(entity.elements).find(element => element.name.toLowerCase() === lowerName) || null;
+  }
+
+  /**
+   * Coerce a value to the JSON type of an element (e.g. "20" → 20 for integers)
+   */
+  static coerceValue(element, value) {
+    if (value === null || value === undefined) return value;
+
+    switch (element.type) {
+      case "integer": {
+        const parsed = parseInt(value, 10);
+        return isNaN(parsed) ? value : parsed;
+      }
+      case "number": {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? value : parsed;
+      }
+      case "boolean":
+        if (typeof value === "boolean") return value;
+        return String(value).toLowerCase() === "true";
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * Describe all entities in a compact text form for prompts
+   */
+  static describe() {
+    return Object.values(this.getEntities()).map(entity => {
+      const fields = Object.values(entity.elements).map(e => `${e.name}${e.key ? '*' : ''}:${e.type}`);
+      return `${entity.name}(${fields.join(', ')})`;
+    }).join('\n');
+  }
+}
+
+module.exports = CatalogSchema;
@@ -0,0 +1,263 @@
+const cds = require("@sap/cds");
+const CatalogSchema = require("./catalog-schema");
+const progress = require("../streaming/progress");
+
+/**
+ * Catalog Tools for LLM tool-calling
+ * Typed, read-only tools over the CatalogService entities. Tool arguments
+ * are validated against the CDS model and executed as CQL SELECTs only.
+ */
+
+// Hard cap on rows returned to the model per tool call
+const MAX_ROWS = 50;
+
+// Supported comparison operators (tool name → CQL operator)
+const OPERATORS = {
+  "eq": "=",
+  "ne": "!=",
+  "lt": "<",
+  "le": "<=",
+  "gt": ">",
+  "ge": ">=",
+  "like": "like",
+  "in": "in"
+};
+
+const AGGREGATES = ["count", "sum", "avg", "min", "max"];
+
+class CatalogTools {
+
+  /**
+   * Build the tool definitions offered to the model (JSON schema parameters)
+   */
+  static getDefinitions() {
+    const entityNames = CatalogSchema.getEntityNames();
+    const schemaText = CatalogSchema.describe();
+
+    const whereSchema = {
+      type: "array",
+      description: "Conditions combined with AND",
+      items: {
+        type: "object",
+        properties: {
+          field: { type: "string", description: "Element name of the entity" },
+          op: { type: "string", enum: Object.keys(OPERATORS), description: "Comparison operator" },
+          value: { type: "string", description: "Value to compare with (use % wildcards for like)" },
+          values: { type: "array", items: { type: "string" }, description: "Values for the 'in' operator" }
+        },
+        required: ["field", "op"]
+      }
+    };
+
+    return [
+      {
+        name: "query_entity",
+        description: `Read records from a CatalogService entity. Available entities and elements (* = key):\n${schemaText}`,
+        parameters: {
+          type: "object",
+          properties: {
+            entity: { type: "string", enum: entityNames, description: "Entity to read" },
+            columns: { type: "array", items: { type: "string" }, description: "Elements to return (default: all)" },
+            where: whereSchema,
+            orderBy: { type: "string", description: "Element to sort by, optionally followed by asc or desc" },
+            limit: { type: "integer", description: `Maximum number of rows (max ${MAX_ROWS})` }
+          },
+          required: ["entity"]
+        }
+      },
+      {
+        name: "aggregate",
+        description: "Compute count, sum, avg, min or max over a CatalogService entity, optionally grouped",
+        parameters: {
+          type: "object",
+          properties: {
+            entity: { type: "string", enum: entityNames, description: "Entity to aggregate" },
+            function: { type: "string", enum: AGGREGATES, description: "Aggregate function" },
+            field: { type: "string", description: "Numeric element to aggregate (not needed for count)" },
+            groupBy: { type: "array", items: { type: "string" }, description: "Elements to group by" },
+            where: whereSchema
+          },
+          required: ["entity", "function"]
+        }
+      },
+      {
+        name: "get_by_id",
+        description: "Read a single CatalogService record by its key",
+        parameters: {
+          type: "object",
+          properties: {
+            entity: { type: "string", enum: entityNames, description: "Entity to read" },
+            id: { type: "string", description: "Key value of the record" }
+          },
+          required: ["entity", "id"]
+        }
+      }
+    ];
+  }
+
+  /**
+   * Execute a tool call and return a JSON-serializable result
+   */
+  static async execute(name, args = {}) {
+    const entity = CatalogSchema.getEntity(args.entity);
+    if (!entity) {
+      return { error: `Unknown entity "${args.entity}". Available: ${CatalogSchema.getEntityNames().join(', ')}` };
+    }
+
+    try {
+      progress.status('query', `Querying ${entity.name}`, { tool: name });
+      const srv = await cds.connect.to('CatalogService');
+
+      switch (name) {
+        case "query_entity":
+          return await this.queryEntity(srv, entity, args);
+        case "aggregate":
+          return await this.aggregate(srv, entity, args);
+        case "get_by_id":
+          return await this.getById(srv, entity, args);
+        default:
+          return { error: `Unknown tool "${name}"` };
+      }
+    } catch (error) {
+      console.error(`❌ Tool ${name} failed:`, error.message);
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * query_entity tool
+   */
+  static async queryEntity(srv, entity, args) {
+    const query = SELECT.from(entity.fullName);
+
+    if (args.columns?.length) {
+      query.columns(...args.columns.map(column => this.requireElement(entity, column).name));
+    }
+
+    const where = this.buildWhere(entity, args.where);
+    if (where.length > 0) {
+      query.SELECT.where = where;
+    }
+
+    if (args.orderBy) {
+      const [field, direction] = String(args.orderBy).trim().split(/\s+/);
+      const element = this.requireElement(entity, field);
+      query.orderBy(`${element.name} ${direction?.toLowerCase() === 'desc' ? 'desc' : 'asc'}`);
+    }
+
+    const limit = Math.min(parseInt(args.limit, 10) || 20, MAX_ROWS);
+    query.limit(limit);
+
+    const rows = await srv.run(query);
+    return { entity: entity.name, count: rows.length, rows };
+  }
+
+  /**
+   * aggregate tool
+   */
+  static async aggregate(srv, entity, args) {
+    const fn = String(args.function || "").toLowerCase();
+    if (!AGGREGATES.includes(fn)) {
+      return { error: `Unsupported aggregate function "${args.function}". Use one of: ${AGGREGATES.join(', ')}` };
+    }
+
+    let expression;
+    if (fn === "count") {
+      expression = "count(1) as value";
+    } else {
+      const element = this.requireElement(entity, args.field);
+      if (!element.numeric) {
+        return { error: `Element "${element.name}" is not numeric` };
+      }
+      expression = `${fn}(${element.name}) as value`;
+    }
+
+    const groupBy = (args.groupBy || []).map(field => this.requireElement(entity, field).name);
+    const query = SELECT.from(entity.fullName).columns(...groupBy, expression);
+
+    const where = this.buildWhere(entity, args.where);
+    if (where.length > 0) {
+      query.SELECT.where = where;
+    }
+
+    if (groupBy.length > 0) {
+      query.groupBy(...groupBy).limit(MAX_ROWS);
+    }
+
+    const rows = await srv.run(query);
+    return groupBy.length > 0 ?
+      { entity: entity.name, function: fn, field: args.field, groups: rows } :
+      { entity: entity.name, function: fn, field: args.field, value: rows[0]?.value ?? null };
+  }
+
+  /**
+   * get_by_id tool
+   */
+  static async getById(srv, entity, args) {
+    if (entity.keys.length !== 1) {
+      return { error: `Entity ${entity.name} has a composite key (${entity.keys.join(', ')}); use query_entity instead` };
+    }
+
+    const keyElement = entity.elements[entity.keys[0]];
+    const record = await srv.run(
+      SELECT.one.from(entity.fullName).where({ [keyElement.name]: CatalogSchema.coerceValue(keyElement, args.id) })
+    );
+
+    return record ? { entity: entity.name, record } : { entity: entity.name, error: `No ${entity.name} record with ${keyElement.name} ${args.id}` };
+  }
+
+  /**
+   * Compile tool conditions into a CQN where expression
+   * Conditions are combined with AND; { and: [...] }, { or: [...] } and { not: condition } nest.
+   */
+  static buildWhere(entity, conditions) {
+    const where = [];
+
+    for (const condition of conditions || []) {
+      if (where.length > 0) where.push("and");
+      where.push(...this.buildCondition(entity, condition));
+    }
+
+    return where;
+  }
+
+  /**
+   * Compile one condition or group into CQN tokens
+   */
+  static buildCondition(entity, condition) {
+    if (condition.and || condition.or) {
+      const [operator, members] = condition.and ? ["and", condition.and] : ["or", condition.or];
+      const xpr = members.flatMap((member, index) => [...(index ? [operator] : []), ...this.buildCondition(entity, member)]);
+      return [{ xpr }];
+    }
+    if (condition.not) {
+      return ["not", { xpr: this.buildCondition(entity, condition.not) }];
+    }
+
+    const element = this.requireElement(entity, condition.field);
+    const operator = OPERATORS[String(condition.op || "eq").toLowerCase()];
+    if (!operator) {
+      throw new Error(`Unsupported operator "${condition.op}"`);
+    }
+
+    if (operator === "in") {
+      const values = (condition.values || String(condition.value || "").split(','))
+        .map(value => ({ val: CatalogSchema.coerceValue(element, typeof value === 'string' ? value.trim() : value) }));
+      return [{ ref: [element.name] }, "in", { list: values }];
+    }
+    return [{ ref: [element.name] }, operator, { val: CatalogSchema.coerceValue(element, condition.value) }];
+  }
+
+  /**
+   * Resolve an element or throw a descriptive error for the model
+   */
+  static requireElement(entity, field) {
+    const element = CatalogSchema.getElement(entity, field);
+    if (!element) {
+      throw new Error(`Unknown element "${field}" on ${entity.name}. Available: ${Object.keys(entity.elements).join(', ')}`);
+    }
+    return element;
+  }
+}
+
+module.exports = CatalogTools;
@@ -0,0 +1,151 @@
+const cds = require("@sap/cds");
+
+/**
+ * Clarifying Questions
+ * When a request matches several records, misses a required value or its
+ * intent is unclear, the copilot asks instead of guessing. A question keeps
+ * what is needed to resume the request in the chat session:
+ *
+ *   {
+ *     id, reason: "ambiguous" | "missing_value" | "unclear_intent",
+ *     question, slot: { name, type },
+ *     prompt: "update chef anton price to 30",         // the original request
+ *     template: "update product {value} price to 30",  // request with the answer filled in
+ *     options: [{ label, value, prompt, skill }]       // skill: route the prompt to this skill
+ *   }
+ *
+ * The next prompt of the session either answers the question (an option's
+ * value, number or label, or a typed value for the slot) and resumes the
+ * request, or is handled as a new request and the question is dropped. A
+ * single word that is no valid value for the slot ("abc" for a price) is a
+ * wrong answer, and the question is asked again.
+ */
+
+// Value of the option that drops the question
+const CANCEL = "cancel";
+
+const CANCEL_PATTERN = /^(?:cancel|never ?mind|forget it|abort|stop)$/;
+
+// Questions older than this are not answered any more
+const MAX_AGE = 10 * 60 * 1000;
+
+// Typed values a slot accepts
+const SLOT_VALUES = {
+  number: /^\$?\s*(\d+(?:[.,]\d+)?)$/
+};
+
+class Clarifier {
+
+  /**
+   * Create a question and keep it in the session
+   * @param {object|null} session - Chat session; without one the options' prompts still resume the request
+   * @param {object} details - { reason, question, slot, prompt, template, options: [{ label, value, skill }] }
+   * @returns {object} Question as returned to the client
+   */
+  static ask(session, { reason, question, slot = null, prompt, template = null, options = [] }) {
+    const pending = {
+      id: cds.utils.uuid(),
+      reason,
+      question,
+      slot,
+      prompt,
+      template,
+      options: options.map(option => ({
+        ...option,
+        value: String(option.value),
+        prompt: option.value === CANCEL ? null : option.prompt || Clarifier.fill(template, option.value) || prompt
+      })),
+      askedAt: Date.now()
+    };
+    if (session) session.clarification = pending;
+    console.log(`❓ Clarification (${reason}): ${question} [${pending.options.map(option => option.value).join(", ")}]`);
+
+    return Clarifier.describe(pending);
+  }
+
+  /**
+   * Question of the session, removed from it: it is answered by the next prompt or not at all
+   */
+  static take(session) {
+    const pending = session?.clarification;
+    if (!pending) return null;
+    session.clarification = null;
+    return Date.now() - pending.askedAt <= MAX_AGE ? pending : null;
+  }
+
+  /**
+   * Match a prompt against the options of a question
+   * @returns {{cancelled: true}|{invalid: true, value: string}|{option: object, prompt: string, skill: string|undefined}|null}
+   *   Null when the prompt does not answer it
+   */
+  static answer(pending, text) {
+    if (!pending) return null;
+    const reply = String(text || "").trim().toLowerCase().replace(/[.!]+$/, "");
+    if (!reply) return null;
+    if (reply === CANCEL || CANCEL_PATTERN.test(reply)) return { cancelled: true };
+
+    const choices = pending.options.filter(option => option.value !== CANCEL);
+    const resume = option => ({ option, prompt: option.prompt, skill: option.skill });
+
+    const byValue = choices.find(option => option.value.toLowerCase() === reply);
+    if (byValue) return resume(byValue);
+
+    // A typed value for the slot; numbers are values here, not option numbers
+    const typed = pending.slot && SLOT_VALUES[pending.slot.type]?.exec(reply);
+    if (typed && pending.template) {
+      const value = typed[1].replace(",", ".");
+      return resume({ label: value, value, prompt: Clarifier.fill(pending.template, value) });
+    }
+
+    const number = /^(?:option\s*|#)?(\d+)$/.exec(reply);
+    if (number && !pending.slot) {
+      const option = choices[parseInt(number[1], 10) - 1];
+      return option ? resume(option) : null;
+    }
+
+    const byLabel = choices.filter(option => option.label.toLowerCase().includes(reply));
+    if (reply.length >= 3 && byLabel.length === 1) return resume(byLabel[0]);
+
+    return pending.slot && !/\s/.test(reply) ? { invalid: true, value: String(text).trim() } : null;
+  }
+
+  /**
+   * Request with the answer filled in
+   */
+  static fill(template, value) {
+    return template ? template.replace("{value}", value) : null;
+  }
+
+  /**
+   * Question as returned to the client
+   */
+  static describe({ id, reason, question, slot, options }) {
+    return {
+      id,
+      reason,
+      question,
+      slot: slot?.name || null,
+      options: options.map(({ label, value, prompt }) => ({ label, value, prompt }))
+    };
+  }
+
+  /**
+   * Intents the classifier cannot decide between
+   * @param {object} intent - `IntentRecognizer` intent with the model's probabilities
+   * @param {object} [options] - { maxConfidence: top intent below it, margin: runners-up within it }
+   * @returns {string[]} Two or more intents, most likely first; empty when the intent is clear
+   */
+  static unclearIntents(intent, options = {}) {
+    const maxConfidence = options.maxConfidence ?? 0.5;
+    const margin = options.margin ?? 0.2;
+    if (intent?.source !== "model" || !intent.probabilities || intent.confidence >= maxConfidence) return [];
+
+    const ranked = Object.entries(intent.probabilities).sort((a, b) => b[1] - a[1]);
+    const close = ranked.filter(([, probability]) => probability >= ranked[0][1] - margin).map(([name]) => name);
+    return close.length > 1 ? close : [];
+  }
+}
+
+Clarifier.CANCEL = CANCEL;
+
+module.exports = Clarifier;
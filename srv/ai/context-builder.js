@@ -0,0 +1,131 @@
+/**
+ * Token-Budgeted Context Builder
+ * Assembles prompt context from prioritized sections so that it fits the
+ * model's budget. Sections are added in priority order; a section that does
+ * not fit is truncated to the items that do (with a summary line for the
+ * rest) or dropped entirely, and every decision is reported back.
+ */
+
+// Rough average for English text and JSON-ish data
+const CHARS_PER_TOKEN = 4;
+
+class ContextBuilder {
+  /**
+   * @param {object} [options] - { budget: max tokens for the context }
+   */
+  constructor(options = {}) {
+    this.budget = options.budget ?? 2000;
+    this.sections = [];
+  }
+
+  /**
+   * Estimate the token count of a text
+   */
+  static estimateTokens(text) {
+    return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Add a section
+   * @param {string} name - Section name used in the report
+   * @param {object} section
+   * @param {number} section.priority - Lower numbers are kept first
+   * @param {string} [section.title] - Header line
+   * @param {string} [section.text] - Static text (kept whole or dropped)
+   * @param {Array} [section.items] - Items, rendered one by one and truncated from the end
+   * @param {function(*): string} [section.render] - Renders one item
+   * @param {function(Array): string} [section.summarize] - One line for the items that did not fit
+   */
+  add(name, section) {
+    const hasContent = section.text ? section.text.trim().length > 0 : section.items?.length > 0;
+    if (hasContent) {
+      this.sections.push({ name, order: this.sections.length, ...section });
+    }
+    return this;
+  }
+
+  /**
+   * Assemble the context within the budget
+   * @returns {{text: string, report: {budget: number, used: number, included: Array, truncated: Array, dropped: Array}}}
+   */
+  build() {
+    const report = { budget: this.budget, used: 0, included: [], truncated: [], dropped: [] };
+    const parts = [];
+    let remaining = this.budget;
+
+    const byPriority = [...this.sections].sort((a, b) => a.priority - b.priority || a.order - b.order);
+
+    for (const section of byPriority) {
+      const header = section.title ? `${section.title}\n` : "";
+      const headerTokens = ContextBuilder.estimateTokens(header);
+
+      if (section.text) {
+        const text = `${header}${section.text.trim()}\n`;
+        const tokens = ContextBuilder.estimateTokens(text);
+        if (tokens <= remaining) {
+          parts.push({ order: section.order, text });
+          remaining -= tokens;
+          report.included.push({ name: section.name, tokens });
+        } else {
+          report.dropped.push({ name: section.name, tokens });
+        }
+        continue;
+      }
+
+      const render = section.render || (item => `• ${typeof item === "string" ? item : JSON.stringify(item)}`);
+      const rendered = section.items.map(item => `${render(item)}\n`);
+      const total = headerTokens + rendered.reduce((sum, line) => sum + ContextBuilder.estimateTokens(line), 0);
+
+      if (total <= remaining) {
+        parts.push({ order: section.order, text: `${header}${rendered.join("")}` });
+        remaining -= total;
+        report.included.push({ name: section.name, tokens: total, items: rendered.length });
+        continue;
+      }
+
+      // Keep as many items as fit, leaving room for the summary line
+      let used = headerTokens;
+      let kept = 0;
+      const summaryFor = count => {
+        const rest = section.items.slice(count);
+        return `${section.summarize ? section.summarize(rest) : `… ${rest.length} more item(s) omitted`}\n`;
+      };
+
+      while (kept < rendered.length) {
+        const lineTokens = ContextBuilder.estimateTokens(rendered[kept]);
+        const summaryTokens = ContextBuilder.estimateTokens(summaryFor(kept + 1));
+        if (used + lineTokens + summaryTokens > remaining) break;
+        used += lineTokens;
+        kept++;
+      }
+
+      if (kept === 0) {
+        // Not even one item - a summary alone still tells the model the data exists
+        const summaryOnly = `${header}${summaryFor(0)}`;
+        const tokens = ContextBuilder.estimateTokens(summaryOnly);
+        if (section.summarize && tokens <= remaining) {
+          parts.push({ order: section.order, text: summaryOnly });
+          remaining -= tokens;
+          report.truncated.push({ name: section.name, tokens, items: 0, of: rendered.length });
+        } else {
+          report.dropped.push({ name: section.name, tokens: total, items: rendered.length });
+        }
+        continue;
+      }
+
+      const summary = summaryFor(kept);
+      used += ContextBuilder.estimateTokens(summary);
+      parts.push({ order: section.order, text: `${header}${rendered.slice(0, kept).join("")}${summary}` });
+      remaining -= used;
+      report.truncated.push({ name: section.name, tokens: used, items: kept, of: rendered.length });
+    }
+
+    report.used = this.budget - remaining;
+
+    // Sections keep the order they were added in, whatever their priority
+    const text = parts.sort((a, b) => a.order - b.order).map(part => part.text).join("\n");
+    return { text, report };
+  }
+}
+
+module.exports = ContextBuilder;
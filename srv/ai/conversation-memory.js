@@ -0,0 +1,184 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Conversation Memory
+ * Keeps a bounded history per chat session on the server: prior turns, the
+ * entities resolved in answers and the last result set, so follow-ups like
+ * "now sort them by price" can refer to the previous answer. The session of
+ * the current prompt is bound to its async context (like streaming progress),
+ * so handlers can read it without threading it through every call.
+ */
+
+// Words that refer back to the previous answer
+const FOLLOW_UP_PATTERN = /\b(?:them|those|these|they|their|it|its|that one|the same|of them|from them|the (?:previous|last|above) (?:ones?|results?|list))\b|^(?:now|then|and|also|only|just|but)\b|^(?:sort|order|filter|limit|show only|only show|narrow)\b/i;
+
+// Characters of an assistant reply kept per turn
+const MAX_REPLY_LENGTH = 600;
+
+// Rows of the last result set kept per session
+const MAX_RESULT_ROWS = 20;
+
+const storage = new AsyncLocalStorage();
+
+class SessionOwnerError extends Error {
+  constructor(sessionId) {
+    super(`Chat session ${sessionId} belongs to another user`);
+    this.name = "SessionOwnerError";
+  }
+}
+
+class ConversationMemory {
+  /**
+   * @param {object} [options] - { maxTurns, maxSessions, ttl: idle ms before a session is dropped }
+   */
+  constructor(options = {}) {
+    this.maxTurns = options.maxTurns ?? 10;
+    this.maxSessions = options.maxSessions ?? 500;
+    this.ttl = options.ttl ?? 30 * 60 * 1000;
+    this.sessions = new Map(); // sessionId → { id, owner, turns, entities, lastResult, clarification, updatedAt }
+  }
+
+  /**
+   * Run `fn` with the session bound to its async context (no-op binding without a session id)
+   * @param {string} sessionId - Chat session
+   * @param {string} owner - Id of the user the request runs for
+   * @param {Function} fn
+   */
+  run(sessionId, owner, fn) {
+    return sessionId ? storage.run(this.getSession(sessionId, owner), fn) : fn();
+  }
+
+  /**
+   * Session of the prompt being processed, or null
+   */
+  current() {
+    return storage.getStore() || null;
+  }
+
+  /**
+   * Get or create a session, dropping idle ones
+   * A session belongs to the user who started it; others cannot use its id.
+   * @throws {SessionOwnerError} If the session belongs to another user
+   */
+  getSession(sessionId, owner) {
+    this.prune();
+
+    let session = this.sessions.get(sessionId);
+    if (session && session.owner !== owner) {
+      throw new SessionOwnerError(sessionId);
+    }
+    if (session) {
+      // Re-insert so that eviction drops the least recently used session
+      this.sessions.delete(sessionId);
+    } else {
+      session = { id: sessionId, owner, turns: [], entities: {}, lastResult: null, clarification: null, updatedAt: Date.now() };
+      while (this.sessions.size >= this.maxSessions) {
+        this.sessions.delete(this.sessions.keys().next().value);
+      }
+    }
+
+    this.sessions.set(sessionId, session);
+    return session;
+  }
+
+  /**
+   * Drop sessions that have been idle longer than the TTL
+   */
+  prune() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [sessionId, session] of this.sessions) {
+      if (session.updatedAt < cutoff) this.sessions.delete(sessionId);
+    }
+  }
+
+  /**
+   * Forget a session
+   * @throws {SessionOwnerError} If the session belongs to another user
+   */
+  clear(sessionId, owner) {
+    const session = this.sessions.get(sessionId);
+    if (session && session.owner !== owner) {
+      throw new SessionOwnerError(sessionId);
+    }
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Whether a prompt refers back to the previous answer of the session
+   */
+  static isFollowUp(prompt, session) {
+    return !!session?.turns.length && FOLLOW_UP_PATTERN.test(String(prompt || "").trim());
+  }
+
+  /**
+   * Record a prompt and its response in the session
+   * @param {object} session - Session from current()/getSession()
+   * @param {string} prompt - User prompt
+   * @param {object} response - Handler response
+   */
+  record(session, prompt, response) {
+    if (!session || !response) return;
+
+    const reply = String(response.reply || "");
+    session.turns.push(
+      { role: "user", text: prompt },
+      { role: "assistant", text: reply.length > MAX_REPLY_LENGTH ? `${reply.substring(0, MAX_REPLY_LENGTH)}…` : reply }
+    );
+    if (session.turns.length > this.maxTurns * 2) {
+      session.turns.splice(0, session.turns.length - this.maxTurns * 2);
+    }
+
+    const entity = response.query?.structured?.entity || response.query?.entity;
+    if (response.success && entity && Array.isArray(response.data)) {
+      session.lastResult = {
+        entity,
+        query: response.query.structured || null,
+        description: response.query.description,
+        count: response.data.length,
+        total: response.query.total ?? response.data.length,
+        continuation: response.query.continuation || null,
+        rows: response.data.slice(0, MAX_RESULT_ROWS)
+      };
+
+      const ids = response.data.map(row => row.ID).filter(id => id !== undefined && id !== null);
+      if (ids.length > 0) {
+        session.entities[entity] = ids.slice(0, MAX_RESULT_ROWS);
+      }
+    } else if (response.success && entity && response.data?.ID !== undefined && /^(create|update|delete)_success$/.test(response.type)) {
+      // Record touched by a transaction: "it" now refers to this record
+      session.entities[entity] = [response.data.ID];
+    }
+
+    session.updatedAt = Date.now();
+  }
+
+  /**
+   * Recent turns, most recent first, for prompt context
+   */
+  static recentTurns(session) {
+    return session ? [...session.turns].reverse() : [];
+  }
+
+  /**
+   * Summary of a session for clients and diagnostics
+   */
+  describe(sessionId, owner) {
+    const session = this.sessions.get(sessionId);
+    if (!session || session.owner !== owner) return null;
+    return {
+      sessionId,
+      turns: session.turns.length / 2,
+      entities: session.entities,
+      lastResult: session.lastResult ? {
+        entity: session.lastResult.entity,
+        description: session.lastResult.description,
+        count: session.lastResult.count
+      } : null,
+      updatedAt: new Date(session.updatedAt).toISOString()
+    };
+  }
+}
+
+ConversationMemory.SessionOwnerError = SessionOwnerError;
+
+module.exports = ConversationMemory;
@@ -0,0 +1,323 @@
+const cds = require("@sap/cds");
+
+/**
+ * Entity Resolver for SAP Copilot
+ * Resolves product, category, supplier, customer and country mentions to the
+ * records they most likely mean, tolerating typos, missing accents and
+ * partial names: "chaii" → Chai, "beverage" → Beverages, "germny" → Germany.
+ * Mentions are compared with the master data by edit distance, phonetic key
+ * (Soundex) and token overlap; each match carries a confidence score.
+ * The master data is reloaded lazily after writes to the source entities.
+ *
+ * Configure via `cds.requires.llm.entities`: { minConfidence }.
+ */
+
+// Resolvable types with the entity, key and name they are loaded from
+const SOURCES = {
+  product: { entity: "Products", name: "ProductName" },
+  category: { entity: "Categories", name: "CategoryName" },
+  supplier: { entity: "Suppliers", name: "CompanyName" },
+  customer: { entity: "Customers", name: "CompanyName" }
+};
+
+// Countries are the distinct values of these elements
+const COUNTRY_SOURCES = [
+  { entity: "Customers", element: "Country" },
+  { entity: "Suppliers", element: "Country" },
+  { entity: "Orders", element: "ShipCountry" }
+];
+
+const WRITE_EVENTS = ["CREATE", "UPDATE", "DELETE", "UPSERT"];
+
+// Words that never start or end a mention: function words and the vocabulary of requests
+// (compared after plural folding, hence "doe" for "does")
+const STOP_WORDS = new Set([
+  "a", "an", "the", "of", "and", "or", "to", "in", "on", "at", "for", "from", "with", "by", "as", "into", "about",
+  "me", "my", "our", "we", "us", "you", "your", "i", "it", "its", "them", "those", "these", "this", "that", "there",
+  "all", "any", "some", "each", "every", "only", "now", "please", "than", "then", "when", "if", "is", "are", "was",
+  "be", "do", "doe", "have", "ha", "what", "which", "who", "how", "many", "much", "around", "between",
+  "show", "list", "display", "find", "get", "give", "tell", "see", "search", "look", "compare", "versu", "vs",
+  "create", "add", "new", "update", "modify", "change", "set", "delete", "remove", "cancel", "rename", "named", "called",
+  "product", "item", "article", "customer", "client", "supplier", "vendor", "category", "order", "shipment", "country",
+  "stock", "inventory", "price", "unit", "value", "sale", "revenue", "report", "export", "pdf", "excel",
+  "alert", "notify", "warn", "monitor", "status", "rule", "threshold",
+  "below", "above", "under", "over", "less", "more", "greater", "lower", "higher", "fall", "drop", "exceed",
+  "total", "average", "count", "number", "top", "bottom", "first", "last", "cheapest", "expensive", "most", "least",
+  "sort", "sorted", "group", "grouped", "ascending", "descending", "asc", "desc", "level", "id", "name",
+  "dollar", "euro", "low", "high", "out", "available", "discontinued", "detail", "info", "information"
+]);
+
+// Longest mention tried, in words
+const MAX_MENTION_WORDS = 4;
+
+// Weight of a match on part of a multi-word name
+const PARTIAL_WEIGHT = 0.9;
+
+const DEFAULT_MIN_CONFIDENCE = 0.75;
+
+// Words shorter than this only match a name that starts with them ("chai" → "chaii", not "pain" → "spain")
+const SHORT_WORD_LENGTH = 5;
+
+class EntityResolver {
+
+  /**
+   * @param {object} [options] - { minConfidence: matches below it are not resolved }
+   */
+  constructor(options = {}) {
+    this.minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+    this.entries = [];
+    this.dirty = true;
+    this.loading = null;
+  }
+
+  /**
+   * Reload the master data whenever a source entity is written
+   */
+  attach(db) {
+    const sources = new Set([...Object.values(SOURCES), ...COUNTRY_SOURCES].map(source => source.entity));
+    db.after(WRITE_EVENTS, (_, req) => {
+      const entity = req.target?.name?.split('.').pop();
+      if (entity && sources.has(entity)) this.dirty = true;
+    });
+  }
+
+  /**
+   * Load the master data if it changed since the last load
+   */
+  async ensureFresh() {
+    if (!this.dirty) return;
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Load the names of all resolvable records
+   */
+  async load() {
+    // Cleared first so that writes during the load mark it stale again;
+    // set again if it fails, so that the next call retries instead of
+    // working with missing data
+    this.dirty = false;
+    try {
+      const db = await cds.connect.to('db');
+      const entries = [];
+
+      for (const [type, { entity, name }] of Object.entries(SOURCES)) {
+        const rows = await db.run(SELECT.from(db.entities[entity]).columns('ID', name));
+        rows.filter(row => row[name]).forEach(row => entries.push(EntityResolver.entry(type, entity, row.ID, row[name])));
+      }
+
+      const countries = new Set();
+      for (const { entity, element } of COUNTRY_SOURCES) {
+        const rows = await db.run(SELECT.distinct.from(db.entities[entity]).columns(element));
+        rows.forEach(row => row[element] && countries.add(row[element]));
+      }
+      countries.forEach(country => entries.push(EntityResolver.entry("country", null, country, country)));
+
+      // Tokens that occur in a single name identify the record on their own ("gumbo")
+      const frequency = new Map();
+      entries.forEach(entry => new Set(entry.tokens).forEach(token => frequency.set(token, (frequency.get(token) || 0) + 1)));
+      entries.forEach(entry => {
+        entry.distinctive = new Set(entry.tokens.filter(token => frequency.get(token) === 1 && token.length >= 4 && !STOP_WORDS.has(token)));
+      });
+
+      this.entries = entries;
+      console.log(`🔗 Entity resolver loaded ${entries.length} name(s)`);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  static entry(type, entity, id, name) {
+    const tokens = EntityResolver.tokenize(name);
+    return { type, entity, id, name, tokens, key: tokens.join(" ") };
+  }
+
+  /**
+   * Lowercase words without accents, possessives and plural "s"
+   */
+  static tokenize(text) {
+    const words = String(text || "")
+      .normalize("NFKD").replace(/\p{M}/gu, "")
+      .replace(/ß/g, "ss")
+      .toLowerCase()
+      .replace(/['’]s\b/g, "")
+      .match(/[\p{L}\d]+/gu) || [];
+    return words.map(word => (word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word));
+  }
+
+  /**
+   * Edit distance counting adjacent transpositions as one edit
+   */
+  static distance(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return rows[a.length][b.length];
+  }
+
+  /**
+   * American Soundex code ("chai" and "chaii" → C000)
+   */
+  static soundex(word) {
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    const letters = word.replace(/[^a-z]/g, "");
+    if (!letters) return "";
+
+    let code = letters[0].toUpperCase();
+    let previous = codes[letters[0]];
+    for (const letter of letters.slice(1)) {
+      const digit = codes[letter];
+      if (digit && digit !== previous) code += digit;
+      // "h" and "w" do not separate letters with the same code
+      if (letter !== "h" && letter !== "w") previous = digit;
+      if (code.length === 4) break;
+    }
+    return code.padEnd(4, "0");
+  }
+
+  /**
+   * Similarity of two normalized strings in [0, 1]
+   * @returns {{score: number, method: string}}
+   */
+  static similarity(a, b) {
+    if (a === b) return { score: 1, method: "exact" };
+    // Short words only match exactly ("uk", "usa")
+    if (Math.min(a.length, b.length) < 4) return { score: 0, method: "none" };
+    if (Math.min(a.length, b.length) < SHORT_WORD_LENGTH && !a.startsWith(b) && !b.startsWith(a)) return { score: 0, method: "none" };
+
+    const edit = 1 - EntityResolver.distance(a, b) / Math.max(a.length, b.length);
+    const phonetic = edit >= 0.5 && a[0] === b[0] && EntityResolver.soundex(a) === EntityResolver.soundex(b) ? (1 + edit) / 2 : 0;
+    return phonetic > edit ? { score: phonetic, method: "phonetic" } : { score: edit, method: "fuzzy" };
+  }
+
+  /**
+   * Score a mention against a record name
+   * The whole name is compared first; otherwise every word of the mention must
+   * match a different word of the name, and one of them must be distinctive.
+   */
+  static score(tokens, entry) {
+    const whole = EntityResolver.similarity(tokens.join(" "), entry.key);
+    if (whole.score === 1 || entry.tokens.length === 1) return whole;
+
+    const used = new Set();
+    let sum = 0;
+    let distinctive = false;
+    for (const token of tokens) {
+      let best = { score: 0, index: -1 };
+      entry.tokens.forEach((candidate, index) => {
+        if (used.has(index)) return;
+        const { score } = EntityResolver.similarity(token, candidate);
+        if (score > best.score) best = { score, index };
+      });
+      if (best.score < 0.8) return whole;
+      used.add(best.index);
+      sum += best.score;
+      distinctive = distinctive || entry.distinctive.has(entry.tokens[best.index]);
+    }
+    if (!distinctive) return whole;
+
+    const partial = PARTIAL_WEIGHT * sum / tokens.length + (1 - PARTIAL_WEIGHT) * used.size / entry.tokens.length;
+    return partial > whole.score ? { score: partial, method: "partial" } : whole;
+  }
+
+  /**
+   * Resolve the mentions in a text
+   * @param {string} text - Prompt (localized keywords already mapped to English)
+   * @param {object} [options] - { types: restrict to these types, minConfidence }
+   * @returns {Promise<Array<{type, entity, id, name, mention, confidence, method, alternatives}>>} Best match per mention, in text order
+   */
+  async resolve(text, options = {}) {
+    await this.ensureFresh();
+    return this.match(text, options);
+  }
+
+  /**
+   * Resolve the mentions in a text against the loaded master data
+   */
+  match(text, options = {}) {
+    const minConfidence = options.minConfidence ?? this.minConfidence;
+    const entries = options.types ? this.entries.filter(entry => options.types.includes(entry.type)) : this.entries;
+    const words = EntityResolver.tokenize(text);
+
+    // Candidate mentions: word sequences that neither start nor end with a stop word
+    const candidates = [];
+    for (let start = 0; start < words.length; start++) {
+      for (let end = start + 1; end <= Math.min(words.length, start + MAX_MENTION_WORDS); end++) {
+        const tokens = words.slice(start, end);
+        if (STOP_WORDS.has(tokens[0]) || STOP_WORDS.has(tokens[tokens.length - 1])) continue;
+        if (tokens.some(token => /^\d/.test(token))) break;
+
+        const scored = entries
+          .map(entry => ({ entry, ...EntityResolver.score(tokens, entry) }))
+          .filter(match => match.score >= minConfidence)
+          .sort((a, b) => b.score - a.score);
+        if (scored.length) candidates.push({ start, end, tokens, scored });
+      }
+    }
+
+    // Best mentions first (longer ones on ties); mentions may not overlap or repeat a record
+    candidates.sort((a, b) => b.scored[0].score - a.scored[0].score || (b.end - b.start) - (a.end - a.start));
+    const taken = new Set();
+    const resolved = new Set();
+    const results = [];
+
+    for (const { start, end, tokens, scored } of candidates) {
+      const span = Array.from({ length: end - start }, (_, i) => start + i);
+      if (span.some(index => taken.has(index))) continue;
+
+      const [best, ...others] = scored.filter(({ entry }) => !resolved.has(`${entry.type}:${entry.id}`));
+      if (!best) continue;
+
+      span.forEach(index => taken.add(index));
+      resolved.add(`${best.entry.type}:${best.entry.id}`);
+      results.push({
+        start,
+        type: best.entry.type,
+        entity: best.entry.entity,
+        id: best.entry.id,
+        name: best.entry.name,
+        mention: tokens.join(" "),
+        confidence: Math.round(best.score * 100) / 100,
+        method: best.method,
+        alternatives: others.slice(0, 3).map(({ entry, score }) => ({
+          type: entry.type, id: entry.id, name: entry.name, confidence: Math.round(score * 100) / 100
+        }))
+      });
+    }
+
+    return results.sort((a, b) => a.start - b.start).map(({ start: _start, ...result }) => result);
+  }
+
+  /**
+   * Best match of one type for a name ("chaii" → Chai), or null
+   */
+  async resolveOne(text, type) {
+    const [best] = (await this.resolve(text, { types: [type] })).sort((a, b) => b.confidence - a.confidence);
+    return best || null;
+  }
+
+  /**
+   * One line per resolved mention, for replies and LLM prompts
+   */
+  static describe(references) {
+    return references.map(ref =>
+      `"${ref.mention}" → ${ref.name} (${ref.entity ? `${ref.type} ${ref.id}` : ref.type}, ${Math.round(ref.confidence * 100)}% match)`);
+  }
+}
+
+EntityResolver.TYPES = [...Object.keys(SOURCES), "country"];
+
+module.exports = EntityResolver;
@@ -0,0 +1,512 @@
+const EntityResolver = require("./entity-resolver");
+
+/**
+ * Filter Grammar for natural language queries
+ * Reads every condition of a request instead of the first one that matches:
+ *
+ *   beverages between $10 and $30 that are not discontinued and stock over 20
+ *   → CategoryID = 1 and UnitPrice >= 10 and UnitPrice <= 30
+ *     and Discontinued = false and UnitsInStock > 20
+ *
+ * Conditions are comparisons on numeric, boolean and text elements ("stock
+ * over 20", "country is Germany", "discontinued"), ranges ("price between 10
+ * and 30", "under $20"), lists ("category 1, 2 or 3", "status in (Shipped,
+ * Pending)"), common phrases ("out of stock") and the records the
+ * `EntityResolver` found in the request ("beverages", "exotic liquids").
+ * "not" negates the condition it precedes. "or" binds tighter than clause
+ * words (",", "with", "that", ...) and looser than "and", so "beverages with
+ * price under 10 or stock over 100" keeps the category for both branches.
+ * Parentheses group conditions: "price over 20 and (stock under 10 or
+ * discontinued)". Unbalanced parentheses throw a `GroupingError` rather than
+ * guessing where a group ends.
+ *
+ * The result is a `where` list combined with AND whose items are conditions
+ * ({ field, op, value | values }) or groups ({ and: [...] }, { or: [...] },
+ * { not: condition }).
+ */
+
+// Comparison words mapped to operators, longest phrases first
+const COMPARISONS = [
+  { words: ["no", "more", "than"], op: "le" },
+  { words: ["no", "less", "than"], op: "ge" },
+  { words: ["less", "than"], op: "lt" },
+  { words: ["lower", "than"], op: "lt" },
+  { words: ["fewer", "than"], op: "lt" },
+  { words: ["more", "than"], op: "gt" },
+  { words: ["greater", "than"], op: "gt" },
+  { words: ["higher", "than"], op: "gt" },
+  { words: ["at", "most"], op: "le" },
+  { words: ["at", "least"], op: "ge" },
+  { words: ["up", "to"], op: "le" },
+  { words: ["<="], op: "le" },
+  { words: [">="], op: "ge" },
+  { words: ["!="], op: "ne" },
+  { words: ["<>"], op: "ne" },
+  { words: ["<"], op: "lt" },
+  { words: [">"], op: "gt" },
+  { words: ["="], op: "eq" },
+  { words: ["below"], op: "lt" },
+  { words: ["under"], op: "lt" },
+  { words: ["above"], op: "gt" },
+  { words: ["over"], op: "gt" },
+  { words: ["exceeding"], op: "gt" },
+  { words: ["equals"], op: "eq" },
+  { words: ["equal", "to"], op: "eq" },
+  { words: ["of"], op: "eq" }
+];
+
+// Operator of the negated comparison
+const NEGATED = { eq: "ne", ne: "eq", lt: "ge", ge: "lt", le: "gt", gt: "le" };
+
+// Phrases that stand for a condition (the element must exist on the entity)
+const PRESETS = [
+  { words: ["out", "of", "stock"], condition: { field: "UnitsInStock", op: "eq", value: "0" } },
+  { words: ["low", "stock"], condition: { field: "UnitsInStock", op: "lt", value: "20" } },
+  { words: ["in", "stock"], condition: { field: "UnitsInStock", op: "gt", value: "0" } },
+  { words: ["expensive"], condition: { field: "UnitPrice", op: "gt", value: "50" }, unlessAfter: ["most", "least", "more", "less"] },
+  { words: ["cheap"], condition: { field: "UnitPrice", op: "lt", value: "20" } }
+];
+
+const NEGATIONS = new Set(["not", "non", "isn't", "aren't", "isnt", "arent", "without", "excluding", "except", "never"]);
+
+// Words that start a new clause; conditions in different clauses are always combined with AND
+const CLAUSE_WORDS = new Set([",", "with", "that", "which", "where", "who", "whose", "having", "while"]);
+
+const COPULAS = new Set(["is", "are", "was", "were"]);
+
+// Words between a number and the field it belongs to ("more than 20 units in stock")
+const UNIT_WORDS = new Set(["unit", "units", "item", "items", "piece", "pieces", "in", "of", "on"]);
+
+const BOOLEAN_VALUES = { true: "true", yes: "true", false: "false", no: "false" };
+
+// Words that end a list of text values or are never one
+const RESERVED = new Set([
+  "and", "or", "not", "by", "with", "that", "which", "where", "sorted", "sort", "ordered", "order",
+  "top", "first", "limit", "grouped", "group", "per", "asc", "desc", "ascending", "descending",
+  "between", "from", "to", "in", "is", "are", "than", "the", "a", "an", "only", "also", "please"
+]);
+
+const TOKEN = /"[^"]*"|'[^']*'|\$\s?\d+(?:\.\d+)?|\d+(?:\.\d+)?%?|<=|>=|!=|<>|[<>=(),]|\p{L}[\p{L}\d]*(?:['’]\p{L}+)?/gu;
+
+const DATE_TYPES = new Set(["cds.Date", "cds.DateTime", "cds.Timestamp", "cds.Time"]);
+
+class GroupingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GroupingError";
+  }
+}
+
+class FilterGrammar {
+
+  /**
+   * Read the conditions of a request
+   * @param {string} prompt - Request (localized keywords already mapped to English)
+   * @param {object} options - { entity, phrases: [{ phrase, element }] referring to its elements,
+   *   references: [{ reference, element }] records resolved from the request with the element they filter }
+   * @returns {{where: Array<object>, placed: Set<object>}} Conditions, and the references they include
+   * @throws {GroupingError} If the parentheses are unbalanced
+   */
+  static parse(prompt, { entity, phrases, references = [] }) {
+    const tokens = this.tokenize(prompt);
+    const fields = phrases
+      .filter(({ element }) => !DATE_TYPES.has(element.cdsType))
+      .map(({ phrase, element }) => ({ words: phrase.split(/\s+/).map(word => this.singular(word)), element }))
+      .sort((a, b) => b.words.length - a.words.length);
+    const context = { tokens, entity, fields, mentions: this.locate(tokens, references), placed: new Set() };
+
+    // Conditions of the open groups; a closed group is one condition of the group around it
+    const groups = [{ atoms: [], start: 0 }];
+    for (let i = 0; i < tokens.length;) {
+      if (tokens[i].text === "(") {
+        groups.push({ atoms: [], start: i + 1 });
+        i++;
+        continue;
+      }
+      if (tokens[i].text === ")") {
+        if (groups.length === 1) throw new GroupingError(`Unexpected ")" at "${this.excerpt(tokens, i)}"`);
+        const group = groups.pop();
+        const where = this.combine(context, group.atoms, group.start);
+        if (where.length) {
+          groups[groups.length - 1].atoms.push({ node: where.length > 1 ? { and: where } : where[0], start: group.start - 1, end: i + 1 });
+        }
+        i++;
+        continue;
+      }
+
+      const atom = this.referenceAt(context, i) || this.fieldAt(context, i) || this.measureAt(context, i) || this.presetAt(context, i);
+      if (atom) {
+        groups[groups.length - 1].atoms.push({ ...atom, start: i });
+        i = atom.end;
+      } else {
+        i++;
+      }
+    }
+    if (groups.length > 1) {
+      throw new GroupingError(`Missing ")" for the group at "${this.excerpt(tokens, groups[groups.length - 1].start - 1)}"`);
+    }
+
+    return { where: this.combine(context, groups[0].atoms, 0), placed: context.placed };
+  }
+
+  /**
+   * A few tokens from a position, to point at it in an error
+   */
+  static excerpt(tokens, i) {
+    return tokens.slice(i, i + 4).map(token => token.raw).join(" ");
+  }
+
+  /**
+   * Words, numbers, quoted strings and symbols of a text
+   */
+  static tokenize(text) {
+    return [...String(text || "").matchAll(TOKEN)].map(match => {
+      const raw = match[0];
+      const number = /^\$?\s?(\d+(?:\.\d+)?)%?$/.exec(raw);
+      const quoted = /^(["'])(.*)\1$/.exec(raw);
+      return {
+        raw: quoted ? quoted[2] : raw,
+        text: raw.toLowerCase().replace(/’/g, "'"),
+        type: number ? "number" : quoted ? "string" : /^\p{L}/u.test(raw) ? "word" : "symbol",
+        ...(number && { value: number[1], money: raw.startsWith("$") }),
+        key: EntityResolver.tokenize(raw).join(" ")
+      };
+    });
+  }
+
+  static singular(word) {
+    return word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word;
+  }
+
+  /**
+   * Token positions of the resolved references
+   * @returns {Map<number, {end: number, reference: object, element: object}>} By start position
+   */
+  static locate(tokens, references) {
+    const mentions = new Map();
+    for (const entry of references) {
+      const words = entry.reference.mention.split(" ");
+      for (let i = 0; i + words.length <= tokens.length; i++) {
+        if (mentions.has(i) || !words.every((word, offset) => tokens[i + offset].key === word)) continue;
+        mentions.set(i, { ...entry, end: i + words.length });
+        break;
+      }
+    }
+    return mentions;
+  }
+
+  /**
+   * End position of a word sequence at a position, or -1
+   */
+  static wordsAt(tokens, i, words) {
+    return words.every((word, offset) => tokens[i + offset] && this.singular(tokens[i + offset].text) === word) ? i + words.length : -1;
+  }
+
+  static phraseAt(context, i) {
+    for (const field of context.fields) {
+      const end = this.wordsAt(context.tokens, i, field.words);
+      if (end >= 0) return { element: field.element, end };
+    }
+    return null;
+  }
+
+  static comparisonAt(tokens, i) {
+    for (const comparison of COMPARISONS) {
+      const end = this.wordsAt(tokens, i, comparison.words);
+      if (end >= 0) return { op: comparison.op, end };
+    }
+    return null;
+  }
+
+  /**
+   * Condition on a record named in the request ("beverages" → CategoryID = 1)
+   */
+  static referenceAt(context, i) {
+    const mention = context.mentions.get(i);
+    if (!mention) return null;
+    context.placed.add(mention.reference);
+    return { node: { field: mention.element.name, op: "eq", value: String(mention.reference.id) }, end: mention.end };
+  }
+
+  /**
+   * Value for an element at a position
+   * @returns {{value: string, end: number, money?: boolean}|null}
+   */
+  static valueAt(context, i, element) {
+    const token = context.tokens[i];
+    if (!token) return null;
+
+    // A record resolved from the value ("country is germny" → Germany)
+    const mention = context.mentions.get(i);
+    if (mention && mention.element.name === element.name) {
+      context.placed.add(mention.reference);
+      return { value: String(mention.reference.id), end: mention.end };
+    }
+
+    if (element.numeric) {
+      return token.type === "number" ? { value: token.value, end: i + 1, money: token.money } : null;
+    }
+    if (element.type === "boolean") {
+      return BOOLEAN_VALUES[token.text] ? { value: BOOLEAN_VALUES[token.text], end: i + 1 } : null;
+    }
+    if (token.type === "string" || token.type === "number") return { value: token.value ?? token.raw, end: i + 1 };
+    return token.type === "word" && !RESERVED.has(token.text) && !NEGATIONS.has(token.text) ? { value: token.raw, end: i + 1 } : null;
+  }
+
+  /**
+   * Further values of a list: ", 2 or 3", "or Pending"
+   */
+  static listAt(context, i, element, first) {
+    const values = [first.value];
+    let end = first.end;
+    while (context.tokens[end] && [",", "or"].includes(context.tokens[end].text)) {
+      const next = this.valueAt(context, end + 1, element);
+      if (!next || this.phraseAt(context, end + 1)) break;
+      values.push(next.value);
+      end = next.end;
+    }
+    return { values, end };
+  }
+
+  /**
+   * Range "between <a> and <b>" or "from <a> to <b>"
+   */
+  static rangeAt(context, i, element) {
+    const { tokens } = context;
+    const opening = tokens[i]?.text;
+    if (opening !== "between" && opening !== "from") return null;
+
+    const low = this.valueAt(context, i + 1, element);
+    const separator = tokens[low?.end]?.text;
+    if (!low || separator !== (opening === "between" ? "and" : "to")) return null;
+    const high = this.valueAt(context, low.end + 1, element);
+    if (!high || (opening === "from" && tokens[i + 1].type !== "number")) return null;
+
+    return {
+      node: { and: [{ field: element.name, op: "ge", value: low.value }, { field: element.name, op: "le", value: high.value }] },
+      end: high.end,
+      money: low.money || high.money
+    };
+  }
+
+  /**
+   * "<field> [is] [not] <predicate>": comparisons, ranges, lists and booleans
+   */
+  static fieldAt(context, i) {
+    const phrase = this.phraseAt(context, i);
+    if (!phrase) return null;
+
+    const { tokens } = context;
+    const { element } = phrase;
+    let position = phrase.end;
+    const copula = COPULAS.has(tokens[position]?.text);
+    if (copula) position++;
+    const negated = NEGATIONS.has(tokens[position]?.text);
+    if (negated) position++;
+
+    // Text values need a verb or a clause word before the field: "status is Shipped", "with status Shipped"
+    const introduced = CLAUSE_WORDS.has(tokens[i - 1]?.text) || ["and", "or", "("].includes(tokens[i - 1]?.text);
+    const predicate = this.predicateAt(context, position, element, copula || negated || introduced);
+    if (!predicate) return null;
+    return { node: negated ? this.negate(predicate.node) : predicate.node, end: predicate.end, field: element.name };
+  }
+
+  static predicateAt(context, i, element, explicit) {
+    const { tokens } = context;
+    const field = element.name;
+
+    const range = this.rangeAt(context, i, element);
+    if (range) return range;
+
+    if (tokens[i]?.text === "in") {
+      const open = tokens[i + 1]?.text === "(" ? 1 : 0;
+      const first = this.valueAt(context, i + 1 + open, element);
+      if (first) {
+        const list = this.listAt(context, i + 1 + open, element, first);
+        return { node: { field, op: "in", values: list.values }, end: list.end + (open && tokens[list.end]?.text === ")" ? 1 : 0) };
+      }
+    }
+
+    const comparison = this.comparisonAt(tokens, i);
+    const at = comparison ? comparison.end : i;
+    const value = this.valueAt(context, at, element);
+
+    if (element.type === "boolean") {
+      return { node: { field, op: comparison?.op || "eq", value: value?.value || "true" }, end: value ? value.end : at };
+    }
+    if (!value || (!comparison && !explicit && !element.numeric)) return null;
+
+    const op = comparison?.op || "eq";
+    if (op === "eq" || op === "ne") {
+      const list = this.listAt(context, at, element, value);
+      if (list.values.length > 1) {
+        const node = { field, op: "in", values: list.values };
+        return { node: op === "ne" ? { not: node } : node, end: list.end };
+      }
+    }
+    return { node: { field, op, value: value.value }, end: value.end };
+  }
+
+  /**
+   * Comparison or range before its field or on an amount of money:
+   * "more than 20 units in stock", "under $20", "between $10 and $30"
+   */
+  static measureAt(context, i) {
+    const { tokens, fields } = context;
+    const number = { numeric: true, name: null };
+
+    const range = this.rangeAt(context, i, number);
+    const comparison = !range && this.comparisonAt(tokens, i);
+    const value = comparison && this.valueAt(context, comparison.end, number);
+    if (!range && !value) return null;
+
+    let end = range ? range.end : value.end;
+    let after = end;
+    while (tokens[after] && UNIT_WORDS.has(tokens[after].text) && !this.phraseAt(context, after)) after++;
+    const phrase = this.phraseAt(context, after);
+
+    let element = phrase?.element.numeric ? phrase.element : null;
+    if (element) {
+      end = phrase.end;
+    } else if (range?.money || value?.money) {
+      element = fields.find(field => field.words.join(" ") === "price")?.element;
+    }
+    if (!element) return null;
+
+    const node = range ?
+      { and: range.node.and.map(condition => ({ ...condition, field: element.name })) } :
+      { field: element.name, op: comparison.op, value: value.value };
+    return { node, end, field: element.name };
+  }
+
+  static presetAt(context, i) {
+    for (const preset of PRESETS) {
+      const end = this.wordsAt(context.tokens, i, preset.words);
+      if (end < 0 || preset.unlessAfter?.includes(context.tokens[i - 1]?.text)) continue;
+      if (!context.entity.elements[preset.condition.field]) continue;
+      return { node: { ...preset.condition }, end, field: preset.condition.field };
+    }
+    return null;
+  }
+
+  /**
+   * Negate a condition; comparisons flip their operator, groups follow De Morgan
+   */
+  static negate(node) {
+    if (node.and) return { or: node.and.map(member => this.negate(member)) };
+    if (node.or) return { and: node.or.map(member => this.negate(member)) };
+    if (node.not) return node.not;
+    if (NEGATED[node.op]) {
+      return BOOLEAN_VALUES[node.value] && node.op === "eq" ?
+        { ...node, value: node.value === "true" ? "false" : "true" } :
+        { ...node, op: NEGATED[node.op] };
+    }
+    return { not: node };
+  }
+
+  /**
+   * Combine the conditions of one group by the words between them
+   * @param {number} from - Position the group starts at
+   */
+  static combine(context, atoms, from) {
+    const { tokens } = context;
+    const items = [];
+
+    atoms.forEach((atom, index) => {
+      const gap = tokens.slice(index ? atoms[index - 1].end : from, atom.start).map(token => token.text);
+      const clause = gap.findLastIndex(word => CLAUSE_WORDS.has(word) || word === "and" || word === "or");
+      const negated = gap.slice(clause + 1).some(word => NEGATIONS.has(word));
+      const node = negated ? this.negate(atom.node) : atom.node;
+      const joiner = gap.some(word => CLAUSE_WORDS.has(word)) ? "clause" : gap.includes("or") ? "or" : "and";
+
+      // Values of the same field name alternatives: "beverages or condiments", "Germany and France"
+      const previous = items[items.length - 1];
+      if (index && joiner !== "clause" && node.op === "eq" && previous?.node.field === node.field &&
+          ["eq", "in"].includes(previous.node.op)) {
+        const values = [...(previous.node.values || [previous.node.value]), node.value];
+        previous.node = { field: node.field, op: "in", values: [...new Set(values)] };
+        return;
+      }
+      items.push({ node, joiner: index ? joiner : "clause" });
+    });
+
+    // Clauses are ANDed; within a clause "or" separates terms of ANDed conditions
+    const where = [];
+    let terms = [];
+    const flush = () => {
+      if (!terms.length) return;
+      const grouped = terms.map(term => term.length > 1 ? { and: term } : term[0]);
+      if (grouped.length > 1) {
+        where.push({ or: grouped });
+      } else {
+        where.push(...(grouped[0].and || [grouped[0]]));
+      }
+      terms = [];
+    };
+    for (const { node, joiner } of items) {
+      if (joiner === "clause") flush();
+      if (joiner === "or" || !terms.length) {
+        terms.push([node]);
+      } else {
+        terms[terms.length - 1].push(node);
+      }
+    }
+    flush();
+
+    return where.flatMap(node => node.and && !node.or ? node.and : [node]);
+  }
+
+  /**
+   * Conditions in plain words: "UnitPrice >= 10 and (Country = Germany or Country = France)"
+   */
+  static describe(where, labels) {
+    const text = (node, nested) => {
+      if (node.and || node.or) {
+        const [operator, members] = node.and ? ["and", node.and] : ["or", node.or];
+        const joined = members.map(member => text(member, true)).join(` ${operator} `);
+        return nested ? `(${joined})` : joined;
+      }
+      if (node.not) return `not ${text(node.not, true)}`;
+      return node.op === "in" ?
+        `${node.field} in (${node.values.join(", ")})` :
+        `${node.field} ${labels[node.op]} ${node.value}`;
+    };
+    return where.map(node => text(node, where.length > 1)).join(" and ");
+  }
+
+  /**
+   * Conditions as an OData $filter expression
+   * @param {object} entity - `CatalogSchema` entity, for the literal types
+   */
+  static toOData(entity, where) {
+    const literal = (element, value) => {
+      if (element?.numeric && !isNaN(parseFloat(value))) return String(parseFloat(value));
+      if (element?.type === "boolean") return String(String(value).toLowerCase() === "true");
+      if (DATE_TYPES.has(element?.cdsType) && /^\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?$/.test(value)) return String(value);
+      return `'${String(value).replace(/'/g, "''")}'`;
+    };
+    const text = (node, nested) => {
+      if (node.and || node.or) {
+        const [operator, members] = node.and ? ["and", node.and] : ["or", node.or];
+        const joined = members.map(member => text(member, true)).join(` ${operator} `);
+        return nested ? `(${joined})` : joined;
+      }
+      if (node.not) return `not ${text(node.not, true)}`;
+
+      const element = entity.elements[node.field];
+      if (node.op === "in") return `${node.field} in (${node.values.map(value => literal(element, value)).join(",")})`;
+      if (node.op === "like") {
+        // "chai%" → startswith, "%tea" → endswith, anything else → contains
+        const pattern = String(node.value);
+        const fn = /^[^%]+%$/.test(pattern) ? "startswith" : /^%[^%]+$/.test(pattern) ? "endswith" : "contains";
+        return `${fn}(${node.field},${literal(null, pattern.replace(/%/g, ""))})`;
+      }
+      return `${node.field} ${node.op} ${literal(element, node.value)}`;
+    };
+    return where.map(node => text(node, where.length > 1)).join(" and ");
+  }
+}
+
+FilterGrammar.GroupingError = GroupingError;
+
+module.exports = FilterGrammar;
@@ -0,0 +1,315 @@
+/**
+ * Grounding Verifier
+ * Cross-checks the facts in an AI answer - record IDs, prices, stock
+ * quantities and catalog metrics - against the records that were passed to
+ * the model as context. Numbers are attributed to the single record a line
+ * (or sentence) mentions; numbers next to several records are not checked,
+ * since they cannot be attributed reliably.
+ */
+
+// Context data keys and the entity their records belong to
+const RECORD_SOURCES = {
+  products: "Products",
+  lowStock: "Products",
+  outOfStock: "Products",
+  highStock: "Products",
+  customers: "Customers",
+  categories: "Categories",
+  suppliers: "Suppliers"
+};
+
+// Element holding the display name per entity
+const NAME_ELEMENTS = {
+  Products: "ProductName",
+  Customers: "CompanyName",
+  Categories: "CategoryName",
+  Suppliers: "CompanyName"
+};
+
+// Words before an ID that say which entity it belongs to
+const ID_ENTITIES = { product: "Products", customer: "Customers", category: "Categories", supplier: "Suppliers" };
+
+const ID_PATTERN = /\b(?:(product|customer|category|supplier)s?\s+)?(?:ID\s*:?\s*|#)(\d+)\b|\b(product|customer|category|supplier)\s+(\d+)\b/gi;
+const PRICE_PATTERN = /\$\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)/g;
+const QUANTITY_PATTERN = /\b(\d[\d,]*)\s*(?:units?|pcs|pieces)\b(\s+on order)?|\b(stock|inventory|on order|reorder level)\s*(?:level\s*)?(?:of|is|at|:|=)?\s*(\d[\d,]*)\b/gi;
+
+// Quantities that are recommendations, not claims about the data ("reorder 50 units")
+const RECOMMENDATION_PATTERN = /\b(?:reorder|order|buy|purchase|restock|add|increase|reduce|target|recommend(?:ed)?|at least|minimum|maximum|up to|about|around|approximately)\s+(?:\w+\s+){0,2}$/i;
+
+// Catalog metrics and the phrases that state them
+const METRIC_CLAIMS = [
+  { metric: "averagePrice", pattern: /average (?:unit )?price/i },
+  { metric: "totalInventoryValue", pattern: /(?:total )?inventory value/i },
+  { metric: "highestPrice", pattern: /highest price|most expensive/i },
+  { metric: "lowestPrice", pattern: /lowest price|cheapest/i }
+];
+
+// Names shorter than this match too many ordinary words
+const MIN_NAME_LENGTH = 3;
+
+class GroundingVerifier {
+
+  /**
+   * Records of the context data, keyed like OData ("Products(5)")
+   * @param {object} contextData - Business data passed to the model
+   * @param {Array<object>} [extra] - Further records the model saw: [{ entity, rows }]
+   * @returns {Map<string, {key: string, entity: string, record: object}>}
+   */
+  static collectRecords(contextData = {}, extra = []) {
+    const records = new Map();
+    const add = (entity, record) => {
+      if (!record || record.ID === undefined || record.ID === null) return;
+      const key = `${entity}(${record.ID})`;
+      records.set(key, { key, entity, record: { ...records.get(key)?.record, ...record } });
+    };
+
+    Object.entries(RECORD_SOURCES).forEach(([source, entity]) => {
+      (contextData[source] || []).forEach(record => add(entity, record));
+    });
+    extra.forEach(({ entity, rows }) => (rows || []).forEach(record => add(entity, record)));
+
+    return records;
+  }
+
+  /**
+   * Split an answer into segments claims are attributed to: lines, or
+   * sentences for lines that mention several records
+   */
+  static segments(text) {
+    const segments = [];
+    let offset = 0;
+    for (const line of text.split("\n")) {
+      const sentencePattern = /[^.!?]+(?:[.!?](?!\d)|$)/g;
+      let match;
+      const sentences = [];
+      while ((match = sentencePattern.exec(line)) !== null) {
+        if (match[0].trim()) sentences.push({ text: match[0], start: offset + match.index });
+        if (match[0].length === 0) sentencePattern.lastIndex++;
+      }
+      segments.push({ text: line, start: offset, sentences });
+      offset += line.length + 1;
+    }
+    return segments;
+  }
+
+  static escape(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  static toNumber(raw) {
+    return parseFloat(String(raw).replace(/,/g, ''));
+  }
+
+  /**
+   * Whether a stated number matches an actual value (allowing for rounding)
+   */
+  static matches(stated, actual) {
+    if (actual === undefined || actual === null) return false;
+    const value = Number(actual);
+    return Math.abs(stated - value) < 0.006 ||
+      (Number.isInteger(stated) && Math.round(value) === stated) ||
+      Math.round(value * 10) / 10 === stated;
+  }
+
+  /**
+   * Records mentioned in a piece of text, by name or ID
+   */
+  static findMentions(text, records) {
+    const mentioned = new Map();
+    const unknownIds = [];
+
+    for (const entry of records.values()) {
+      const name = entry.record[NAME_ELEMENTS[entry.entity]];
+      if (name && name.length >= MIN_NAME_LENGTH && new RegExp(`\\b${GroundingVerifier.escape(name)}\\b`, 'i').test(text)) {
+        mentioned.set(entry.key, entry);
+      }
+    }
+
+    ID_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = ID_PATTERN.exec(text)) !== null) {
+      const label = (match[1] || match[3])?.toLowerCase();
+      const id = Number(match[2] || match[4]);
+      const entity = ID_ENTITIES[label];
+
+      // A bare "ID 5" belongs to the record named next to it, if any
+      const candidates = [...records.values()].filter(entry => entry.record.ID === id && (!entity || entry.entity === entity));
+      const entry = candidates.find(candidate => mentioned.has(candidate.key)) || candidates[0];
+      if (entry) {
+        mentioned.set(entry.key, entry);
+      } else {
+        unknownIds.push({ raw: match[0], index: match.index, id, entity: entity || null });
+      }
+    }
+
+    return { mentioned: [...mentioned.values()], unknownIds };
+  }
+
+  /**
+   * Numeric claims about a single record in a piece of text
+   */
+  static checkRecordClaims(text, start, entry) {
+    const checks = [];
+    const record = entry.record;
+
+    if (record.UnitPrice !== undefined) {
+      PRICE_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = PRICE_PATTERN.exec(text)) !== null) {
+        const stated = GroundingVerifier.toNumber(match[1]);
+        // Inventory value (price × stock) is a fair derived figure
+        const ok = GroundingVerifier.matches(stated, record.UnitPrice) ||
+          (record.UnitsInStock !== undefined && GroundingVerifier.matches(stated, record.UnitPrice * record.UnitsInStock));
+        checks.push({ ok, key: entry.key, field: "UnitPrice", stated, actual: Number(record.UnitPrice), raw: match[0], index: start + match.index, display: `$${Number(record.UnitPrice).toFixed(2)}` });
+      }
+    }
+
+    if (record.UnitsInStock !== undefined) {
+      QUANTITY_PATTERN.lastIndex = 0;
+      let match;
+      while ((match = QUANTITY_PATTERN.exec(text)) !== null) {
+        if (RECOMMENDATION_PATTERN.test(text.substring(0, match.index))) continue;
+
+        const raw = match[1] || match[4];
+        const label = (match[2] || match[3] || "").trim().toLowerCase();
+        const field = label === "on order" ? "UnitsOnOrder" : label === "reorder level" ? "ReorderLevel" : "UnitsInStock";
+        const stated = GroundingVerifier.toNumber(raw);
+        checks.push({
+          ok: GroundingVerifier.matches(stated, record[field]),
+          key: entry.key,
+          field,
+          stated,
+          actual: record[field],
+          raw,
+          index: start + match.index + match[0].lastIndexOf(raw),
+          display: `${record[field]}`
+        });
+      }
+    }
+
+    return checks;
+  }
+
+  /**
+   * Claims about catalog metrics ("average price is $28.87")
+   */
+  static checkMetricClaims(text, start, metrics) {
+    const checks = [];
+    if (!metrics) return checks;
+
+    for (const { metric, pattern } of METRIC_CLAIMS) {
+      if (!pattern.test(text) || metrics[metric] === undefined || metrics[metric] === null) continue;
+      PRICE_PATTERN.lastIndex = 0;
+      const match = PRICE_PATTERN.exec(text.substring(text.search(pattern)));
+      if (!match) continue;
+
+      const offset = text.search(pattern);
+      const stated = GroundingVerifier.toNumber(match[1]);
+      checks.push({
+        ok: GroundingVerifier.matches(stated, metrics[metric]),
+        key: "metrics",
+        field: metric,
+        stated,
+        actual: Number(metrics[metric]),
+        raw: match[0],
+        index: start + offset + match.index,
+        display: `$${Number(metrics[metric]).toFixed(2)}`
+      });
+    }
+
+    return checks;
+  }
+
+  /**
+   * Verify an answer against its context
+   * @param {string} text - AI answer
+   * @param {object} contextData - Business data passed to the model
+   * @param {object} [options] - { extra: further records [{ entity, rows }] }
+   * @returns {{verified: boolean, checked: number, mismatches: Array, sources: Array<string>}}
+   */
+  static verify(text, contextData = {}, options = {}) {
+    const records = GroundingVerifier.collectRecords(contextData, options.extra);
+    const sources = new Set();
+    const checks = [];
+    const unknown = [];
+
+    for (const segment of GroundingVerifier.segments(String(text || ""))) {
+      const { mentioned, unknownIds } = GroundingVerifier.findMentions(segment.text, records);
+      mentioned.forEach(entry => sources.add(entry.key));
+      unknownIds.forEach(id => unknown.push({ ...id, index: segment.start + id.index }));
+
+      if (mentioned.length === 1) {
+        checks.push(...GroundingVerifier.checkRecordClaims(segment.text, segment.start, mentioned[0]));
+      } else if (mentioned.length > 1) {
+        // Several records on one line: attribute per sentence where that is unambiguous
+        for (const sentence of segment.sentences) {
+          const inSentence = GroundingVerifier.findMentions(sentence.text, records).mentioned;
+          if (inSentence.length === 1) {
+            checks.push(...GroundingVerifier.checkRecordClaims(sentence.text, sentence.start, inSentence[0]));
+          }
+        }
+      } else {
+        checks.push(...GroundingVerifier.checkMetricClaims(segment.text, segment.start, contextData.metrics));
+      }
+    }
+
+    if (checks.some(check => check.key === "metrics")) sources.add("metrics");
+
+    const mismatches = [
+      ...checks.filter(check => !check.ok),
+      ...unknown.map(id => ({
+        key: id.entity ? `${id.entity}(${id.id})` : `ID ${id.id}`,
+        field: "ID",
+        stated: id.id,
+        actual: null,
+        raw: id.raw,
+        index: id.index,
+        display: null
+      }))
+    ].sort((a, b) => a.index - b.index);
+
+    return {
+      verified: mismatches.length === 0,
+      checked: checks.length + unknown.length,
+      mismatches,
+      sources: [...sources]
+    };
+  }
+
+  /**
+   * Mark mismatched values inline, e.g. "$25.00 ⚠️ (records: $18.00)"
+   */
+  static flag(text, mismatches) {
+    let flagged = text;
+    [...mismatches].sort((a, b) => b.index - a.index).forEach(mismatch => {
+      const end = mismatch.index + String(mismatch.raw).length;
+      const note = mismatch.actual === null ? " ⚠️ (not in the provided records)" : ` ⚠️ (records: ${mismatch.display})`;
+      flagged = flagged.substring(0, end) + note + flagged.substring(end);
+    });
+    return flagged;
+  }
+
+  /**
+   * Describe mismatches for a correction prompt
+   */
+  static formatMismatches(mismatches) {
+    return mismatches.map(mismatch => mismatch.actual === null ?
+      `- ${mismatch.key} is not in the business data; do not mention it` :
+      `- ${mismatch.key} ${mismatch.field}: you wrote ${mismatch.raw}, the data says ${mismatch.display}`
+    ).join("\n");
+  }
+
+  /**
+   * Verification summary for responses (without text positions)
+   */
+  static summarize(result, extra = {}) {
+    return {
+      verified: result.verified,
+      checked: result.checked,
+      mismatches: result.mismatches.map(({ key, field, stated, actual }) => ({ key, field, stated, actual })),
+      ...extra
+    };
+  }
+}
+
+module.exports = GroundingVerifier;
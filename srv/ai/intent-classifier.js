@@ -0,0 +1,238 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Intent Classifier for SAP Copilot
+ * Multinomial naive Bayes over word unigrams and bigrams, trained from the
+ * labeled utterances in `intents/utterances.jsonl`. Naive Bayes scores are
+ * far too confident on their own, so they are calibrated with a temperature
+ * fitted on cross-validation folds; `confidence` is the calibrated
+ * probability of the predicted intent.
+ *
+ * Retrain and persist the model with `npm run train-intents` after editing
+ * the utterances.
+ */
+
+const INTENTS_DIR = path.join(__dirname, "intents");
+const DEFAULT_DATA = path.join(INTENTS_DIR, "utterances.jsonl");
+const DEFAULT_MODEL = path.join(INTENTS_DIR, "model.json");
+
+// Laplace smoothing of feature counts
+const DEFAULT_ALPHA = 0.5;
+
+// Folds used to fit the calibration temperature
+const CALIBRATION_FOLDS = 5;
+
+// Temperatures tried during calibration
+const TEMPERATURES = Array.from({ length: 100 }, (_, index) => 0.25 * (index + 1));
+
+// Scores key carrying the number of known features (not an intent)
+const KNOWN_FEATURES = Symbol("knownFeatures");
+
+class IntentClassifier {
+
+  /**
+   * @param {object} [model] - Trained model (see `toJSON`)
+   */
+  constructor(model = null) {
+    this.model = model;
+  }
+
+  /**
+   * Features of a text: words, word bigrams and the first word
+   * Numbers are reduced to one token, since their value says nothing about
+   * the intent, and plurals to the singular ("alerts" → "alert").
+   */
+  static features(text) {
+    const words = String(text || "").toLowerCase().match(/[\p{L}\d']+/gu) || [];
+    const tokens = words.map(word => {
+      if (/^\d+([.,]\d+)?$/.test(word)) return "<num>";
+      return word.length > 3 && /[^s]s$/.test(word) ? word.slice(0, -1) : word;
+    });
+    const features = new Set(tokens);
+    for (let i = 1; i < tokens.length; i++) {
+      features.add(`${tokens[i - 1]} ${tokens[i]}`);
+    }
+    if (tokens.length) features.add(`^ ${tokens[0]}`);
+    return [...features];
+  }
+
+  /**
+   * Load labeled utterances from a JSONL file ({ text, intent } per line)
+   */
+  static loadExamples(file = DEFAULT_DATA) {
+    return fs.readFileSync(file, "utf8").split(/\r?\n/)
+      .map((line, index) => {
+        if (!line.trim()) return null;
+        let example;
+        try {
+          example = JSON.parse(line);
+        } catch (error) {
+          throw new Error(`${path.basename(file)}:${index + 1}: invalid JSON (${error.message})`, { cause: error });
+        }
+        if (!example.text || !example.intent) {
+          throw new Error(`${path.basename(file)}:${index + 1}: an example needs "text" and "intent"`);
+        }
+        return example;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Count features per intent
+   * @returns {object} Uncalibrated model
+   */
+  static fit(examples, options = {}) {
+    const alpha = options.alpha ?? DEFAULT_ALPHA;
+    const intents = {};
+    const vocabulary = new Set();
+
+    for (const { text, intent } of examples) {
+      const entry = intents[intent] || (intents[intent] = { documents: 0, total: 0, counts: {} });
+      entry.documents++;
+      for (const feature of IntentClassifier.features(text)) {
+        entry.counts[feature] = (entry.counts[feature] || 0) + 1;
+        entry.total++;
+        vocabulary.add(feature);
+      }
+    }
+
+    return { version: 1, alpha, temperature: 1, documents: examples.length, vocabulary: vocabulary.size, intents };
+  }
+
+  /**
+   * Train on labeled utterances and calibrate the confidences
+   * @param {Array<{text: string, intent: string}>} examples
+   * @param {object} [options] - { alpha, folds }
+   * @returns {IntentClassifier}
+   */
+  static train(examples, options = {}) {
+    const folds = options.folds ?? CALIBRATION_FOLDS;
+
+    // Out-of-fold scores: each example is scored by a model that has not seen it
+    const heldOut = [];
+    for (let fold = 0; fold < folds; fold++) {
+      const training = examples.filter((_, index) => index % folds !== fold);
+      const classifier = new IntentClassifier(IntentClassifier.fit(training, options));
+      examples.forEach((example, index) => {
+        if (index % folds === fold) {
+          heldOut.push({ intent: example.intent, scores: classifier.scores(example.text) });
+        }
+      });
+    }
+
+    // Temperature with the lowest negative log-likelihood on the held-out scores
+    let best = { temperature: 1, loss: Infinity };
+    for (const temperature of TEMPERATURES) {
+      const loss = heldOut.reduce((sum, { intent, scores }) => {
+        const probability = IntentClassifier.softmax(scores, temperature)[intent] || 1e-12;
+        return sum - Math.log(probability);
+      }, 0) / heldOut.length;
+      if (loss < best.loss) best = { temperature, loss };
+    }
+
+    const correct = heldOut.filter(({ intent, scores }) => IntentClassifier.argmax(scores) === intent).length;
+    const model = IntentClassifier.fit(examples, options);
+    model.temperature = best.temperature;
+    model.evaluation = {
+      folds,
+      accuracy: Math.round(correct / heldOut.length * 1000) / 1000,
+      logLoss: Math.round(best.loss * 1000) / 1000
+    };
+    model.trainedAt = new Date().toISOString();
+
+    return new IntentClassifier(model);
+  }
+
+  /**
+   * Log-probability score per intent (unnormalized)
+   * Features never seen in training are ignored.
+   */
+  scores(text) {
+    const { intents, alpha, documents } = this.model;
+    const vocabularySize = this.model.vocabulary;
+    const known = IntentClassifier.features(text).filter(feature =>
+      Object.values(intents).some(entry => entry.counts[feature]));
+
+    const scores = {};
+    for (const [intent, entry] of Object.entries(intents)) {
+      let score = Math.log(entry.documents / documents);
+      for (const feature of known) {
+        score += Math.log(((entry.counts[feature] || 0) + alpha) / (entry.total + alpha * vocabularySize));
+      }
+      scores[intent] = score;
+    }
+    return { ...scores, [KNOWN_FEATURES]: known.length };
+  }
+
+  static softmax(scores, temperature = 1) {
+    const entries = Object.entries(scores);
+    const max = Math.max(...entries.map(([, score]) => score));
+    const exp = entries.map(([intent, score]) => [intent, Math.exp((score - max) / temperature)]);
+    const sum = exp.reduce((total, [, value]) => total + value, 0);
+    return Object.fromEntries(exp.map(([intent, value]) => [intent, value / sum]));
+  }
+
+  static argmax(scores) {
+    return Object.entries(scores).reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+  }
+
+  /**
+   * Classify a text
+   * @returns {{intent: string, confidence: number, probabilities: object}|null} Null when no feature of the text is known
+   */
+  predict(text) {
+    if (!this.model) return null;
+
+    const scores = this.scores(text);
+    if (!scores[KNOWN_FEATURES]) return null;
+
+    const probabilities = IntentClassifier.softmax(scores, this.model.temperature);
+    const intent = IntentClassifier.argmax(probabilities);
+    return {
+      intent,
+      confidence: probabilities[intent],
+      probabilities: Object.fromEntries(Object.entries(probabilities).map(([name, p]) => [name, Math.round(p * 1000) / 1000]))
+    };
+  }
+
+  toJSON() {
+    return this.model;
+  }
+
+  /**
+   * Persist the model as JSON
+   */
+  save(file = DEFAULT_MODEL) {
+    fs.writeFileSync(file, JSON.stringify(this.model));
+  }
+
+  /**
+   * Load a persisted model, or null when there is none
+   */
+  static load(file = DEFAULT_MODEL) {
+    if (!fs.existsSync(file)) return null;
+    return new IntentClassifier(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+}
+
+IntentClassifier.DEFAULT_MODEL = DEFAULT_MODEL;
+IntentClassifier.DEFAULT_DATA = DEFAULT_DATA;
+
+/**
+ * Retrain from the utterances file and persist the model
+ * Usage: node srv/ai/intent-classifier.js [utterances.jsonl] [model.json]
+ */
+if (require.main === module) {
+  const [data = DEFAULT_DATA, output = DEFAULT_MODEL] = process.argv.slice(2);
+  const examples = IntentClassifier.loadExamples(data);
+  const classifier = IntentClassifier.train(examples);
+  classifier.save(output);
+
+  const { evaluation, temperature, vocabulary, intents } = classifier.model;
+  console.log(`🧠 Trained intent classifier on ${examples.length} utterance(s), ${Object.keys(intents).length} intents, ${vocabulary} features`);
+  console.log(`📊 Cross-validation: accuracy ${Math.round(evaluation.accuracy * 1000) / 10}%, log loss ${evaluation.logLoss} (temperature ${temperature})`);
+  console.log(`💾 Model written to ${path.relative(process.cwd(), output)}`);
+}
+
+module.exports = IntentClassifier;
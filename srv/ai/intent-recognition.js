@@ -1,10 +1,25 @@
 const cds = require("@sap/cds");
+const LanguageDetector = require("./language-detector");
+const IntentClassifier = require("./intent-classifier");
+const TemporalParser = require("./temporal-parser");
 
 /**
  * Intent Recognition System for SAP Copilot ChatShell
  * Classifies user intents and extracts business entities from natural language
+ * German and French input is matched through the localized keyword tables
+ * in `locales/`, which map it to the English keywords below.
+ *
+ * Intents come from the trained classifier (see `intent-classifier.js`);
+ * the keyword scorer is the fallback when there is no model or the model is
+ * unsure. Configure via `cds.requires.llm.intents`: { model, minConfidence }.
  */
 
+// Model predictions below this confidence fall back to keyword scoring
+const DEFAULT_MIN_CONFIDENCE = 0.4;
+
+// Trained classifier, loaded on first use (false when there is no model file)
+let classifier = null;
+
 // Intent definitions with keywords and patterns
 const INTENTS = {
   DATA_QUERY: {
@@ -122,39 +137,23 @@ const ENTITIES = {
   }
 };
 
-// Date/time patterns
-const DATE_PATTERNS = {
-  RELATIVE: {
-    "today": () => new Date(),
-    "yesterday": () => new Date(Date.now() - 24 * 60 * 60 * 1000),
-    "tomorrow": () => new Date(Date.now() + 24 * 60 * 60 * 1000),
-    "last week": () => new Date(Date.now() - 7 * 24 * 60 * 60 * 1000),
-    "last month": () => new Date(new Date().getFullYear(), new Date().getMonth() - 1, 1),
-    "this month": () => new Date(new Date().getFullYear(), new Date().getMonth(), 1),
-    "this year": () => new Date(new Date().getFullYear(), 0, 1),
-    "last year": () => new Date(new Date().getFullYear() - 1, 0, 1)
-  },
-  
-  PATTERNS: [
-    /(\d{1,2})\/(\d{1,2})\/(\d{4})/,  // MM/DD/YYYY
-    /(\d{4})-(\d{1,2})-(\d{1,2})/,   // YYYY-MM-DD
-    /(january|february|march|april|may|june|july|august|september|october|november|december)\s+(\d{1,2}),?\s+(\d{4})/i
-  ]
-};
-
 class IntentRecognizer {
   
   /**
    * Analyze user input and extract intent, entities, and parameters
+   * @param {string} userInput - User prompt in any supported language
+   * @param {object} [options] - { language } - detected when omitted
    */
-  static analyzeInput(userInput) {
-    const normalizedInput = userInput.toLowerCase().trim();
+  static analyzeInput(userInput, options = {}) {
+    const language = options.language || LanguageDetector.detect(userInput).language;
+    const normalizedInput = LanguageDetector.normalize(userInput, language).toLowerCase().trim();
     
     const result = {
       originalInput: userInput,
+      language,
       intent: this.classifyIntent(normalizedInput),
       entities: this.extractEntities(normalizedInput),
-      parameters: this.extractParameters(normalizedInput),
+      parameters: this.extractParameters(normalizedInput, language),
       confidence: 0,
       timestamp: new Date().toISOString()
     };
@@ -167,8 +166,39 @@ class IntentRecognizer {
   
   /**
    * Classify the primary intent of the user input
+   * @returns {{intent: string, confidence: number, source: string, probabilities?: object}} Source is "model" or "keywords"
    */
   static classifyIntent(input) {
+    const options = cds.env.requires?.llm?.intents || {};
+    const model = options.model !== false && this.getClassifier();
+    const prediction = model && model.predict(input);
+
+    if (prediction && prediction.confidence >= (options.minConfidence ?? DEFAULT_MIN_CONFIDENCE)) {
+      return { ...prediction, source: "model" };
+    }
+
+    return { ...this.scoreKeywords(input), source: "keywords" };
+  }
+
+  /**
+   * Trained intent classifier, or false when no model has been trained
+   */
+  static getClassifier() {
+    if (classifier === null) {
+      try {
+        classifier = IntentClassifier.load() || false;
+      } catch (error) {
+        console.warn(`⚠️ Intent model could not be loaded, using keyword scoring: ${error.message}`);
+        classifier = false;
+      }
+    }
+    return classifier;
+  }
+
+  /**
+   * Score the input against the keywords and patterns of each intent
+   */
+  static scoreKeywords(input) {
     let bestMatch = { intent: "UNKNOWN", confidence: 0 };
     
     for (const [intentName, intentConfig] of Object.entries(INTENTS)) {
@@ -227,10 +257,10 @@ class IntentRecognizer {
   /**
    * Extract parameters like numbers, dates, names, etc.
    */
-  static extractParameters(input) {
+  static extractParameters(input, language) {
     const parameters = {
       numbers: this.extractNumbers(input),
-      dates: this.extractDates(input),
+      dates: this.extractDates(input, language),
       countries: this.extractCountries(input),
       quantities: this.extractQuantities(input),
       names: this.extractNames(input)
@@ -249,36 +279,27 @@ class IntentRecognizer {
   }
   
   /**
-   * Extract and parse dates
+   * Extract the date or period of the prompt as an interval
+   * @param {string} input - Normalized prompt
+   * @param {string} [locale] - Decides whether 05/07/2024 is May 7 or July 5
+   * @returns {Array<{type: string, phrase: string, start: string|null, end: string, label: string, date: Date}>} ISO dates, both inclusive;
+   *   none for a date that does not exist (the query reports it)
    */
-  static extractDates(input) {
-    const dates = [];
-    
-    // Check relative dates
-    for (const [phrase, dateFunc] of Object.entries(DATE_PATTERNS.RELATIVE)) {
-      if (input.includes(phrase)) {
-        dates.push({
-          type: "relative",
-          phrase: phrase,
-          date: dateFunc(),
-          isoString: dateFunc().toISOString()
-        });
-      }
-    }
-    
-    // Check absolute date patterns
-    for (const pattern of DATE_PATTERNS.PATTERNS) {
-      const match = input.match(pattern);
-      if (match) {
-        dates.push({
-          type: "absolute",
-          match: match[0],
-          date: new Date(match[0])
-        });
-      }
+  static extractDates(input, locale) {
+    let period;
+    try {
+      period = TemporalParser.shared().parse(input, { locale });
+    } catch (error) {
+      if (error instanceof TemporalParser.InvalidDateError) return [];
+      throw error;
     }
-    
-    return dates;
+    if (!period) return [];
+
+    return [{
+      type: period.kind,
+      ...period,
+      date: new Date(period.start || period.end)
+    }];
   }
   
   /**
@@ -344,7 +365,7 @@ class IntentRecognizer {
     }
     
     if (parameters.dates.length > 0) {
-      summary += `\nDates: ${parameters.dates.map(d => d.phrase || d.match).join(", ")}`;
+      summary += `\nDates: ${parameters.dates.map(d => d.label).join(", ")}`;
     }
     
     return summary;
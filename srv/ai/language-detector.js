@@ -0,0 +1,143 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const de = require("./locales/de");
+const fr = require("./locales/fr");
+
+/**
+ * Language Detection for SAP Copilot
+ * Detects the language of a prompt from frequent words and characters and
+ * maps localized keywords and synonyms to the English ones the intent
+ * recognizer, query parsers and routing checks are written for. The language
+ * and the original prompt of the request being processed are bound to its
+ * async context, so replies and LLM prompts can use the user's language.
+ */
+
+const DEFAULT_LANGUAGE = "en";
+
+// Localized keyword tables by language
+const LOCALES = { de, fr };
+
+// Frequent English words, so English prompts are recognized as such
+const ENGLISH_MARKERS = [
+  "the", "and", "is", "are", "what", "show", "me", "of", "with", "for", "how", "which", "all", "please",
+  "list", "products", "customers", "orders", "under", "over", "when", "can", "you", "thanks"
+];
+
+// Localized keywords that are English words as well and say nothing about the language
+const SHARED_WORDS = ["client", "clients", "article", "articles", "compare", "change", "alarm", "pro", "set"];
+
+// Characters that only occur in one of the supported languages
+const CHARACTER_HINTS = {
+  de: /[äöüß]/i,
+  fr: /[éèêàçùœâîô]/i
+};
+
+// Prompts need this lead over the runner-up to count as detected
+const MIN_SCORE = 1;
+
+const storage = new AsyncLocalStorage();
+
+// Localized terms as replacement patterns, longest phrases first
+const REPLACEMENTS = Object.fromEntries(Object.entries(LOCALES).map(([language, locale]) => [
+  language,
+  Object.entries(locale.terms)
+    .sort(([a], [b]) => b.length - a.length)
+    .map(([term, english]) => ({
+      pattern: new RegExp(`(?<![\\p{L}\\d'-])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\d'-])`, 'giu'),
+      english
+    }))
+]));
+
+class LanguageDetector {
+
+  /**
+   * Languages with keyword tables (English is built in)
+   */
+  static getSupportedLanguages() {
+    return [DEFAULT_LANGUAGE, ...Object.keys(LOCALES)];
+  }
+
+  /**
+   * Single-word localized keywords, which also identify the language
+   */
+  static keywords(language) {
+    return Object.keys(LOCALES[language]?.terms || {})
+      .filter(term => /^[\p{L}]+$/u.test(term) && !SHARED_WORDS.includes(term) && !ENGLISH_MARKERS.includes(term));
+  }
+
+  /**
+   * Reduce a locale like "de-CH" or "fr_FR" to a supported language, or null
+   */
+  static toSupported(locale) {
+    const language = String(locale || "").toLowerCase().split(/[-_]/)[0];
+    return LanguageDetector.getSupportedLanguages().includes(language) ? language : null;
+  }
+
+  /**
+   * Detect the language of a text
+   * @param {string} text - User prompt
+   * @param {string} [fallback] - Locale used when the text is too short or ambiguous (e.g. the request locale)
+   * @returns {{language: string, confidence: number, scores: object}}
+   */
+  static detect(text, fallback) {
+    const words = String(text || "").toLowerCase().match(/[\p{L}']+/gu) || [];
+    const scores = { [DEFAULT_LANGUAGE]: 0 };
+    const count = (language, markers) => {
+      const set = new Set(markers);
+      scores[language] = words.filter(word => set.has(word)).length;
+    };
+
+    count(DEFAULT_LANGUAGE, ENGLISH_MARKERS);
+    Object.entries(LOCALES).forEach(([language, locale]) => count(language, [...locale.markers, ...LanguageDetector.keywords(language)]));
+    Object.entries(CHARACTER_HINTS).forEach(([language, pattern]) => {
+      if (pattern.test(text)) scores[language] += 2;
+    });
+
+    const [best, runnerUp] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    const fallbackLanguage = LanguageDetector.toSupported(fallback) || DEFAULT_LANGUAGE;
+
+    if (best[1] - runnerUp[1] < MIN_SCORE) {
+      return { language: fallbackLanguage, confidence: 0, scores };
+    }
+
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    return { language: best[0], confidence: Math.round(best[1] / total * 100) / 100, scores };
+  }
+
+  /**
+   * Replace localized keywords and synonyms with their English equivalents
+   * Words without an entry (product names, free text) are kept as they are.
+   */
+  static normalize(text, language) {
+    const replacements = REPLACEMENTS[language];
+    if (!replacements) return text;
+
+    let normalized = String(text);
+    for (const { pattern, english } of replacements) {
+      normalized = normalized.replace(pattern, english);
+    }
+
+    return normalized
+      .replace(/(\d+),(\d{2})(?!\d)/g, '$1.$2') // decimal comma: 12,50 → 12.50
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Run `fn` with the language and original prompt of a request bound to its async context
+   * @param {object} request - { language, original, normalized }
+   */
+  static run(request, fn) {
+    return storage.run(request, fn);
+  }
+
+  /**
+   * Language context of the request being processed, or null
+   */
+  static current() {
+    return storage.getStore() || null;
+  }
+}
+
+LanguageDetector.DEFAULT_LANGUAGE = DEFAULT_LANGUAGE;
+
+module.exports = LanguageDetector;
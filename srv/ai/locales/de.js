@@ -0,0 +1,192 @@
+/**
+ * German keywords and synonyms
+ * `markers` are frequent words used for language detection; `terms` map
+ * German phrases to the English keywords the intent recognizer, the
+ * query parsers and the routing checks understand.
+ */
+module.exports = {
+  language: "de",
+
+  markers: [
+    "der", "die", "das", "den", "dem", "und", "ist", "sind", "nicht", "mit", "für", "ich", "mir", "mich",
+    "zeige", "zeig", "alle", "wie", "welche", "bitte", "von", "ein", "eine", "einen", "auf", "unter",
+    "über", "nach", "wenn", "kannst", "du", "sie", "produkte", "kunden", "bestellungen", "danke"
+  ],
+
+  terms: {
+    // Data queries
+    "zeige mir": "show me",
+    "zeig mir": "show me",
+    "zeige": "show",
+    "zeig": "show",
+    "anzeigen": "show",
+    "liste": "list",
+    "auflisten": "list",
+    "finde": "find",
+    "suche": "find",
+    "welche": "which",
+    "was sind": "what are",
+    "wie viele": "how many",
+    "vergleiche": "compare",
+    "vergleich": "compare",
+    "mehr anzeigen": "show more",
+    "zeige mehr": "show more",
+    "zeig mehr": "show more",
+    "nächste seite": "next page",
+
+    // Transactions
+    "erstelle": "create",
+    "erstellen": "create",
+    "lege an": "create",
+    "anlegen": "create",
+    "füge hinzu": "add",
+    "hinzufügen": "add",
+    "neues": "new",
+    "neuen": "new",
+    "neue": "new",
+    "aktualisiere": "update",
+    "aktualisieren": "update",
+    "ändere": "change",
+    "ändern": "change",
+    "bearbeite": "modify",
+    "setze": "set",
+    "lösche": "delete",
+    "löschen": "delete",
+    "entferne": "remove",
+    "entfernen": "remove",
+    "storniere": "cancel",
+
+    // Reports
+    "exportiere": "export",
+    "exportieren": "export",
+    "erzeuge": "generate",
+    "generiere": "generate",
+    "lade herunter": "download",
+    "herunterladen": "download",
+    "lagerbericht": "inventory report",
+    "bericht": "report",
+    "als pdf": "as pdf",
+    "als excel": "as excel",
+
+    // Alerts
+    "benachrichtige mich wenn": "notify me when",
+    "benachrichtige mich, wenn": "notify me when",
+    "warne mich wenn": "warn me when",
+    "warne mich, wenn": "warn me when",
+    "benachrichtige": "notify",
+    "überwache": "monitor",
+    "warnstatus": "alert status",
+    "status der warnungen": "alert status",
+    "warnungen jetzt prüfen": "check alerts now",
+    "prüfe warnungen jetzt": "check alerts now",
+    "prüfe jetzt die warnungen": "check alerts now",
+    "warnregeln": "alert rules",
+    "warnungen": "alerts",
+    "warnung": "alert",
+    "alarme": "alerts",
+    "alarm": "alert",
+    "schwellenwert": "threshold",
+    "benachrichtigungen": "notifications",
+
+    // Help and casual chat
+    "was kannst du": "what can you do",
+    "hilfe": "help",
+    "vielen dank": "thank you",
+    "danke": "thanks",
+    "tschüss": "bye",
+    "auf wiedersehen": "goodbye",
+    "alles gut": "all good",
+    "in ordnung": "alright",
+
+    // Entities
+    "produkte": "products",
+    "produkt": "product",
+    "artikel": "products",
+    "waren": "products",
+    "kunden": "customers",
+    "kunde": "customer",
+    "bestellungen": "orders",
+    "bestellung": "order",
+    "aufträge": "orders",
+    "auftrag": "order",
+    "kategorien": "categories",
+    "kategorie": "category",
+    "lieferanten": "suppliers",
+    "lieferant": "supplier",
+
+    // Periods
+    "seit jahresbeginn": "year to date",
+    "seit": "since",
+    "bis": "until",
+    "vom": "from",
+    "im": "in",
+    "heute": "today",
+    "gestern": "yesterday",
+    "letzte woche": "last week",
+    "letzten woche": "last week",
+    "letzten monat": "last month",
+    "letzter monat": "last month",
+    "letztes quartal": "last quarter",
+    "letzten quartal": "last quarter",
+    "letztes jahr": "last year",
+    "letzten jahr": "last year",
+    "diese woche": "this week",
+    "diesen monat": "this month",
+    "dieses quartal": "this quarter",
+    "dieses jahr": "this year",
+    "letzten": "last",
+    "letzte": "last",
+    "tagen": "days",
+    "tage": "days",
+    "wochen": "weeks",
+    "monaten": "months",
+    "monate": "months",
+    "kalenderwoche": "week",
+    "woche": "week",
+    "monat": "month",
+    "quartal": "quarter",
+    "jahr": "year",
+
+    // Filters, sorting and grouping
+    "weniger als": "less than",
+    "mehr als": "more than",
+    "unter": "under",
+    "über": "over",
+    "zwischen": "between",
+    "lagerbestand": "stock",
+    "bestand": "stock",
+    "auf lager": "in stock",
+    "nicht vorrätig": "out of stock",
+    "preise": "prices",
+    "preis": "price",
+    "sortiert nach": "sorted by",
+    "sortiere nach": "sort by",
+    "sortiere sie nach": "sort them by",
+    "gruppiert nach": "grouped by",
+    "gruppiere nach": "group by",
+    "absteigend": "descending",
+    "aufsteigend": "ascending",
+    "teuersten": "most expensive",
+    "teuerste": "most expensive",
+    "günstigsten": "cheapest",
+    "günstigste": "cheapest",
+    "billigste": "cheapest",
+    "davon": "of them",
+    "diese": "these",
+    "jetzt": "now",
+    "nun": "now",
+    "nur": "only",
+    "alle": "all",
+    "und": "and",
+    "oder": "or",
+    "mit": "with",
+    "ohne": "without",
+    "pro": "per",
+    "aus": "from",
+    "der": "the",
+    "die": "the",
+    "das": "the",
+    "den": "the",
+    "dem": "the"
+  }
+};
@@ -0,0 +1,189 @@
+/**
+ * French keywords and synonyms
+ * `markers` are frequent words used for language detection; `terms` map
+ * French phrases to the English keywords the intent recognizer, the
+ * query parsers and the routing checks understand.
+ */
+module.exports = {
+  language: "fr",
+
+  markers: [
+    "le", "la", "les", "des", "du", "de", "et", "est", "sont", "pour", "avec", "moi", "tous", "toutes",
+    "quels", "quelles", "combien", "une", "un", "dans", "sur", "par", "qui", "que", "peux", "tu", "vous",
+    "montre", "affiche", "produits", "clients", "commandes", "merci"
+  ],
+
+  terms: {
+    // Data queries
+    "montre-moi": "show me",
+    "montrez-moi": "show me",
+    "affiche-moi": "show me",
+    "montre": "show",
+    "affiche": "show",
+    "afficher": "show",
+    "liste": "list",
+    "lister": "list",
+    "trouve": "find",
+    "cherche": "find",
+    "quels sont": "what are",
+    "quelles sont": "what are",
+    "quels": "which",
+    "quelles": "which",
+    "combien de": "how many",
+    "compare": "compare",
+    "comparer": "compare",
+    "afficher plus": "show more",
+    "affiche plus": "show more",
+    "voir plus": "show more",
+    "page suivante": "next page",
+
+    // Transactions
+    "crée": "create",
+    "créer": "create",
+    "ajoute": "add",
+    "ajouter": "add",
+    "nouveau": "new",
+    "nouvelle": "new",
+    "mets à jour": "update",
+    "mettre à jour": "update",
+    "modifie": "modify",
+    "modifier": "modify",
+    "change": "change",
+    "supprime": "delete",
+    "supprimer": "delete",
+    "retire": "remove",
+    "annule": "cancel",
+
+    // Reports
+    "exporte": "export",
+    "exporter": "export",
+    "génère": "generate",
+    "générer": "generate",
+    "télécharge": "download",
+    "télécharger": "download",
+    "rapport d'inventaire": "inventory report",
+    "rapport de stock": "inventory report",
+    "rapport": "report",
+    "en pdf": "as pdf",
+    "en excel": "as excel",
+
+    // Alerts
+    "préviens-moi quand": "notify me when",
+    "préviens-moi si": "notify me when",
+    "alerte-moi si": "alert me if",
+    "avertis-moi quand": "warn me when",
+    "surveille": "monitor",
+    "statut des alertes": "alert status",
+    "état des alertes": "alert status",
+    "vérifie les alertes maintenant": "check alerts now",
+    "affiche les règles d'alerte": "show alert rules",
+    "règles d'alerte": "alert rules",
+    "alertes": "alerts",
+    "alerte": "alert",
+    "seuil": "threshold",
+
+    // Help and casual chat
+    "que peux-tu faire": "what can you do",
+    "que pouvez-vous faire": "what can you do",
+    "aide": "help",
+    "merci beaucoup": "thank you",
+    "merci": "thanks",
+    "au revoir": "goodbye",
+    "d'accord": "okay",
+    "parfait": "perfect",
+
+    // Entities
+    "produits": "products",
+    "produit": "product",
+    "articles": "products",
+    "article": "product",
+    "clients": "customers",
+    "client": "customer",
+    "commandes": "orders",
+    "commande": "order",
+    "catégories": "categories",
+    "catégorie": "category",
+    "fournisseurs": "suppliers",
+    "fournisseur": "supplier",
+
+    // Periods
+    "depuis le début de l'année": "year to date",
+    "depuis": "since",
+    "jusqu'au": "until",
+    "avant le": "before",
+    "en": "in",
+    "aujourd'hui": "today",
+    "hier": "yesterday",
+    "la semaine dernière": "last week",
+    "semaine dernière": "last week",
+    "le mois dernier": "last month",
+    "mois dernier": "last month",
+    "le trimestre dernier": "last quarter",
+    "trimestre dernier": "last quarter",
+    "l'année dernière": "last year",
+    "année dernière": "last year",
+    "la dernière semaine": "last week",
+    "dernière semaine": "last week",
+    "la derniere semaine": "last week",
+    "derniere semaine": "last week",
+    "semaine derniere": "last week",
+    "le dernier mois": "last month",
+    "dernier mois": "last month",
+    "le dernier trimestre": "last quarter",
+    "dernier trimestre": "last quarter",
+    "la dernière année": "last year",
+    "dernière année": "last year",
+    "cette semaine": "this week",
+    "ce mois-ci": "this month",
+    "ce mois": "this month",
+    "ce trimestre": "this quarter",
+    "cette année": "this year",
+    "derniers": "last",
+    "dernières": "last",
+    "jours": "days",
+    "semaines": "weeks",
+    "semaine": "week",
+    "trimestre": "quarter",
+    "année": "year",
+
+    // Filters, sorting and grouping
+    "moins de": "less than",
+    "plus de": "more than",
+    "inférieur à": "under",
+    "passe sous": "falls below",
+    "sous": "under",
+    "supérieur à": "over",
+    "entre": "between",
+    "en stock": "in stock",
+    "en rupture de stock": "out of stock",
+    "prix": "price",
+    "triés par": "sorted by",
+    "trié par": "sorted by",
+    "trie par": "sort by",
+    "trie-les par": "sort them by",
+    "groupés par": "grouped by",
+    "regroupe par": "group by",
+    "décroissant": "descending",
+    "croissant": "ascending",
+    "les plus chers": "most expensive",
+    "le plus cher": "most expensive",
+    "les moins chers": "cheapest",
+    "le moins cher": "cheapest",
+    "parmi eux": "of them",
+    "ceux-ci": "these",
+    "maintenant": "now",
+    "seulement": "only",
+    "tous les": "all",
+    "toutes les": "all",
+    "et": "and",
+    "ou": "or",
+    "avec": "with",
+    "sans": "without",
+    "par": "per",
+    "les": "the",
+    "le": "the",
+    "la": "the",
+    "des": "",
+    "du": "of the"
+  }
+};
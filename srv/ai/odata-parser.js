@@ -1,28 +1,53 @@
+const cds = require('@sap/cds');
 const IntentRecognizer = require('./intent-recognition');
+const CatalogSchema = require('./catalog-schema');
+const FilterGrammar = require('./filter-grammar');
+const TextToCQL = require('./text-to-cql');
 
 /**
  * Natural Language to OData Query Parser
- * Converts business queries to OData filter syntax
+ * Converts business queries to OData query options
+ * ($filter, $orderby, $select, $top, $skip) on any CatalogService entity
+ * and runs them one page at a time. The conditions and the sort order come
+ * from the `TextToCQL` rules, so they are validated against the schema.
+ * A page that is not the last one carries a continuation token: the query
+ * and the offset of the next page, encoded as base64url JSON.
  */
 
+// Rows per page when the request does not ask for a specific amount
+const PAGE_SIZE = 10;
+
+// Hard cap on rows per page
+const MAX_PAGE_SIZE = 100;
+
 class ODataParser {
   
   /**
    * Convert natural language query to OData query parameters
+   * @param {string} userInput - Natural language request
+   * @param {object} [analysis] - `IntentRecognizer` result
+   * @param {Array<object>} [references] - Records resolved from the request, filtered on by key
    */
-  static parseToOData(userInput, analysis = null) {
+  static parseToOData(userInput, analysis = null, references = []) {
     if (!analysis) {
       analysis = IntentRecognizer.analyzeInput(userInput);
     }
     
+    const entity = CatalogSchema.getEntity(this.determineEntity(analysis));
+    if (!entity) {
+      throw new Error(`Unknown entity "${this.determineEntity(analysis)}"`);
+    }
+    const { query: structured } = TextToCQL.validate(TextToCQL.fromRules(userInput, entity.name, references));
+    const top = this.buildTop(analysis);
+    
     const query = {
-      entity: this.determineEntity(analysis),
-      select: this.buildSelect(analysis),
-      filter: this.buildFilter(analysis),
-      orderby: this.buildOrderBy(analysis),
-      top: this.buildTop(analysis),
-      skip: this.buildSkip(analysis),
-      expand: this.buildExpand(analysis),
+      entity: entity.name,
+      select: this.buildSelect(analysis, entity),
+      filter: this.buildFilter(entity, structured),
+      orderby: this.buildOrderBy(structured),
+      top,
+      skip: this.buildSkip(analysis, top),
+      expand: this.buildExpand(analysis, entity),
       count: this.shouldIncludeCount(analysis)
     };
     
@@ -36,12 +61,38 @@ class ODataParser {
     return query;
   }
   
+  /**
+   * OData query parameters of a validated `TextToCQL` query
+   * @returns {object|null} Null for aggregations, which have no plain OData form
+   */
+  static fromQuery(structured) {
+    const aggregated = structured.groupBy.length > 0 || structured.columns.some(column => typeof column !== "string");
+    if (aggregated) return null;
+    
+    const entity = CatalogSchema.getEntity(structured.entity);
+    const query = {
+      entity: entity.name,
+      select: structured.columns.length ? [...structured.columns] : null,
+      filter: this.buildFilter(entity, structured),
+      orderby: this.buildOrderBy(structured),
+      top: structured.limit
+    };
+    Object.keys(query).forEach(key => query[key] || delete query[key]);
+    return query;
+  }
+  
   /**
    * Determine the primary entity to query
    */
   static determineEntity(analysis) {
     const { entities } = analysis;
     
+    // The entity the request names first ("orders of customers in Germany" → Orders)
+    const named = TextToCQL.detectEntity(analysis.originalInput.toLowerCase());
+    if (named) {
+      return named;
+    }
+    
     if (entities.length === 0) {
       return "Products"; // Default entity
     }
@@ -53,30 +104,27 @@ class ODataParser {
   /**
    * Build $select clause
    */
-  static buildSelect(analysis) {
-    const { intent, entities, parameters } = analysis;
+  static buildSelect(analysis, entity) {
     const input = analysis.originalInput.toLowerCase();
+    const fields = Object.keys(entity.elements);
     
     // If specific fields are mentioned
     if (input.includes("name") || input.includes("title")) {
-      if (entities.length > 0) {
-        const entity = entities[0];
-        return entity.fields.filter(field => 
-          field.toLowerCase().includes("name") || 
-          field.toLowerCase().includes("title")
-        );
-      }
+      const named = fields.filter(field => 
+        field.toLowerCase().includes("name") || 
+        field.toLowerCase().includes("title")
+      );
+      return named.length > 0 ? [...entity.keys, ...named.filter(field => !entity.keys.includes(field))] : null;
     }
     
     // For summary queries
     if (input.includes("summary") || input.includes("overview")) {
-      if (entities[0]?.table === "Products") {
-        return ["ID", "ProductName", "UnitPrice", "UnitsInStock"];
-      } else if (entities[0]?.table === "Orders") {
-        return ["ID", "OrderDate", "CustomerID", "Status"];
-      } else if (entities[0]?.table === "Customers") {
-        return ["ID", "CompanyName", "ContactName", "Country"];
-      }
+      const summary = {
+        Products: ["ID", "ProductName", "UnitPrice", "UnitsInStock"],
+        Orders: ["ID", "OrderDate", "CustomerID", "Status"],
+        Customers: ["ID", "CompanyName", "ContactName", "Country"]
+      }[entity.name];
+      return summary ? summary.filter(field => fields.includes(field)) : null;
     }
     
     // Default: return all fields
@@ -84,152 +132,17 @@ class ODataParser {
   }
   
   /**
-   * Build $filter clause
+   * Build $filter clause from the conditions the rules read from the request
    */
-  static buildFilter(analysis) {
-    const filters = [];
-    const { parameters, entities } = analysis;
-    const input = analysis.originalInput.toLowerCase();
-    
-    // Country filters
-    if (parameters.countries.length > 0) {
-      const countryFilters = parameters.countries.map(country => 
-        `Country eq '${this.capitalizeFirst(country)}'`
-      );
-      filters.push(`(${countryFilters.join(' or ')})`);
-    }
-    
-    // Date filters
-    if (parameters.dates.length > 0) {
-      const dateFilters = parameters.dates.map(dateInfo => {
-        const date = dateInfo.date;
-        const isoDate = date.toISOString().split('T')[0];
-        
-        if (dateInfo.phrase) {
-          if (dateInfo.phrase.includes("last month")) {
-            const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1).toISOString().split('T')[0];
-            const endOfMonth = new Date(date.getFullYear(), date.getMonth() + 1, 0).toISOString().split('T')[0];
-            return `OrderDate ge ${startOfMonth} and OrderDate le ${endOfMonth}`;
-          } else if (dateInfo.phrase.includes("today")) {
-            return `OrderDate eq ${isoDate}`;
-          } else if (dateInfo.phrase.includes("last week")) {
-            const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-            return `OrderDate ge ${weekAgo}`;
-          }
-        }
-        
-        return `OrderDate eq ${isoDate}`;
-      });
-      
-      if (dateFilters.length > 0) {
-        filters.push(`(${dateFilters.join(' or ')})`);
-      }
-    }
-    
-    // Numeric filters
-    if (parameters.numbers.length > 0) {
-      // Check context for what the numbers refer to
-      if (input.includes("price") || input.includes("cost")) {
-        const priceConditions = this.extractPriceConditions(input, parameters.numbers);
-        if (priceConditions.length > 0) {
-          filters.push(...priceConditions);
-        }
-      } else if (input.includes("stock") || input.includes("inventory")) {
-        const stockConditions = this.extractStockConditions(input, parameters.numbers);
-        if (stockConditions.length > 0) {
-          filters.push(...stockConditions);
-        }
-      } else if (input.includes("id") || input.includes("number")) {
-        // ID filters
-        const ids = parameters.numbers.map(num => `ID eq ${num}`);
-        filters.push(`(${ids.join(' or ')})`);
-      }
-    }
-    
-    // Status filters
-    if (input.includes("available") || input.includes("in stock")) {
-      filters.push("UnitsInStock gt 0");
-    } else if (input.includes("out of stock") || input.includes("unavailable")) {
-      filters.push("UnitsInStock eq 0");
-    } else if (input.includes("discontinued")) {
-      filters.push("Discontinued eq true");
-    }
-    
-    // Category filters
-    if (input.includes("beverage") || input.includes("drink")) {
-      filters.push("CategoryID eq 1");
-    } else if (input.includes("condiment") || input.includes("sauce")) {
-      filters.push("CategoryID eq 2");
-    } else if (input.includes("dairy") || input.includes("cheese")) {
-      filters.push("CategoryID eq 4");
-    } else if (input.includes("seafood") || input.includes("fish")) {
-      filters.push("CategoryID eq 8");
-    }
-    
-    return filters.length > 0 ? filters.join(' and ') : null;
-  }
-  
-  /**
-   * Extract price conditions from input
-   */
-  static extractPriceConditions(input, numbers) {
-    const conditions = [];
-    
-    if (input.includes("under") || input.includes("less than") || input.includes("below")) {
-      if (numbers.length > 0) {
-        conditions.push(`UnitPrice lt ${numbers[0]}`);
-      }
-    } else if (input.includes("over") || input.includes("more than") || input.includes("above")) {
-      if (numbers.length > 0) {
-        conditions.push(`UnitPrice gt ${numbers[0]}`);
-      }
-    } else if (input.includes("between")) {
-      if (numbers.length >= 2) {
-        conditions.push(`UnitPrice ge ${Math.min(...numbers)} and UnitPrice le ${Math.max(...numbers)}`);
-      }
-    }
-    
-    return conditions;
-  }
-  
-  /**
-   * Extract stock conditions from input
-   */
-  static extractStockConditions(input, numbers) {
-    const conditions = [];
-    
-    if (input.includes("under") || input.includes("less than") || input.includes("below")) {
-      if (numbers.length > 0) {
-        conditions.push(`UnitsInStock lt ${numbers[0]}`);
-      }
-    } else if (input.includes("over") || input.includes("more than") || input.includes("above")) {
-      if (numbers.length > 0) {
-        conditions.push(`UnitsInStock gt ${numbers[0]}`);
-      }
-    }
-    
-    return conditions;
+  static buildFilter(entity, structured) {
+    return FilterGrammar.toOData(entity, structured.where) || null;
   }
   
   /**
    * Build $orderby clause
    */
-  static buildOrderBy(analysis) {
-    const input = analysis.originalInput.toLowerCase();
-    
-    if (input.includes("expensive") || input.includes("highest price")) {
-      return "UnitPrice desc";
-    } else if (input.includes("cheapest") || input.includes("lowest price")) {
-      return "UnitPrice asc";
-    } else if (input.includes("newest") || input.includes("recent")) {
-      return "CreatedAt desc";
-    } else if (input.includes("oldest")) {
-      return "CreatedAt asc";
-    } else if (input.includes("alphabetical") || input.includes("name")) {
-      return "ProductName asc";
-    }
-    
-    return null;
+  static buildOrderBy(structured) {
+    return structured.orderBy.map(order => `${order.field} ${order.direction}`).join(',') || null;
   }
   
   /**
@@ -252,37 +165,38 @@ class ODataParser {
     
     // Default limits for different queries
     if (input.includes("all")) {
-      return null; // No limit
+      return null; // Default page size, every page reachable with "show more"
     }
     
-    return 20; // Default limit
+    return PAGE_SIZE; // Default limit
   }
   
   /**
-   * Build $skip clause
+   * Build $skip clause ("page 3"); later pages are usually fetched with a continuation token
    */
-  static buildSkip(analysis) {
-    // For pagination - could be enhanced later
-    return null;
+  static buildSkip(analysis, top) {
+    const page = analysis.originalInput.toLowerCase().match(/\bpage\s+(\d+)\b/);
+    return page && parseInt(page[1], 10) > 1 ? (parseInt(page[1], 10) - 1) * (top || PAGE_SIZE) : null;
   }
   
   /**
    * Build $expand clause
    */
-  static buildExpand(analysis) {
-    const { entities } = analysis;
+  static buildExpand(analysis, entity) {
     const input = analysis.originalInput.toLowerCase();
+    let expand = null;
     
     // If asking for related data
     if (input.includes("with customer") || input.includes("customer details")) {
-      return "Customer";
+      expand = "Customer";
     } else if (input.includes("with category") || input.includes("category details")) {
-      return "Category";
+      expand = "Category";
     } else if (input.includes("with supplier") || input.includes("supplier details")) {
-      return "Supplier";
+      expand = "Supplier";
     }
     
-    return null;
+    // Only associations the entity has
+    return expand && cds.model.definitions[entity.fullName]?.elements?.[expand]?.isAssociation ? expand : null;
   }
   
   /**
@@ -336,10 +250,68 @@ class ODataParser {
   }
   
   /**
-   * Utility function to capitalize first letter
+   * Run a query against a service, one page at a time
+   * The page size is the query's $top (default PAGE_SIZE, at most MAX_PAGE_SIZE).
+   * @param {object} service - Connected CatalogService
+   * @param {object} query - OData query parameters from parseToOData(), fromQuery() or resume()
+   * @returns {Promise<{rows: Array<object>, total: number, skip: number, top: number, url: string, continuation: string|null}>}
+   */
+  static async execute(service, query) {
+    const top = Math.min(query.top || PAGE_SIZE, MAX_PAGE_SIZE);
+    const skip = query.skip || 0;
+    // Pages need a stable order; without one they follow the key
+    const orderby = query.orderby || CatalogSchema.getEntity(query.entity).keys.map(key => `${key} asc`).join(',');
+    const url = this.buildODataUrl("", query.entity, { ...query, orderby, top, skip, count: true });
+    
+    const rows = await service.run(cds.odata.parse(url, { service }));
+    const total = rows.$count ?? skip + rows.length;
+    const next = skip + rows.length;
+    console.log(`🌐 OData ${decodeURIComponent(url)}: rows ${skip + 1}-${next} of ${total}`);
+    
+    return {
+      rows,
+      total,
+      skip,
+      top,
+      url: decodeURIComponent(url),
+      continuation: rows.length > 0 && next < total ? this.continuation({ ...query, top }, next) : null
+    };
+  }
+  
+  /**
+   * Token for the page of a query that starts at `skip`
+   */
+  static continuation({ entity, select, filter, orderby, expand, top }, skip) {
+    return Buffer.from(JSON.stringify({ entity, select, filter, orderby, expand, top, skip })).toString('base64url');
+  }
+  
+  /**
+   * Query of the page a continuation token points to
+   * @throws {Error} If the token is not one of ours or names an unknown entity
+   */
+  static resume(token) {
+    let query;
+    try {
+      query = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error("Invalid continuation token", { cause: error });
+    }
+    
+    const entity = CatalogSchema.getEntity(query?.entity);
+    if (!entity || !Number.isInteger(query.skip) || query.skip < 0) {
+      throw new Error("Invalid continuation token");
+    }
+    return { ...query, entity: entity.name };
+  }
+  
+  /**
+   * Describe a query in plain words
    */
-  static capitalizeFirst(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+  static describe(query) {
+    let description = query.select ? `${[].concat(query.select).join(', ')} of ${query.entity}` : query.entity;
+    if (query.filter) description += ` where ${query.filter}`;
+    if (query.orderby) description += `, sorted by ${query.orderby}`;
+    return description;
   }
 }
 
@@ -0,0 +1,173 @@
+const cds = require("@sap/cds");
+
+/**
+ * PII Redactor
+ * Replaces personal data in text sent to the LLM with reversible
+ * placeholders like "[PII:Customers(1).ContactName]" and puts the values
+ * back for users who may see them. Personal fields are the elements
+ * annotated with `@PersonalData.IsPotentiallyPersonal` or
+ * `@PersonalData.IsPotentiallySensitive` (see db/data-privacy.cds); their
+ * values are loaded from the database and reloaded after writes.
+ *
+ * Configure via `cds.requires.llm.redaction`: { enabled, role, minLength }.
+ */
+
+const PERSONAL_ANNOTATIONS = ["@PersonalData.IsPotentiallyPersonal", "@PersonalData.IsPotentiallySensitive"];
+
+const PLACEHOLDER_PATTERN = /\[PII:(\w+)\(([^)\]]*)\)\.(\w+)\]/g;
+
+const WRITE_EVENTS = ["CREATE", "UPDATE", "DELETE", "UPSERT"];
+
+class PIIRedactor {
+
+  /**
+   * @param {object} [options] - { enabled, role: role allowed to see personal data, minLength: shorter values are not redacted }
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.role = options.role || "PersonalDataViewer";
+    this.minLength = options.minLength ?? 3;
+    this.placeholders = new Map(); // placeholder → value
+    this.pattern = null; // matches any known value
+    this.byValue = new Map(); // value → placeholder
+    this.dirty = true;
+    this.loading = null;
+  }
+
+  /**
+   * Personal fields per database entity, from the `@PersonalData` annotations of the model
+   * @returns {Object<string, {entity: string, keys: Array<string>, fields: Array<string>}>} Keyed by qualified entity name
+   */
+  static personalFields(model = cds.model) {
+    const result = {};
+    for (const definition of Object.values(model?.definitions || {})) {
+      if (definition.kind !== "entity" || definition.query || definition.projection) continue;
+
+      const fields = Object.entries(definition.elements || {})
+        .filter(([, element]) => PERSONAL_ANNOTATIONS.some(annotation => element[annotation]))
+        .map(([name]) => name);
+      if (!fields.length) continue;
+
+      result[definition.name] = {
+        entity: definition.name.split('.').pop(),
+        keys: Object.keys(definition.keys || {}),
+        fields
+      };
+    }
+    return result;
+  }
+
+  /**
+   * Reload personal values whenever an entity with personal fields is written
+   */
+  attach(db) {
+    db.after(WRITE_EVENTS, (_, req) => {
+      if (req.target?.name && PIIRedactor.personalFields()[req.target.name]) {
+        this.dirty = true;
+      }
+    });
+  }
+
+  /**
+   * Load the personal values if data changed since the last load
+   */
+  async ensureFresh() {
+    if (!this.enabled || !this.dirty) return;
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Load the values of all personal fields and map them to placeholders
+   */
+  async load() {
+    // Cleared first so that writes during the load mark it stale again;
+    // set again if it fails, so that the next call retries instead of
+    // working with missing data
+    this.dirty = false;
+    try {
+      const db = await cds.connect.to('db');
+      const placeholders = new Map();
+      const byValue = new Map();
+
+      for (const [name, { entity, keys, fields }] of Object.entries(PIIRedactor.personalFields())) {
+        const rows = await db.run(SELECT.from(name).columns(...keys, ...fields));
+        for (const row of rows) {
+          const key = keys.map(k => row[k]).join(',');
+          for (const field of fields) {
+            const value = row[field] === null || row[field] === undefined ? "" : String(row[field]).trim();
+            if (value.length < this.minLength || byValue.has(value)) continue;
+
+            const placeholder = `[PII:${entity}(${key}).${field}]`;
+            placeholders.set(placeholder, value);
+            byValue.set(value, placeholder);
+          }
+        }
+      }
+
+      // Longest values first, so that "Maria Anders" wins over a shorter value inside it
+      const values = [...byValue.keys()].sort((a, b) => b.length - a.length);
+      this.pattern = values.length ?
+        new RegExp(`(?<![\\p{L}\\d])(?:${values.map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?![\\p{L}\\d])`, 'gu') :
+        null;
+      this.placeholders = placeholders;
+      this.byValue = byValue;
+
+      console.log(`🔒 PII redaction loaded ${placeholders.size} personal value(s)`);
+    } catch (error) {
+      this.dirty = true;
+      throw error;
+    }
+  }
+
+  /**
+   * Replace personal values with placeholders
+   */
+  redact(text) {
+    if (!this.enabled || !this.pattern || !text) return text;
+    return String(text).replace(this.pattern, value => this.byValue.get(value) || value);
+  }
+
+  /**
+   * Put the values back in place of the placeholders
+   */
+  restore(text) {
+    if (!this.enabled || !text) return text;
+    return String(text).replace(PLACEHOLDER_PATTERN, placeholder => this.placeholders.get(placeholder) ?? placeholder);
+  }
+
+  /**
+   * Redact the string values of an object (e.g. tool call arguments)
+   */
+  redactDeep(value) {
+    return PIIRedactor.mapStrings(value, text => this.redact(text));
+  }
+
+  /**
+   * Restore the placeholders in the string values of an object
+   */
+  restoreDeep(value) {
+    return PIIRedactor.mapStrings(value, text => this.restore(text));
+  }
+
+  static mapStrings(value, fn) {
+    if (typeof value === "string") return fn(value);
+    if (Array.isArray(value)) return value.map(item => PIIRedactor.mapStrings(item, fn));
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, PIIRedactor.mapStrings(item, fn)]));
+    }
+    return value;
+  }
+
+  /**
+   * Whether a user may see personal data in replies
+   * @param {object} [user] - CAP user, defaults to the user of the current request
+   */
+  isAuthorized(user = cds.context?.user) {
+    return !this.enabled || Boolean(user?.is?.(this.role));
+  }
+}
+
+module.exports = PIIRedactor;
@@ -0,0 +1,222 @@
+/**
+ * Prompt Guard for SAP Copilot
+ * Scores prompts for prompt-injection and abuse patterns - instruction
+ * overrides, role-play jailbreaks, system prompt leaks, requests for secrets
+ * or bulk data, injected chat markup and code payloads - and decides what
+ * happens to them according to the configured policy:
+ * - block: reject the prompt
+ * - warn: answer it, but log and report the verdict
+ * - strip: drop the offending sentences and answer the rest
+ *
+ * Configure via `cds.requires.llm.guard`: { policy, warnScore, blockScore }.
+ */
+
+const POLICIES = ["block", "warn", "strip"];
+
+// Detection rules; a prompt scores the sum of the weights of the rules it matches
+const RULES = [
+  // Instruction overrides
+  {
+    rule: "ignore_instructions",
+    category: "instruction_override",
+    weight: 5,
+    pattern: /\b(?:ignore|disregard|forget|skip|bypass|ignoriere|vergiss|oublie)\b[^.!?\n]{0,40}\b(?:previous|prior|above|earlier|preceding|all|any|your|system|initial|original|vorherigen|alle|précédentes)\b[^.!?\n]{0,20}\b(?:instructions?|rules|prompts?|guidelines|directions|constraints|anweisungen|regeln|consignes)\b/i
+  },
+  {
+    rule: "new_instructions",
+    category: "instruction_override",
+    weight: 3,
+    pattern: /\b(?:new|updated|real|actual) instructions?\s*:|\bfrom now on,? you (?:will|must|are|should|only)\b|\byour (?:new|real) (?:task|role|instructions?|purpose) (?:is|are)\b/i
+  },
+  {
+    rule: "override_rules",
+    category: "instruction_override",
+    weight: 4,
+    pattern: /\b(?:override|overwrite|replace|change|update)\b[^.!?\n]{0,20}\b(?:the system prompt|your (?:system prompt|rules|instructions|programming|guidelines))\b/i
+  },
+
+  // Role-play jailbreaks
+  {
+    rule: "jailbreak_mode",
+    category: "jailbreak",
+    weight: 5,
+    pattern: /\b(?:do anything now|developer mode|dev mode enabled|jailbr(?:eak|oken)|god mode|evil (?:assistant|ai|bot)|(?:unrestricted|uncensored|unfiltered) (?:ai|assistant|mode|model|bot))\b/i
+  },
+  {
+    rule: "role_play",
+    category: "jailbreak",
+    weight: 2,
+    pattern: /\b(?:pretend (?:to be|you are|you're|you have|that you)|role-?play as|you are now (?:called |named )?\w+|imagine you are an? (?:unrestricted|unfiltered|different)|act as if you (?:have|had) no)\b/i
+  },
+  {
+    rule: "no_restrictions",
+    category: "jailbreak",
+    weight: 3,
+    pattern: /\b(?:without|no|free of|ignore|bypass|disable)\b[^.!?\n]{0,15}\b(?:restrictions|rules|limits|filters|limitations|guardrails|censorship|safety (?:rules|guidelines|measures)|content polic(?:y|ies))\b/i
+  },
+
+  // System prompt leaks
+  {
+    rule: "prompt_leak",
+    category: "prompt_leak",
+    weight: 5,
+    pattern: /\b(?:reveal|show|print|repeat|output|display|tell me|give me|what (?:is|are|were))\b[^.!?\n]{0,30}\b(?:the system prompt|your (?:system |initial |original |hidden )?(?:prompt|instructions)|(?:initial|original|hidden) (?:prompt|instructions))\b/i
+  },
+
+  // Data exfiltration
+  {
+    rule: "secret_request",
+    category: "data_exfiltration",
+    weight: 5,
+    pattern: /\b(?:show|give|tell|reveal|print|send|leak|dump|display)\b[^.!?\n]{0,30}\b(?:api[ _-]?keys?|secret keys?|access tokens?|auth(?:entication)? tokens?|passwords?|credentials|private keys?|connection strings?|env(?:ironment)? variables|process\.env|\.env file)\b/i
+  },
+  {
+    rule: "secret_mention",
+    category: "data_exfiltration",
+    weight: 2,
+    pattern: /\b(?:api[ _-]?keys?|secret keys?|access tokens?|passwords?|credentials|private keys?|connection strings?|process\.env)\b/i
+  },
+  {
+    rule: "bulk_dump",
+    category: "data_exfiltration",
+    weight: 3,
+    pattern: /\b(?:dump|extract|exfiltrate|leak|give me|download)\b[^.!?\n]{0,20}\b(?:all|every|entire|whole|complete)\b[^.!?\n]{0,20}\b(?:database|tables|schema|users|customer (?:data|records|emails|e-mails|phone numbers|contacts|personal data))\b/i
+  },
+  {
+    rule: "external_target",
+    category: "data_exfiltration",
+    weight: 3,
+    pattern: /\b(?:send|post|upload|forward|exfiltrate|transmit)\b[^.!?\n]{0,60}\bto\s+(?:https?:\/\/|webhook|[\w.+-]+@[\w-]+\.[\w.]+)/i
+  },
+
+  // Injected chat markup ("system: ...", "<|im_start|>", "[INST]")
+  {
+    rule: "role_markup",
+    category: "markup_injection",
+    weight: 5,
+    pattern: /(?:^|\n)\s*(?:system|assistant|developer)\s*:|<\|?(?:im_start|im_end|system|endoftext)\|?>|\[\/?(?:INST|SYS)\]|<<\/?SYS>>|(?:^|\n)\s*#{2,}\s*(?:system|instructions?)\b/i
+  },
+
+  // Code and query payloads
+  {
+    rule: "code_payload",
+    category: "code_injection",
+    weight: 5,
+    pattern: /;\s*(?:drop|truncate|alter)\s+table\b|\bunion\s+(?:all\s+)?select\b|<script\b|'\s*or\s+'?1'?\s*=\s*'?1|\beval\s*\(|\bchild_process\b/i
+  },
+
+  // Obfuscation
+  {
+    rule: "encoded_payload",
+    category: "obfuscation",
+    weight: 2,
+    pattern: /[A-Za-z0-9+/]{60,}={0,2}/
+  },
+  {
+    rule: "hidden_characters",
+    category: "obfuscation",
+    weight: 2,
+    pattern: /[\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/
+  },
+
+  // Abuse of write operations
+  {
+    rule: "mass_delete",
+    category: "abuse",
+    weight: 3,
+    pattern: /\b(?:delete|remove|drop|wipe|erase|purge)\b[^.!?\n]{0,15}\b(?:all|every|entire|whole)\b[^.!?\n]{0,15}\b(?:products|customers|orders|suppliers|categories|data|records|database)\b/i
+  }
+];
+
+class PromptGuard {
+
+  /**
+   * @param {object} [options] - { policy: block|warn|strip, warnScore, blockScore }
+   */
+  constructor(options = {}) {
+    this.policy = options.policy || "block";
+    if (!POLICIES.includes(this.policy)) {
+      throw new Error(`Unknown prompt guard policy "${this.policy}". Available: ${POLICIES.join(', ')}`);
+    }
+    this.warnScore = options.warnScore ?? 2;
+    this.blockScore = options.blockScore ?? 5;
+  }
+
+  /**
+   * Score a prompt against the detection rules
+   * @returns {{score: number, level: string, reasons: Array<{rule, category, weight, match}>}}
+   */
+  score(prompt) {
+    const text = String(prompt || "");
+    const reasons = RULES
+      .map(({ rule, category, weight, pattern }) => {
+        const match = pattern.exec(text);
+        return match && { rule, category, weight, match: match[0].trim().substring(0, 80) };
+      })
+      .filter(Boolean);
+
+    const score = reasons.reduce((sum, reason) => sum + reason.weight, 0);
+    const level = score >= this.blockScore ? "malicious" : score >= this.warnScore ? "suspicious" : "clean";
+
+    return { score, level, reasons };
+  }
+
+  /**
+   * Remove the sentences and lines that match a rule
+   */
+  strip(prompt) {
+    return String(prompt)
+      .split(/(?<=[.!?])\s+|\n+/)
+      .filter(segment => !RULES.some(({ pattern }) => pattern.test(segment)))
+      .join(" ")
+      .trim();
+  }
+
+  /**
+   * Inspect a prompt and apply the policy
+   * Suspicious prompts are always answered (and logged); the policy decides what happens to malicious ones.
+   * @returns {{score, level, action: string, reasons: Array, prompt: string}} Verdict with the prompt to answer
+   */
+  inspect(prompt) {
+    const verdict = { ...this.score(prompt), action: "allow", prompt };
+
+    if (verdict.level === "suspicious") {
+      verdict.action = "warn";
+    } else if (verdict.level === "malicious") {
+      verdict.action = this.policy;
+
+      if (this.policy === "strip") {
+        const stripped = this.strip(prompt);
+        // Nothing harmless left, or the rest is still malicious: block instead
+        if (!stripped || this.score(stripped).level === "malicious") {
+          verdict.action = "block";
+        } else {
+          verdict.prompt = stripped;
+        }
+      }
+    }
+
+    if (verdict.level !== "clean") {
+      const reasons = verdict.reasons.map(reason => `${reason.rule} (+${reason.weight}) "${reason.match}"`).join(", ");
+      console.warn(`🛡️ Prompt guard: ${verdict.level}, score ${verdict.score} → ${verdict.action}: ${reasons}`);
+    }
+
+    return verdict;
+  }
+
+  /**
+   * Verdict summary for responses (without the matched text)
+   */
+  static summarize(verdict) {
+    return {
+      score: verdict.score,
+      level: verdict.level,
+      action: verdict.action,
+      reasons: [...new Set(verdict.reasons.map(reason => reason.category))]
+    };
+  }
+}
+
+PromptGuard.POLICIES = POLICIES;
+
+module.exports = PromptGuard;
@@ -0,0 +1,120 @@
+const crypto = require("crypto");
+
+/**
+ * AI Response Cache
+ * Caches AI answers keyed by the normalized prompt, the detected intent and
+ * the version of the business data the answer was built from. Any write to
+ * a watched entity bumps the data version and drops all cached answers, and
+ * entries also expire after a TTL.
+ */
+
+// Entities whose changes make cached answers stale
+const WATCHED_ENTITIES = ["Products", "Orders", "OrderDetails", "Customers", "Categories", "Suppliers"];
+
+const WRITE_EVENTS = ["CREATE", "UPDATE", "DELETE", "UPSERT"];
+
+class ResponseCache {
+  /**
+   * @param {object} [options] - { ttl: ms, maxEntries }
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl ?? 5 * 60 * 1000;
+    this.maxEntries = options.maxEntries ?? 200;
+    this.entries = new Map(); // key → { response, dataVersion, createdAt, expiresAt }
+    this.dataVersion = 0;
+    this.stats = { hits: 0, misses: 0, invalidations: 0 };
+  }
+
+  /**
+   * Invalidate whenever a watched entity is written through the database service
+   * (covers CatalogService requests as well as chat transactions)
+   */
+  attach(db) {
+    db.after(WRITE_EVENTS, (_, req) => {
+      const entity = req.target?.name?.split('.').pop();
+      if (entity && WATCHED_ENTITIES.includes(entity)) {
+        this.invalidate(`${req.event} on ${entity}`);
+      }
+    });
+  }
+
+  /**
+   * Bump the data version and drop all cached answers
+   */
+  invalidate(reason) {
+    this.dataVersion++;
+    this.stats.invalidations++;
+    if (this.entries.size > 0) {
+      console.log(`🗑️ Response cache cleared: ${this.entries.size} answer(s) (${reason})`);
+    }
+    this.entries.clear();
+  }
+
+  /**
+   * Normalize a prompt so that trivial differences share one entry
+   */
+  static normalize(prompt) {
+    return String(prompt || "")
+      .toLowerCase()
+      .replace(/['"`]/g, "")
+      .replace(/[?!.,;:]+/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Cache key for a prompt
+   * @param {string} prompt - User prompt
+   * @param {object} [scope] - { intent, locale }
+   */
+  keyFor(prompt, scope = {}) {
+    const parts = [ResponseCache.normalize(prompt), scope.intent || "none", scope.locale || "", this.dataVersion];
+    return crypto.createHash('sha256').update(parts.join('\u0000')).digest('hex');
+  }
+
+  /**
+   * Cached response for a key, or null when missing, expired or built from older data
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now() || entry.dataVersion !== this.dataVersion) {
+      if (entry) this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // Re-insert so that eviction drops the least recently used entry
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+    return { ...entry.response, cachedAt: new Date(entry.createdAt).toISOString() };
+  }
+
+  /**
+   * Store a response
+   * @param {number} [ttl] - Overrides the default TTL (ms)
+   */
+  set(key, response, ttl = this.ttl) {
+    if (ttl <= 0) return;
+
+    this.entries.delete(key);
+    while (this.entries.size >= this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    const now = Date.now();
+    this.entries.set(key, { response, dataVersion: this.dataVersion, createdAt: now, expiresAt: now + ttl });
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      dataVersion: this.dataVersion,
+      hitRate: lookups ? this.stats.hits / lookups : null
+    };
+  }
+}
+
+module.exports = ResponseCache;
@@ -0,0 +1,456 @@
+const cds = require("@sap/cds");
+const LanguageDetector = require("./language-detector");
+
+/**
+ * Temporal Parser for SAP Copilot
+ * Turns date and period phrases into calendar date intervals with an
+ * inclusive start and end: "Q3 2024", "last 30 days", "between March and
+ * May", "year to date", "since 01.02.2024", "week 12", "today".
+ *
+ * - Quarters and fiscal years follow the configured fiscal calendar
+ * - "Today" is the date in the configured time zone; `startInstant` and
+ *   `endInstant` give the interval as UTC timestamps for time-of-day fields
+ * - DD.MM.YYYY is always day first; slashed dates follow the locale
+ *   (MM/DD/YYYY for en and en-US, DD/MM/YYYY elsewhere)
+ * - A date or week that does not exist ("31.02.2024", "week 53 2024") throws
+ *   an `InvalidDateError` instead of matching a shorter phrase; a range given
+ *   end first ("from 20.07.2024 to 10.07.2024") is swapped
+ *
+ * Configure via `cds.requires.llm.calendar`: { fiscalYearStart, fiscalYearNaming, timeZone, weekStart, dateOrder }.
+ */
+
+const MONTHS = {
+  january: 1, jan: 1, januar: 1, janvier: 1,
+  february: 2, feb: 2, februar: 2, février: 2, fevrier: 2,
+  march: 3, märz: 3, maerz: 3, mars: 3,
+  april: 4, apr: 4, avril: 4,
+  may: 5, mai: 5,
+  june: 6, jun: 6, juni: 6, juin: 6,
+  july: 7, jul: 7, juli: 7, juillet: 7,
+  august: 8, aug: 8, août: 8, aout: 8,
+  september: 9, sep: 9, sept: 9, septembre: 9,
+  october: 10, oct: 10, oktober: 10, octobre: 10,
+  november: 11, nov: 11, novembre: 11,
+  december: 12, dec: 12, dezember: 12, décembre: 12, decembre: 12
+};
+
+const MONTH = `(${Object.keys(MONTHS).sort((a, b) => b.length - a.length).join('|')})`;
+const ORDINAL = "(?:st|nd|rd|th|\\.)?";
+const QUARTER_WORDS = { first: 1, "1st": 1, second: 2, "2nd": 2, third: 3, "3rd": 3, fourth: 4, "4th": 4 };
+const UNITS = { day: "day", days: "day", week: "week", weeks: "week", month: "month", months: "month", quarter: "quarter", quarters: "quarter", year: "year", years: "year" };
+
+// Words after which a bare year ("in 2024") or month ("in may") is read as a period
+const PERIOD_PREPOSITIONS = ["in", "for", "during", "since", "from", "until", "before", "after", "throughout"];
+
+// Longest phrase (in words) tried for a single date expression
+const MAX_EXPRESSION_WORDS = 5;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let shared = null;
+
+const date = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (value, days) => new Date(value.getTime() + days * DAY);
+const parts = (value) => ({ year: value.getUTCFullYear(), month: value.getUTCMonth() + 1, day: value.getUTCDate() });
+const toISO = (value) => value.toISOString().slice(0, 10);
+const fullYear = (year) => {
+  const number = parseInt(year, 10);
+  return year.length <= 2 ? 2000 + number : number;
+};
+
+class InvalidDateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidDateError";
+  }
+}
+
+class TemporalParser {
+
+  /**
+   * @param {object} [options] - { fiscalYearStart: first month of the fiscal year (1-12), fiscalYearNaming: "end" (FY2025 ends in 2025) or "start",
+   *   timeZone: IANA zone for "today", weekStart: 0 (Sunday) or 1 (Monday), dateOrder: "MDY" or "DMY" to override the locale }
+   */
+  constructor(options = {}) {
+    this.fiscalYearStart = options.fiscalYearStart ?? 1;
+    if (!Number.isInteger(this.fiscalYearStart) || this.fiscalYearStart < 1 || this.fiscalYearStart > 12) {
+      throw new Error(`Invalid fiscal year start month "${options.fiscalYearStart}". Use 1-12`);
+    }
+    this.fiscalYearNaming = options.fiscalYearNaming || "end";
+    if (!["end", "start"].includes(this.fiscalYearNaming)) {
+      throw new Error(`Unknown fiscal year naming "${this.fiscalYearNaming}". Available: end, start`);
+    }
+    this.timeZone = options.timeZone || "UTC";
+    try {
+      this.dayFormat = new Intl.DateTimeFormat("en-CA", { timeZone: this.timeZone, year: "numeric", month: "2-digit", day: "2-digit" });
+      this.timeFormat = new Intl.DateTimeFormat("en-US", { timeZone: this.timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric" });
+    } catch (error) {
+      throw new Error(`Unknown time zone "${this.timeZone}"`, { cause: error });
+    }
+    this.weekStart = options.weekStart ?? 1;
+    this.dateOrder = options.dateOrder || null;
+  }
+
+  /**
+   * Parser configured from `cds.requires.llm.calendar`
+   */
+  static shared() {
+    if (!shared) shared = new TemporalParser(cds.env.requires?.llm?.calendar);
+    return shared;
+  }
+
+  /**
+   * Find the first date or period phrase in a text
+   * @param {string} text - Prompt (English keywords, see `LanguageDetector.normalize`)
+   * @param {object} [options] - { now: reference time, locale: decides MM/DD vs DD/MM }
+   * @returns {{phrase: string, start: string|null, end: string|null, kind: string, label: string, startInstant: string|null, endInstant: string|null}|null}
+   *   ISO dates, both inclusive; `start` is null for "before …" and `endInstant` is exclusive
+   * @throws {InvalidDateError} If the text names a date or week that does not exist
+   */
+  parse(text, options = {}) {
+    const context = { today: this.today(options.now), dayFirst: this.isDayFirst(options.locale) };
+    const tokens = TemporalParser.tokenize(text);
+    const words = tokens.map(token => token.word);
+
+    for (let i = 0; i < words.length; i++) {
+      const found = this.matchAt(words, i, context);
+      if (found) {
+        const phrase = tokens.slice(i, found.next).map(token => token.text).join(" ");
+        return this.result(phrase, found.range, found.kind);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Words of a text with their original spelling; trailing punctuation is dropped, date dots are kept
+   */
+  static tokenize(text) {
+    return String(text || "").split(/\s+/).filter(Boolean).map(raw => {
+      let text = raw.replace(/^[("'«]+|[)"'»,;:!?]+$/g, "");
+      if (!/^\d{1,2}\.\d{1,2}\.\d{2,4}$/.test(text)) text = text.replace(/\.+$/, "");
+      return { text, word: text.toLowerCase() };
+    }).filter(token => token.text);
+  }
+
+  /**
+   * Period starting at word `i`
+   * @returns {{range: {start: Date|null, end: Date}, kind: string, next: number}|null} `next` is the index after the phrase
+   */
+  matchAt(words, i, context) {
+    const word = words[i];
+    const rest = words.slice(i + 1);
+
+    // "between March and May", "from 01.07.2024 to 15.07.2024"
+    if (word === "between" || word === "from") {
+      const separators = word === "between" ? ["and", "to", "-"] : ["to", "until", "till", "through", "thru", "-"];
+      for (let split = 1; split <= Math.min(MAX_EXPRESSION_WORDS, rest.length - 2); split++) {
+        if (!separators.includes(rest[split])) continue;
+        const to = this.longestExpression(rest.slice(split + 1), context);
+        if (!to) continue;
+        const from = this.expression(rest.slice(0, split).join(" "), context, to.year);
+        if (!from) continue;
+
+        // "between November and February": the start lies in the year before
+        let start = from.start;
+        if (start > to.end && !from.explicitYear) {
+          start = this.expression(rest.slice(0, split).join(" "), context, parts(to.end).year - 1)?.start ?? start;
+        }
+        const range = start > to.end ? { start: to.start, end: from.end } : { start, end: to.end };
+        return { range, kind: "between", next: i + split + 2 + to.length };
+      }
+    }
+
+    // "since 01.02.2024", "after March", "before 2024", "until week 12"
+    if (["since", "after", "before", "until", "till"].includes(word)) {
+      const skip = rest[0] === "the" ? 1 : 0; // "since the 01/07/2024", as normalized from French
+      const found = this.longestExpression(rest.slice(skip), context);
+      if (found) {
+        const next = i + 1 + skip + found.length;
+        if (word === "since") return { range: { start: found.start, end: context.today }, kind: "since", next };
+        if (word === "after") return { range: { start: addDays(found.end, 1), end: context.today }, kind: "since", next };
+        if (word === "before") return { range: { start: null, end: addDays(found.start, -1) }, kind: "until", next };
+        return { range: { start: null, end: found.end }, kind: "until", next };
+      }
+    }
+
+    // "last 30 days", "past 2 weeks", "next 7 days", and "30 last days" as normalized from French
+    const rolling = /^(last|past|previous|next)$/.test(word) && /^\d+$/.test(rest[0] || "") && UNITS[rest[1]] ?
+      { direction: word, count: parseInt(rest[0], 10), unit: UNITS[rest[1]] } :
+      /^\d+$/.test(word) && /^(last|past)$/.test(rest[0] || "") && UNITS[rest[1]] ?
+        { direction: "last", count: parseInt(word, 10), unit: UNITS[rest[1]] } :
+        null;
+    if (rolling && rolling.count > 0) {
+      return { range: this.rolling(rolling.direction, rolling.count, rolling.unit, context.today), kind: "rolling", next: i + 3 };
+    }
+
+    // "year to date", "ytd", "fiscal year to date", "month-to-date"
+    const toDate = words.slice(i, i + 4).join(" ").match(/^(?:(fiscal) )?(year|month|quarter|week)[ -]to[ -]date\b|^(ytd|mtd|qtd|fytd)\b/);
+    if (toDate) {
+      const unit = toDate[3] ? { ytd: "year", mtd: "month", qtd: "quarter", fytd: "fiscal year" }[toDate[3]] : `${toDate[1] ? "fiscal " : ""}${toDate[2]}`;
+      const start = this.period(unit, 0, context.today).start;
+      return { range: { start, end: context.today }, kind: "to_date", next: i + toDate[0].split(" ").length };
+    }
+
+    // Single expressions: "Q3 2024", "last month", "week 12", "in 2024", "March 5, 2024"
+    const found = this.longestExpression(words.slice(i), context);
+    if (found) {
+      if (found.bare && !PERIOD_PREPOSITIONS.includes(words[i - 1])) return null;
+      return { range: { start: found.start, end: found.end }, kind: found.kind, next: i + found.length };
+    }
+
+    return null;
+  }
+
+  /**
+   * Longest run of leading words that forms a date expression
+   * @returns {object|null} Expression (see `expression`) with `length` in words
+   */
+  longestExpression(words, context) {
+    for (let length = Math.min(MAX_EXPRESSION_WORDS, words.length); length > 0; length--) {
+      const found = this.expression(words.slice(0, length).join(" "), context);
+      if (found) return { ...found, length };
+    }
+    return null;
+  }
+
+  /**
+   * Interval of a single date expression, or null
+   * @param {string} text - Lowercase expression, e.g. "q3 2024", "march", "01.02.2024"
+   * @param {object} context - { today, dayFirst }
+   * @param {number} [defaultYear] - Year for expressions without one ("march" in "between march and may 2024")
+   * @returns {{start: Date, end: Date, kind: string, year: number, explicitYear: boolean, bare: boolean}|null}
+   *   `bare` expressions (a month or year alone) only count after a preposition
+   * @throws {InvalidDateError} If a complete date ("31.02.2024", "february 30, 2024") or a week does not exist
+   */
+  expression(text, context, defaultYear) {
+    const { today, dayFirst } = context;
+    const single = (value, kind = "day") => value && { start: value, end: value, kind };
+    const existing = (value) => {
+      if (!value) throw new InvalidDateError(`"${text}" is not a valid date`);
+      return value;
+    };
+    let match;
+    let result = null;
+
+    if ((match = text.match(/^(today|yesterday|tomorrow)$/))) {
+      result = single(addDays(today, { today: 0, yesterday: -1, tomorrow: 1 }[match[1]]));
+    } else if ((match = text.match(/^(this|current|last|previous|next) (fiscal year|fiscal quarter|week|month|quarter|year)$/))) {
+      const offset = { this: 0, current: 0, last: -1, previous: -1, next: 1 }[match[1]];
+      result = { ...this.period(match[2], offset, today), kind: match[2].replace(" ", "_") };
+    } else if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+      result = single(existing(TemporalParser.validDate(+match[1], +match[2], +match[3])));
+    } else if ((match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/))) {
+      result = single(existing(TemporalParser.validDate(fullYear(match[3]), +match[2], +match[1])));
+    } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+      const [first, second] = [+match[1], +match[2]];
+      const isDayFirst = first > 12 || (second <= 12 && dayFirst);
+      result = single(existing(isDayFirst ?
+        TemporalParser.validDate(fullYear(match[3]), second, first) :
+        TemporalParser.validDate(fullYear(match[3]), first, second)));
+    } else if ((match = text.match(new RegExp(`^${MONTH} (\\d{1,2})${ORDINAL},?(?: (\\d{4}))?$`)))) {
+      // Without a year the number may be a quantity ("may 40 units"), so only a dated phrase must exist
+      const value = TemporalParser.validDate(match[3] ? +match[3] : defaultYear ?? parts(today).year, MONTHS[match[1]], +match[2]);
+      result = single(match[3] ? existing(value) : value);
+    } else if ((match = text.match(new RegExp(`^(?:the )?(\\d{1,2})${ORDINAL}(?: of)? ${MONTH}(?: (\\d{4}))?$`)))) {
+      const value = TemporalParser.validDate(match[3] ? +match[3] : defaultYear ?? parts(today).year, MONTHS[match[2]], +match[1]);
+      result = single(match[3] ? existing(value) : value);
+    } else if ((match = text.match(new RegExp(`^${MONTH}(?: (\\d{4}))?$`)))) {
+      const month = MONTHS[match[1]];
+      // A month without a year is the most recent one
+      const year = match[2] ? +match[2] : defaultYear ?? (month > parts(today).month ? parts(today).year - 1 : parts(today).year);
+      result = { start: date(year, month, 1), end: date(year, month + 1, 0), kind: "month", bare: !match[2] };
+    } else if ((match = text.match(/^(?:fiscal )?q([1-4])(?:(?: |\/|-)(?:fy ?)?(\d{2}|\d{4}))?$/) ||
+      text.match(/^(?:fiscal )?(first|second|third|fourth|1st|2nd|3rd|4th|[1-4]) (?:fiscal )?quarter(?: of)?(?: (?:fy ?)?(\d{2}|\d{4}))?$/))) {
+      const quarter = QUARTER_WORDS[match[1]] || +match[1];
+      const fiscalYear = match[2] ? fullYear(match[2]) : defaultYear ?? this.fiscalYearOf(today);
+      result = { ...this.fiscalQuarter(fiscalYear, quarter), kind: "quarter" };
+    } else if ((match = text.match(/^(\d{4}) ?q([1-4])$/))) {
+      result = { ...this.fiscalQuarter(+match[1], +match[2]), kind: "quarter" };
+    } else if ((match = text.match(/^(?:fy ?|fiscal year |fiscal )(\d{2}|\d{4})$/))) {
+      result = { ...this.fiscalYear(fullYear(match[1])), kind: "fiscal_year" };
+    } else if ((match = text.match(/^(?:calendar week|week|wk|kw|cw) ?(\d{1,2})(?: (?:of )?(\d{4}))?$|^w(\d{1,2})(?:[ /-](\d{4}))?$/))) {
+      const week = +(match[1] || match[3]);
+      const year = match[2] || match[4] ? +(match[2] || match[4]) : defaultYear ?? TemporalParser.isoWeekYear(today);
+      const weeks = TemporalParser.isoWeeksIn(year);
+      if (week < 1 || week > weeks) throw new InvalidDateError(`${year} has no week ${week}, only weeks 1-${weeks}`);
+      result = { ...TemporalParser.isoWeek(year, week), kind: "week" };
+    } else if ((match = text.match(/^(?:(?:the )?year )?((?:19|20)\d{2})$/))) {
+      result = { start: date(+match[1], 1, 1), end: date(+match[1], 12, 31), kind: "year", bare: !text.includes("year") };
+    }
+
+    if (!result?.start) return null;
+    return {
+      bare: false,
+      ...result,
+      year: parts(result.end).year,
+      explicitYear: /\b\d{4}\b|\bfy ?\d{2}\b|\/\d{2}$|\.\d{2}$/.test(text) || /^(this|current|last|previous|next) /.test(text)
+    };
+  }
+
+  /**
+   * Calendar period relative to today: offset 0 is the current one, -1 the previous one
+   * @param {string} unit - day, week, month, quarter (fiscal), year, fiscal quarter, fiscal year
+   */
+  period(unit, offset, today) {
+    const { year, month } = parts(today);
+    switch (unit) {
+      case "day":
+        return { start: addDays(today, offset), end: addDays(today, offset) };
+      case "week": {
+        const start = addDays(today, -((today.getUTCDay() - this.weekStart + 7) % 7) + 7 * offset);
+        return { start, end: addDays(start, 6) };
+      }
+      case "month":
+        return { start: date(year, month + offset, 1), end: date(year, month + offset + 1, 0) };
+      case "year":
+        return { start: date(year + offset, 1, 1), end: date(year + offset, 12, 31) };
+      case "fiscal year":
+        return this.fiscalYear(this.fiscalYearOf(today) + offset);
+      case "quarter":
+      case "fiscal quarter": {
+        const { start } = this.fiscalYear(this.fiscalYearOf(today));
+        const quarter = Math.floor(TemporalParser.monthsBetween(start, today) / 3) + offset;
+        const first = parts(start);
+        return { start: date(first.year, first.month + 3 * quarter, 1), end: date(first.year, first.month + 3 * quarter + 3, 0) };
+      }
+      default:
+        throw new Error(`Unknown period unit "${unit}"`);
+    }
+  }
+
+  /**
+   * The last (or next) `count` units up to (or from) today, today included
+   */
+  rolling(direction, count, unit, today) {
+    const { year, month, day } = parts(today);
+    const shift = (sign) => {
+      switch (unit) {
+        case "day": return addDays(today, sign * count);
+        case "week": return addDays(today, sign * 7 * count);
+        case "month": return date(year, month + sign * count, Math.min(day, date(year, month + sign * count + 1, 0).getUTCDate()));
+        case "quarter": return date(year, month + sign * 3 * count, Math.min(day, date(year, month + sign * 3 * count + 1, 0).getUTCDate()));
+        default: return date(year + sign * count, month, Math.min(day, date(year + sign * count, month + 1, 0).getUTCDate()));
+      }
+    };
+    return direction === "next" ?
+      { start: today, end: addDays(shift(1), -1) } :
+      { start: addDays(shift(-1), 1), end: today };
+  }
+
+  /**
+   * Fiscal year a date belongs to
+   */
+  fiscalYearOf(value) {
+    const { year, month } = parts(value);
+    const startYear = month >= this.fiscalYearStart ? year : year - 1;
+    return this.fiscalYearStart > 1 && this.fiscalYearNaming === "end" ? startYear + 1 : startYear;
+  }
+
+  /**
+   * First and last day of a fiscal year
+   */
+  fiscalYear(fiscalYear) {
+    const startYear = this.fiscalYearStart > 1 && this.fiscalYearNaming === "end" ? fiscalYear - 1 : fiscalYear;
+    return { start: date(startYear, this.fiscalYearStart, 1), end: date(startYear, this.fiscalYearStart + 12, 0) };
+  }
+
+  /**
+   * First and last day of quarter 1-4 of a fiscal year
+   */
+  fiscalQuarter(fiscalYear, quarter) {
+    const { year, month } = parts(this.fiscalYear(fiscalYear).start);
+    return { start: date(year, month + 3 * (quarter - 1), 1), end: date(year, month + 3 * quarter, 0) };
+  }
+
+  /**
+   * Monday to Sunday of an ISO 8601 week
+   */
+  static isoWeek(year, week) {
+    const january4 = date(year, 1, 4);
+    const start = addDays(january4, -((january4.getUTCDay() + 6) % 7) + 7 * (week - 1));
+    return { start, end: addDays(start, 6) };
+  }
+
+  static isoWeekYear(value) {
+    // The Thursday of a week decides its year
+    return addDays(value, 3 - ((value.getUTCDay() + 6) % 7)).getUTCFullYear();
+  }
+
+  static isoWeeksIn(year) {
+    // December 28 always lies in the last week of its year
+    return Math.floor((date(year, 12, 28) - TemporalParser.isoWeek(year, 1).start) / (7 * DAY)) + 1;
+  }
+
+  static monthsBetween(from, to) {
+    return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+  }
+
+  /**
+   * Date for year, month and day, or null when it does not exist (e.g. 31.02.)
+   */
+  static validDate(year, month, day) {
+    const value = date(year, month, day);
+    return month >= 1 && month <= 12 && parts(value).day === day ? value : null;
+  }
+
+  /**
+   * Today's date in the configured time zone
+   */
+  today(now = new Date()) {
+    const [year, month, day] = this.dayFormat.format(now).split("-").map(Number);
+    return date(year, month, day);
+  }
+
+  /**
+   * Whether slashed dates are read day first (DD/MM/YYYY)
+   * The configured order wins; otherwise the locale of the prompt or request decides.
+   */
+  isDayFirst(locale) {
+    if (this.dateOrder) return this.dateOrder.toUpperCase() === "DMY";
+    const language = String(locale || LanguageDetector.current()?.language || cds.context?.locale || "en").toLowerCase().replace("_", "-");
+    return !(language === "en" || language === "en-us");
+  }
+
+  /**
+   * UTC timestamp of midnight at the start of a date in the configured time zone
+   */
+  startOfDay(value) {
+    const guess = value.getTime();
+    const offset = (time) => {
+      const fields = Object.fromEntries(this.timeFormat.formatToParts(new Date(time)).map(part => [part.type, part.value]));
+      return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second) - time;
+    };
+    // Twice, in case the offset changes (daylight saving time) between the guess and the result
+    const first = guess - offset(guess);
+    return new Date(guess - offset(first)).toISOString();
+  }
+
+  result(phrase, range, kind) {
+    const start = range.start ? toISO(range.start) : null;
+    const end = toISO(range.end);
+    return {
+      phrase,
+      start,
+      end,
+      kind,
+      label: TemporalParser.describe({ phrase, start, end }),
+      startInstant: range.start ? this.startOfDay(range.start) : null,
+      endInstant: this.startOfDay(addDays(range.end, 1))
+    };
+  }
+
+  /**
+   * Human-readable interval, e.g. `Q3 2024 (2024-07-01 – 2024-09-30)`
+   */
+  static describe(period) {
+    if (!period) return "";
+    if (!period.start) return `${period.phrase} (until ${period.end})`;
+    if (period.start === period.end) return `${period.phrase} (${period.start})`;
+    return `${period.phrase} (${period.start} – ${period.end})`;
+  }
+}
+
+TemporalParser.InvalidDateError = InvalidDateError;
+
+module.exports = TemporalParser;
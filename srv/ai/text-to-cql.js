@@ -0,0 +1,555 @@
+const CatalogSchema = require("./catalog-schema");
+const CatalogTools = require("./catalog-tools");
+const FilterGrammar = require("./filter-grammar");
+const TemporalParser = require("./temporal-parser");
+
+/**
+ * Text-to-CQL Query Generation
+ * Turns a natural language request into a structured query object
+ * ({ entity, columns, where, orderBy, limit, groupBy }) - via the LLM when
+ * available, otherwise via rules - and validates it against the compiled
+ * CSN before it is compiled to a CQL SELECT. Records resolved from the
+ * request by the `EntityResolver` ("chaii", "beverage") become key filters,
+ * periods found by the `TemporalParser` ("Q3 2024") date range filters. The
+ * rules read conditions with the `FilterGrammar` ("between $10 and $30 that
+ * are not discontinued"); `where` may nest { and }, { or } and { not } groups.
+ */
+
+// Hard cap on rows a generated query may return
+const MAX_ROWS = 100;
+
+// Rows returned when the request does not ask for a specific amount
+const DEFAULT_LIMIT = 50;
+
+// Nesting depth of and/or/not groups a query may use
+const MAX_GROUP_DEPTH = 4;
+
+const AGGREGATE_COLUMN = /^(count|sum|avg|min|max)\(\s*(\*|\w+)\s*\)$/i;
+
+const OPERATOR_LABELS = {
+  eq: "=", ne: "!=", lt: "<", le: "<=", gt: ">", ge: ">=", like: "like", in: "in"
+};
+
+// Words identifying an entity (the earliest mention in a request wins)
+const ENTITY_SYNONYMS = [
+  { entity: "OrderDetails", words: ["order detail", "order line", "line item"] },
+  { entity: "Orders", words: ["order", "shipment"] },
+  { entity: "Customers", words: ["customer", "client"] },
+  { entity: "Suppliers", words: ["supplier", "vendor"] },
+  { entity: "Categories", words: ["categories", "category list"] },
+  { entity: "Products", words: ["product", "item", "inventory", "stock"] }
+];
+
+// Phrases for elements; the first element that exists on the entity wins
+const FIELD_ALIASES = [
+  { phrase: "units on order", elements: ["UnitsOnOrder"] },
+  { phrase: "reorder level", elements: ["ReorderLevel"] },
+  { phrase: "stock", elements: ["UnitsInStock"] },
+  { phrase: "price", elements: ["UnitPrice"] },
+  { phrase: "freight", elements: ["Freight"] },
+  { phrase: "quantity", elements: ["Quantity"] },
+  { phrase: "discount", elements: ["Discount"] },
+  { phrase: "city", elements: ["City", "ShipCity"] },
+  { phrase: "country", elements: ["Country", "ShipCountry"] },
+  { phrase: "status", elements: ["Status"] },
+  { phrase: "category", elements: ["CategoryID"] },
+  { phrase: "supplier", elements: ["SupplierID"] },
+  { phrase: "customer", elements: ["CustomerID"] },
+  { phrase: "product", elements: ["ProductID"] },
+  { phrase: "date", elements: ["OrderDate"] }
+];
+
+// Element a resolved reference filters on, by reference type and entity
+const REFERENCE_ELEMENTS = {
+  product: { Products: "ID", OrderDetails: "ProductID" },
+  category: { Categories: "ID", Products: "CategoryID" },
+  supplier: { Suppliers: "ID", Products: "SupplierID" },
+  customer: { Customers: "ID", Orders: "CustomerID" },
+  country: { Customers: "Country", Suppliers: "Country", Orders: "ShipCountry" }
+};
+
+// Sort phrases
+const SORTS = [
+  { regex: /most\s+expensive|highest\s+price/i, field: "UnitPrice", direction: "desc" },
+  { regex: /cheapest|lowest\s+price/i, field: "UnitPrice", direction: "asc" },
+  { regex: /most\s+stock|highest\s+stock/i, field: "UnitsInStock", direction: "desc" },
+  { regex: /least\s+stock|lowest\s+stock/i, field: "UnitsInStock", direction: "asc" },
+  { regex: /latest|newest|most\s+recent/i, field: "OrderDate", direction: "desc" },
+  { regex: /oldest|earliest/i, field: "OrderDate", direction: "asc" }
+];
+
+// Aggregate words mapped to functions
+const AGGREGATE_WORDS = [
+  { regex: /\b(?:average|avg|mean)\b/i, fn: "avg" },
+  { regex: /\b(?:total|sum)\b/i, fn: "sum" },
+  { regex: /\b(?:minimum|min)\b/i, fn: "min" },
+  { regex: /\b(?:maximum|max)\b/i, fn: "max" },
+  { regex: /\b(?:count|how many|number of)\b/i, fn: "count" }
+];
+
+class TextToCQL {
+
+  /**
+   * Generate a validated query for a request
+   * @param {string} prompt - Natural language request
+   * @param {object} [options] - { llm, defaultEntity, references: records resolved from the request }
+   * @returns {Promise<{valid: boolean, errors: string[], query: object, cql: object, description: string, source: string}>}
+   */
+  static async generate(prompt, options = {}) {
+    const { llm, defaultEntity = "Products", references = [] } = options;
+
+    if (llm?.isAvailable()) {
+      try {
+        const candidate = await this.fromLLM(prompt, llm, references, TemporalParser.shared().parse(prompt));
+        const validation = this.validate(candidate);
+        if (validation.valid) {
+          return this.compile(validation.query, "llm");
+        }
+        console.log(`⚠️ Generated query rejected: ${validation.errors.join('; ')} - using rules`);
+      } catch (error) {
+        console.log(`⚠️ Query generation by LLM failed: ${error.message} - using rules`);
+      }
+    }
+
+    let candidate;
+    try {
+      candidate = this.fromRules(prompt, defaultEntity, references);
+    } catch (error) {
+      if (!this.isInputError(error)) throw error;
+      return { valid: false, errors: [error.message], source: "rules" };
+    }
+
+    const validation = this.validate(candidate);
+    if (!validation.valid) {
+      return { valid: false, errors: validation.errors, source: "rules" };
+    }
+    return this.compile(validation.query, "rules");
+  }
+
+  /**
+   * Ask the LLM for a structured query object
+   */
+  static async fromLLM(prompt, llm, references = [], period = null) {
+    const known = references.length ?
+      `\nRECORDS MENTIONED IN THE REQUEST (filter on these keys):\n${references.map(ref => `- "${ref.mention}" is ${ref.entity ? `${ref.entity} ID ${ref.id}` : `${ref.type} ${ref.id}`} (${ref.name})`).join('\n')}\n` :
+      "";
+    const range = period ?
+      `\nPERIOD IN THE REQUEST (filter dates with ge/le):\n- "${period.phrase}" is ${period.start ? `${period.start} to ${period.end}` : `until ${period.end}`}, both inclusive\n` :
+      "";
+    const generationPrompt = `Translate the user's request into a read-only query on the CatalogService schema.
+
+SCHEMA (* = key):
+${CatalogSchema.describe()}
+${known}${range}
+Respond ONLY with a JSON object of this form:
+{
+  "entity": "<entity name>",
+  "columns": ["<element>", "count(*)", "sum(<element>)", "avg(<element>)", "min(<element>)", "max(<element>)"],
+  "where": [{ "field": "<element>", "op": "eq|ne|lt|le|gt|ge|like|in", "value": "<value>", "values": ["<value>"] }],
+  "orderBy": [{ "field": "<element>", "direction": "asc|desc" }],
+  "groupBy": ["<element>"],
+  "limit": <number up to ${MAX_ROWS}>
+}
+Omit parts that are not needed. An empty columns list returns all elements. Conditions in "where" are combined with AND.
+
+User Request: "${prompt}"
+
+JSON Response:`;
+
+    const completion = await llm.complete(generationPrompt, {
+      maxTokens: 300,
+      temperature: 0,
+      handler: "TextToCQL",
+      restore: true
+    });
+
+    const jsonMatch = completion.text.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error("no JSON object in response");
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+
+  /**
+   * Build a structured query from the request with rules
+   */
+  static fromRules(prompt, defaultEntity = "Products", references = []) {
+    const lowerPrompt = prompt.toLowerCase();
+    const entityName = this.detectEntity(lowerPrompt) || defaultEntity;
+    const entity = CatalogSchema.getEntity(entityName);
+
+    const query = { entity: entityName, columns: [], where: [], orderBy: [], groupBy: [] };
+    if (!entity) return query;
+
+    // Conditions, including those on the records named in the request
+    const mentioned = references
+      .map(reference => ({ reference, element: CatalogSchema.getElement(entity, REFERENCE_ELEMENTS[reference.type]?.[entityName]) }))
+      .filter(({ element }) => element);
+    const { where, placed } = FilterGrammar.parse(prompt, { entity, phrases: this.fieldPhrases(entity), references: mentioned });
+    query.where.push(...where);
+
+    // Sorting
+    const sortMatch = lowerPrompt.match(/(?:sorted|ordered|order|sort)(?:\s+(?:them|those|these|it|the results?))?\s+by\s+([a-z ]+?)(?:\s+(asc|desc|ascending|descending))?(?:$|[?.,!]|\s+(?:and|with|limit|top)\b)/);
+    const sortElement = sortMatch ? this.resolveField(entity, sortMatch[1]) : null;
+    if (sortElement) {
+      query.orderBy.push({ field: sortElement.name, direction: sortMatch[2]?.startsWith("desc") ? "desc" : "asc" });
+    } else {
+      const sort = SORTS.find(s => s.regex.test(prompt) && CatalogSchema.getElement(entity, s.field));
+      if (sort) query.orderBy.push({ field: sort.field, direction: sort.direction });
+    }
+
+    // Grouping with an aggregate: "average price by category"
+    const groupMatch = lowerPrompt.match(/\b(?:by|per|for each)\s+([a-z ]+?)(?:$|[?.,!])/);
+    const groupElement = groupMatch && !sortElement ? this.resolveField(entity, groupMatch[1]) : null;
+    if (groupElement) {
+      const aggregate = AGGREGATE_WORDS.find(a => a.regex.test(prompt))?.fn || "count";
+      const beforeGroup = lowerPrompt.substring(0, groupMatch.index);
+      const measured = this.fieldPhrases(entity).find(f => f.element.numeric && f.element.name !== groupElement.name && new RegExp(`\\b${f.phrase}\\b`).test(beforeGroup));
+
+      query.groupBy.push(groupElement.name);
+      query.columns.push(groupElement.name, aggregate === "count" || !measured ? "count(*)" : `${aggregate}(${measured.element.name})`);
+    }
+
+    this.applyReferences(query, entity, references.filter(reference => !placed.has(reference)));
+    this.applyPeriod(query, entity, TemporalParser.shared().parse(prompt));
+
+    // Limit: "top 5", "first 10"
+    const limitMatch = lowerPrompt.match(/\b(?:top|first|limit|show)\s+(\d+)\b/);
+    if (limitMatch) {
+      query.limit = parseInt(limitMatch[1], 10);
+    } else if (!query.where.length && !query.orderBy.length && !query.groupBy.length) {
+      query.limit = 10;
+    }
+
+    return query;
+  }
+
+  /**
+   * Filter on the records resolved from the request ("chaii" → ID = 1)
+   * Explicit key conditions ("category 1") win; a typed text value is replaced by the resolved spelling.
+   */
+  static applyReferences(query, entity, references) {
+    const byField = new Map();
+    for (const reference of references) {
+      const element = CatalogSchema.getElement(entity, REFERENCE_ELEMENTS[reference.type]?.[query.entity]);
+      if (!element) continue;
+      if (!byField.has(element)) byField.set(element, []);
+      byField.get(element).push(reference);
+    }
+
+    for (const [element, matches] of byField) {
+      const values = [...new Set(matches.map(ref => String(ref.id)))];
+      const existing = query.where.findIndex(c => c.field === element.name);
+      if (existing >= 0 && element.numeric) continue;
+
+      const condition = values.length > 1 ?
+        { field: element.name, op: "in", values } :
+        { field: element.name, op: "eq", value: values[0] };
+      if (existing >= 0) {
+        query.where[existing] = condition;
+      } else {
+        query.where.push(condition);
+      }
+    }
+  }
+
+  /**
+   * Filter the date of the entity on a period ("Q3 2024" → OrderDate >= 2024-07-01 and <= 2024-09-30)
+   * The interval replaces single-value conditions the comparison rules read from the same phrase.
+   */
+  static applyPeriod(query, entity, period) {
+    const element = period && this.resolveField(entity, "date");
+    if (!element) return;
+
+    query.where = query.where.filter(c => c.field !== element.name);
+    if (period.start) query.where.push({ field: element.name, op: "ge", value: period.start });
+    query.where.push({ field: element.name, op: "le", value: period.end });
+  }
+
+  /**
+   * Refine a previous query with a follow-up ("now sort them by price", "only those under 20")
+   * New conditions replace conditions on the same field, a new sort or limit replaces the old one.
+   * @returns {object|null} Compiled query, or null if the follow-up is not a refinement of it
+   */
+  static refine(previous, prompt) {
+    const mentioned = this.detectEntity(prompt.toLowerCase());
+    if (mentioned && mentioned !== previous.entity) return null;
+
+    let followUp;
+    try {
+      followUp = this.fromRules(prompt, previous.entity);
+    } catch (error) {
+      if (this.isInputError(error)) return null;
+      throw error;
+    }
+    const explicitLimit = /\b(?:top|first|limit|show)\s+\d+\b/i.test(prompt);
+    if (!followUp.where.length && !followUp.orderBy.length && !followUp.groupBy.length && !explicitLimit) return null;
+
+    const fields = new Set(followUp.where.map(c => c.field).filter(Boolean));
+    const refined = {
+      entity: previous.entity,
+      columns: followUp.groupBy.length ? followUp.columns : previous.columns.map(c => typeof c === "string" ? c : `${c.fn}(${c.field})`),
+      where: [...previous.where.filter(c => !c.field || !fields.has(c.field)), ...followUp.where],
+      orderBy: followUp.orderBy.length ? followUp.orderBy : [...previous.orderBy],
+      groupBy: followUp.groupBy.length ? followUp.groupBy : [...previous.groupBy],
+      limit: explicitLimit ? followUp.limit : previous.limit
+    };
+
+    const validation = this.validate(refined);
+    return validation.valid ? this.compile(validation.query, "follow-up") : null;
+  }
+
+  /**
+   * Whether the rules find filters, sorting or grouping in the request
+   * Unbalanced parentheses and invalid dates count, so that `generate` can report them.
+   */
+  static isStructuredQuery(prompt) {
+    try {
+      const query = this.fromRules(prompt);
+      return query.where.length > 0 || query.orderBy.length > 0 || query.groupBy.length > 0;
+    } catch (error) {
+      return this.isInputError(error);
+    }
+  }
+
+  /**
+   * Whether the rules rejected the request itself (unbalanced parentheses, a date that does not exist)
+   */
+  static isInputError(error) {
+    return error instanceof FilterGrammar.GroupingError || error instanceof TemporalParser.InvalidDateError;
+  }
+
+  /**
+   * Validate a structured query against the CSN
+   * Only whitelisted entities/elements, only SELECT, row count capped.
+   * @returns {{valid: boolean, errors: string[], query: object}}
+   */
+  static validate(candidate) {
+    const errors = [];
+
+    if (!candidate || typeof candidate !== "object" || Array.isArray(candidate)) {
+      return { valid: false, errors: ["Query must be an object"], query: null };
+    }
+
+    const operation = candidate.operation || candidate.type;
+    if (operation && String(operation).toUpperCase() !== "SELECT") {
+      errors.push(`Only SELECT queries are allowed, got ${operation}`);
+    }
+
+    const entity = CatalogSchema.getEntity(candidate.entity);
+    if (!entity) {
+      errors.push(`Unknown entity "${candidate.entity}". Allowed: ${CatalogSchema.getEntityNames().join(', ')}`);
+      return { valid: false, errors, query: null };
+    }
+
+    const field = (name, context) => {
+      const element = CatalogSchema.getElement(entity, name);
+      if (!element) errors.push(`Unknown element "${name}" in ${context} of ${entity.name}`);
+      return element;
+    };
+
+    const query = { entity: entity.name, columns: [], where: [], orderBy: [], groupBy: [], limit: DEFAULT_LIMIT };
+
+    // Group by
+    for (const name of this.asList(candidate.groupBy)) {
+      const element = field(name, "groupBy");
+      if (element) query.groupBy.push(element.name);
+    }
+
+    // Columns
+    for (const column of this.asList(candidate.columns)) {
+      const aggregate = String(column).match(AGGREGATE_COLUMN);
+      if (aggregate) {
+        const fn = aggregate[1].toLowerCase();
+        if (aggregate[2] === "*") {
+          if (fn !== "count") errors.push(`${fn}(*) is not allowed`);
+          query.columns.push({ fn, field: "*", as: fn });
+        } else {
+          const element = field(aggregate[2], "columns");
+          if (element && fn !== "count" && !element.numeric) errors.push(`${fn}() needs a numeric element, ${element.name} is ${element.type}`);
+          if (element) query.columns.push({ fn, field: element.name, as: `${fn}_${element.name}` });
+        }
+      } else {
+        const element = field(column, "columns");
+        if (element) query.columns.push(element.name);
+      }
+    }
+
+    const hasAggregates = query.columns.some(column => typeof column === "object");
+    if (query.groupBy.length && !hasAggregates) {
+      query.columns.push({ fn: "count", field: "*", as: "count" });
+    }
+    if (query.groupBy.length || hasAggregates) {
+      query.columns.filter(column => typeof column === "string" && !query.groupBy.includes(column))
+        .forEach(column => errors.push(`Column ${column} must be aggregated or listed in groupBy`));
+    }
+
+    // Where
+    const condition = (node, depth) => {
+      const group = ["and", "or", "not"].find(operator => node?.[operator] !== undefined);
+      if (group) {
+        if (depth >= MAX_GROUP_DEPTH) {
+          errors.push(`Conditions are nested deeper than ${MAX_GROUP_DEPTH} levels`);
+          return null;
+        }
+        const members = this.asList(node[group]).map(member => condition(member, depth + 1)).filter(Boolean);
+        if (group === "not") {
+          if (members.length === 1) return { not: members[0] };
+          errors.push("not needs exactly one condition");
+          return null;
+        }
+        return members.length ? { [group]: members } : null;
+      }
+
+      const element = field(node?.field, "where");
+      const op = String(node?.op || "eq").toLowerCase();
+      if (!OPERATOR_LABELS[op]) {
+        errors.push(`Unsupported operator "${node?.op}"`);
+        return null;
+      }
+      if (!element) return null;
+      const values = op === "in" ? this.asList(node.values ?? node.value) : [node.value];
+      if (values.some(value => value === undefined || value === null || (element.numeric && isNaN(parseFloat(value))))) {
+        errors.push(`Invalid value for ${element.name}: ${JSON.stringify(op === "in" ? values : node.value)}`);
+      }
+      return op === "in" ?
+        { field: element.name, op, values: values.map(String) } :
+        { field: element.name, op, value: String(node.value) };
+    };
+    for (const entry of this.asList(candidate.where)) {
+      const parsed = condition(entry, 0);
+      if (parsed) query.where.push(parsed);
+    }
+
+    // Order by - elements or aggregate aliases
+    for (const order of this.asList(candidate.orderBy)) {
+      const [name, direction] = typeof order === "string" ? order.trim().split(/\s+/) : [order?.field, order?.direction];
+      const alias = query.columns.find(column => typeof column === "object" && column.as === name);
+      const element = alias ? null : field(name, "orderBy");
+      if (alias || element) {
+        query.orderBy.push({ field: alias ? alias.as : element.name, direction: String(direction).toLowerCase().startsWith("desc") ? "desc" : "asc" });
+      }
+    }
+
+    // Row cap
+    if (candidate.limit !== undefined && candidate.limit !== null) {
+      const limit = parseInt(candidate.limit, 10);
+      if (isNaN(limit) || limit < 1) {
+        errors.push(`Invalid limit "${candidate.limit}"`);
+      } else {
+        query.limit = Math.min(limit, MAX_ROWS);
+      }
+    }
+
+    return { valid: errors.length === 0, errors, query };
+  }
+
+  /**
+   * Compile a validated query into CQL
+   */
+  static toCQL(query) {
+    const entity = CatalogSchema.getEntity(query.entity);
+    const cql = SELECT.from(entity.fullName);
+
+    if (query.columns.length) {
+      cql.columns(...query.columns.map(column => typeof column === "string" ?
+        column :
+        `${column.fn}(${column.field === "*" ? 1 : column.field}) as ${column.as}`));
+    }
+
+    const where = CatalogTools.buildWhere(entity, query.where);
+    if (where.length) cql.SELECT.where = where;
+
+    if (query.groupBy.length) cql.groupBy(...query.groupBy);
+    if (query.orderBy.length) cql.orderBy(...query.orderBy.map(order => `${order.field} ${order.direction}`));
+    cql.limit(query.limit);
+
+    return cql;
+  }
+
+  /**
+   * Describe a query in plain words
+   */
+  static describe(query) {
+    const columns = query.columns.map(column => typeof column === "string" ? column : `${column.fn}(${column.field})`);
+    let description = columns.length ? `${columns.join(', ')} of ${query.entity}` : query.entity;
+
+    if (query.where.length) {
+      description += ` where ${FilterGrammar.describe(query.where, OPERATOR_LABELS)}`;
+    }
+    if (query.groupBy.length) description += ` grouped by ${query.groupBy.join(', ')}`;
+    if (query.orderBy.length) description += `, sorted by ${query.orderBy.map(o => `${o.field} ${o.direction}`).join(', ')}`;
+
+    return `${description} (max ${query.limit} rows)`;
+  }
+
+  /**
+   * Bundle a validated query with its CQL and description
+   */
+  static compile(query, source) {
+    return {
+      valid: true,
+      errors: [],
+      query,
+      cql: this.toCQL(query),
+      description: this.describe(query),
+      filter: FilterGrammar.toOData(CatalogSchema.getEntity(query.entity), query.where),
+      source
+    };
+  }
+
+  /**
+   * Detect the entity a request is about
+   */
+  static detectEntity(lowerPrompt) {
+    let best = null;
+    for (const { entity, words } of ENTITY_SYNONYMS) {
+      for (const word of words) {
+        const index = lowerPrompt.indexOf(word);
+        if (index === -1) continue;
+        // Earliest mention wins, the longer phrase on a tie
+        if (!best || index < best.index || (index === best.index && word.length > best.word.length)) {
+          best = { entity, word, index };
+        }
+      }
+    }
+    return best?.entity || null;
+  }
+
+  /**
+   * Phrases that refer to elements of an entity (aliases and element names)
+   */
+  static fieldPhrases(entity) {
+    const phrases = [];
+    for (const alias of FIELD_ALIASES) {
+      const element = alias.elements.map(name => CatalogSchema.getElement(entity, name)).find(Boolean);
+      if (element) phrases.push({ phrase: alias.phrase, element });
+    }
+    for (const element of Object.values(entity.elements)) {
+      phrases.push({ phrase: element.name.toLowerCase(), element });
+      const words = element.name.replace(/([a-z])([A-Z])/g, "$1 $2").toLowerCase();
+      if (words.includes(" ")) phrases.push({ phrase: words, element });
+    }
+    return phrases;
+  }
+
+  /**
+   * Resolve free text ("category", "unit price") to an element of the entity
+   */
+  static resolveField(entity, text) {
+    const cleaned = text.trim().toLowerCase();
+    return CatalogSchema.getElement(entity, cleaned.replace(/\s+/g, "")) ||
+      this.fieldPhrases(entity).find(f => cleaned === f.phrase || cleaned.startsWith(`${f.phrase} `))?.element ||
+      null;
+  }
+
+  /**
+   * Normalize a value that may be missing, a single item or a list
+   */
+  static asList(value) {
+    if (value === undefined || value === null || value === "") return [];
+    return Array.isArray(value) ? value : [value];
+  }
+}
+
+module.exports = TextToCQL;
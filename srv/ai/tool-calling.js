@@ -0,0 +1,121 @@
+const CatalogTools = require("./catalog-tools");
+const progress = require("../streaming/progress");
+
+/**
+ * Tool-Calling Agent
+ * Lets the model query CatalogService itself: it is offered the catalog
+ * tools, the server executes every requested call read-only and feeds the
+ * results back until the model produces a final answer.
+ */
+
+// Upper bound for model turns in one question
+const MAX_ITERATIONS = 5;
+
+// Upper bound for a serialized tool result sent back to the model
+const MAX_RESULT_LENGTH = 12000;
+
+// Products UnitPrice aggregates and the catalog metric they state
+const METRIC_AGGREGATES = { avg: "averagePrice", max: "highestPrice", min: "lowestPrice" };
+
+class ToolCallingAgent {
+
+  /**
+   * Answer a question with a tool-calling loop
+   * @param {LLMClient} llm - Client whose provider supports tools
+   * @param {string} question - User question
+   * @param {object} options - { systemPrompt (the "tool-calling" template), maxIterations, handler, history: prior turns [{ role, text }] }
+   * @returns {Promise<{text: string, toolTrace: Array, iterations: number, records: Array, metrics: object, context: string}>}
+   */
+  static async run(llm, question, options) {
+    const maxIterations = options.maxIterations || MAX_ITERATIONS;
+    const tools = CatalogTools.getDefinitions();
+    const toolTrace = [];
+    const outputs = [];
+
+    const messages = [
+      { role: "system", content: options.systemPrompt },
+      ...(options.history || []).map(turn => ({ role: turn.role, content: turn.text })),
+      { role: "user", content: question }
+    ];
+
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      const turn = await llm.chat(messages, {
+        tools,
+        temperature: 0.2,
+        handler: options.handler || "ToolCallingAgent"
+      });
+
+      if (!turn.toolCalls.length) {
+        return { text: turn.text.trim(), toolTrace, iterations: iteration, ...this.collectResults(outputs) };
+      }
+
+      messages.push({ role: "assistant", content: turn.text, toolCalls: turn.toolCalls });
+
+      for (const call of turn.toolCalls) {
+        console.log(`🔧 Tool call ${call.name}: ${JSON.stringify(call.arguments)}`);
+        const output = await CatalogTools.execute(call.name, call.arguments);
+
+        toolTrace.push({
+          tool: call.name,
+          arguments: call.arguments,
+          rows: output.count ?? output.groups?.length ?? (output.record ? 1 : undefined),
+          error: output.error
+        });
+        outputs.push(output);
+
+        messages.push({
+          role: "tool",
+          toolCallId: call.id,
+          name: call.name,
+          arguments: call.arguments,
+          content: this.serializeResult(output)
+        });
+      }
+
+      progress.status('llm', `Analyzing results of ${toolTrace.length} lookup(s)`);
+    }
+
+    throw new Error(`Tool-calling loop did not finish within ${maxIterations} iterations`);
+  }
+
+  /**
+   * What the model was shown, for checking its answer: the records read
+   * ([{ entity, rows }]), catalog metrics answered by ungrouped Products
+   * aggregates, and the serialized results for a correction prompt
+   */
+  static collectResults(outputs) {
+    const records = [];
+    const metrics = {};
+
+    for (const output of outputs) {
+      if (Array.isArray(output.rows)) {
+        records.push({ entity: output.entity, rows: output.rows });
+      } else if (output.record) {
+        records.push({ entity: output.entity, rows: [output.record] });
+      } else if (output.entity === "Products" && String(output.field).toLowerCase() === "unitprice" && METRIC_AGGREGATES[output.function] && output.value !== undefined) {
+        metrics[METRIC_AGGREGATES[output.function]] = output.value;
+      }
+    }
+
+    return { records, metrics, context: outputs.map(output => this.serializeResult(output)).join("\n") };
+  }
+
+  /**
+   * Serialize a tool result, trimming rows that do not fit the size limit
+   */
+  static serializeResult(output) {
+    let serialized = JSON.stringify(output);
+    if (serialized.length <= MAX_RESULT_LENGTH || !Array.isArray(output.rows)) {
+      return serialized.substring(0, MAX_RESULT_LENGTH);
+    }
+
+    const rows = [...output.rows];
+    while (rows.length > 1 && serialized.length > MAX_RESULT_LENGTH) {
+      rows.pop();
+      serialized = JSON.stringify({ ...output, rows, truncated: true });
+    }
+    return serialized;
+  }
+}
+
+module.exports = ToolCallingAgent;
@@ -0,0 +1,290 @@
+const CatalogSchema = require("./catalog-schema");
+
+/**
+ * Transaction Schema
+ * Derives a JSON schema per operation and entity from the CDS definitions
+ * and validates extracted transaction details against it, so that unknown
+ * fields, wrong types and missing keys are reported field by field instead
+ * of reaching the database.
+ */
+
+// Entities the execute*Operation handlers support, by the label the model uses
+const SUPPORTED_ENTITIES = { Product: "Products", Customer: "Customers" };
+
+// Intent → operation the extracted details must describe
+const OPERATIONS = { CREATE_OPERATION: "CREATE", UPDATE_OPERATION: "UPDATE", DELETE_OPERATION: "DELETE" };
+
+// Fields a create from the copilot must set, by entity. Not `@mandatory` in the
+// model, which would also reject partial writes by other CatalogService clients.
+const REQUIRED_FIELDS = { Products: ["ProductName", "UnitPrice"], Customers: ["CompanyName"] };
+
+// Amounts and counts a write from the copilot may not set below zero
+const NON_NEGATIVE_FIELDS = { Products: ["UnitPrice", "UnitsInStock", "UnitsOnOrder", "ReorderLevel"] };
+
+// Maintained by the system, never written from a request
+const MANAGED_ELEMENTS = ["CreatedAt", "ModifiedAt"];
+
+// Input-only fields the handlers resolve themselves
+const EXTRA_FIELDS = {
+  Products: { Category: { type: "string", description: "Category name, resolved to CategoryID" } }
+};
+
+const FORMATS = {
+  "cds.Date": { pattern: /^\d{4}-\d{2}-\d{2}$/, hint: "a date (YYYY-MM-DD)" },
+  "cds.Timestamp": { pattern: /^\d{4}-\d{2}-\d{2}T/, hint: "a timestamp (ISO 8601)" },
+  "cds.DateTime": { pattern: /^\d{4}-\d{2}-\d{2}T/, hint: "a date-time (ISO 8601)" }
+};
+
+class TransactionSchema {
+
+  /**
+   * Entity labels accepted in extracted details
+   */
+  static getEntityLabels() {
+    return Object.keys(SUPPORTED_ENTITIES);
+  }
+
+  /**
+   * Resolve "product", "Products" etc. to a supported entity label
+   */
+  static resolveEntity(name) {
+    const entity = CatalogSchema.getEntity(name);
+    return entity ? Object.keys(SUPPORTED_ENTITIES).find(label => SUPPORTED_ENTITIES[label] === entity.name) || null : null;
+  }
+
+  /**
+   * JSON schema of one CDS element
+   * @param {object} element - Element from CatalogSchema
+   * @param {object} [options] - { required: the element may not be null, minimum: lowest number allowed }
+   */
+  static elementSchema(element, { required = false, minimum } = {}) {
+    const schema = { type: required ? element.type : [element.type, "null"] };
+    if (element.type === "string" && element.length) schema.maxLength = element.length;
+    if (element.numeric && minimum !== undefined) schema.minimum = minimum;
+    if (FORMATS[element.cdsType]) schema.format = element.cdsType;
+    return schema;
+  }
+
+  /**
+   * Build the JSON schema for an operation on an entity
+   * @param {string} operation - CREATE, UPDATE or DELETE
+   * @param {string} label - Supported entity label, e.g. "Product"
+   */
+  static forOperation(operation, label) {
+    const entity = CatalogSchema.getEntity(SUPPORTED_ENTITIES[label]);
+    if (!entity) throw new Error(`Entity "${label}" does not support transactions`);
+
+    const writable = {};
+    const required = (REQUIRED_FIELDS[entity.name] || []).filter(name => entity.elements[name]);
+    const keys = {};
+
+    for (const element of Object.values(entity.elements)) {
+      if (element.key) {
+        keys[element.name] = { type: element.type };
+      } else if (!MANAGED_ELEMENTS.includes(element.name)) {
+        writable[element.name] = this.elementSchema(element, {
+          required: required.includes(element.name),
+          minimum: NON_NEGATIVE_FIELDS[entity.name]?.includes(element.name) ? 0 : undefined
+        });
+      }
+    }
+
+    const conditions = { type: "object", additionalProperties: false, properties: keys, required: Object.keys(keys) };
+    const empty = { type: "object", maxProperties: 0 };
+
+    const properties = {
+      operation: { const: operation },
+      entity: { const: label }
+    };
+
+    switch (operation) {
+      case "CREATE":
+        properties.data = {
+          type: "object",
+          additionalProperties: false,
+          properties: { ...writable, ...EXTRA_FIELDS[entity.name] },
+          required
+        };
+        properties.conditions = empty;
+        return { type: "object", properties, required: ["operation", "entity", "data"] };
+
+      case "UPDATE":
+        properties.data = { type: "object", additionalProperties: false, properties: writable, minProperties: 1 };
+        properties.conditions = conditions;
+        return { type: "object", properties, required: ["operation", "entity", "data", "conditions"] };
+
+      case "DELETE":
+        properties.data = empty;
+        properties.conditions = conditions;
+        return { type: "object", properties, required: ["operation", "entity", "conditions"] };
+
+      default:
+        throw new Error(`Unknown operation "${operation}"`);
+    }
+  }
+
+  /**
+   * Fields a CREATE of the entity must set
+   * @param {string} label - Supported entity label, e.g. "Product"
+   * @param {object} [data] - Values at hand; only the fields missing from it are returned
+   */
+  static requiredFields(label, data = {}) {
+    return this.forOperation("CREATE", label).properties.data.required
+      .filter(field => data[field] === undefined || data[field] === null || data[field] === "");
+  }
+
+  /**
+   * Validate extracted transaction details
+   * @param {object} details - { operation, entity, data, conditions }
+   * @param {object} [options] - { intent } - the operation must match the recognized intent
+   * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, value: object}}
+   */
+  static validate(details, options = {}) {
+    if (!details || typeof details !== "object" || Array.isArray(details)) {
+      return { valid: false, errors: [{ field: "", message: "must be a JSON object" }], value: null };
+    }
+
+    const errors = [];
+    const operation = String(details.operation || "").toUpperCase();
+    const expected = OPERATIONS[options.intent];
+
+    if (!Object.values(OPERATIONS).includes(operation)) {
+      errors.push({ field: "operation", message: `must be one of ${Object.values(OPERATIONS).join(', ')}` });
+    } else if (expected && operation !== expected) {
+      errors.push({ field: "operation", message: `must be ${expected} for this request, got ${operation}` });
+    }
+
+    const label = this.resolveEntity(details.entity);
+    if (!label) {
+      errors.push({ field: "entity", message: `must be one of ${this.getEntityLabels().join(', ')}` });
+    }
+
+    if (errors.length > 0) {
+      return { valid: false, errors, value: null };
+    }
+
+    const value = {
+      operation,
+      entity: label,
+      data: details.data ?? {},
+      conditions: details.conditions ?? {}
+    };
+
+    this.check(this.forOperation(operation, label), value, "", errors);
+    return { valid: errors.length === 0, errors, value };
+  }
+
+  /**
+   * Parse the model's text (which may wrap the JSON in prose) and validate it
+   * @returns {{valid: boolean, parsed: boolean, errors: Array, value: object, raw: object}}
+   */
+  static parse(text, options = {}) {
+    let raw;
+    try {
+      const jsonMatch = String(text || "").match(/\{[\s\S]*\}/);
+      raw = JSON.parse(jsonMatch ? jsonMatch[0] : text);
+    } catch (parseError) {
+      return { valid: false, parsed: false, errors: [{ field: "", message: `is not valid JSON (${parseError.message})` }], value: null, raw: null };
+    }
+    return { ...this.validate(raw, options), parsed: true, raw };
+  }
+
+  /**
+   * Check a value against the supported JSON schema subset, collecting errors
+   */
+  static check(schema, value, field, errors) {
+    if ("const" in schema && value !== schema.const) {
+      errors.push({ field, message: `must be ${schema.const}` });
+      return;
+    }
+
+    if (schema.type) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      if (!types.some(type => this.isType(value, type))) {
+        errors.push({ field, message: `must be ${types.filter(type => type !== "null").join(' or ')}, got ${this.typeOf(value)}` });
+        return;
+      }
+    }
+
+    if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be at least ${schema.minimum}` });
+    }
+
+    if (typeof value === "string") {
+      if (schema.maxLength && value.length > schema.maxLength) {
+        errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+      }
+      const format = FORMATS[schema.format];
+      if (format && !format.pattern.test(value)) {
+        errors.push({ field, message: `must be ${format.hint}` });
+      }
+    }
+
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      const names = Object.keys(value);
+      const prefix = field ? `${field}.` : "";
+
+      if (schema.maxProperties === 0 && names.length > 0) {
+        errors.push({ field, message: "must be empty for this operation" });
+        return;
+      }
+      if (schema.minProperties && names.length < schema.minProperties) {
+        errors.push({ field, message: "must contain at least one field to change" });
+      }
+      for (const required of schema.required || []) {
+        if (value[required] === undefined || value[required] === null) {
+          errors.push({ field: `${prefix}${required}`, message: "is required" });
+        }
+      }
+      for (const name of names) {
+        const propertySchema = schema.properties?.[name];
+        if (propertySchema) {
+          if (value[name] !== undefined) this.check(propertySchema, value[name], `${prefix}${name}`, errors);
+        } else if (schema.additionalProperties === false) {
+          errors.push({ field: `${prefix}${name}`, message: "is not a known field" });
+        }
+      }
+    }
+  }
+
+  static isType(value, type) {
+    switch (type) {
+      case "integer": return Number.isInteger(value);
+      case "number": return typeof value === "number" && isFinite(value);
+      case "object": return value !== null && typeof value === "object" && !Array.isArray(value);
+      case "null": return value === null;
+      default: return typeof value === type;
+    }
+  }
+
+  static typeOf(value) {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    return typeof value;
+  }
+
+  /**
+   * Describe the writable fields of all supported entities for prompts
+   */
+  static describe() {
+    return this.getEntityLabels().map(label => {
+      const schema = this.forOperation("CREATE", label);
+      const fields = Object.entries(schema.properties.data.properties).map(([name, property]) => {
+        const type = Array.isArray(property.type) ? property.type[0] : property.type;
+        const required = schema.properties.data.required.includes(name) ? ", required" : "";
+        return `${name} (${type}${required})`;
+      });
+      const entity = CatalogSchema.getEntity(SUPPORTED_ENTITIES[label]);
+      return `${label} - key: ${entity.keys.join(', ')}; fields: ${fields.join(', ')}`;
+    }).join('\n');
+  }
+
+  /**
+   * Render field-level errors as bullet lines
+   */
+  static formatErrors(errors) {
+    return errors.map(error => `• ${error.field ? `**${error.field}** ` : ''}${error.message}`).join('\n');
+  }
+}
+
+module.exports = TransactionSchema;
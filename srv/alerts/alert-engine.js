@@ -92,6 +92,7 @@ class AlertEngine extends EventEmitter {
       enabled: rule.enabled !== false,
       priority: rule.priority || 'medium',
       channels: rule.channels || ['in-app'],
+      productId: rule.productId ?? null,
       createdAt: new Date().toISOString(),
       lastTriggered: null,
       triggerCount: 0
@@ -209,7 +210,7 @@ class AlertEngine extends EventEmitter {
 
       switch (rule.condition) {
         case 'stock_below':
-          const lowStockProducts = await this.checkLowStock(db, rule.threshold);
+          const lowStockProducts = await this.checkLowStock(db, rule.threshold, rule.productId);
           if (lowStockProducts.length > 0) {
             shouldTrigger = true;
             alertData = {
@@ -260,11 +261,12 @@ class AlertEngine extends EventEmitter {
 
   /**
    * Check for low stock products
+   * @param {number} [productId] - Only check this product
    */
-  async checkLowStock(db, threshold) {
+  async checkLowStock(db, threshold, productId = null) {
     const { Products } = db.entities;
     const products = await db.run(
-      SELECT.from(Products).where({ UnitsInStock: { '<': threshold, '>': 0 } })
+      SELECT.from(Products).where({ UnitsInStock: { '<': threshold, '>': 0 }, ...(productId && { ID: productId }) })
     );
     return products;
   }
@@ -128,13 +128,14 @@ class AlertManager extends EventEmitter {
 
   /**
    * Create custom alert rule via natural language
+   * @param {object} [options] - { product: product resolved from the prompt ({ id, name }) }
    */
-  async createAlertFromNaturalLanguage(prompt) {
+  async createAlertFromNaturalLanguage(prompt, options = {}) {
     try {
       console.log(`🧠 Creating alert rule from: "${prompt}"`);
       
       // Parse natural language to extract alert parameters
-      const alertRule = this.parseAlertPrompt(prompt);
+      const alertRule = this.parseAlertPrompt(prompt, options);
       
       if (!alertRule.success) {
         return {
@@ -169,8 +170,9 @@ class AlertManager extends EventEmitter {
 
   /**
    * Parse natural language alert prompt
+   * @param {object} [options] - { product: product named in the prompt, used when no product ID is given }
    */
-  parseAlertPrompt(prompt) {
+  parseAlertPrompt(prompt, options = {}) {
     const lowerPrompt = prompt.toLowerCase();
     
     // Pattern: "notify when/if [entity] [condition] [threshold]"
@@ -187,9 +189,11 @@ class AlertManager extends EventEmitter {
       }
       const threshold = parseFloat(numberMatch[1]);
       
-      // Extract product ID if specified
+      // Extract product ID if specified, else take the product named in the prompt
       const productIdMatch = prompt.match(/product\s+(\d+)/i);
-      const productId = productIdMatch ? parseInt(productIdMatch[1]) : null;
+      const product = productIdMatch ? null : options.product;
+      const productId = productIdMatch ? parseInt(productIdMatch[1]) : product?.id ?? null;
+      const productLabel = product ? product.name : `Product ${productId}`;
       
       // Determine condition type
       let condition = 'stock_below'; // default
@@ -200,8 +204,8 @@ class AlertManager extends EventEmitter {
       if (lowerPrompt.includes('below') || lowerPrompt.includes('less than') || lowerPrompt.includes('under')) {
         if (lowerPrompt.includes('stock')) {
           condition = 'stock_below';
-          name = productId ? `Product ${productId} Low Stock Alert` : 'Low Stock Alert';
-          description = `stock levels below ${threshold} units`;
+          name = productId ? `${productLabel} Low Stock Alert` : 'Low Stock Alert';
+          description = productId ? `stock of ${productLabel} below ${threshold} units` : `stock levels below ${threshold} units`;
         } else if (lowerPrompt.includes('value') || lowerPrompt.includes('inventory')) {
           condition = 'inventory_value_below';
           type = 'business';
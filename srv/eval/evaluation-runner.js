@@ -0,0 +1,308 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Golden-Set Evaluation for SAP Copilot
+ * Runs labeled prompts through the intent recognizer and the `prompt`
+ * handler and reports how many were classified, routed and answered as
+ * expected, so that routing changes can be checked against common queries.
+ *
+ * Datasets are JSONL files, one case per line:
+ *   {"case_id": "products-001", "prompt": "show products", "intent": "DATA_QUERY",
+ *    "handler": "handleProductListingQuery", "entity": "Products", "facts": ["Chai", "$18"]}
+ *
+ * - intent: expected `IntentRecognizer` intent
+ * - handler: service handler the prompt must be routed to (any handler on the call path)
+ * - entity: entity the recognizer must find (type or table, e.g. "Products")
+ * - facts: strings the reply must contain (case-insensitive), or "/regex/flags"
+ * - session: cases with the same session run as one conversation, in file order
+ *
+ * Expectations that are left out are not checked. Cases run in file order
+ * against one database, so cases that change data belong at the end.
+ *
+ * Run with `npm run eval [-- dataset.jsonl] [--verbose] [--json report.json]`.
+ * `npm run eval:record` runs the cases against the configured LLM provider
+ * (credentials needed) and stores its responses in test/llm-recordings;
+ * `npm run eval:replay` serves them from there and fails for any request
+ * that has not been recorded. No recordings are committed yet, so replay
+ * needs a local `eval:record` run first.
+ */
+
+const DEFAULT_DATASET = path.join(__dirname, "golden-set.jsonl");
+
+// Console methods muted while a case runs (handlers log every step)
+const CONSOLE_METHODS = ["log", "info", "warn", "error"];
+
+class EvaluationRunner {
+
+  /**
+   * @param {object} service - GeminiService instance
+   * @param {object} [options] - { verbose: keep handler logs, keepReports: keep generated report files }
+   */
+  constructor(service, options = {}) {
+    this.service = service;
+    this.verbose = options.verbose ?? false;
+    this.keepReports = options.keepReports ?? false;
+    this.handlerCalls = [];
+    this.reportFiles = [];
+    this.traceHandlers();
+  }
+
+  /**
+   * Load a JSONL dataset
+   * @param {string} [file] - Dataset path, defaults to the bundled golden set
+   * @returns {Array<object>} Cases
+   */
+  static loadDataset(file = DEFAULT_DATASET) {
+    const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+    const cases = [];
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      let testCase;
+      try {
+        testCase = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${path.basename(file)}:${index + 1}: invalid JSON (${error.message})`, { cause: error });
+      }
+      if (!testCase.prompt) {
+        throw new Error(`${path.basename(file)}:${index + 1}: case has no prompt`);
+      }
+      cases.push({ case_id: testCase.case_id || `line-${index + 1}`, ...testCase });
+    });
+
+    return cases;
+  }
+
+  /**
+   * Record which `handle*` methods of the service a prompt goes through
+   */
+  traceHandlers() {
+    Object.keys(this.service)
+      .filter(name => name.startsWith("handle") && typeof this.service[name] === "function")
+      .forEach(name => {
+        const handler = this.service[name];
+        const calls = this.handlerCalls;
+        this.service[name] = function(...args) {
+          calls.push(name);
+          return handler.apply(this, args);
+        };
+      });
+  }
+
+  /**
+   * Check the facts a reply must contain
+   * @returns {Array<{fact: string, ok: boolean}>}
+   */
+  static checkFacts(reply, facts = []) {
+    const text = String(reply || "");
+    return facts.map(fact => {
+      const regex = /^\/(.+)\/([a-z]*)$/.exec(fact);
+      const ok = regex ?
+        new RegExp(regex[1], regex[2]).test(text) :
+        text.toLowerCase().includes(String(fact).toLowerCase());
+      return { fact, ok };
+    });
+  }
+
+  /**
+   * Run `fn` with the console muted unless running verbose
+   */
+  async quietly(fn) {
+    if (this.verbose) return fn();
+
+    const original = CONSOLE_METHODS.map(method => console[method]);
+    CONSOLE_METHODS.forEach(method => { console[method] = () => {}; });
+    try {
+      return await fn();
+    } finally {
+      CONSOLE_METHODS.forEach((method, index) => { console[method] = original[index]; });
+    }
+  }
+
+  /**
+   * Evaluate a single case
+   */
+  async runCase(testCase) {
+    const IntentRecognizer = require("../ai/intent-recognition");
+    const result = { case_id: testCase.case_id, prompt: testCase.prompt, checks: {}, passed: true };
+
+    this.handlerCalls.length = 0;
+    const { analysis, response, error } = await this.quietly(async () => {
+      try {
+        const analysis = IntentRecognizer.analyzeInput(testCase.prompt);
+        const sessionId = testCase.session ? `eval-${testCase.session}` : undefined;
+        const response = await this.service.processPrompt(testCase.prompt, sessionId);
+        return { analysis, response };
+      } catch (error) {
+        return { error };
+      }
+    });
+
+    if (error) {
+      return { ...result, passed: false, error: error.message };
+    }
+
+    const handlers = [...this.handlerCalls];
+    const entities = analysis.entities.flatMap(entity => [entity.type, entity.table]).map(name => name.toLowerCase());
+
+    if (testCase.intent) {
+      result.checks.intent = { expected: testCase.intent, actual: analysis.intent.intent, ok: analysis.intent.intent === testCase.intent };
+    }
+    if (testCase.handler) {
+      result.checks.handler = { expected: testCase.handler, actual: handlers.join(" > ") || null, ok: handlers.includes(testCase.handler) };
+    }
+    if (testCase.entity) {
+      result.checks.entity = { expected: testCase.entity, actual: [...new Set(analysis.entities.map(entity => entity.table))], ok: entities.includes(testCase.entity.toLowerCase()) };
+    }
+    if (testCase.facts?.length) {
+      const facts = EvaluationRunner.checkFacts(response.reply, testCase.facts);
+      result.checks.facts = { passed: facts.filter(fact => fact.ok).length, total: facts.length, missing: facts.filter(fact => !fact.ok).map(fact => fact.fact), ok: facts.every(fact => fact.ok) };
+    }
+
+    result.passed = Object.values(result.checks).every(check => check.ok);
+    result.type = response.type || null;
+    result.processingTime = response.processingTime ?? null;
+    if (!result.passed) result.reply = String(response.reply || "").substring(0, 300);
+
+    const reportFile = response.data?.reportFile?.filePath;
+    if (reportFile) this.reportFiles.push(reportFile);
+
+    return result;
+  }
+
+  /**
+   * Remove the report files generated by the cases
+   * PDF streams are written asynchronously, so files may appear after the handler returned.
+   */
+  async removeReports() {
+    for (const file of this.reportFiles.splice(0)) {
+      for (let attempt = 0; attempt < 20 && !fs.existsSync(file); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  /**
+   * Evaluate all cases and summarize the results
+   * @param {Array<object>} cases - Cases from `loadDataset`
+   */
+  async run(cases) {
+    const results = [];
+    for (const testCase of cases) {
+      const result = await this.runCase(testCase);
+      console.log(`${result.passed ? "✅" : "❌"} ${result.case_id}: "${testCase.prompt}"`);
+      results.push(result);
+    }
+
+    if (!this.keepReports) await this.removeReports();
+
+    const accuracy = (name) => {
+      const checked = results.filter(result => result.checks[name]);
+      const correct = checked.filter(result => result.checks[name].ok).length;
+      return { correct, total: checked.length, accuracy: checked.length ? Math.round(correct / checked.length * 1000) / 1000 : null };
+    };
+    const facts = results.filter(result => result.checks.facts);
+
+    return {
+      cases: results.length,
+      passed: results.filter(result => result.passed).length,
+      intent: accuracy("intent"),
+      handler: accuracy("handler"),
+      entity: accuracy("entity"),
+      facts: {
+        ...accuracy("facts"),
+        checked: facts.reduce((sum, result) => sum + result.checks.facts.total, 0),
+        found: facts.reduce((sum, result) => sum + result.checks.facts.passed, 0)
+      },
+      failures: results.filter(result => !result.passed),
+      results,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Human-readable summary of a report
+   */
+  static format(report) {
+    const percent = (value) => value === null ? "n/a" : `${Math.round(value * 1000) / 10}%`;
+    const lines = [
+      "",
+      "📋 **Evaluation Summary**",
+      `• Cases passed: ${report.passed}/${report.cases}`,
+      `• Intent accuracy: ${percent(report.intent.accuracy)} (${report.intent.correct}/${report.intent.total})`,
+      `• Handler routing accuracy: ${percent(report.handler.accuracy)} (${report.handler.correct}/${report.handler.total})`,
+      `• Entity accuracy: ${percent(report.entity.accuracy)} (${report.entity.correct}/${report.entity.total})`,
+      `• Answer fact-checks: ${percent(report.facts.accuracy)} of answers (${report.facts.found}/${report.facts.checked} facts found)`
+    ];
+
+    report.failures.forEach(failure => {
+      lines.push("", `❌ ${failure.case_id}: "${failure.prompt}"`);
+      if (failure.error) lines.push(`   error: ${failure.error}`);
+      Object.entries(failure.checks).filter(([, check]) => !check.ok).forEach(([name, check]) => {
+        lines.push(name === "facts" ?
+          `   facts: missing ${check.missing.map(fact => JSON.stringify(fact)).join(", ")}` :
+          `   ${name}: expected ${check.expected}, got ${Array.isArray(check.actual) ? check.actual.join(", ") || "none" : check.actual}`);
+      });
+      if (failure.reply) lines.push(`   reply: ${failure.reply.replace(/\s*\n\s*/g, " ")}`);
+    });
+
+    return lines.join("\n");
+  }
+}
+
+/**
+ * Deploy the model with its seed data to an in-memory SQLite database and serve it
+ */
+async function bootstrap() {
+  const cds = require("@sap/cds");
+  cds.root = path.resolve(__dirname, "../..");
+
+  const csn = await cds.load("*");
+  cds.model = cds.compile.for.nodejs(csn);
+  const db = await cds.connect.to("db", { kind: "sqlite", credentials: { url: ":memory:" } });
+  await cds.deploy(cds.model).to(db);
+  await cds.serve("all").from(cds.model);
+
+  return cds.services.GeminiService;
+}
+
+async function main(args) {
+  const option = (name) => {
+    const index = args.indexOf(name);
+    return index >= 0 ? args.splice(index, 2)[1] : undefined;
+  };
+  const jsonFile = option("--json");
+  const verbose = args.includes("--verbose");
+  const dataset = args.find(arg => !arg.startsWith("--"));
+
+  const cases = EvaluationRunner.loadDataset(dataset && path.resolve(dataset));
+  const service = await bootstrap();
+  console.log(`🧪 Evaluating ${cases.length} case(s) from ${path.relative(process.cwd(), dataset ? path.resolve(dataset) : DEFAULT_DATASET)}`);
+
+  const runner = new EvaluationRunner(service, { verbose });
+  const report = await runner.run(cases);
+  console.log(EvaluationRunner.format(report));
+
+  if (jsonFile) {
+    fs.writeFileSync(jsonFile, JSON.stringify(report, null, 2));
+    console.log(`\n💾 Report written to ${jsonFile}`);
+  }
+
+  return report.failures.length === 0;
+}
+
+if (require.main === module) {
+  // Deterministic stub LLM unless another profile is chosen (e.g. CDS_ENV=replay)
+  process.env.CDS_ENV = process.env.CDS_ENV || "test";
+
+  main(process.argv.slice(2))
+    .then(passed => process.exit(passed ? 0 : 1))
+    .catch(error => {
+      console.error("❌ Evaluation failed:", error.message);
+      process.exit(2);
+    });
+}
+
+module.exports = EvaluationRunner;
@@ -1,30 +1,89 @@
 const cds = require("@sap/cds");
-const axios = require("axios");
 const IntentRecognizer = require("./ai/intent-recognition");
 const ODataParser = require("./ai/odata-parser");
 const BusinessContextResolver = require("./ai/business-context");
+const Clarifier = require("./ai/clarifier");
 const ReportGenerator = require("./reporting/report-generator");
 const AlertManager = require("./alerts/alert-manager");
+const ToolCallingAgent = require("./ai/tool-calling");
+const TextToCQL = require("./ai/text-to-cql");
+const BusinessIndex = require("./ai/business-index");
+const ContextBuilder = require("./ai/context-builder");
+const PromptRegistry = require("./prompts/prompt-registry");
+const ResponseCache = require("./ai/response-cache");
+const TransactionSchema = require("./ai/transaction-schema");
+const ConversationMemory = require("./ai/conversation-memory");
+const GroundingVerifier = require("./ai/grounding-verifier");
+const LanguageDetector = require("./ai/language-detector");
+const PromptGuard = require("./ai/prompt-guard");
+const PIIRedactor = require("./ai/pii-redactor");
+const EntityResolver = require("./ai/entity-resolver");
+const TemporalParser = require("./ai/temporal-parser");
+const SkillRegistry = require("./skills/skill-registry");
+const builtinSkills = require("./skills/builtin-skills");
+const security = require("./middleware/security");
+const LLMClient = require("./llm/llm-client");
+const UsageTracker = require("./llm/usage-tracker");
+const progress = require("./streaming/progress");
+
+// AI-generated answers that are worth caching (transactions and cheap lookups are not)
+const CACHEABLE_TYPES = new Set(["universal_ai", "ai_tool_calling", "ai_business_response", "business_intelligence", "ai_response"]);
+
+// Repair prompts sent when extracted transaction details fail schema validation
+const MAX_REPAIR_ATTEMPTS = 2;
+
+// Name matches below this confidence are confirmed before a delete
+const MIN_DELETE_CONFIDENCE = 0.85;
+
+// Requests that list the records of a catalog entity, or just name it ("customers")
+const ENTITY_LISTING_PATTERN = /\b(?:show|list|display|browse|get|give me)\b.*\b(?:customers|clients|orders|shipments|suppliers|vendors|categories|products)\b|^\s*(?:all )?(?:customers|clients|orders|shipments|suppliers|vendors|categories|products)[\s?!.]*$/i;
+
+// A skill scoring this high answers even when the intent is unclear
+const DECISIVE_SKILL_SCORE = 0.5;
+
+// Words that ask for a value in a create request, by field
+const SLOT_KEYWORDS = { UnitPrice: "price" };
+
+/**
+ * Id of the user the current request runs for
+ */
+function currentUserId() {
+  return cds.context?.user?.id || 'anonymous';
+}
 
-// Cohere AI configuration
-const COHERE_URL = "https://api.cohere.ai/v1/chat";
-const COHERE_KEY = process.env.COHERE_API_KEY;
-
-// Validation helper functions
-function validatePrompt(prompt) {
-  if (!prompt || typeof prompt !== 'string') {
-    return { valid: false, error: "Prompt must be a non-empty string" };
-  }
+/**
+ * Language of the prompt being processed: detected, else the request locale
+ */
+function currentLanguage() {
+  return LanguageDetector.current()?.language || LanguageDetector.toSupported(cds.context?.locale) || LanguageDetector.DEFAULT_LANGUAGE;
+}
 
-  if (prompt.trim().length === 0) {
-    return { valid: false, error: "Prompt cannot be empty" };
-  }
+/**
+ * The user's own wording of a prompt, for LLM prompts
+ * Handlers receive the prompt with localized keywords mapped to English.
+ */
+function userPrompt(prompt) {
+  const request = LanguageDetector.current();
+  return request && request.normalized === prompt ? request.original : prompt;
+}
 
-  if (prompt.length > 10000) {
-    return { valid: false, error: "Prompt is too long (max 10,000 characters)" };
-  }
+/**
+ * Reply text from the `_i18n/messages` bundles in the user's language
+ */
+function message(key, args) {
+  const text = cds.i18n.messages.at(key, currentLanguage(), args) ?? key;
+  return text.replace(/\\n/g, '\n');
+}
 
-  return { valid: true };
+/**
+ * Locale and A/B subject for prompt template selection
+ */
+function promptSelection() {
+  const userId = currentUserId();
+  return {
+    locale: currentLanguage(),
+    subject: userId !== 'anonymous' ? userId : undefined
+  };
 }
 
 function sanitizePrompt(prompt) {
@@ -40,15 +99,55 @@ module.exports = cds.service.impl(async function () {
   // Initialize alert manager
   const alertManager = new AlertManager();
 
+  // Initialize LLM client (provider chosen via cds.requires.llm)
+  const llm = LLMClient.fromEnv();
+
+  // Initialize prompt template registry (versions pinned via cds.requires.llm.prompts)
+  const prompts = new PromptRegistry({ versions: cds.env.requires?.llm?.prompts });
+
+  // Initialize retrieval index (rebuilt after writes to the indexed entities)
+  const businessIndex = new BusinessIndex();
+  businessIndex.attach(await cds.connect.to('db'));
+
+  // Initialize AI response cache (cleared after writes to business data)
+  const responseCache = new ResponseCache(cds.env.requires?.llm?.cache);
+  responseCache.attach(await cds.connect.to('db'));
+
+  // Initialize PII redaction: personal fields (@PersonalData) never reach the LLM in clear text
+  const redactor = new PIIRedactor(cds.env.requires?.llm?.redaction);
+  redactor.attach(await cds.connect.to('db'));
+  llm.setRedactor(redactor);
+
+  // Initialize entity resolver (typo-tolerant names, reloaded after writes to the master data)
+  const entityResolver = new EntityResolver(cds.env.requires?.llm?.entities);
+  entityResolver.attach(await cds.connect.to('db'));
+
+  // Initialize prompt guard (injection and abuse scoring, policy via cds.requires.llm.guard)
+  const promptGuard = new PromptGuard(cds.env.requires?.llm?.guard);
+
+  // Initialize per-session conversation memory (bounded turns, entities, last result)
+  const conversations = new ConversationMemory(cds.env.requires?.llm?.memory);
+
+  // Initialize skill registry; further skills plug in via `this.skillRegistry.register(skill)`
+  const skills = new SkillRegistry();
+  builtinSkills.forEach(skill => skills.register(skill));
+  this.skillRegistry = skills;
+
+  // Initialize LLM usage accounting; over the daily quota the copilot answers without AI
+  const usageTracker = new UsageTracker(cds.env.requires?.llm?.accounting);
+  await usageTracker.restore();
+  llm.on('usage', call => usageTracker.record({ ...call, user: currentUserId(), sessionId: conversations.current()?.id }));
+  llm.setGuard(() => {
+    const quota = usageTracker.checkQuota(currentUserId());
+    return quota.exceeded ? quota.reason : null;
+  });
+
   // Log service initialization
-  console.log("🤖 Cohere AI Service initialized");
+  console.log(`🤖 AI Service initialized with provider: ${llm.describe()}`);
   console.log("📊 Report Generator initialized");
   console.log("🚨 Alert Manager initialized");
-  if (!COHERE_KEY) {
-    console.warn("⚠️  COHERE_API_KEY not configured - AI service will use intelligent fallbacks");
-  } else {
-    console.log("✅ COHERE_API_KEY found:", COHERE_KEY.substring(0, 10) + "...");
-    console.log("🔗 Cohere URL:", COHERE_URL);
+  if (!llm.isAvailable()) {
+    console.warn("⚠️  LLM provider not configured (missing API key) - AI service will use intelligent fallbacks");
   }
 
   // Initialize alert manager
@@ -56,6 +155,9 @@ module.exports = cds.service.impl(async function () {
     console.error("❌ Failed to initialize Alert Manager:", error);
   });
 
+  // Stop the monitoring interval with the server, so the process can exit
+  cds.on('shutdown', () => alertManager.shutdown());
+
   // Setup real-time notification broadcasting
   alertManager.on('in-app-notification', (notification) => {
     if (global.notificationIO) {
@@ -74,77 +176,193 @@ module.exports = cds.service.impl(async function () {
 
 
   this.on("prompt", async (req) => {
-    const startTime = Date.now();
+    try {
+      return await this.processPrompt(req.data.prompt, req.data.sessionId);
+    } catch (error) {
+      if (error instanceof ConversationMemory.SessionOwnerError) {
+        return req.reject(403, error.message);
+      }
+      throw error;
+    }
+  });
 
+  this.on("clearConversation", (req) => {
     try {
-      // Extract and validate prompt
-      const rawPrompt = req.data.prompt;
-      const validation = validatePrompt(rawPrompt);
+      return conversations.clear(req.data.sessionId, currentUserId());
+    } catch (error) {
+      return req.reject(403, error.message);
+    }
+  });
+
+  this.on("ratePromptResponse", (req) => {
+    try {
+      prompts.recordFeedback(req.data.template, req.data.helpful);
+      return true;
+    } catch (error) {
+      return req.reject(400, error.message);
+    }
+  });
+
+  this.on("skills", () => skills.list());
+
+  this.on("promptTemplates", () => prompts.list());
+
+  this.on("startPromptExperiment", (req) => {
+    const { template, versionA, versionB, split } = req.data;
+    try {
+      return prompts.startExperiment(template, versionA, versionB, split ?? undefined);
+    } catch (error) {
+      return req.reject(400, error.message);
+    }
+  });
+
+  this.on("stopPromptExperiment", (req) => {
+    try {
+      prompts.stopExperiment(req.data.template);
+      return true;
+    } catch (error) {
+      return req.reject(400, error.message);
+    }
+  });
+
+  this.on("promptExperimentResults", (req) => {
+    try {
+      return prompts.getResults(req.data.template);
+    } catch (error) {
+      return req.reject(404, error.message);
+    }
+  });
+
+  /**
+   * Health of the copilot: LLM provider, circuit breaker and cache
+   * Served at /api/copilot/status
+   */
+  this.getStatus = function() {
+    const health = llm.health();
+    return {
+      status: health.available ? "ok" : "degraded",
+      llm: health,
+      cache: responseCache.getStats(),
+      timestamp: new Date().toISOString()
+    };
+  };
+
+  /**
+   * Run the copilot pipeline for a prompt
+   * Shared by the `prompt` action and the streaming endpoint
+   * @param {string} rawPrompt - User prompt
+   * @param {string} [sessionId] - Chat session whose history gives follow-ups their context
+   */
+  this.processPrompt = async function(rawPrompt, sessionId) {
+    return conversations.run(sessionId, currentUserId(), async () => {
+      // Over quota or circuit open: handlers fall back to their non-AI answers
+      const blocked = llm.blockedReason();
+      if (blocked) {
+        console.warn(`⛔ ${blocked} - answering without AI`);
+      }
+
+      const response = await this.answerPrompt(rawPrompt);
+      conversations.record(conversations.current(), rawPrompt, response);
+      return {
+        ...response,
+        // AI replies carry PII placeholders; only authorized users get the values back
+        ...(typeof response.reply === "string" && redactor.isAuthorized() && { reply: redactor.restore(response.reply) }),
+        ...(sessionId && { sessionId }),
+        ...((blocked || llm.blockedReason()) && { degraded: true })
+      };
+    });
+  };
 
-      if (!validation.valid) {
-        console.warn(`❌ Invalid prompt: ${validation.error}`);
+  /**
+   * Route a prompt to the matching handler
+   */
+  this.answerPrompt = async function(rawPrompt) {
+    const startTime = Date.now();
+
+    // Validate prompt and score it for injection and abuse
+    const validation = security.validateGeminiInput(rawPrompt, promptGuard);
+    const guard = validation.verdict && validation.verdict.level !== "clean" ? PromptGuard.summarize(validation.verdict) : undefined;
+
+    if (!validation.valid) {
+      console.warn(`❌ Invalid prompt: ${validation.error}`);
+      if (validation.verdict) {
+        const language = LanguageDetector.detect(rawPrompt, cds.context?.locale).language;
         return {
-          reply: `Error: ${validation.error}`,
+          reply: LanguageDetector.run({ language }, () => message("guard.blocked")),
           success: false,
-          timestamp: new Date().toISOString()
+          type: "prompt_blocked",
+          guard,
+          language,
+          timestamp: new Date().toISOString(),
+          processingTime: Date.now() - startTime
         };
       }
+      return {
+        reply: `Error: ${validation.error}`,
+        success: false,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    // Detect the language; routing and parsing work on the English keywords
+    const guardedPrompt = validation.prompt;
+    const detected = LanguageDetector.detect(guardedPrompt, cds.context?.locale);
+    const prompt = LanguageDetector.normalize(guardedPrompt, detected.language);
+    if (detected.language !== LanguageDetector.DEFAULT_LANGUAGE) {
+      console.log(`🌍 Language: ${detected.language} - routing as "${prompt}"`);
+    }
 
+    const response = await LanguageDetector.run(
+      { language: detected.language, original: guardedPrompt, normalized: prompt },
+      () => this.routePrompt(prompt, startTime)
+    );
+    return { ...response, language: detected.language, ...(guard && { guard }) };
+  };
+
+  /**
+   * Route a prompt (localized keywords mapped to English) to its handler
+   * @param {object} [options] - { skill: skill chosen by the user in a clarification }
+   */
+  this.routePrompt = async function(prompt, startTime, options = {}) {
+    try {
       // Try to analyze intent and extract business context
-      console.log(`🧠 Analyzing intent for: "${rawPrompt}"`);
+      console.log(`🧠 Analyzing intent for: "${prompt}"`);
 
       let analysis;
       try {
-        analysis = IntentRecognizer.analyzeInput(rawPrompt);
+        analysis = IntentRecognizer.analyzeInput(userPrompt(prompt), { language: currentLanguage() });
         console.log(`📊 Intent: ${analysis.intent.intent} (${Math.round(analysis.intent.confidence * 100)}%)`);
+        progress.status('intent', `Intent detected: ${analysis.intent.intent}`, { intent: analysis.intent.intent, confidence: analysis.intent.confidence });
         console.log(`🔍 Full analysis:`, JSON.stringify(analysis, null, 2));
       } catch (intentError) {
         console.error("❌ Error in intent recognition:", intentError);
         // Fall back to simple Gemini AI response
-        return await this.handleGeneralQuery(rawPrompt, null, startTime);
-      }
-
-      // Direct transaction detection for testing (bypass AI intent if obvious)
-      const lowerPrompt = rawPrompt.toLowerCase();
-      if (lowerPrompt.startsWith('create ') || lowerPrompt.startsWith('add ') ||
-          lowerPrompt.startsWith('update ') || lowerPrompt.startsWith('modify ') ||
-          lowerPrompt.startsWith('delete ') || lowerPrompt.startsWith('remove ')) {
-        console.log(`🚀 Direct transaction detected, bypassing AI intent`);
-        return await this.handleDirectTransaction(rawPrompt, startTime);
-      }
-
-      // Handle casual chat without heavy AI processing
-      if (this.isCasualChat(rawPrompt)) {
-        console.log(`💬 Casual chat detected, using simple response`);
-        return this.handleCasualChat(rawPrompt, startTime);
-      }
+        return await this.handleGeneralQuery(prompt, null, startTime);
+      }
+
+      // The skill with the highest score answers; follow-ups get the session history
+      // and the answer to an open clarifying question resumes the request it asked about
+      const session = conversations.current();
+      const request = {
+        prompt,
+        lowerPrompt: prompt.toLowerCase(),
+        analysis,
+        session,
+        clarification: Clarifier.take(session),
+        isFollowUp: ConversationMemory.isFollowUp(prompt, session),
+        startTime,
+        service: this
+      };
 
-      // Handle reporting requests
-      if (this.isReportingRequest(rawPrompt, analysis)) {
-        console.log(`📊 Reporting request detected`);
-        return await this.handleReportingRequest(rawPrompt, analysis, startTime);
-      }
+      const unclear = !options.skill && this.clarifyIntent(analysis, request);
+      if (unclear) return unclear;
 
-      // Handle alert requests
-      if (this.isAlertRequest(rawPrompt, analysis)) {
-        console.log(`🚨 Alert request detected`);
-        return await this.handleAlertRequest(rawPrompt, analysis, startTime);
+      const { response, trace } = await skills.route(analysis, request, options);
+      if (!response) {
+        return await this.handleGeneralQuery(prompt, analysis, startTime);
       }
 
-      // Handle ALL queries with enhanced AI - natural language processing
-      try {
-        console.log(`🤖 Processing query with enhanced AI: "${rawPrompt}"`);
-        return await this.handleNaturalLanguageQuery(rawPrompt, analysis, startTime);
-      } catch (handlerError) {
-        console.error("❌ Error in AI handler:", handlerError);
-        // Final fallback to simple response
-        return {
-          reply: `I encountered an error while processing your request: ${handlerError.message}. Please try a simpler query or ask for help.`,
-          success: false,
-          timestamp: new Date().toISOString(),
-          processingTime: Date.now() - startTime
-        };
-      }
+      return { ...response, routing: trace };
 
     } catch (err) {
       const duration = Date.now() - startTime;
@@ -156,7 +374,7 @@ module.exports = cds.service.impl(async function () {
         const statusText = err.response.statusText;
         const errorData = err.response.data;
 
-        console.error(`❌ Gemini API error (${status} ${statusText}):`, errorData);
+        console.error(`❌ LLM provider error (${status} ${statusText}):`, errorData);
 
         let userMessage = "I'm experiencing technical difficulties. Please try again later.";
 
@@ -179,7 +397,7 @@ module.exports = cds.service.impl(async function () {
 
       } else if (err.request) {
         // Network error
-        console.error("❌ Network error connecting to Gemini API:", err.message);
+        console.error("❌ Network error connecting to LLM provider:", err.message);
         return {
           reply: "I'm having trouble connecting to the AI service. Please check your internet connection and try again.",
           success: false,
@@ -198,7 +416,122 @@ module.exports = cds.service.impl(async function () {
         };
       }
     }
-  });
+  };
+
+  /**
+   * Reply with a clarifying question; the question is kept in the chat session
+   * @param {object} details - See `Clarifier.ask`; a cancel option is added
+   */
+  this.askClarification = function(details, startTime) {
+    const options = [...details.options, { label: message("clarify.cancel"), value: Clarifier.CANCEL }];
+    const clarification = Clarifier.ask(conversations.current(), { ...details, options });
+    const choices = clarification.options
+      .filter(option => option.value !== Clarifier.CANCEL)
+      .map((option, index) => `${details.slot ? "•" : `${index + 1}.`} ${option.label}`)
+      .join("\n");
+
+    return {
+      reply: message(details.slot ? "clarify.replyValue" : "clarify.reply", { question: clarification.question, options: choices }),
+      success: true,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime,
+      type: "clarification",
+      clarification
+    };
+  };
+
+  /**
+   * Resume the request a clarifying question was asked about, with the user's answer
+   * A wrong answer asks the question again.
+   * @param {object} clarification - Question from the session
+   * @param {object} answer - `Clarifier.answer` result
+   */
+  this.resumeClarification = async function(clarification, answer, startTime) {
+    if (answer.cancelled) {
+      console.log(`❎ Clarification cancelled: ${clarification.question}`);
+      return {
+        reply: message("clarify.cancelled"),
+        success: true,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        type: "clarification_cancelled"
+      };
+    }
+
+    if (answer.invalid) {
+      console.log(`↪️ "${answer.value}" does not answer: ${clarification.question}`);
+      const options = clarification.options.filter(option => option.value !== Clarifier.CANCEL);
+      const retry = this.askClarification({ ...clarification, options }, startTime);
+      return { ...retry, reply: `${message("clarify.invalidValue", { value: answer.value })}\n\n${retry.reply}` };
+    }
+
+    console.log(`↩️ Resuming "${clarification.prompt}" as "${answer.prompt}"${answer.skill ? ` with skill ${answer.skill}` : ""}`);
+    progress.status('route', 'Resuming your request');
+    return this.routePrompt(answer.prompt, startTime, { skill: answer.skill });
+  };
+
+  /**
+   * Ask which skill is meant when the intent is unclear and no skill is confident
+   * @returns {object|null} Clarification reply, or null to route the prompt as usual
+   */
+  this.clarifyIntent = function(analysis, request) {
+    const intents = Clarifier.unclearIntents(analysis.intent);
+    if (!intents.length) return null;
+
+    const [top] = skills.rank(analysis, request);
+    if (top && top.score >= DECISIVE_SKILL_SCORE) return null;
+
+    const choices = [...new Set(intents.map(intent => skills.forIntent(intent)).filter(Boolean))];
+    if (choices.length < 2) return null;
+
+    return this.askClarification({
+      reason: "unclear_intent",
+      question: message("clarify.unclearIntent", { prompt: userPrompt(request.prompt) }),
+      prompt: request.prompt,
+      options: choices.map(skill => {
+        const label = message(`clarify.skill.${skill.name}`);
+        return { label: label === `clarify.skill.${skill.name}` ? skill.description : label, value: skill.name, skill: skill.name };
+      })
+    }, request.startTime);
+  };
+
+  /**
+   * Answer a question about the business data, from the cache while the data is unchanged
+   * Follow-ups depend on the session history and are never cached.
+   */
+  this.handleDataRequest = async function(prompt, analysis, startTime, { isFollowUp = false } = {}) {
+    const cacheKey = responseCache.keyFor(prompt, { intent: analysis.intent.intent, locale: currentLanguage() });
+    const cached = isFollowUp ? null : responseCache.get(cacheKey);
+    if (cached) {
+      console.log(`⚡ Answer served from cache (cached at ${cached.cachedAt})`);
+      progress.status('cache', 'Answer served from cache', { cachedAt: cached.cachedAt });
+      return {
+        ...cached,
+        cached: true,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime
+      };
+    }
+
+    // Handle ALL queries with enhanced AI - natural language processing
+    try {
+      console.log(`🤖 Processing query with enhanced AI: "${prompt}"`);
+      const response = await this.handleNaturalLanguageQuery(prompt, analysis, startTime);
+      if (response?.success && !isFollowUp && CACHEABLE_TYPES.has(response.type)) {
+        responseCache.set(cacheKey, response);
+      }
+      return { ...response, cached: false };
+    } catch (handlerError) {
+      console.error("❌ Error in AI handler:", handlerError);
+      // Final fallback to simple response
+      return {
+        reply: `I encountered an error while processing your request: ${handlerError.message}. Please try a simpler query or ask for help.`,
+        success: false,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime
+      };
+    }
+  };
 
   /**
    * Handle data query requests with OData integration
@@ -280,52 +613,18 @@ module.exports = cds.service.impl(async function () {
     };
   };
 
+  /**
+   * Check if this is a request for the help text
+   */
+  this.isHelpRequest = function(prompt) {
+    return /^\s*(?:help|what can you do)\b/i.test(prompt);
+  };
+
   /**
    * Handle help requests
    */
   this.handleHelpRequest = async function(prompt, analysis, startTime) {
-    const helpText = `
-🤖 **SAP Copilot Help**
-
-I can help you with the following:
-
-**🔍 Product Comparisons:**
-- "Compare product 1 and 2"
-- "Compare products 1, 3, and 5"
-- "Show me the difference between product 2 and 4"
-
-**📊 Product Queries:**
-- "Show me all products"
-- "Show product 5"
-- "List products"
-- "Display product details"
-
-**👥 Customer Information:**
-- "Show customers"
-- "List all customers"
-- "Display customer information"
-
-**🎯 Smart Features:**
-- I can compare products side-by-side
-- I show price and stock comparisons
-- I provide detailed product information
-- I can handle multiple product IDs
-
-**💡 Example Queries:**
-- "Compare product 1 and 2"
-- "Show me product 3"
-- "List all products"
-- "Show customers"
-- "What's the difference between products 1 and 5?"
-
-**🚀 Pro Tips:**
-- Use product IDs for specific queries
-- I understand natural language
-- Ask for comparisons to see detailed analysis
-- Try "show products" to see what's available
-
-Ready to help! What would you like to explore?
-    `;
+    const helpText = message("help");
 
     return {
       reply: helpText,
@@ -344,12 +643,28 @@ Ready to help! What would you like to explore?
       console.log(`🧠 Natural language processing: "${prompt}"`);
 
       // Get comprehensive business data for context
-      const businessData = await this.getComprehensiveBusinessData();
+      const businessData = await this.getComprehensiveBusinessData(prompt);
 
       // Analyze the query intent and extract key information
       const queryAnalysis = this.analyzeQueryIntent(prompt);
       console.log(`🔍 Query analysis:`, queryAnalysis);
 
+      // Records named in the request ("chaii", "beverage") resolved against the master data
+      const references = await entityResolver.resolve(prompt);
+
+      // Filters, sorting and grouping run as a validated query, and so do data lookups of named records
+      // (a prompt that is nothing but a name, like "chai", is a lookup as well)
+      const isNameOnly = references.some(ref => ref.mention === EntityResolver.tokenize(prompt).join(" "));
+      const isLookup = references.length > 0 && (analysis?.intent?.intent === "DATA_QUERY" || isNameOnly) && !queryAnalysis.isBusinessQuestion;
+      if (TextToCQL.isStructuredQuery(prompt) || isLookup) {
+        return await this.handleStructuredQuery(prompt, startTime, null, references);
+      }
+
+      // Listings of any catalog entity run as a live OData query, one page at a time
+      if (queryAnalysis.isEntityListing && !queryAnalysis.isBusinessQuestion) {
+        return await this.handleODataQuery(prompt, analysis, startTime, references);
+      }
+
       // If it's a simple product listing request, handle directly
       if (queryAnalysis.isProductListing) {
         return await this.handleProductListingQuery(prompt, businessData, startTime);
@@ -377,14 +692,21 @@ Ready to help! What would you like to explore?
   /**
    * Get comprehensive business data for AI context
    */
-  this.getComprehensiveBusinessData = async function() {
+  this.getComprehensiveBusinessData = async function(prompt) {
     try {
       const db = await cds.connect.to('db');
-      const { Products, Customers } = db.entities;
+      const { Products } = db.entities;
+
+      progress.status('query', 'Querying Products and Customers');
 
       // Get all products with calculated fields
       const products = await db.run(SELECT.from(Products));
-      const customers = await db.run(SELECT.from(Customers).limit(10));
+
+      // Records most relevant to the question
+      const relevant = prompt ?
+        await businessIndex.searchByEntity(prompt, { Products: 10, Categories: 5, Suppliers: 5, Customers: 10 }) :
+        {};
+      const customers = relevant.customers || [];
 
       // Calculate business metrics
       const metrics = {
@@ -400,11 +722,12 @@ Ready to help! What would you like to explore?
       return {
         products,
         customers,
-        metrics
+        metrics,
+        relevant
       };
     } catch (error) {
       console.error("❌ Error getting business data:", error);
-      return { products: [], customers: [], metrics: {} };
+      return { products: [], customers: [], metrics: {}, relevant: {} };
     }
   };
 
@@ -424,23 +747,25 @@ Ready to help! What would you like to explore?
       /display.*products/i
     ];
 
-    // Business question patterns
+    // Business question patterns (whole words: "germany" is not "how many")
     const businessQuestionPatterns = [
-      /how.*many/i,
-      /what.*average/i,
-      /what.*total/i,
-      /which.*most/i,
-      /which.*least/i,
-      /what.*highest/i,
-      /what.*lowest/i
+      /\bhow\s+many\b/i,
+      /\bwhat\b.*\baverage\b/i,
+      /\bwhat\b.*\btotal\b/i,
+      /\bwhich\b.*\bmost\b/i,
+      /\bwhich\b.*\bleast\b/i,
+      /\bwhat\b.*\bhighest\b/i,
+      /\bwhat\b.*\blowest\b/i
     ];
 
     const isProductListing = productListingPatterns.some(pattern => pattern.test(prompt));
     const isBusinessQuestion = businessQuestionPatterns.some(pattern => pattern.test(prompt));
+    const isEntityListing = ENTITY_LISTING_PATTERN.test(prompt);
 
     return {
       isProductListing,
       isBusinessQuestion,
+      isEntityListing,
       originalPrompt: prompt,
       lowerPrompt
     };
@@ -509,77 +834,55 @@ Ready to help! What would you like to explore?
     try {
       console.log(`💼 Processing business question with AI: "${prompt}"`);
 
-      const { products, metrics } = businessData;
-
-      // Create enhanced prompt for AI with business context
-      const enhancedPrompt = `You are SAP Copilot, an intelligent business assistant. Answer the user's question in a clear, structured point-by-point format using the provided business data.
+      const { products, metrics, relevant } = businessData;
+      const sampleProducts = (relevant?.products?.length ? relevant.products : products).slice(0, 5);
 
-BUSINESS DATA CONTEXT:
-- Total Products: ${metrics.totalProducts}
+      const businessContext = `- Total Products: ${metrics.totalProducts}
 - Average Price: $${metrics.averagePrice?.toFixed(2)}
 - Total Inventory Value: $${metrics.totalInventoryValue?.toFixed(2)}
 - Low Stock Items: ${metrics.lowStockCount}
 - Out of Stock Items: ${metrics.outOfStockCount}
 - Price Range: $${metrics.lowestPrice} - $${metrics.highestPrice}
 
-SAMPLE PRODUCTS:
-${products.slice(0, 5).map(p => `- ${p.ProductName}: $${p.UnitPrice}, Stock: ${p.UnitsInStock} units`).join('\n')}
-
-USER QUESTION: "${prompt}"
-
-FORMATTING REQUIREMENTS:
-- Use clear bullet points (•) or numbered lists (1., 2., 3.)
-- Start with a brief summary if applicable
-- Break down complex information into digestible points
-- Use emojis for visual appeal (📊, 💰, 📦, ⚠️, ✅)
-- Include specific data points and examples
-- End with actionable insights or next steps if relevant
-
-RESPONSE FORMAT EXAMPLE:
-📊 **[Topic Summary]**
-
-• **Point 1**: [Specific information with data]
-• **Point 2**: [Additional details]
-• **Point 3**: [More insights]
-
-💡 **Key Insights:**
-• [Important takeaway 1]
-• [Important takeaway 2]
+RELEVANT PRODUCTS:
+${sampleProducts.map(p => `- ${p.ProductName}: $${p.UnitPrice}, Stock: ${p.UnitsInStock} units`).join('\n')}`;
 
-RESPONSE:`;
+      // Create enhanced prompt for AI with business context (versioned template)
+      const template = prompts.select("business-question", promptSelection());
+      const enhancedPrompt = template.render({ prompt: userPrompt(prompt), businessContext });
 
       // Call AI service
-      if (COHERE_KEY) {
+      if (llm.isAvailable()) {
         try {
-          const response = await axios.post(
-            COHERE_URL,
-            {
-              model: "command",
-              message: enhancedPrompt,
-              max_tokens: 1000,
-              temperature: 0.7
-            },
-            {
-              timeout: 15000,
-              headers: {
-                'Authorization': `Bearer ${COHERE_KEY}`,
-                'Content-Type': 'application/json'
-              }
-            }
-          );
+          const completion = await llm.complete(enhancedPrompt, {
+            maxTokens: 1000,
+            handler: "handleBusinessQuestionWithAI",
+            stream: true
+          });
 
-          const aiResponse = response.data?.text?.trim();
+          const aiResponse = completion.text;
+          prompts.recordOutcome(template, { success: !!aiResponse, latency: completion.latency, outputTokens: completion.usage.outputTokens });
           if (aiResponse) {
+            const grounded = await this.groundAnswer(aiResponse.trim(), {
+              prompt: userPrompt(prompt),
+              contextData: { metrics, products: sampleProducts },
+              businessContext,
+              maxTokens: 1000
+            });
             return {
-              reply: aiResponse,
+              reply: grounded.reply,
               success: true,
               timestamp: new Date().toISOString(),
               processingTime: Date.now() - startTime,
               type: "ai_business_response",
-              data: { metrics, sampleProducts: products.slice(0, 5) }
+              data: { metrics, sampleProducts },
+              template: template.id,
+              sources: grounded.sources,
+              grounding: grounded.grounding
             };
           }
         } catch (aiError) {
+          prompts.recordOutcome(template, { success: false });
           console.log("⚠️ AI service failed, using intelligent fallback");
         }
       }
@@ -605,8 +908,8 @@ RESPONSE:`;
     try {
       console.log(`🧠 Processing complex query with full AI: "${prompt}"`);
 
-      // Use the existing universal AI handler with enhanced context
-      return await this.handleUniversalAIQuery(prompt, null, startTime, businessData);
+      // Use the existing universal AI handler; it retrieves the records relevant to the question
+      return await this.handleUniversalAIQuery(prompt, null, startTime);
 
     } catch (error) {
       console.error("❌ Error in complex query handler:", error);
@@ -683,6 +986,7 @@ RESPONSE:`;
    * Handle ALL queries with AI - Universal AI handler with smart data context
    */
   this.handleUniversalAIQuery = async function(prompt, analysis, startTime, providedBusinessData = null) {
+    let template;
     try {
       console.log(`🌟 Universal AI processing: "${prompt}"`);
 
@@ -695,97 +999,103 @@ RESPONSE:`;
         return await this.handleTransactionOperation(prompt, analysis, startTime);
       }
 
+      // Let the model query CatalogService itself when the provider supports tools
+      if (llm.isAvailable() && llm.supportsTools()) {
+        const agentTemplate = prompts.select("tool-calling", promptSelection());
+        try {
+          const startedAt = Date.now();
+          const result = await ToolCallingAgent.run(llm, userPrompt(prompt), {
+            systemPrompt: agentTemplate.render(),
+            handler: "handleUniversalAIQuery",
+            history: conversations.current()?.turns
+          });
+          prompts.recordOutcome(agentTemplate, { success: !!result.text, latency: Date.now() - startedAt });
+          if (result.text) {
+            console.log(`✅ Tool-calling AI answered after ${result.iterations} turn(s) and ${result.toolTrace.length} tool call(s)`);
+
+            // Check the answer against the rows the tools returned
+            const grounded = await this.groundAnswer(result.text, {
+              prompt: userPrompt(prompt),
+              contextData: { metrics: result.metrics },
+              extra: result.records,
+              businessContext: result.context
+            });
+            return {
+              reply: grounded.reply,
+              success: true,
+              timestamp: new Date().toISOString(),
+              processingTime: Date.now() - startTime,
+              data: { toolTrace: result.toolTrace },
+              template: agentTemplate.id,
+              sources: grounded.sources,
+              grounding: grounded.grounding,
+              type: "ai_tool_calling"
+            };
+          }
+        } catch (error) {
+          prompts.recordOutcome(agentTemplate, { success: false });
+          console.error("❌ Tool-calling AI failed, using data context instead:", error.message);
+        }
+      }
+
       // Get relevant business data based on the query (use provided data if available)
       const contextData = providedBusinessData || await this.getRelevantBusinessData(prompt);
 
-      // Create comprehensive business context for AI
-      const businessContext = this.createComprehensiveBusinessContext(contextData, prompt);
-
-      // Create enhanced prompt with all relevant data
-      const enhancedPrompt = `You are SAP Copilot, an intelligent business assistant with access to real business data.
-
-User Query: "${prompt}"
-
-BUSINESS DATA CONTEXT:
-${businessContext}
+      // Create enhanced prompt with all relevant data (versioned template)
+      template = prompts.select("universal-query", promptSelection());
+      const buildPrompt = businessContext => template.render({ prompt: userPrompt(prompt), businessContext });
 
-FORMATTING REQUIREMENTS:
-- Structure your response with clear bullet points (•) or numbered lists (1., 2., 3.)
-- Use section headers with emojis for better organization
-- Break down complex information into digestible points
-- Include specific data points and examples from the context
-- Use emojis for visual appeal (📊, 💰, 📦, ⚠️, ✅, 🔍, 📈)
-- End with actionable insights or recommendations
-
-RESPONSE FORMAT EXAMPLE:
-📊 **[Main Topic/Summary]**
-
-• **Key Point 1**: [Specific information with data]
-• **Key Point 2**: [Additional details]
-• **Key Point 3**: [More insights]
-
-💡 **Recommendations/Next Steps:**
-• [Actionable item 1]
-• [Actionable item 2]
-
-INSTRUCTIONS:
-- Analyze the user's question and provide intelligent, actionable responses
-- Use the provided business data to give specific, data-driven answers
-- For product queries, reference actual product IDs, names, prices, and stock levels
-- For comparisons, provide detailed analysis with specific data points
-- For recommendations, use actual inventory levels and business logic
-- For general questions, provide professional business insights
-- For transaction requests, guide users on proper syntax and requirements
-- Always be helpful, accurate, and business-focused
-- ALWAYS format responses in clear point-by-point structure as shown above
-
-RESPONSE:`;
+      // Fit the business context into what is left of the model window
+      const maxTokens = llm.maxTokensFor("handleUniversalAIQuery", 1500);
+      const context = this.createComprehensiveBusinessContext(contextData, prompt, {
+        budget: llm.contextBudget({ maxTokens, reserved: ContextBuilder.estimateTokens(buildPrompt("")) })
+      });
+      const enhancedPrompt = buildPrompt(context.text);
 
-      // Call Cohere AI with comprehensive context
-      if (!COHERE_KEY) {
-        console.log("⚠️ No Cohere API key, using intelligent fallback");
+      // Call the LLM with comprehensive context
+      if (!llm.isAvailable()) {
+        console.log("⚠️ No LLM provider configured, using intelligent fallback");
         return this.createIntelligentContextualResponse(prompt, contextData, startTime);
       }
 
-      console.log(`🤖 Calling Cohere AI with comprehensive business context`);
+      console.log(`🤖 Calling ${llm.describe()} with comprehensive business context`);
       console.log(`📊 Context includes: ${contextData.products?.length || 0} products, ${contextData.customers?.length || 0} customers`);
 
-      const response = await axios.post(
-        COHERE_URL,
-        {
-          model: "command",
-          message: enhancedPrompt,
-          max_tokens: 1500,
-          temperature: 0.7
-        },
-        {
-          timeout: 10000, // Reduced from 30s to 10s
-          headers: {
-            'Authorization': `Bearer ${COHERE_KEY}`,
-            'Content-Type': 'application/json',
-            'User-Agent': 'SAP-Copilot/1.0'
-          }
-        }
-      );
+      const completion = await llm.complete(enhancedPrompt, {
+        maxTokens,
+        handler: "handleUniversalAIQuery",
+        stream: true
+      });
 
-      const text = response.data?.text;
+      const text = completion.text;
+      prompts.recordOutcome(template, { success: !!text, latency: completion.latency, outputTokens: completion.usage.outputTokens });
       if (!text) {
-        console.log("❌ No text in Cohere response, using intelligent fallback");
+        console.log("❌ No text in LLM response, using intelligent fallback");
         return this.createIntelligentContextualResponse(prompt, contextData, startTime);
       }
 
-      console.log(`✅ Universal AI provided successful response`);
+      // Check names, IDs, prices and quantities against the context records
+      const grounded = await this.groundAnswer(text.trim(), { prompt: userPrompt(prompt), contextData, businessContext: context.text, maxTokens });
+
+      console.log(`✅ Universal AI provided successful response (${template.id})`);
       return {
-        reply: text.trim(),
+        reply: grounded.reply,
         success: true,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime,
         data: contextData,
+        context: context.report,
+        template: template.id,
+        sources: grounded.sources,
+        grounding: grounded.grounding,
         type: "universal_ai"
       };
 
     } catch (error) {
       console.error("❌ Error in universal AI query:", error.message);
+      if (template) {
+        prompts.recordOutcome(template, { success: false });
+      }
       if (error.response) {
         console.error("❌ Response status:", error.response.status);
         console.error("❌ Response data:", JSON.stringify(error.response.data, null, 2));
@@ -797,8 +1107,96 @@ RESPONSE:`;
     }
   };
 
+  /**
+   * Verify an AI answer against the records it was given
+   * Mismatches trigger one regeneration (`cds.requires.llm.grounding.mode`
+   * "regenerate"); whatever still does not match is flagged inline.
+   * @param {string} text - AI answer
+   * @param {object} options - { prompt, contextData, extra: further records [{ entity, rows }], businessContext, maxTokens }
+   * @returns {Promise<{reply: string, sources: Array<string>, grounding: object}>}
+   */
+  this.groundAnswer = async function(text, options) {
+    const mode = cds.env.requires?.llm?.grounding?.mode || "regenerate";
+    if (mode === "off") {
+      return { reply: text, sources: [], grounding: null };
+    }
+
+    // Records from earlier turns are part of the context as well
+    const session = conversations.current();
+    const extra = [
+      ...(options.extra || []),
+      ...(session?.lastResult ? [{ entity: session.lastResult.entity, rows: session.lastResult.rows }] : []),
+      ...Object.entries(session?.entities || {}).map(([entity, ids]) => ({ entity, rows: ids.map(ID => ({ ID })) }))
+    ];
+
+    progress.status('grounding', 'Checking the answer against the records');
+    let reply = text;
+    let result = GroundingVerifier.verify(reply, options.contextData, { extra });
+    let regenerated = false;
+
+    if (!result.verified) {
+      console.warn(`🔎 Answer not grounded: ${result.mismatches.length} mismatch(es) - ${result.mismatches.map(m => `${m.key} ${m.field}`).join(', ')}`);
+    }
+
+    if (!result.verified && mode === "regenerate" && llm.isAvailable()) {
+      try {
+        const repair = prompts.select("grounding-repair", promptSelection());
+        const completion = await llm.complete(repair.render({
+          prompt: options.prompt,
+          response: reply,
+          mismatches: GroundingVerifier.formatMismatches(result.mismatches),
+          businessContext: options.businessContext
+        }), { maxTokens: options.maxTokens, temperature: 0.2, handler: "groundAnswer" });
+
+        const retry = completion.text.trim() ? GroundingVerifier.verify(completion.text.trim(), options.contextData, { extra }) : null;
+        prompts.recordOutcome(repair, { success: !!retry?.verified, latency: completion.latency, outputTokens: completion.usage.outputTokens });
+        if (retry && retry.mismatches.length < result.mismatches.length) {
+          reply = completion.text.trim();
+          result = retry;
+          regenerated = true;
+          console.log(`🔎 Regenerated answer: ${result.mismatches.length} mismatch(es) left`);
+        }
+      } catch (error) {
+        console.error("❌ Grounding regeneration failed:", error.message);
+      }
+    }
+
+    return {
+      reply: result.verified ? reply : GroundingVerifier.flag(reply, result.mismatches),
+      sources: result.sources,
+      grounding: GroundingVerifier.summarize(result, { regenerated, flagged: !result.verified })
+    };
+  };
+
+  /**
+   * Catalog-wide metrics computed in the database
+   */
+  this.getBusinessMetrics = async function() {
+    const db = await cds.connect.to('db');
+    const { Products } = db.entities;
+
+    const [totals, lowStock, outOfStock] = await Promise.all([
+      db.run(SELECT.one.from(Products).columns(
+        'count(1) as totalProducts',
+        'avg(UnitPrice) as averagePrice',
+        'sum(UnitPrice * UnitsInStock) as totalInventoryValue',
+        'min(UnitPrice) as lowestPrice',
+        'max(UnitPrice) as highestPrice'
+      )),
+      db.run(SELECT.one.from(Products).columns('count(1) as count').where({ UnitsInStock: { '<': 10, '>': 0 } })),
+      db.run(SELECT.one.from(Products).columns('count(1) as count').where({ UnitsInStock: 0 }))
+    ]);
+
+    return {
+      ...totals,
+      lowStockCount: lowStock.count,
+      outOfStockCount: outOfStock.count
+    };
+  };
+
   /**
    * Get relevant business data based on the query
+   * Records are picked by the retrieval index, not by table order
    */
   this.getRelevantBusinessData = async function(prompt) {
     try {
@@ -806,33 +1204,26 @@ RESPONSE:`;
       const { Products, Customers } = db.entities;
 
       const lowerPrompt = prompt.toLowerCase();
-      let contextData = {};
 
-      // Always get some product data as it's the most common query type
-      if (lowerPrompt.includes('product') || lowerPrompt.includes('item') ||
-          lowerPrompt.includes('inventory') || lowerPrompt.includes('stock') ||
-          lowerPrompt.includes('reorder') || lowerPrompt.includes('compare') ||
-          lowerPrompt.includes('tea') || lowerPrompt.includes('beverage') ||
-          lowerPrompt.includes('show') || lowerPrompt.includes('list')) {
+      progress.status('query', 'Searching business data');
 
-        contextData.products = await db.run(SELECT.from(Products).limit(20));
+      const relevant = await businessIndex.searchByEntity(prompt, { Products: 20, Categories: 5, Suppliers: 5, Customers: 10 });
+      const contextData = Object.fromEntries(Object.entries(relevant).filter(([, records]) => records.length > 0));
+      contextData.metrics = await this.getBusinessMetrics();
 
-        // Add specific analysis for inventory-related queries
-        if (lowerPrompt.includes('reorder') || lowerPrompt.includes('stock')) {
-          contextData.lowStock = contextData.products.filter(p => p.UnitsInStock < 20);
-          contextData.outOfStock = contextData.products.filter(p => p.UnitsInStock === 0);
-          contextData.highStock = contextData.products.filter(p => p.UnitsInStock > 100);
-        }
-      }
-
-      // Get customer data if relevant
-      if (lowerPrompt.includes('customer') || lowerPrompt.includes('client')) {
-        contextData.customers = await db.run(SELECT.from(Customers).limit(10));
+      // Inventory questions need the actual stock situation, not only matching names
+      if (lowerPrompt.includes('reorder') || lowerPrompt.includes('stock')) {
+        contextData.lowStock = await db.run(SELECT.from(Products).where({ UnitsInStock: { '<': 20 } }).orderBy('UnitsInStock'));
+        contextData.outOfStock = contextData.lowStock.filter(p => p.UnitsInStock === 0);
+        contextData.highStock = await db.run(SELECT.from(Products).where({ UnitsInStock: { '>': 100 } }));
       }
 
-      // If no specific data type detected, get general overview
+      // Nothing matched - give an overview: most valuable inventory and a few customers
       if (!contextData.products && !contextData.customers) {
-        contextData.products = await db.run(SELECT.from(Products).limit(10));
+        const products = await db.run(SELECT.from(Products));
+        contextData.products = products
+          .sort((a, b) => (b.UnitPrice * b.UnitsInStock) - (a.UnitPrice * a.UnitsInStock))
+          .slice(0, 10);
         contextData.customers = await db.run(SELECT.from(Customers).limit(5));
       }
 
@@ -876,17 +1267,17 @@ RESPONSE:`;
         return await this.handleCustomerQuery(prompt, startTime);
       }
 
-      // Try Cohere AI for general questions, with intelligent fallback
-      if (COHERE_KEY) {
-        console.log(`🤖 Attempting Cohere AI for general query: "${prompt}"`);
+      // Try the LLM for general questions, with intelligent fallback
+      if (llm.isAvailable()) {
+        console.log(`🤖 Attempting ${llm.describe()} for general query: "${prompt}"`);
         try {
-          return await this.callCohereAI(prompt, startTime);
+          return await this.callLLM(prompt, startTime);
         } catch (error) {
-          console.log(`⚠️ Cohere AI failed, using intelligent mock response`);
+          console.log(`⚠️ LLM call failed, using intelligent mock response`);
           return this.createIntelligentMockResponse(prompt, startTime);
         }
       } else {
-        console.log(`❌ No COHERE_API_KEY found, using intelligent mock response`);
+        console.log(`❌ No LLM provider configured, using intelligent mock response`);
         return this.createIntelligentMockResponse(prompt, startTime);
       }
 
@@ -909,20 +1300,6 @@ RESPONSE:`;
     }
   };
 
-  /**
-   * Check if query is asking for business intelligence/analysis
-   */
-  this.isBusinessIntelligenceQuery = function(prompt) {
-    const biKeywords = [
-      'should i reorder', 'reorder', 'best for', 'recommend', 'suggestion', 'advice',
-      'which product', 'what product', 'most profitable', 'insights', 'analysis',
-      'best choice', 'optimal', 'strategy', 'business', 'profitable', 'revenue',
-      'margin', 'performance', 'trend', 'forecast', 'predict'
-    ];
-    const lowerPrompt = prompt.toLowerCase();
-    return biKeywords.some(keyword => lowerPrompt.includes(keyword));
-  };
-
   /**
    * Check if query is asking for specific data (not analysis)
    */
@@ -1022,21 +1399,6 @@ RESPONSE:`;
     return analyticsKeywords.some(keyword => lowerPrompt.includes(keyword));
   };
 
-  /**
-   * Check if this is casual chat
-   */
-  this.isCasualChat = function(prompt) {
-    const casualPhrases = [
-      'all good', 'ok', 'okay', 'thanks', 'thank you', 'bye', 'goodbye',
-      'cool', 'nice', 'great', 'awesome', 'perfect', 'excellent',
-      'got it', 'understood', 'alright', 'fine', 'good', 'yes', 'no',
-      'sure', 'yep', 'nope', 'right', 'correct'
-    ];
-
-    const lowerPrompt = prompt.toLowerCase().trim();
-    return casualPhrases.includes(lowerPrompt) || lowerPrompt.length < 10;
-  };
-
   /**
    * Handle casual chat responses
    */
@@ -1045,15 +1407,15 @@ RESPONSE:`;
     let reply = "";
 
     if (lowerPrompt.includes('good') || lowerPrompt.includes('great') || lowerPrompt.includes('perfect')) {
-      reply = "Great! I'm glad everything is working well. Is there anything else you'd like to do with your business data?";
+      reply = message("casual.good");
     } else if (lowerPrompt.includes('thank') || lowerPrompt.includes('thanks')) {
-      reply = "You're welcome! I'm here whenever you need help with your business operations.";
+      reply = message("casual.thanks");
     } else if (lowerPrompt.includes('bye') || lowerPrompt.includes('goodbye')) {
-      reply = "Goodbye! Feel free to come back anytime for business assistance.";
+      reply = message("casual.bye");
     } else if (lowerPrompt.includes('ok') || lowerPrompt.includes('okay') || lowerPrompt.includes('alright')) {
-      reply = "👍 Understood! Let me know if you need help with products, customers, or any business operations.";
+      reply = message("casual.ok");
     } else {
-      reply = "I'm here to help with your business operations! Try asking me about products, customers, or any transactions you need to perform.";
+      reply = message("casual.default");
     }
 
     return {
@@ -1065,44 +1427,6 @@ RESPONSE:`;
     };
   };
 
-  /**
-   * Check if this is an alert request
-   */
-  this.isAlertRequest = function(prompt, analysis) {
-    const lowerPrompt = prompt.toLowerCase();
-
-    // Check for explicit alert keywords
-    const alertKeywords = [
-      'notify', 'alert', 'warn', 'notification', 'monitor', 'watch',
-      'threshold', 'trigger', 'alarm', 'reminder', 'check'
-    ];
-
-    const hasAlertKeywords = alertKeywords.some(keyword => lowerPrompt.includes(keyword));
-
-    // Check for alert patterns
-    const alertPatterns = [
-      /notify.*when/i,
-      /alert.*if/i,
-      /warn.*when/i,
-      /monitor.*for/i,
-      /watch.*for/i,
-      /set.*alert/i,
-      /create.*notification/i,
-      /threshold.*for/i
-    ];
-
-    const hasAlertPatterns = alertPatterns.some(pattern => pattern.test(prompt));
-
-    // Check intent analysis
-    const isAlertIntent = analysis &&
-      (analysis.intent.intent === 'ALERT_REQUEST' || analysis.intent.intent === 'NOTIFICATION_REQUEST') &&
-      analysis.intent.confidence > 0.5;
-
-    console.log(`🔍 Alert detection: keywords=${hasAlertKeywords}, patterns=${hasAlertPatterns}, intent=${analysis?.intent?.intent}`);
-
-    return hasAlertKeywords || hasAlertPatterns || isAlertIntent;
-  };
-
   /**
    * Handle alert requests
    */
@@ -1120,24 +1444,21 @@ RESPONSE:`;
         return await this.handleAlertManagementRequest(prompt, startTime);
       }
 
-      // Otherwise, try to create a new alert rule
-      const result = await alertManager.createAlertFromNaturalLanguage(prompt);
+      // Otherwise, try to create a new alert rule (for the product named in it, if any)
+      const [product] = await entityResolver.resolve(prompt, { types: ["product"] });
+      const result = await alertManager.createAlertFromNaturalLanguage(prompt, { product });
 
       let reply = '';
       if (result.success) {
-        reply = `✅ **Alert Created Successfully!**\n\n`;
-        reply += `🚨 **Alert Rule:** ${result.rule.name}\n`;
-        reply += `📋 **Description:** ${result.description}\n`;
-        reply += `⚡ **Priority:** ${result.rule.priority.toUpperCase()}\n`;
-        reply += `📢 **Channels:** ${result.rule.channels.join(', ')}\n`;
-        reply += `🎯 **Threshold:** ${result.rule.threshold}\n\n`;
-        reply += `🔍 **Monitoring:** This alert is now active and will monitor your business data.\n`;
-        reply += `📊 **Status:** You can check alert status with "show alert status"\n\n`;
-        reply += `💡 **Test Alert:** Try "check alerts now" to trigger immediate checking`;
+        reply = message("alert.created", {
+          name: result.rule.name,
+          description: result.description,
+          priority: result.rule.priority.toUpperCase(),
+          channels: result.rule.channels.join(', '),
+          threshold: result.rule.threshold
+        });
       } else {
-        reply = `❌ **Alert Creation Failed**\n\n`;
-        reply += `**Issue:** ${result.message}\n\n`;
-        reply += `💡 **Try these examples:**\n`;
+        reply = message("alert.failed", { message: result.message });
         result.suggestions?.forEach(suggestion => {
           reply += `• "${suggestion}"\n`;
         });
@@ -1155,7 +1476,7 @@ RESPONSE:`;
     } catch (error) {
       console.error("❌ Error in alert request:", error);
       return {
-        reply: `Alert processing failed: ${error.message}. Please try again with a simpler alert request.`,
+        reply: message("alert.error", { message: error.message }),
         success: false,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime
@@ -1183,19 +1504,20 @@ RESPONSE:`;
       const status = alertManager.getSystemStatus();
       const activity = alertManager.getRecentActivity(5);
 
-      let reply = `📊 **Alert System Status**\n\n`;
+      let reply = message("alertStatus.title");
 
       // System status
-      reply += `🔧 **System Status:**\n`;
-      reply += `• **Monitoring:** ${status.monitoring ? '✅ Active' : '❌ Inactive'}\n`;
-      reply += `• **Total Rules:** ${status.alertEngine.totalRules}\n`;
-      reply += `• **Active Rules:** ${status.alertEngine.enabledRules}\n`;
-      reply += `• **Total Alerts:** ${status.alertEngine.totalAlerts}\n`;
-      reply += `• **Unacknowledged:** ${status.alertEngine.unacknowledgedAlerts}\n\n`;
+      reply += message("alertStatus.system", {
+        monitoring: message(status.monitoring ? "alertStatus.active" : "alertStatus.inactive"),
+        totalRules: status.alertEngine.totalRules,
+        enabledRules: status.alertEngine.enabledRules,
+        totalAlerts: status.alertEngine.totalAlerts,
+        unacknowledged: status.alertEngine.unacknowledgedAlerts
+      });
 
       // Recent alerts
       if (activity.alerts.length > 0) {
-        reply += `🚨 **Recent Alerts:**\n`;
+        reply += message("alertStatus.recent");
         activity.alerts.slice(0, 3).forEach(alert => {
           const timeAgo = this.getTimeAgo(alert.timestamp);
           const status = alert.acknowledged ? '✅' : '⚠️';
@@ -1205,17 +1527,17 @@ RESPONSE:`;
       }
 
       // Notification stats
-      reply += `📧 **Notifications:**\n`;
-      reply += `• **In-App:** ${status.notifications.inApp} (${status.notifications.unread} unread)\n`;
-      reply += `• **Email Sent:** ${status.notifications.channels.email || 0}\n`;
-      reply += `• **SMS Sent:** ${status.notifications.channels.sms || 0}\n\n`;
+      reply += message("alertStatus.notifications", {
+        inApp: status.notifications.inApp,
+        unread: status.notifications.unread,
+        email: status.notifications.channels.email || 0,
+        sms: status.notifications.channels.sms || 0
+      });
 
       // Recipients
-      reply += `👥 **Recipients:**\n`;
-      reply += `• **Email:** ${status.recipients.email} configured\n`;
-      reply += `• **Phone:** ${status.recipients.phone} configured\n\n`;
+      reply += message("alertStatus.recipients", { email: status.recipients.email, phone: status.recipients.phone });
 
-      reply += `💡 **Commands:** "create alert", "check alerts now", "show alert rules"`;
+      reply += message("alertStatus.commands");
 
       return {
         reply: reply,
@@ -1229,7 +1551,7 @@ RESPONSE:`;
     } catch (error) {
       console.error("❌ Error getting alert status:", error);
       return {
-        reply: `Failed to get alert status: ${error.message}`,
+        reply: message("alertStatus.error", { message: error.message }),
         success: false,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime
@@ -1261,7 +1583,7 @@ RESPONSE:`;
         const result = await alertManager.checkAlertsNow();
 
         return {
-          reply: `🔍 **Manual Alert Check Completed**\n\nAll alert rules have been checked against current business data. Any triggered alerts will appear in your notifications.`,
+          reply: message("alertCheck.done"),
           success: true,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime,
@@ -1273,17 +1595,17 @@ RESPONSE:`;
         // Show all alert rules
         const rules = alertManager.getAllAlertRules();
 
-        let reply = `📋 **Alert Rules (${rules.length} total)**\n\n`;
+        let reply = message("alertRules.title", { count: rules.length });
 
         rules.forEach(rule => {
           const status = rule.enabled ? '✅' : '❌';
           const priority = rule.priority.toUpperCase();
           reply += `${status} **${rule.name}** (${priority})\n`;
           reply += `   📝 ${rule.description}\n`;
-          reply += `   🎯 Threshold: ${rule.threshold}\n`;
-          reply += `   📢 Channels: ${rule.channels.join(', ')}\n`;
+          reply += `   🎯 ${message("alertRules.threshold")}: ${rule.threshold}\n`;
+          reply += `   📢 ${message("alertRules.channels")}: ${rule.channels.join(', ')}\n`;
           if (rule.lastTriggered) {
-            reply += `   ⏰ Last triggered: ${this.getTimeAgo(rule.lastTriggered)}\n`;
+            reply += `   ⏰ ${message("alertRules.lastTriggered")}: ${this.getTimeAgo(rule.lastTriggered)}\n`;
           }
           reply += `\n`;
         });
@@ -1299,7 +1621,7 @@ RESPONSE:`;
       }
 
       return {
-        reply: `Alert management command not recognized. Try: "check alerts now" or "show alert rules"`,
+        reply: message("alertManagement.unknown"),
         success: false,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime
@@ -1308,7 +1630,7 @@ RESPONSE:`;
     } catch (error) {
       console.error("❌ Error in alert management:", error);
       return {
-        reply: `Alert management failed: ${error.message}`,
+        reply: message("alertManagement.error", { message: error.message }),
         success: false,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime
@@ -1327,34 +1649,10 @@ RESPONSE:`;
     const diffHours = Math.floor(diffMins / 60);
     const diffDays = Math.floor(diffHours / 24);
 
-    if (diffMins < 1) return 'just now';
-    if (diffMins < 60) return `${diffMins}m ago`;
-    if (diffHours < 24) return `${diffHours}h ago`;
-    return `${diffDays}d ago`;
-  };
-
-  /**
-   * Check if this is a reporting request
-   */
-  this.isReportingRequest = function(prompt, analysis) {
-    const lowerPrompt = prompt.toLowerCase();
-
-    // Check for explicit reporting keywords
-    const reportingKeywords = [
-      'report', 'export', 'download', 'generate', 'pdf', 'excel', 'xlsx',
-      'summary', 'analysis', 'statistics', 'chart', 'graph'
-    ];
-
-    const hasReportingKeywords = reportingKeywords.some(keyword => lowerPrompt.includes(keyword));
-
-    // Check intent analysis
-    const isReportIntent = analysis &&
-      (analysis.intent.intent === 'REPORT_REQUEST' || analysis.intent.intent === 'REPORT_GENERATION') &&
-      analysis.intent.confidence > 0.5;
-
-    console.log(`🔍 Reporting detection: keywords=${hasReportingKeywords}, intent=${analysis?.intent?.intent}, confidence=${analysis?.intent?.confidence}`);
-
-    return hasReportingKeywords || isReportIntent;
+    if (diffMins < 1) return message("timeAgo.now");
+    if (diffMins < 60) return message("timeAgo.minutes", { count: diffMins });
+    if (diffHours < 24) return message("timeAgo.hours", { count: diffHours });
+    return message("timeAgo.days", { count: diffDays });
   };
 
   /**
@@ -1369,7 +1667,7 @@ RESPONSE:`;
 
       if (!reportRequest.success) {
         return {
-          reply: reportRequest.error || "I couldn't understand your report request. Try: 'Export products as PDF' or 'Download inventory report as Excel'",
+          reply: reportRequest.error || message("report.invalid"),
           success: false,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime
@@ -1377,11 +1675,11 @@ RESPONSE:`;
       }
 
       // Get the data for the report
-      const reportData = await this.getReportData(reportRequest.dataType);
+      const reportData = await this.getReportData(reportRequest.dataType, { period: reportRequest.period });
 
       if (!reportData.success) {
         return {
-          reply: `Failed to get data for ${reportRequest.dataType} report: ${reportData.error}`,
+          reply: message("report.dataFailed", { type: reportRequest.dataType, error: reportData.error }),
           success: false,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime
@@ -1404,7 +1702,7 @@ RESPONSE:`;
         );
       } else {
         return {
-          reply: `Report format '${reportRequest.format}' is not supported. Available formats: PDF, Excel`,
+          reply: message("report.unsupportedFormat", { format: reportRequest.format }),
           success: false,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime
@@ -1415,16 +1713,16 @@ RESPONSE:`;
       const stats = reportGenerator.generateSummaryStats(reportData.data, reportRequest.dataType);
 
       // Create response
-      let reply = `✅ **Report Generated Successfully!**\n\n`;
-      reply += `📊 **Report Details:**\n`;
-      reply += `• **Type**: ${reportRequest.title}\n`;
-      reply += `• **Format**: ${reportRequest.format.toUpperCase()}\n`;
-      reply += `• **Records**: ${reportData.data.length}\n`;
-      reply += `• **File**: ${reportResult.fileName}\n\n`;
+      let reply = message("report.generated", {
+        title: reportRequest.title,
+        format: reportRequest.format.toUpperCase(),
+        records: reportData.data.length,
+        file: reportResult.fileName
+      });
 
       // Add summary statistics
       if (stats && Object.keys(stats).length > 0) {
-        reply += `📈 **Summary Statistics:**\n`;
+        reply += message("report.statistics");
         Object.entries(stats).forEach(([key, value]) => {
           const displayKey = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
           reply += `• **${displayKey}**: ${value}\n`;
@@ -1432,9 +1730,7 @@ RESPONSE:`;
         reply += `\n`;
       }
 
-      reply += `💾 **Download**: The report has been generated and is ready for download.\n`;
-      reply += `🔗 **Direct Download**: http://localhost:4004/download/${reportResult.fileName}\n`;
-      reply += `📁 **File Location**: ${reportResult.downloadUrl}`;
+      reply += message("report.download", { file: reportResult.fileName, downloadUrl: reportResult.downloadUrl });
 
       return {
         reply: reply,
@@ -1452,7 +1748,7 @@ RESPONSE:`;
     } catch (error) {
       console.error("❌ Error in reporting request:", error);
       return {
-        reply: `Report generation failed: ${error.message}. Please try again or contact support.`,
+        reply: message("report.error", { message: error.message }),
         success: false,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime
@@ -1546,171 +1842,6 @@ RESPONSE:`;
     }
   };
 
-  /**
-   * Handle business intelligence queries
-   */
-  this.handleBusinessIntelligenceQuery = async function(prompt, startTime) {
-    try {
-      console.log(`📊 Processing business intelligence query: "${prompt}"`);
-
-      const db = await cds.connect.to('db');
-      const { Products } = db.entities;
-
-      // Get all products for analysis
-      const allProducts = await db.run(SELECT.from(Products));
-
-      const lowerPrompt = prompt.toLowerCase();
-      let result = {};
-      let responseText = "";
-
-      // Average price queries
-      if (lowerPrompt.includes('average') && lowerPrompt.includes('price')) {
-        const avgPrice = allProducts.reduce((sum, p) => sum + (p.Price || 0), 0) / allProducts.length;
-        const minPrice = Math.min(...allProducts.map(p => p.Price || 0));
-        const maxPrice = Math.max(...allProducts.map(p => p.Price || 0));
-        result.averagePrice = avgPrice.toFixed(2);
-
-        responseText = `📊 **Average Product Price Analysis**\n\n`;
-        responseText += `• **Average Price**: $${result.averagePrice} USD\n`;
-        responseText += `• **Lowest Price**: $${minPrice} USD\n`;
-        responseText += `• **Highest Price**: $${maxPrice} USD\n`;
-        responseText += `• **Price Range**: $${(maxPrice - minPrice).toFixed(2)} spread\n`;
-        responseText += `• **Sample Size**: ${allProducts.length} products\n\n`;
-        responseText += `💡 **Insights**: Price distribution across our complete catalog`;
-      }
-
-      // Total value queries
-      else if (lowerPrompt.includes('total') && (lowerPrompt.includes('value') || lowerPrompt.includes('inventory'))) {
-        const totalValue = allProducts.reduce((sum, p) => sum + ((p.Price || 0) * (p.InStock || 0)), 0);
-        const avgValuePerProduct = totalValue / allProducts.length;
-        const productsInStock = allProducts.filter(p => (p.InStock || 0) > 0).length;
-        result.totalInventoryValue = totalValue.toFixed(2);
-
-        responseText = `💰 **Total Inventory Value Analysis**\n\n`;
-        responseText += `• **Total Value**: $${result.totalInventoryValue} USD\n`;
-        responseText += `• **Products Analyzed**: ${allProducts.length} items\n`;
-        responseText += `• **Products in Stock**: ${productsInStock} items\n`;
-        responseText += `• **Average Value per Product**: $${avgValuePerProduct.toFixed(2)}\n`;
-        responseText += `• **Calculation Method**: Unit price × Stock quantity\n\n`;
-        responseText += `💡 **Business Impact**: Represents current inventory investment`;
-      }
-
-      // Count queries
-      else if (lowerPrompt.includes('how many') || lowerPrompt.includes('count')) {
-        if (lowerPrompt.includes('low stock') || lowerPrompt.includes('critical')) {
-          const lowStockProducts = allProducts.filter(p => (p.InStock || 0) < 10 && (p.InStock || 0) > 0);
-          result.lowStockCount = lowStockProducts.length;
-          responseText = `⚠️ **Low Stock Alert**: ${result.lowStockCount} products have critical stock levels (below 10 units)\n\n`;
-          if (lowStockProducts.length > 0) {
-            responseText += "**Products needing attention:**\n";
-            lowStockProducts.slice(0, 5).forEach(p => {
-              responseText += `• ${p.ProductName}: ${p.InStock} units remaining\n`;
-            });
-            if (lowStockProducts.length > 5) {
-              responseText += `... and ${lowStockProducts.length - 5} more products`;
-            }
-          }
-        } else if (lowerPrompt.includes('out of stock') || lowerPrompt.includes('unavailable')) {
-          const outOfStockProducts = allProducts.filter(p => (p.InStock || 0) === 0);
-          result.outOfStockCount = outOfStockProducts.length;
-          responseText = `❌ **Out of Stock**: ${result.outOfStockCount} products are currently unavailable\n\n`;
-          if (outOfStockProducts.length > 0) {
-            responseText += "**Out of stock products:**\n";
-            outOfStockProducts.slice(0, 5).forEach(p => {
-              responseText += `• ${p.ProductName}\n`;
-            });
-            if (outOfStockProducts.length > 5) {
-              responseText += `... and ${outOfStockProducts.length - 5} more products`;
-            }
-          }
-        } else {
-          result.totalProducts = allProducts.length;
-          responseText = `📦 **Total Products**: ${result.totalProducts} products in our catalog`;
-        }
-      }
-
-      // Most expensive/cheapest queries
-      else if (lowerPrompt.includes('most expensive') || lowerPrompt.includes('highest price')) {
-        const mostExpensive = allProducts.reduce((max, p) => (p.Price || 0) > (max.Price || 0) ? p : max, allProducts[0]);
-        result.mostExpensive = mostExpensive;
-        responseText = `💎 **Most Expensive Product**: ${mostExpensive.ProductName}\n\n**Price**: $${mostExpensive.Price} USD\n**Stock**: ${mostExpensive.InStock} units\n**Category**: ${mostExpensive.Category}`;
-      }
-
-      else if (lowerPrompt.includes('cheapest') || lowerPrompt.includes('lowest price')) {
-        const cheapest = allProducts.reduce((min, p) => (p.Price || Infinity) < (min.Price || Infinity) ? p : min, allProducts[0]);
-        result.cheapest = cheapest;
-        responseText = `💰 **Cheapest Product**: ${cheapest.ProductName}\n\n**Price**: $${cheapest.Price} USD\n**Stock**: ${cheapest.InStock} units\n**Category**: ${cheapest.Category}`;
-      }
-
-      // Category breakdown
-      else if (lowerPrompt.includes('category') || lowerPrompt.includes('breakdown')) {
-        const categoryStats = {};
-        allProducts.forEach(p => {
-          const cat = p.Category || 'Uncategorized';
-          if (!categoryStats[cat]) {
-            categoryStats[cat] = { count: 0, totalValue: 0, avgPrice: 0 };
-          }
-          categoryStats[cat].count++;
-          categoryStats[cat].totalValue += (p.Price || 0) * (p.InStock || 0);
-        });
-
-        // Calculate average prices
-        Object.keys(categoryStats).forEach(cat => {
-          const products = allProducts.filter(p => (p.Category || 'Uncategorized') === cat);
-          categoryStats[cat].avgPrice = products.reduce((sum, p) => sum + (p.Price || 0), 0) / products.length;
-        });
-
-        result.categoryBreakdown = categoryStats;
-        responseText = `📊 **Product Category Breakdown**:\n\n`;
-        Object.entries(categoryStats).forEach(([category, stats]) => {
-          responseText += `**${category}**:\n`;
-          responseText += `• Products: ${stats.count}\n`;
-          responseText += `• Avg Price: $${stats.avgPrice.toFixed(2)}\n`;
-          responseText += `• Inventory Value: $${stats.totalValue.toFixed(2)}\n\n`;
-        });
-      }
-
-      // Default fallback
-      else {
-        const stats = {
-          totalProducts: allProducts.length,
-          avgPrice: (allProducts.reduce((sum, p) => sum + (p.Price || 0), 0) / allProducts.length).toFixed(2),
-          lowStock: allProducts.filter(p => (p.InStock || 0) < 10 && (p.InStock || 0) > 0).length,
-          outOfStock: allProducts.filter(p => (p.InStock || 0) === 0).length
-        };
-
-        result.generalStats = stats;
-        responseText = `📊 **Business Intelligence Summary**:\n\n`;
-        responseText += `• **Total Products**: ${stats.totalProducts}\n`;
-        responseText += `• **Average Price**: $${stats.avgPrice} USD\n`;
-        responseText += `• **Low Stock Items**: ${stats.lowStock}\n`;
-        responseText += `• **Out of Stock**: ${stats.outOfStock}\n\n`;
-        responseText += `💡 Try asking: "What's our most expensive product?" or "How many products are low stock?"`;
-      }
-
-      const duration = Date.now() - startTime;
-      console.log(`✅ Business intelligence query completed in ${duration}ms`);
-
-      return {
-        reply: responseText,
-        success: true,
-        timestamp: new Date().toISOString(),
-        processingTime: duration,
-        type: "business_intelligence",
-        data: result
-      };
-
-    } catch (error) {
-      console.error("❌ Error in business intelligence query:", error);
-      return {
-        reply: `I encountered an error while analyzing the business data: ${error.message}. Please try a simpler query.`,
-        success: false,
-        timestamp: new Date().toISOString(),
-        processingTime: Date.now() - startTime
-      };
-    }
-  };
-
   /**
    * Handle analytics queries
    */
@@ -1879,118 +2010,229 @@ RESPONSE:`;
       // Check for specific product ID
       const productIds = this.extractProductIds(prompt);
 
-      // Check for stock-based queries
-      const stockQuery = this.parseStockQuery(prompt);
+      // Filters, sorting, grouping and product names go through validated text-to-CQL
+      if (productIds.length === 0) {
+        return await this.handleStructuredQuery(prompt, startTime, null, await entityResolver.resolve(prompt));
+      }
 
-      // Check for price-based queries
-      const priceQuery = this.parsePriceQuery(prompt);
+      progress.status('query', 'Querying Products');
 
-      let query;
-      let queryDescription = "";
+      console.log(`🎯 Looking for specific products: ${productIds.join(', ')}`);
+      const queryDescription = `Products with IDs: ${productIds.join(', ')}`;
+      const products = await db.run(SELECT.from(Products).where({ ID: { in: productIds } }));
 
-      if (productIds.length > 0) {
-        console.log(`🎯 Looking for specific products: ${productIds.join(', ')}`);
-        query = SELECT.from(Products).where({ ID: { in: productIds } });
-        queryDescription = `Products with IDs: ${productIds.join(', ')}`;
-      } else if (stockQuery.isStockQuery) {
-        console.log(`📦 Stock-based query: ${stockQuery.condition} ${stockQuery.threshold}`);
-        query = this.buildStockQuery(Products, stockQuery);
-        queryDescription = `Products with stock ${stockQuery.condition} ${stockQuery.threshold} units`;
-      } else if (priceQuery.isPriceQuery) {
-        console.log(`💰 Price-based query: ${priceQuery.condition} ${priceQuery.threshold}`);
-        query = this.buildPriceQuery(Products, priceQuery);
-        queryDescription = `Products with price ${priceQuery.condition} $${priceQuery.threshold}`;
+      if (products.length === 0) {
+        return {
+          reply: `No products found matching your criteria: "${queryDescription}". Please try a different query.`,
+          success: false,
+          timestamp: new Date().toISOString(),
+          processingTime: Date.now() - startTime
+        };
+      }
+
+      const responseText = this.formatProductResults(products, queryDescription);
+
+      return {
+        reply: responseText,
+        success: true,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        data: products,
+        type: "product_query",
+        query: { description: queryDescription, count: products.length }
+      };
+
+    } catch (error) {
+      console.error("❌ Error in product query:", error);
+      return {
+        reply: `I encountered an error while fetching products: ${error.message}`,
+        success: false,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime
+      };
+    }
+  };
+
+  /**
+   * Format product rows with stock status and inventory summary
+   */
+  this.formatProductResults = function(products, queryDescription, offset = 0) {
+    let responseText = `📊 **${queryDescription}**\n\n`;
+    responseText += `Found **${products.length} product(s)**:\n\n`;
+
+    products.forEach((product, index) => {
+      let stockStatus, stockMessage;
+
+      if (product.UnitsInStock === 0) {
+        stockStatus = '🔴 NOT AVAILABLE';
+        stockMessage = 'Immediate reorder required';
+      } else if (product.UnitsInStock < 10) {
+        stockStatus = '🟡 CRITICAL LOW';
+        stockMessage = 'Urgent restocking needed';
+      } else if (product.UnitsInStock < 20) {
+        stockStatus = '🟠 LOW STOCK';
+        stockMessage = 'Consider reordering soon';
       } else {
-        // Default: show all products (limited)
-        query = SELECT.from(Products).limit(10);
-        queryDescription = "All products (showing first 10)";
+        stockStatus = '🟢 AVAILABLE';
+        stockMessage = 'Good stock levels';
       }
 
-      const products = await db.run(query);
+      responseText += `**${offset + index + 1}. ${product.ProductName}** (ID: ${product.ID})\n`;
+      responseText += `   💰 **Price**: $${product.UnitPrice}\n`;
+      responseText += `   📦 **Stock**: ${product.UnitsInStock} units - ${stockStatus}\n`;
+      responseText += `   💡 **Status**: ${stockMessage}\n`;
+      if (product.Description) {
+        responseText += `   📝 **Description**: ${product.Description}\n`;
+      }
+      responseText += `\n`;
+    });
 
-      if (products.length === 0) {
+    // Add summary statistics
+    if (products.length > 1) {
+      const totalValue = products.reduce((sum, p) => sum + (p.UnitPrice * p.UnitsInStock), 0);
+      const avgPrice = products.reduce((sum, p) => sum + p.UnitPrice, 0) / products.length;
+      const notAvailable = products.filter(p => p.UnitsInStock === 0).length;
+      const criticalLow = products.filter(p => p.UnitsInStock < 10 && p.UnitsInStock > 0).length;
+      const lowStock = products.filter(p => p.UnitsInStock >= 10 && p.UnitsInStock < 20).length;
+      const available = products.filter(p => p.UnitsInStock >= 20).length;
+
+      responseText += `📈 **Inventory Summary**:\n`;
+      responseText += `• **Total Value**: $${totalValue.toFixed(2)}\n`;
+      responseText += `• **Average Price**: $${avgPrice.toFixed(2)}\n`;
+      responseText += `• 🔴 **Not Available**: ${notAvailable} products\n`;
+      responseText += `• 🟡 **Critical Low** (< 10): ${criticalLow} products\n`;
+      responseText += `• 🟠 **Low Stock** (10-19): ${lowStock} products\n`;
+      responseText += `• 🟢 **Available** (20+): ${available} products\n`;
+
+      // Add actionable recommendations
+      if (notAvailable > 0 || criticalLow > 0) {
+        responseText += `\n⚠️ **Action Required**:\n`;
+        if (notAvailable > 0) {
+          responseText += `• **Urgent**: ${notAvailable} products need immediate reordering\n`;
+        }
+        if (criticalLow > 0) {
+          responseText += `• **Priority**: ${criticalLow} products need restocking within 24-48 hours\n`;
+        }
+      }
+    }
+
+    return responseText;
+  };
+
+  /**
+   * Handle filtered, sorted or grouped queries via validated text-to-CQL
+   * @param {object} [refined] - Query already compiled from a follow-up
+   * @param {Array<object>} [references] - Records resolved from the prompt, filtered on by key
+   */
+  this.handleStructuredQuery = async function(prompt, startTime, refined = null, references = []) {
+    try {
+      const generated = refined || await TextToCQL.generate(prompt, { llm, references });
+
+      if (!generated.valid) {
         return {
-          reply: `No products found matching your criteria: "${queryDescription}". Please try a different query.`,
+          reply: `I couldn't build a valid query for your request:\n• ${generated.errors.join('\n• ')}\n\nPlease rephrase your question.`,
           success: false,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime
         };
       }
 
-      // Generate response with analysis
-      let responseText = `📊 **${queryDescription}**\n\n`;
-      responseText += `Found **${products.length} product(s)**:\n\n`;
+      const { query, description, source } = generated;
+      console.log(`🧾 ${{ llm: "Generated", rules: "Rule-based", "follow-up": "Refined" }[source]} query: ${description}`);
 
-      products.forEach((product, index) => {
-        let stockStatus, stockMessage;
+      // Rows are fetched page by page as an OData query; aggregations run as CQL
+      const odata = ODataParser.fromQuery(query);
+      if (odata) {
+        return await this.handleQueryPage(odata, { description, structured: query, source, references }, startTime);
+      }
 
-        if (product.UnitsInStock === 0) {
-          stockStatus = '🔴 NOT AVAILABLE';
-          stockMessage = 'Immediate reorder required';
-        } else if (product.UnitsInStock < 10) {
-          stockStatus = '🟡 CRITICAL LOW';
-          stockMessage = 'Urgent restocking needed';
-        } else if (product.UnitsInStock < 20) {
-          stockStatus = '🟠 LOW STOCK';
-          stockMessage = 'Consider reordering soon';
-        } else {
-          stockStatus = '🟢 AVAILABLE';
-          stockMessage = 'Good stock levels';
-        }
+      progress.status('query', `Querying ${query.entity}`);
 
-        responseText += `**${index + 1}. ${product.ProductName}** (ID: ${product.ID})\n`;
-        responseText += `   💰 **Price**: $${product.UnitPrice}\n`;
-        responseText += `   📦 **Stock**: ${product.UnitsInStock} units - ${stockStatus}\n`;
-        responseText += `   💡 **Status**: ${stockMessage}\n`;
-        if (product.Description) {
-          responseText += `   📝 **Description**: ${product.Description}\n`;
-        }
-        responseText += `\n`;
-      });
+      const catalog = await cds.connect.to('CatalogService');
+      const rows = await catalog.run(generated.cql);
+      const { filter } = generated;
+      const queryInfo = { description, count: rows.length, source, structured: query, ...(filter && { filter }), ...(references.length && { references }) };
+      const matched = (references.length ? `🔗 ${EntityResolver.describe(references).join('\n🔗 ')}\n` : "") +
+        (filter ? `🔎 **Filter:** \`${filter}\`\n` : "");
 
-      // Add summary statistics
-      if (products.length > 1) {
-        const totalValue = products.reduce((sum, p) => sum + (p.UnitPrice * p.UnitsInStock), 0);
-        const avgPrice = products.reduce((sum, p) => sum + p.UnitPrice, 0) / products.length;
-        const notAvailable = products.filter(p => p.UnitsInStock === 0).length;
-        const criticalLow = products.filter(p => p.UnitsInStock < 10 && p.UnitsInStock > 0).length;
-        const lowStock = products.filter(p => p.UnitsInStock >= 10 && p.UnitsInStock < 20).length;
-        const available = products.filter(p => p.UnitsInStock >= 20).length;
-
-        responseText += `📈 **Inventory Summary**:\n`;
-        responseText += `• **Total Value**: $${totalValue.toFixed(2)}\n`;
-        responseText += `• **Average Price**: $${avgPrice.toFixed(2)}\n`;
-        responseText += `• 🔴 **Not Available**: ${notAvailable} products\n`;
-        responseText += `• 🟡 **Critical Low** (< 10): ${criticalLow} products\n`;
-        responseText += `• 🟠 **Low Stock** (10-19): ${lowStock} products\n`;
-        responseText += `• 🟢 **Available** (20+): ${available} products\n`;
-
-        // Add actionable recommendations
-        if (notAvailable > 0 || criticalLow > 0) {
-          responseText += `\n⚠️ **Action Required**:\n`;
-          if (notAvailable > 0) {
-            responseText += `• **Urgent**: ${notAvailable} products need immediate reordering\n`;
-          }
-          if (criticalLow > 0) {
-            responseText += `• **Priority**: ${criticalLow} products need restocking within 24-48 hours\n`;
-          }
-        }
+      if (rows.length === 0) {
+        return {
+          reply: `${matched}${matched && "\n"}No ${query.entity} found matching your criteria: "${description}". Please try a different query.`,
+          success: false,
+          timestamp: new Date().toISOString(),
+          processingTime: Date.now() - startTime,
+          query: queryInfo
+        };
       }
 
+      const isProductList = query.entity === "Products" && query.columns.length === 0;
+
+      return {
+        reply: (matched && `${matched}\n`) + (isProductList ? this.formatProductResults(rows, description) : this.formatQueryResults(rows, generated)),
+        success: true,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        data: rows,
+        type: isProductList ? "product_query" : "structured_query",
+        query: queryInfo
+      };
+
+    } catch (error) {
+      console.error("❌ Error in structured query:", error);
+      return {
+        reply: `I encountered an error while running your query: ${error.message}`,
+        success: false,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime
+      };
+    }
+  };
+
+  /**
+   * Answer a data request with a live OData query on CatalogService, for any entity
+   * @param {Array<object>} [references] - Records resolved from the prompt, filtered on by key
+   */
+  this.handleODataQuery = async function(prompt, analysis, startTime, references = []) {
+    try {
+      const query = ODataParser.parseToOData(prompt, analysis, references);
+      console.log(`🌐 OData query: ${ODataParser.describe(query)}`);
+      return await this.handleQueryPage(query, { references }, startTime);
+    } catch (error) {
+      console.error("❌ Error in OData query:", error);
+      return {
+        reply: `I encountered an error while running your query: ${error.message}`,
+        success: false,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime
+      };
+    }
+  };
+
+  /**
+   * Fetch the next page of the session's previous result ("show more")
+   */
+  this.handleNextPage = async function(session, startTime) {
+    const lastResult = session?.lastResult;
+    if (!lastResult?.continuation) {
       return {
-        reply: responseText,
-        success: true,
+        reply: lastResult ?
+          message("page.end", { total: lastResult.total ?? lastResult.count, entity: lastResult.entity }) :
+          message("page.none"),
+        success: !!lastResult,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime,
-        data: products,
-        type: "product_query",
-        query: { description: queryDescription, count: products.length }
+        type: "page_end"
       };
+    }
 
+    try {
+      const query = ODataParser.resume(lastResult.continuation);
+      console.log(`📄 Next page of ${lastResult.entity}: rows from ${query.skip + 1}`);
+      return await this.handleQueryPage(query, { description: lastResult.description, structured: lastResult.query, source: "continuation" }, startTime);
     } catch (error) {
-      console.error("❌ Error in product query:", error);
+      console.error("❌ Error fetching the next page:", error);
       return {
-        reply: `I encountered an error while fetching products: ${error.message}`,
+        reply: `I couldn't fetch more results: ${error.message}`,
         success: false,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime
@@ -1998,10 +2240,100 @@ RESPONSE:`;
     }
   };
 
+  /**
+   * Run one page of an OData query on CatalogService and list its rows
+   * The response carries the query, the total count and the continuation token of the next page.
+   * @param {object} query - OData query parameters from `ODataParser`
+   * @param {object} [context] - { description, structured: `TextToCQL` query it was built from, source, references }
+   */
+  this.handleQueryPage = async function(query, context, startTime) {
+    const { description = ODataParser.describe(query), structured = null, source = "odata", references = [] } = context;
+    progress.status('query', `Querying ${query.entity}`);
+
+    const catalog = await cds.connect.to('CatalogService');
+    const page = await ODataParser.execute(catalog, query);
+    const { rows } = page;
+    const queryInfo = {
+      entity: query.entity,
+      description,
+      ...(query.filter && { filter: query.filter }),
+      url: page.url,
+      count: rows.length,
+      total: page.total,
+      skip: page.skip,
+      continuation: page.continuation,
+      source,
+      ...(structured && { structured }),
+      ...(references.length && { references })
+    };
+    const matched = (references.length ? `🔗 ${EntityResolver.describe(references).join('\n🔗 ')}\n` : "") +
+      (query.filter ? `🔎 **Filter:** \`${query.filter}\`\n` : "");
+
+    if (rows.length === 0) {
+      return {
+        reply: `${matched}${matched && "\n"}No ${query.entity} found matching your criteria: "${description}". Please try a different query.`,
+        success: false,
+        timestamp: new Date().toISOString(),
+        processingTime: Date.now() - startTime,
+        query: queryInfo
+      };
+    }
+
+    const isProductList = query.entity === "Products" && !query.select;
+    const listed = isProductList ?
+      this.formatProductResults(rows, description, page.skip) :
+      this.formatQueryResults(rows, { query: { limit: page.top }, description }, page);
+
+    return {
+      reply: (matched && `${matched}\n`) + listed + this.formatPaging(page),
+      success: true,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime,
+      data: rows,
+      type: isProductList ? "product_query" : "structured_query",
+      query: queryInfo
+    };
+  };
+
+  /**
+   * Position of a page in the whole result, with how to get the next one
+   */
+  this.formatPaging = function(page) {
+    const range = { from: page.skip + 1, to: page.skip + page.rows.length, total: page.total };
+    if (page.continuation) return `\n\n${message("page.more", range)}`;
+    return page.skip > 0 ? `\n\n${message("page.last", range)}` : "";
+  };
+
+  /**
+   * Format rows of any CatalogService entity as a compact list
+   * @param {object} [page] - `ODataParser` page the rows belong to; paging is described by formatPaging()
+   */
+  this.formatQueryResults = function(rows, generated, page = null) {
+    const { query, description } = generated;
+
+    let responseText = `📊 **${description}**\n\n`;
+    responseText += `Found **${rows.length} result(s)**:\n\n`;
+
+    rows.forEach((row, index) => {
+      const fields = Object.entries(row)
+        .filter(([, value]) => value !== null && value !== undefined && value !== "")
+        .slice(0, 6)
+        .map(([name, value]) => `**${name}**: ${typeof value === "number" && !Number.isInteger(value) ? value.toFixed(2) : value}`);
+      responseText += `${(page?.skip || 0) + index + 1}. ${fields.join(' • ')}\n`;
+    });
+
+    if (!page && rows.length === query.limit) {
+      responseText += `\n💡 Showing the first ${query.limit} results - add filters to narrow them down`;
+    }
+
+    return responseText;
+  };
+
   /**
    * Handle business intelligence queries with AI analysis
    */
   this.handleBusinessIntelligenceQuery = async function(prompt, startTime) {
+    let template;
     try {
       console.log(`🧠 Processing business intelligence query: "${prompt}"`);
 
@@ -2017,92 +2349,63 @@ RESPONSE:`;
         contextData.products = await db.run(SELECT.from(Products));
         contextData.lowStock = contextData.products.filter(p => p.UnitsInStock < 20);
         contextData.outOfStock = contextData.products.filter(p => p.UnitsInStock === 0);
-      } else if (prompt.toLowerCase().includes('tea') || prompt.toLowerCase().includes('beverage')) {
-        // Get beverage products
-        contextData.products = await db.run(SELECT.from(Products).where({ CategoryID: 1 }));
-        if (contextData.products.length === 0) {
-          // Fallback to all products and filter by name
-          const allProducts = await db.run(SELECT.from(Products));
-          contextData.products = allProducts.filter(p =>
-            p.ProductName.toLowerCase().includes('tea') ||
-            p.ProductName.toLowerCase().includes('chai') ||
-            p.CategoryID === 1
-          );
-        }
       } else {
-        // Get general product data
-        contextData.products = await db.run(SELECT.from(Products).limit(20));
+        // Get the products most relevant to the question
+        const hits = await businessIndex.search(prompt, { limit: 20, entities: ["Products"] });
+        contextData.products = hits.length > 0 ?
+          hits.map(hit => hit.record) :
+          await db.run(SELECT.from(Products).limit(20));
       }
 
-      // Create enhanced prompt for Gemini with business context
+      // Create enhanced prompt with business context (versioned template)
       const businessContext = this.createBusinessContext(contextData, prompt);
-      const enhancedPrompt = `You are SAP Copilot, an intelligent business assistant. Analyze the following business data and provide actionable insights.
-
-User Question: "${prompt}"
-
-Business Data Context:
-${businessContext}
-
-Please provide:
-1. Direct answer to the user's question
-2. Specific product recommendations with IDs
-3. Business reasoning for your recommendations
-4. Any relevant insights or warnings
+      template = prompts.select("business-intelligence", promptSelection());
+      const enhancedPrompt = template.render({ prompt: userPrompt(prompt), businessContext });
 
-Format your response professionally with clear recommendations.`;
-
-      // Call Cohere AI with business context
-      if (!COHERE_KEY) {
-        console.log("⚠️ No Cohere API key found, using fallback response");
+      // Call the LLM with business context
+      if (!llm.isAvailable()) {
+        console.log("⚠️ No LLM provider configured, using fallback response");
         return this.createFallbackBusinessResponse(contextData, prompt, startTime);
       }
 
-      console.log(`🤖 Calling Cohere AI with context data for ${contextData.products?.length || 0} products`);
+      console.log(`🤖 Calling ${llm.describe()} with context data for ${contextData.products?.length || 0} products`);
       console.log(`📝 Enhanced prompt length: ${enhancedPrompt.length} characters`);
-      console.log(`🔑 Using API key: ${COHERE_KEY.substring(0, 15)}...`);
-
-      console.log(`🌐 Making API call to: ${COHERE_URL}`);
-
-      const response = await axios.post(
-        COHERE_URL,
-        {
-          model: "command",
-          message: enhancedPrompt,
-          max_tokens: 1024,
-          temperature: 0.7
-        },
-        {
-          timeout: 30000,
-          headers: {
-            'Authorization': `Bearer ${COHERE_KEY}`,
-            'Content-Type': 'application/json',
-            'User-Agent': 'SAP-Copilot/1.0'
-          }
-        }
-      );
 
-      console.log(`✅ Cohere API responded with status: ${response.status}`);
+      const completion = await llm.complete(enhancedPrompt, {
+        maxTokens: 1024,
+        handler: "handleBusinessIntelligenceQuery",
+        stream: true
+      });
 
-      const text = response.data?.text;
-      console.log(`📝 Cohere reply length: ${text?.length || 0} characters`);
+      const text = completion.text;
+      prompts.recordOutcome(template, { success: !!text, latency: completion.latency, outputTokens: completion.usage.outputTokens });
+      console.log(`📝 LLM reply length: ${text?.length || 0} characters`);
 
       if (!text) {
-        console.log("❌ No text in Cohere response, using fallback");
+        console.log("❌ No text in LLM response, using fallback");
         return this.createFallbackBusinessResponse(contextData, prompt, startTime);
       }
 
-      console.log(`✅ Cohere AI provided successful response`);
+      const grounded = await this.groundAnswer(text.trim(), { prompt: userPrompt(prompt), contextData, businessContext, maxTokens: 1024 });
+
+      console.log(`✅ LLM provided successful response`);
       return {
-        reply: text.trim(),
+        reply: grounded.reply,
         success: true,
         timestamp: new Date().toISOString(),
         processingTime: Date.now() - startTime,
         data: contextData.products,
+        template: template.id,
+        sources: grounded.sources,
+        grounding: grounded.grounding,
         type: "business_intelligence"
       };
 
     } catch (error) {
       console.error("❌ Error in business intelligence query:", error.message);
+      if (template) {
+        prompts.recordOutcome(template, { success: false });
+      }
       if (error.response) {
         console.error("API Response Error:", error.response.status, error.response.data);
       }
@@ -2259,55 +2562,17 @@ Format your response professionally with clear recommendations.`;
       const db = await cds.connect.to('db');
       const { Products } = db.entities;
 
-      // Enhanced parsing for advanced product creation with multiple parameters
-      // Pattern: Create product "name" price X stock Y category Z description "text"
-      const advancedMatch = prompt.match(/create\s+(?:a\s+)?product\s+["']?([^"']+?)["']?\s+price\s+(\d+(?:\.\d+)?)(?:\s+stock\s+(\d+))?(?:\s+category\s+([^"'\s]+|"[^"]*"|'[^']*'))?(?:\s+description\s+["']([^"']+)["'])?/i);
-
-      // Basic pattern: Create product [name] price [amount]
-      const basicMatch = prompt.match(/create\s+(?:a\s+)?product\s+(?:named\s+)?(.+?)(?:\s+(?:with\s+)?price\s+(\d+(?:\.\d+)?))/i);
-
-      // Alternative patterns if others don't match
-      const altMatch = prompt.match(/create\s+(?:a\s+)?product\s+(.+)/i);
-
-      let productName = '';
-      let price = 0;
-      let stock = 0;
-      let category = '';
-      let description = 'Created via SAP Copilot';
-
-      if (advancedMatch) {
-        // Advanced parsing with all parameters
-        productName = advancedMatch[1].trim().replace(/^["']|["']$/g, ''); // Remove quotes
-        price = parseFloat(advancedMatch[2]);
-        stock = advancedMatch[3] ? parseInt(advancedMatch[3]) : 0;
-        category = advancedMatch[4] ? advancedMatch[4].trim().replace(/^["']|["']$/g, '') : '';
-        description = advancedMatch[5] ? advancedMatch[5].trim() : 'Created via SAP Copilot';
-
-        console.log(`📝 Advanced parsed: name="${productName}", price=${price}, stock=${stock}, category="${category}", description="${description}"`);
-      } else if (basicMatch) {
-        // Basic parsing
-        productName = basicMatch[1].trim();
-        price = parseFloat(basicMatch[2]);
-        console.log(`📝 Basic parsed: name="${productName}", price=${price}`);
-      } else if (altMatch) {
-        // Try to extract name and price from alternative pattern
-        const fullText = altMatch[1].trim();
-        const priceMatch = fullText.match(/(.+?)\s+price\s+(\d+(?:\.\d+)?)/i);
-        if (priceMatch) {
-          productName = priceMatch[1].trim();
-          price = parseFloat(priceMatch[2]);
-        } else {
-          productName = fullText;
-          price = 0;
-        }
-        console.log(`📝 Alternative parsed: name="${productName}", price=${price}`);
-      }
+      // Pattern: Create product [named] <name> [with] price X [stock Y] [category Z] [description "text"]
+      const createMatch = prompt.match(/^(?:create|add)\s+(?:a\s+)?(?:new\s+)?product\s+(?:named\s+|called\s+)?(.+?)\s*[.!]?$/i);
+      const { name: productName, values } = createMatch ? this.parseDirectValues(createMatch[1]) : { name: '', values: {} };
+      const category = typeof values.category === 'string' ? values.category : '';
+      console.log(`📝 Parsed CREATE: name="${productName}", values=${JSON.stringify(values)}`);
 
       if (productName) {
 
         // Check for duplicate product name (case-insensitive)
         const existingProduct = await db.run(
-          SELECT.one.from(Products).where(`LOWER(ProductName) = LOWER('${productName}')`)
+          SELECT.one.from(Products).where('lower(ProductName) =', productName.toLowerCase())
         );
 
         if (existingProduct) {
@@ -2320,6 +2585,32 @@ Format your response professionally with clear recommendations.`;
           };
         }
 
+        // The same schema as for extracted details decides what reaches the database
+        const details = {
+          operation: "CREATE",
+          entity: "Product",
+          data: {
+            ProductName: productName,
+            ...(values.price !== undefined && { UnitPrice: values.price }),
+            UnitsInStock: values.stock ?? 0,
+            ...(category && { Category: category }),
+            Description: values.description ?? 'Created via SAP Copilot'
+          }
+        };
+        const check = TransactionSchema.validate(details, { intent: "CREATE_OPERATION" });
+
+        // Ask for required values instead of assuming them, unless the name may hold a field without its value ("Gadget price")
+        const missing = TransactionSchema.requiredFields("Product", details.data);
+        const invalid = check.errors.filter(error => !missing.includes(error.field.replace(/^data\./, "")));
+        const dangling = /\s(?:price|stock|category|description)$/i.test(productName);
+        if (!invalid.length && !dangling && SLOT_KEYWORDS[missing[0]]) {
+          return await this.clarifyMissingValue(prompt, missing[0], productName, startTime);
+        }
+        if (!check.valid) {
+          return this.createValidationErrorResponse(check.errors, startTime);
+        }
+        const { UnitPrice: price, UnitsInStock: stock, Description: description } = check.value.data;
+
         // Get next ID
         const maxProduct = await db.run(SELECT.one.from(Products).columns('max(ID) as maxId'));
         const nextId = (maxProduct?.maxId || 0) + 1;
@@ -2366,6 +2657,7 @@ Format your response professionally with clear recommendations.`;
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime,
           data: newProduct,
+          query: { entity: "Products" },
           type: "create_success"
         };
       }
@@ -2388,6 +2680,32 @@ Format your response professionally with clear recommendations.`;
     }
   };
 
+  /**
+   * Name and values of a direct create: "Gadget price 12 stock 5 category beverages"
+   * Values stay as typed when they are not numbers, so that validation can report them by field.
+   * @returns {{name: string, values: {price?: number|string, stock?: number|string, category?: string, description?: string}}}
+   */
+  this.parseDirectValues = function(text) {
+    const keyword = /\s+(?:with\s+)?(price|stock|category|description)\s+(?:of\s+|=\s*)?("[^"]*"|'[^']*'|\S+)/gi;
+    const quoted = /^(["'])(.+?)\1/.exec(text);
+    const first = quoted ? quoted[0].length : text.search(/\s+(?:with\s+)?(?:price|stock|category|description)\s+\S/i);
+    const name = quoted ? quoted[2].trim() : (first >= 0 ? text.slice(0, first) : text).trim();
+
+    const values = {};
+    for (const [, field, raw] of first >= 0 ? text.slice(first).matchAll(keyword) : []) {
+      const value = raw.replace(/^["']|["']$/g, '').replace(/[,;]$/, '');
+      values[field.toLowerCase()] = ['price', 'stock'].includes(field.toLowerCase()) ? this.parseDirectNumber(value) : value;
+    }
+    return { name, values };
+  };
+
+  /**
+   * Number typed in a direct transaction ("12", "$7.50", "-3"), or the text as typed
+   */
+  this.parseDirectNumber = function(text) {
+    return /^-?\$?\d+(?:\.\d+)?$/.test(text) ? parseFloat(text.replace('$', '')) : text;
+  };
+
   /**
    * Execute direct UPDATE operations
    */
@@ -2398,27 +2716,35 @@ Format your response professionally with clear recommendations.`;
       const db = await cds.connect.to('db');
       const { Products } = db.entities;
 
-      // Enhanced parsing for multiple update patterns
+      // Enhanced parsing for multiple update patterns (the product is an ID or a name)
       const patterns = {
-        price: /update\s+product\s+(\d+)\s+price\s+(?:to\s+)?(\d+(?:\.\d+)?)/i,
-        id: /update\s+product\s+(\d+)\s+id\s+(?:to\s+)?(\d+)/i,
-        name: /update\s+product\s+(\d+)\s+name\s+(?:to\s+)?(.+)/i,
-        stock: /update\s+product\s+(\d+)\s+stock\s+(?:to\s+)?(\d+)/i
+        price: /(?:update|modify)\s+(?:product\s+)?(.+?)\s+price\s+(?:to\s+)?(\S+?)(?=[.!]?(?:\s|$))/i,
+        id: /(?:update|modify)\s+(?:product\s+)?(.+?)\s+id\s+(?:to\s+)?(\d+)/i,
+        name: /(?:update|modify)\s+(?:product\s+)?(.+?)\s+name\s+(?:to\s+)?(.+)/i,
+        stock: /(?:update|modify)\s+(?:product\s+)?(.+?)\s+stock\s+(?:to\s+)?(\S+?)(?=[.!]?(?:\s|$))/i
       };
 
       let updateMatch = null;
       let updateField = null;
       let updateValue = null;
       let productId = null;
+      let matched = null;
 
       // Try each pattern
       for (const [field, pattern] of Object.entries(patterns)) {
         const match = prompt.match(pattern);
         if (match) {
+          const product = await this.resolveProductReference(match[1]);
+          if (product?.ambiguity) return this.clarifyProduct(prompt, match[1], product.ambiguity, startTime);
+          if (!product) {
+            if (/\bproducts?\b/i.test(prompt)) return this.productNotFoundResponse(match[1], startTime);
+            continue;
+          }
           updateMatch = match;
           updateField = field;
-          productId = parseInt(match[1]);
-          updateValue = field === 'price' || field === 'stock' ? parseFloat(match[2]) :
+          productId = product.id;
+          matched = product.reference;
+          updateValue = field === 'price' || field === 'stock' ? this.parseDirectNumber(match[2]) :
                        field === 'id' ? parseInt(match[2]) : match[2].trim();
           console.log(`📝 Parsed UPDATE: field=${field}, productId=${productId}, newValue=${updateValue}`);
           break;
@@ -2461,11 +2787,12 @@ Format your response professionally with clear recommendations.`;
           console.log(`✅ Product ID changed from ${productId} to ${newId}`);
 
           return {
-            reply: `✅ **Product ID Updated Successfully!**\n\n📦 **Updated Product:**\n• **Old ID**: ${productId} → **New ID**: ${newId}\n• **Name**: ${newProduct.ProductName}\n• **Price**: $${newProduct.UnitPrice}\n• **Stock**: ${newProduct.UnitsInStock} units\n\n🔄 Product ID has been changed!`,
+            reply: `${this.formatMatchedReference(matched)}✅ **Product ID Updated Successfully!**\n\n📦 **Updated Product:**\n• **Old ID**: ${productId} → **New ID**: ${newId}\n• **Name**: ${newProduct.ProductName}\n• **Price**: $${newProduct.UnitPrice}\n• **Stock**: ${newProduct.UnitsInStock} units\n\n🔄 Product ID has been changed!`,
             success: true,
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: newProduct,
+            query: { entity: "Products" },
             type: "update_success"
           };
         }
@@ -2484,6 +2811,14 @@ Format your response professionally with clear recommendations.`;
             break;
         }
 
+        const check = TransactionSchema.validate(
+          { operation: "UPDATE", entity: "Product", data: updateData, conditions: { ID: productId } },
+          { intent: "UPDATE_OPERATION" }
+        );
+        if (!check.valid) {
+          return this.createValidationErrorResponse(check.errors, startTime);
+        }
+
         // Update the product
         await db.run(UPDATE(Products).set(updateData).where({ ID: productId }));
 
@@ -2499,11 +2834,12 @@ Format your response professionally with clear recommendations.`;
         };
 
         return {
-          reply: `✅ **Product Updated Successfully!**\n\n📦 **Updated Product:**\n• **ID**: ${updatedProduct.ID}\n• **Name**: ${updatedProduct.ProductName}\n• **Price**: $${updatedProduct.UnitPrice}\n• **Stock**: ${updatedProduct.UnitsInStock} units\n\n🔄 ${fieldDisplayNames[updateField]} has been updated!`,
+          reply: `${this.formatMatchedReference(matched)}✅ **Product Updated Successfully!**\n\n📦 **Updated Product:**\n• **ID**: ${updatedProduct.ID}\n• **Name**: ${updatedProduct.ProductName}\n• **Price**: $${updatedProduct.UnitPrice}\n• **Stock**: ${updatedProduct.UnitsInStock} units\n\n🔄 ${fieldDisplayNames[updateField]} has been updated!`,
           success: true,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime,
           data: updatedProduct,
+          query: { entity: "Products" },
           type: "update_success"
         };
       }
@@ -2536,11 +2872,33 @@ Format your response professionally with clear recommendations.`;
       const db = await cds.connect.to('db');
       const { Products } = db.entities;
 
-      // Simple parsing for "Delete product [id]"
-      const deleteMatch = prompt.match(/(?:delete|remove)\s+product\s+(\d+)/i);
+      // Simple parsing for "Delete product [id or name]"
+      const deleteMatch = prompt.match(/(?:delete|remove)\s+(?:product\s+)?(.+?)\s*[.!]?$/i);
+      const product = deleteMatch && await this.resolveProductReference(deleteMatch[1]);
+
+      if (deleteMatch && !product && /\bproducts?\b/i.test(prompt)) {
+        return this.productNotFoundResponse(deleteMatch[1], startTime);
+      }
+
+      if (product?.ambiguity) {
+        return this.clarifyProduct(prompt, deleteMatch[1], product.ambiguity, startTime);
+      }
+
+      // Deleting cannot be undone, so uncertain name matches are confirmed by ID first
+      if (product?.reference && product.reference.confidence < MIN_DELETE_CONFIDENCE) {
+        const { name, id } = product.reference;
+        return {
+          reply: `🤔 **Please Confirm**\n\nDid you mean **${name}** (ID: ${id})? To delete it, say "Delete product ${id}".`,
+          success: false,
+          timestamp: new Date().toISOString(),
+          processingTime: Date.now() - startTime,
+          data: { references: [product.reference] },
+          type: "delete_confirmation"
+        };
+      }
 
-      if (deleteMatch) {
-        const productId = parseInt(deleteMatch[1]);
+      if (product) {
+        const productId = product.id;
 
         // Check if product exists
         const existingProduct = await db.run(SELECT.one.from(Products).where({ ID: productId }));
@@ -2561,11 +2919,12 @@ Format your response professionally with clear recommendations.`;
         console.log(`✅ Product ${productId} deleted successfully`);
 
         return {
-          reply: `✅ **Product Deleted Successfully!**\n\n🗑️ **Deleted Product:**\n• **ID**: ${existingProduct.ID}\n• **Name**: ${existingProduct.ProductName}\n• **Price**: $${existingProduct.UnitPrice}\n\n⚠️ This product has been permanently removed from your catalog.`,
+          reply: `${this.formatMatchedReference(product.reference)}✅ **Product Deleted Successfully!**\n\n🗑️ **Deleted Product:**\n• **ID**: ${existingProduct.ID}\n• **Name**: ${existingProduct.ProductName}\n• **Price**: $${existingProduct.UnitPrice}\n\n⚠️ This product has been permanently removed from your catalog.`,
           success: true,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime,
           data: existingProduct,
+          query: { entity: "Products" },
           type: "delete_success"
         };
       }
@@ -2588,6 +2947,93 @@ Format your response professionally with clear recommendations.`;
     }
   };
 
+  /**
+   * Product for a reference that is either an ID or a (possibly misspelled) name
+   * A name that fits several products is not resolved; its `ambiguity` lists them.
+   * @returns {Promise<{id: number|null, reference: object|null, ambiguity?: object}|null>} Reference is the name match, null for IDs
+   */
+  this.resolveProductReference = async function(text) {
+    const trimmed = String(text).trim();
+    if (/^\d+$/.test(trimmed)) return { id: parseInt(trimmed, 10), reference: null };
+
+    const reference = await entityResolver.resolveOne(trimmed, "product");
+    const context = await BusinessContextResolver.resolveProductMention(trimmed, reference);
+    if (context.ambiguities.length) {
+      console.log(`🔀 "${trimmed}" fits ${context.ambiguities[0].matches.length} products`);
+      return { id: null, reference, ambiguity: context };
+    }
+
+    if (reference) console.log(`🔗 Resolved ${EntityResolver.describe([reference])[0]}`);
+    return reference && { id: reference.id, reference };
+  };
+
+  /**
+   * Ask which product a name means; the chosen ID replaces the name when the request resumes
+   * @param {string} prompt - Request naming the product
+   * @param {string} mention - Name as it occurs in the request
+   * @param {object} ambiguity - Context from `BusinessContextResolver.resolveProductMention`
+   */
+  this.clarifyProduct = function(prompt, mention, ambiguity, startTime) {
+    const suggestion = ambiguity.suggestions.find(entry => entry.type === "DISAMBIGUATION");
+    const at = prompt.indexOf(mention);
+    const before = prompt.slice(0, at);
+    const template = `${before}${/\bproduct\s+$/i.test(before) ? "" : "product "}{value}${prompt.slice(at + mention.length)}`;
+
+    return this.askClarification({
+      reason: "ambiguous",
+      question: message("clarify.ambiguous", { mention: ambiguity.ambiguities[0].keyword }),
+      prompt,
+      template,
+      options: suggestion.options.map(option => ({ label: `${option.name} (ID ${option.id})`, value: option.id }))
+    }, startTime);
+  };
+
+  /**
+   * Ask for a required value a create request leaves out, suggesting one where the data allows
+   * @param {string} field - Missing element, e.g. UnitPrice
+   */
+  this.clarifyMissingValue = async function(prompt, field, productName, startTime) {
+    const schema = TransactionSchema.forOperation("CREATE", "Product").properties.data.properties[field];
+    const options = [];
+
+    if (field === "UnitPrice") {
+      const db = await cds.connect.to('db');
+      const { Products } = db.entities;
+      const { average } = await db.run(SELECT.one.from(Products).columns('avg(UnitPrice) as average')) || {};
+      if (average) {
+        const value = (Math.round(average * 100) / 100).toFixed(2);
+        options.push({ label: message("clarify.averagePrice", { price: `$${value}` }), value });
+      }
+    }
+
+    const question = message(`clarify.missing.${field}`, { name: productName });
+    const quote = productName.includes('"') ? "'" : '"';
+    return this.askClarification({
+      reason: "missing_value",
+      question: question === `clarify.missing.${field}` ? message("clarify.missing", { field, name: productName }) : question,
+      slot: { name: field, type: [].concat(schema.type)[0] },
+      prompt,
+      template: `create product ${quote}${productName}${quote} ${SLOT_KEYWORDS[field]} {value}`,
+      options
+    }, startTime);
+  };
+
+  /**
+   * Line telling the user which record a name was matched to
+   */
+  this.formatMatchedReference = function(reference) {
+    return reference ? `🔗 Matched ${EntityResolver.describe([reference])[0]}\n\n` : "";
+  };
+
+  this.productNotFoundResponse = function(text, startTime) {
+    return {
+      reply: `❌ **Product Not Found**\n\nNo product matches "${String(text).trim()}". Please check the name or use the product ID.`,
+      success: false,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    };
+  };
+
   /**
    * Handle transaction operations (CREATE, UPDATE, DELETE)
    */
@@ -2602,14 +3048,21 @@ Format your response professionally with clear recommendations.`;
         return transactionDetails; // Return error response
       }
 
+      // Nothing that does not match the CDS-derived schema reaches the database
+      const check = TransactionSchema.validate(transactionDetails, { intent: analysis.intent.intent });
+      if (!check.valid) {
+        return this.createValidationErrorResponse(check.errors, startTime);
+      }
+      const validated = { ...transactionDetails, ...check.value };
+
       // Execute the transaction based on intent
       switch (analysis.intent.intent) {
         case 'CREATE_OPERATION':
-          return await this.executeCreateOperation(transactionDetails, startTime);
+          return await this.executeCreateOperation(validated, startTime);
         case 'UPDATE_OPERATION':
-          return await this.executeUpdateOperation(transactionDetails, startTime);
+          return await this.executeUpdateOperation(validated, startTime);
         case 'DELETE_OPERATION':
-          return await this.executeDeleteOperation(transactionDetails, startTime);
+          return await this.executeDeleteOperation(validated, startTime);
         default:
           return {
             reply: `Transaction type "${analysis.intent.intent}" is not yet supported. Please try CREATE, UPDATE, or DELETE operations.`,
@@ -2639,94 +3092,96 @@ Format your response professionally with clear recommendations.`;
 
       // Get current business data for context
       const contextData = await this.getRelevantBusinessData(prompt);
-      const businessContext = this.createComprehensiveBusinessContext(contextData, prompt);
 
-      // Create AI prompt for transaction extraction
-      const extractionPrompt = `You are a SAP transaction parser. Extract structured transaction details from the user's request.
-
-User Request: "${prompt}"
-Intent: ${analysis.intent.intent}
-
-BUSINESS CONTEXT:
-${businessContext}
-
-INSTRUCTIONS:
-Extract the following information and respond ONLY with a JSON object:
-{
-  "operation": "CREATE|UPDATE|DELETE",
-  "entity": "Product|Customer|Order",
-  "data": {
-    // Key-value pairs of the data to process
-  },
-  "conditions": {
-    // For UPDATE/DELETE: conditions to identify records
-  },
-  "validation": {
-    "isValid": true/false,
-    "errors": ["list of validation errors if any"]
-  }
-}
+      // Records named in the request, so the model uses their IDs as keys
+      const references = await entityResolver.resolve(prompt, { types: ["product", "customer"] });
+      const resolved = references.length ?
+        `RECORDS MENTIONED IN THE REQUEST:\n${EntityResolver.describe(references).map(line => `- ${line}`).join('\n')}\n\n` :
+        "";
 
-Examples:
-- "Create a product named Laptop with price 999" → {"operation":"CREATE","entity":"Product","data":{"ProductName":"Laptop","UnitPrice":999}}
-- "Update customer 5 address to Berlin" → {"operation":"UPDATE","entity":"Customer","data":{"Address":"Berlin"},"conditions":{"ID":5}}
-- "Delete product 10" → {"operation":"DELETE","entity":"Product","conditions":{"ID":10}}
+      // Create AI prompt for transaction extraction
+      const fields = TransactionSchema.describe();
+      const template = prompts.select("transaction-extraction", promptSelection());
+      const buildPrompt = businessContext => template.render({ prompt: userPrompt(prompt), intent: analysis.intent.intent, fields, businessContext: resolved + businessContext });
 
-JSON Response:`;
+      const context = this.createComprehensiveBusinessContext(contextData, prompt, {
+        budget: llm.contextBudget({ handler: "extractTransactionDetails", maxTokens: 500, reserved: ContextBuilder.estimateTokens(buildPrompt("")) })
+      });
+      const extractionPrompt = buildPrompt(context.text);
 
-      if (!COHERE_KEY) {
+      if (!llm.isAvailable()) {
         // Fallback parsing without AI
         return this.parseTransactionFallback(prompt, analysis, startTime);
       }
 
-      const response = await axios.post(
-        COHERE_URL,
-        {
-          model: "command",
-          message: extractionPrompt,
-          max_tokens: 500,
-          temperature: 0.1 // Low temperature for structured output
-        },
-        {
-          timeout: 15000,
-          headers: {
-            'Authorization': `Bearer ${COHERE_KEY}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const completion = await llm.complete(extractionPrompt, {
+        maxTokens: 500,
+        temperature: 0.1, // Low temperature for structured output
+        handler: "extractTransactionDetails",
+        restore: true
+      });
 
-      const aiResponse = response.data?.text?.trim();
+      let aiResponse = completion.text;
       if (!aiResponse) {
+        prompts.recordOutcome(template, { success: false, latency: completion.latency });
         throw new Error("No response from AI for transaction extraction");
       }
 
-      // Parse JSON response
-      let transactionData;
-      try {
-        // Extract JSON from AI response (in case there's extra text)
-        const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-        const jsonStr = jsonMatch ? jsonMatch[0] : aiResponse;
-        transactionData = JSON.parse(jsonStr);
-      } catch (parseError) {
-        console.error("❌ Failed to parse AI response as JSON:", aiResponse);
-        return this.parseTransactionFallback(prompt, analysis, startTime);
+      // Validate against the schema derived from CDS, letting the model repair its output
+      let check = TransactionSchema.parse(aiResponse, { intent: analysis.intent.intent });
+      let repairs = 0;
+      while (!check.valid && repairs < MAX_REPAIR_ATTEMPTS) {
+        repairs++;
+        console.log(`🔧 Transaction details failed validation (${check.errors.length} error(s)), repair attempt ${repairs}`);
+        progress.status('validation', `Repairing transaction details (attempt ${repairs})`, { errors: check.errors });
+
+        const repairTemplate = prompts.select("transaction-repair", promptSelection());
+        const repair = await llm.complete(repairTemplate.render({
+          prompt: userPrompt(prompt),
+          response: aiResponse,
+          errors: TransactionSchema.formatErrors(check.errors),
+          fields
+        }), {
+          maxTokens: 500,
+          temperature: 0,
+          handler: "repairTransactionDetails",
+          restore: true
+        });
+        if (!repair.text) break;
+
+        aiResponse = repair.text;
+        check = TransactionSchema.parse(aiResponse, { intent: analysis.intent.intent });
+        prompts.recordOutcome(repairTemplate, { success: check.valid, latency: repair.latency, outputTokens: repair.usage.outputTokens });
+      }
+
+      prompts.recordOutcome(template, { success: check.valid && repairs === 0, latency: completion.latency, outputTokens: completion.usage.outputTokens });
+
+      if (!check.valid) {
+        if (!check.parsed) {
+          console.error("❌ Failed to parse AI response as JSON:", aiResponse);
+          return this.parseTransactionFallback(prompt, analysis, startTime);
+        }
+        console.warn(`❌ Transaction details invalid after ${repairs} repair attempt(s):`, check.errors);
+        return this.createValidationErrorResponse(check.errors, startTime);
       }
 
-      // Validate the extracted data
-      if (!transactionData.validation?.isValid) {
+      // The model's own assessment of the request (e.g. ambiguous record)
+      if (check.raw.validation?.isValid === false) {
         return {
-          reply: `I couldn't process your transaction request. Issues found:\n• ${transactionData.validation?.errors?.join('\n• ') || 'Invalid transaction format'}\n\nPlease provide more specific details.`,
+          reply: `I couldn't process your transaction request. Issues found:\n• ${check.raw.validation?.errors?.join('\n• ') || 'Invalid transaction format'}\n\nPlease provide more specific details.`,
           success: false,
           timestamp: new Date().toISOString(),
           processingTime: Date.now() - startTime
         };
       }
 
-      console.log(`✅ Transaction details extracted:`, transactionData);
+      console.log(`✅ Transaction details extracted${repairs ? ` after ${repairs} repair(s)` : ''}:`, check.value);
       return {
         success: true,
-        ...transactionData,
+        ...check.value,
+        validation: check.raw.validation,
+        repairs,
+        template: template.id,
         originalPrompt: prompt
       };
 
@@ -2744,6 +3199,7 @@ JSON Response:`;
       const db = await cds.connect.to('db');
       const { Customers } = db.entities;
 
+      progress.status('query', 'Querying Customers');
       const customers = await db.run(SELECT.from(Customers).limit(10));
 
       let responseText = `Found ${customers.length} customer(s):\n\n`;
@@ -2868,66 +3324,46 @@ JSON Response:`;
   };
 
   /**
-   * Call Cohere AI for general questions
+   * Call the configured LLM for general questions
    */
-  this.callCohereAI = async function(prompt, startTime) {
+  this.callLLM = async function(prompt, startTime) {
     try {
-      console.log(`🤖 Calling Cohere AI...`);
+      console.log(`🤖 Calling ${llm.describe()}...`);
 
       // Sanitize prompt
-      const sanitizedPrompt = sanitizePrompt(prompt);
+      const sanitizedPrompt = sanitizePrompt(userPrompt(prompt));
 
-      // Create enhanced prompt with business context
-      const enhancedPrompt = `You are SAP Copilot, an intelligent business assistant for SAP systems.
+      // Create enhanced prompt from the versioned template
+      const template = prompts.select("general-query", promptSelection());
+      const enhancedPrompt = template.render({ prompt: sanitizedPrompt });
 
-User Query: "${sanitizedPrompt}"
-
-Context: You have access to a product catalog with items like Chai, Chang, Aniseed Syrup, etc. You can help with:
-- Product information and comparisons
-- Business data analysis
-- General business questions
-
-Please provide a helpful, professional response. If the user asks about specific products, suggest they use commands like "show products" or "compare product 1 and 2" for detailed data.
-
-Response:`;
-
-      const response = await axios.post(
-        COHERE_URL,
-        {
-          model: "command",
-          message: enhancedPrompt,
-          max_tokens: 1024,
-          temperature: 0.7
-        },
-        {
-          timeout: 30000,
-          headers: {
-            'Authorization': `Bearer ${COHERE_KEY}`,
-            'Content-Type': 'application/json',
-            'User-Agent': 'SAP-Copilot/1.0'
-          }
-        }
-      );
+      const completion = await llm.complete(enhancedPrompt, {
+        maxTokens: 1024,
+        handler: "callLLM",
+        stream: true
+      });
 
       // Extract reply
-      const text = response.data?.text;
+      const text = completion.text;
+      prompts.recordOutcome(template, { success: !!text, latency: completion.latency, outputTokens: completion.usage.outputTokens });
       if (!text) {
-        throw new Error("Empty response from Cohere AI");
+        throw new Error("Empty response from LLM");
       }
 
       const duration = Date.now() - startTime;
-      console.log(`✅ Cohere AI responded in ${duration}ms`);
+      console.log(`✅ LLM responded in ${duration}ms`);
 
       return {
         reply: text.trim(),
         success: true,
         timestamp: new Date().toISOString(),
         processingTime: duration,
+        template: template.id,
         type: "ai_response"
       };
 
     } catch (error) {
-      console.error("❌ Cohere AI error:", error.message);
+      console.error("❌ LLM error:", error.message);
       if (error.response) {
         console.error("❌ Response status:", error.response.status);
         console.error("❌ Response data:", JSON.stringify(error.response.data, null, 2));
@@ -3037,44 +3473,113 @@ I'm designed to understand business context and provide actionable insights. Wha
 
   /**
    * Create comprehensive business context for AI
+   * Sections are prioritized (metrics, stock alerts, conversation, matched records)
+   * and trimmed to the token budget; the report lists what was cut.
+   * @param {object} [options] - { budget, conversation }
+   * @returns {{text: string, report: object}}
    */
-  this.createComprehensiveBusinessContext = function(contextData, prompt) {
-    let context = "";
-
-    if (contextData.products && contextData.products.length > 0) {
-      context += "PRODUCT CATALOG:\n";
-      contextData.products.forEach(product => {
-        context += `• ID ${product.ID}: ${product.ProductName}\n`;
-        context += `  Price: $${product.UnitPrice} | Stock: ${product.UnitsInStock} units\n`;
-        context += `  Description: ${product.Description}\n\n`;
+  this.createComprehensiveBusinessContext = function(contextData, prompt, options = {}) {
+    const builder = new ContextBuilder({ budget: options.budget ?? llm.contextBudget() });
+    const { metrics } = contextData;
+    const session = conversations.current();
+
+    if (metrics) {
+      builder.add("metrics", {
+        priority: 1,
+        title: "BUSINESS METRICS:",
+        text: [
+          `• Total Products: ${metrics.totalProducts}`,
+          `• Average Price: $${metrics.averagePrice?.toFixed(2)}`,
+          `• Total Inventory Value: $${metrics.totalInventoryValue?.toFixed(2)}`,
+          `• Low Stock Items: ${metrics.lowStockCount} | Out of Stock: ${metrics.outOfStockCount}`,
+          `• Price Range: $${metrics.lowestPrice} - $${metrics.highestPrice}`
+        ].join('\n')
       });
     }
 
-    if (contextData.lowStock && contextData.lowStock.length > 0) {
-      context += "LOW STOCK ITEMS (< 20 units):\n";
-      contextData.lowStock.forEach(product => {
-        context += `• ${product.ProductName} (ID ${product.ID}): ${product.UnitsInStock} units - NEEDS ATTENTION\n`;
-      });
-      context += "\n";
-    }
+    builder.add("outOfStock", {
+      priority: 2,
+      title: "OUT OF STOCK ITEMS:",
+      items: contextData.outOfStock || [],
+      render: product => `• ${product.ProductName} (ID ${product.ID}): URGENT REORDER REQUIRED`,
+      summarize: rest => `• … and ${rest.length} more out of stock products`
+    });
 
-    if (contextData.outOfStock && contextData.outOfStock.length > 0) {
-      context += "OUT OF STOCK ITEMS:\n";
-      contextData.outOfStock.forEach(product => {
-        context += `• ${product.ProductName} (ID ${product.ID}): URGENT REORDER REQUIRED\n`;
-      });
-      context += "\n";
-    }
+    builder.add("lowStock", {
+      priority: 2,
+      title: "LOW STOCK ITEMS (< 20 units):",
+      items: contextData.lowStock || [],
+      render: product => `• ${product.ProductName} (ID ${product.ID}): ${product.UnitsInStock} units - NEEDS ATTENTION`,
+      summarize: rest => `• … and ${rest.length} more low stock products`
+    });
 
-    if (contextData.customers && contextData.customers.length > 0) {
-      context += "CUSTOMER DATA:\n";
-      contextData.customers.forEach(customer => {
-        context += `• ${customer.CompanyName} (ID ${customer.ID}) | Contact: ${customer.ContactName}\n`;
-      });
-      context += "\n";
-    }
+    builder.add("conversation", {
+      priority: 3,
+      title: "RECENT CONVERSATION (most recent first):",
+      items: options.conversation || ConversationMemory.recentTurns(session),
+      render: turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`,
+      summarize: rest => `(${rest.length} earlier turns omitted)`
+    });
 
-    return context;
+    const lastResult = session?.lastResult;
+    builder.add("previousResult", {
+      priority: 3,
+      title: lastResult ? `PREVIOUS RESULT - ${lastResult.description} (what "them"/"those" refers to):` : "",
+      items: lastResult?.rows || [],
+      render: row => `• ${Object.entries(row).filter(([, value]) => value !== null && value !== "").slice(0, 6).map(([name, value]) => `${name}: ${value}`).join(' | ')}`,
+      summarize: rest => `• … and ${rest.length + ((lastResult.total ?? lastResult.count) - lastResult.rows.length)} more`
+    });
+
+    const entities = Object.entries(session?.entities || {});
+    builder.add("sessionEntities", {
+      priority: 3,
+      title: "RECORDS DISCUSSED IN THIS CONVERSATION:",
+      text: entities.map(([entity, ids]) => `• ${entity}: ID ${ids.join(', ')}`).join('\n')
+    });
+
+    builder.add("products", {
+      priority: 4,
+      title: "PRODUCT CATALOG:",
+      items: contextData.products || [],
+      render: product => {
+        let line = `• ID ${product.ID}: ${product.ProductName}\n`;
+        line += `  Price: $${product.UnitPrice} | Stock: ${product.UnitsInStock} units\n`;
+        if (product.CategoryName || product.SupplierName) {
+          line += `  Category: ${product.CategoryName || 'n/a'} | Supplier: ${product.SupplierName || 'n/a'}\n`;
+        }
+        line += `  Description: ${product.Description}\n`;
+        return line;
+      },
+      summarize: rest => `• … ${rest.length} more matching products not shown (IDs ${rest.map(p => p.ID).join(', ')})`
+    });
+
+    builder.add("categories", {
+      priority: 5,
+      title: "CATEGORIES:",
+      items: contextData.categories || [],
+      render: category => `• ${category.CategoryName} (ID ${category.ID}): ${category.Description || ''}`
+    });
+
+    builder.add("suppliers", {
+      priority: 5,
+      title: "SUPPLIERS:",
+      items: contextData.suppliers || [],
+      render: supplier => `• ${supplier.CompanyName} (ID ${supplier.ID}) | ${supplier.City || ''}, ${supplier.Country || ''}`
+    });
+
+    builder.add("customers", {
+      priority: 6,
+      title: "CUSTOMER DATA:",
+      items: contextData.customers || [],
+      render: customer => `• ${customer.CompanyName} (ID ${customer.ID}) | Contact: ${customer.ContactName}`,
+      summarize: rest => `• … ${rest.length} more matching customers not shown`
+    });
+
+    const result = builder.build();
+    if (result.report.dropped.length || result.report.truncated.length) {
+      console.warn(`✂️ Context trimmed to ${result.report.budget} tokens - truncated: ${result.report.truncated.map(s => s.name).join(', ') || 'none'}, dropped: ${result.report.dropped.map(s => s.name).join(', ') || 'none'}`);
+    }
+    return result;
   };
 
   /**
@@ -3118,6 +3623,20 @@ What would you like to explore?`;
     };
   };
 
+  /**
+   * Report field-level validation errors of a transaction request
+   */
+  this.createValidationErrorResponse = function(errors, startTime) {
+    return {
+      reply: `❌ **Transaction Not Valid**\n\nThe request does not match the data model:\n${TransactionSchema.formatErrors(errors)}\n\nPlease correct these fields and try again.`,
+      success: false,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime,
+      errors,
+      type: "validation_error"
+    };
+  };
+
   /**
    * Fallback transaction parser when AI is not available
    */
@@ -3200,6 +3719,7 @@ What would you like to explore?`;
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: newProduct,
+            query: { entity: "Products" },
             type: "create_success"
           };
 
@@ -3225,6 +3745,7 @@ What would you like to explore?`;
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: newCustomer,
+            query: { entity: "Customers" },
             type: "create_success"
           };
 
@@ -3286,6 +3807,7 @@ What would you like to explore?`;
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: updatedProduct,
+            query: { entity: "Products" },
             type: "update_success"
           };
 
@@ -3313,6 +3835,7 @@ What would you like to explore?`;
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: updatedCustomer,
+            query: { entity: "Customers" },
             type: "update_success"
           };
 
@@ -3369,6 +3892,7 @@ What would you like to explore?`;
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: existingProduct,
+            query: { entity: "Products" },
             type: "delete_success"
           };
 
@@ -3395,6 +3919,7 @@ What would you like to explore?`;
             timestamp: new Date().toISOString(),
             processingTime: Date.now() - startTime,
             data: existingCustomer,
+            query: { entity: "Customers" },
             type: "delete_success"
           };
 
@@ -3439,6 +3964,9 @@ What would you like to explore?`;
     if (lowerPrompt.includes('product')) {
       dataType = 'products';
       title = 'Products Report';
+    } else if (/\borders?\b/.test(lowerPrompt)) {
+      dataType = 'orders';
+      title = 'Orders Report';
     } else if (lowerPrompt.includes('inventory') || lowerPrompt.includes('stock')) {
       dataType = 'inventory';
       title = 'Inventory Report';
@@ -3450,24 +3978,40 @@ What would you like to explore?`;
       title = 'Business Summary Report';
     }
 
+    // Period for dated data: "orders report for Q3 2024"
+    let period;
+    try {
+      period = dataType === 'orders' ? TemporalParser.shared().parse(prompt) : null;
+    } catch (error) {
+      if (error instanceof TemporalParser.InvalidDateError) return { success: false, error: error.message };
+      throw error;
+    }
+    if (period) {
+      title += ` – ${period.label}`;
+    }
+
     console.log(`📋 Parsed report request: format=${format}, dataType=${dataType}, title=${title}`);
 
     return {
       success: true,
       format: format,
       dataType: dataType,
-      title: title
+      title: title,
+      period: period
     };
   };
 
   /**
    * Get data for report generation
+   * @param {object} [options] - { period: interval from the `TemporalParser` that limits dated data }
    */
-  this.getReportData = async function(dataType) {
+  this.getReportData = async function(dataType, options = {}) {
     try {
       const db = await cds.connect.to('db');
       let data = [];
 
+      progress.status('query', `Querying ${dataType} data for report`);
+
       switch (dataType) {
         case 'products':
           const { Products } = db.entities;
@@ -3495,6 +4039,19 @@ What would you like to explore?`;
           data = await db.run(SELECT.from(Customers));
           break;
 
+        case 'orders': {
+          const { Orders } = db.entities;
+          const { period } = options;
+          const query = SELECT.from(Orders)
+            .columns('ID', 'CustomerID', 'ShipName', 'OrderDate', 'ShippedDate', 'ShipCity', 'ShipCountry', 'Freight', 'Status')
+            .orderBy('OrderDate', 'ID');
+          if (period) {
+            query.where({ OrderDate: period.start ? { between: period.start, and: period.end } : { '<=': period.end } });
+          }
+          data = await db.run(query);
+          break;
+        }
+
         case 'summary':
           // Get summary data from multiple entities
           const { Products: SummaryProducts, Customers: SummaryCustomers } = db.entities;
@@ -3535,96 +4092,4 @@ What would you like to explore?`;
     }
   };
 
-  /**
-   * Parse stock-based query conditions
-   */
-  this.parseStockQuery = function(prompt) {
-    const lowerPrompt = prompt.toLowerCase();
-
-    // Stock patterns with thresholds
-    const patterns = [
-      { regex: /stock\s*(below|under|less\s*than|<)\s*(\d+)/i, condition: 'below' },
-      { regex: /stock\s*(above|over|greater\s*than|>)\s*(\d+)/i, condition: 'above' },
-      { regex: /stock\s*(equals?|=|is)\s*(\d+)/i, condition: 'equals' },
-      { regex: /under\s*stock\s*(\d+)/i, condition: 'below' },
-      { regex: /low\s*stock/i, condition: 'below', defaultThreshold: 20 },
-      { regex: /out\s*of\s*stock/i, condition: 'equals', defaultThreshold: 0 }
-    ];
-
-    for (const pattern of patterns) {
-      const match = prompt.match(pattern.regex);
-      if (match) {
-        const threshold = match[2] ? parseInt(match[2]) : pattern.defaultThreshold;
-        return {
-          isStockQuery: true,
-          condition: pattern.condition,
-          threshold: threshold
-        };
-      }
-    }
-
-    return { isStockQuery: false };
-  };
-
-  /**
-   * Parse price-based query conditions
-   */
-  this.parsePriceQuery = function(prompt) {
-    const lowerPrompt = prompt.toLowerCase();
-
-    const patterns = [
-      { regex: /price\s*(below|under|less\s*than|<)\s*(\d+(?:\.\d+)?)/i, condition: 'below' },
-      { regex: /price\s*(above|over|greater\s*than|>)\s*(\d+(?:\.\d+)?)/i, condition: 'above' },
-      { regex: /price\s*(equals?|=|is)\s*(\d+(?:\.\d+)?)/i, condition: 'equals' },
-      { regex: /expensive/i, condition: 'above', defaultThreshold: 50 },
-      { regex: /cheap/i, condition: 'below', defaultThreshold: 20 }
-    ];
-
-    for (const pattern of patterns) {
-      const match = prompt.match(pattern.regex);
-      if (match) {
-        const threshold = match[2] ? parseFloat(match[2]) : pattern.defaultThreshold;
-        return {
-          isPriceQuery: true,
-          condition: pattern.condition,
-          threshold: threshold
-        };
-      }
-    }
-
-    return { isPriceQuery: false };
-  };
-
-  /**
-   * Build stock-based database query
-   */
-  this.buildStockQuery = function(Products, stockQuery) {
-    switch (stockQuery.condition) {
-      case 'below':
-        return SELECT.from(Products).where({ UnitsInStock: { '<': stockQuery.threshold } });
-      case 'above':
-        return SELECT.from(Products).where({ UnitsInStock: { '>': stockQuery.threshold } });
-      case 'equals':
-        return SELECT.from(Products).where({ UnitsInStock: stockQuery.threshold });
-      default:
-        return SELECT.from(Products).limit(10);
-    }
-  };
-
-  /**
-   * Build price-based database query
-   */
-  this.buildPriceQuery = function(Products, priceQuery) {
-    switch (priceQuery.condition) {
-      case 'below':
-        return SELECT.from(Products).where({ UnitPrice: { '<': priceQuery.threshold } });
-      case 'above':
-        return SELECT.from(Products).where({ UnitPrice: { '>': priceQuery.threshold } });
-      case 'equals':
-        return SELECT.from(Products).where({ UnitPrice: priceQuery.threshold });
-      default:
-        return SELECT.from(Products).limit(10);
-    }
-  };
-
 });
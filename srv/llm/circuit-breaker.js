@@ -0,0 +1,113 @@
+/**
+ * Circuit Breaker
+ * Opens after a number of consecutive failures so that callers skip the
+ * failing dependency immediately. After `resetTimeout` one trial call is let
+ * through (half-open) while all others are still refused: success closes the
+ * circuit, failure opens it again.
+ */
+
+const STATES = { CLOSED: "closed", OPEN: "open", HALF_OPEN: "half-open" };
+
+class CircuitBreaker {
+  /**
+   * @param {object} [options] - { failureThreshold, resetTimeout: ms }
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.resetTimeout = options.resetTimeout ?? 30000;
+    this.state = STATES.CLOSED;
+    this.probing = false;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailure = null;
+    this.lastSuccessAt = null;
+    this.stats = { successes: 0, failures: 0, rejected: 0, opened: 0 };
+  }
+
+  /**
+   * Claim a call: true if it may be made now. An expired open circuit moves to
+   * half-open and the caller becomes its single trial call, which must end in
+   * onSuccess(), onFailure() or release().
+   */
+  allowRequest() {
+    if (this.state === STATES.CLOSED) return true;
+    if (this.isOpen()) return false;
+
+    if (this.state === STATES.OPEN) {
+      this.state = STATES.HALF_OPEN;
+      console.log("🔌 Circuit half-open - trying the LLM provider again");
+    }
+    this.probing = true;
+    return true;
+  }
+
+  /**
+   * End a trial call that neither proved nor disproved the dependency
+   * (e.g. a rejected request), so that the next call can try again
+   */
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * Count a call that was skipped because the circuit is open
+   */
+  reject() {
+    this.stats.rejected++;
+  }
+
+  onSuccess() {
+    if (this.state !== STATES.CLOSED) {
+      console.log("🔌 Circuit closed - LLM provider recovered");
+    }
+    this.state = STATES.CLOSED;
+    this.probing = false;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastSuccessAt = new Date().toISOString();
+    this.stats.successes++;
+  }
+
+  onFailure(error) {
+    this.probing = false;
+    this.consecutiveFailures++;
+    this.stats.failures++;
+    this.lastFailure = { message: error.message, status: error.response?.status, at: new Date().toISOString() };
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== STATES.OPEN) this.stats.opened++;
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+      console.warn(`🔌 Circuit open after ${this.consecutiveFailures} failure(s) - using fallbacks for ${Math.round(this.resetTimeout / 1000)}s`);
+    }
+  }
+
+  /**
+   * Whether calls are refused right now: open and not yet expired, or
+   * half-open with the trial call still running (does not change the state)
+   */
+  isOpen() {
+    if (this.state === STATES.OPEN) return Date.now() - this.openedAt < this.resetTimeout;
+    return this.state === STATES.HALF_OPEN && this.probing;
+  }
+
+  /**
+   * Health snapshot for status endpoints
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeout).toISOString() : null,
+      lastFailure: this.lastFailure,
+      lastSuccessAt: this.lastSuccessAt,
+      ...this.stats
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,286 @@
+const cds = require("@sap/cds");
+const { EventEmitter } = require("events");
+const CohereProvider = require("./providers/cohere-provider");
+const GeminiProvider = require("./providers/gemini-provider");
+const OpenAIProvider = require("./providers/openai-provider");
+const StubProvider = require("./providers/stub-provider");
+const RecordReplayProvider = require("./record-replay");
+const ResilientProvider = require("./resilient-provider");
+const progress = require("../streaming/progress");
+
+/**
+ * LLM Client for SAP Copilot
+ * Single entry point for all model calls. The concrete provider is chosen
+ * per environment via `cds.requires.llm` so handlers never deal with
+ * vendor specific payloads, timeouts or response formats.
+ *
+ * Real providers are wrapped with retries and a circuit breaker
+ * (`cds.requires.llm.resilience`, `false` to disable). While the circuit is
+ * open the client reports itself unavailable so handlers use their fallbacks.
+ *
+ * With a redactor installed (`setRedactor`), personal data in prompts and
+ * chat messages is replaced by placeholders before it leaves the server.
+ * Replies keep the placeholders unless the call site asks to restore them.
+ *
+ * Emits `usage` after every successful call with
+ * { handler, provider, model, usage, latency, promptChars, completionChars }.
+ */
+
+// Registered provider adapters by `kind`
+const PROVIDERS = {
+  cohere: CohereProvider,
+  gemini: GeminiProvider,
+  openai: OpenAIProvider,
+  stub: StubProvider
+};
+
+// Defaults applied when the configuration does not specify a value
+const DEFAULTS = {
+  kind: "cohere",
+  timeout: 15000,
+  maxTokens: 1024,
+  temperature: 0.7,
+  contextWindow: 8192
+};
+
+class LLMClient extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    this.config = { ...DEFAULTS, ...config };
+    this.guard = null;
+    this.redactor = null;
+
+    const Provider = PROVIDERS[this.config.kind];
+    if (!Provider) {
+      throw new Error(`Unknown LLM provider kind "${this.config.kind}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    this.provider = new Provider(this.config);
+
+    // Retries and circuit breaker around the real provider
+    this.resilience = null;
+    if (this.config.resilience !== false) {
+      this.resilience = new ResilientProvider(this.provider, this.config.resilience || {});
+      this.provider = this.resilience;
+    }
+
+    // Optional record/replay layer for offline and reproducible runs
+    if (this.config.recording?.mode) {
+      this.provider = new RecordReplayProvider(this.provider, this.config.recording);
+    }
+  }
+
+  /**
+   * Create a client from the `cds.requires.llm` configuration
+   */
+  static fromEnv() {
+    return new LLMClient(cds.env.requires?.llm || {});
+  }
+
+  /**
+   * Register an additional provider adapter
+   */
+  static registerProvider(kind, Provider) {
+    PROVIDERS[kind] = Provider;
+  }
+
+  /**
+   * Whether calls can be made (credentials present and not blocked by the guard)
+   */
+  isAvailable() {
+    return this.provider.isConfigured() && !this.blockedReason();
+  }
+
+  /**
+   * Install a check that can block calls, e.g. when a usage quota is exceeded
+   * @param {function(): (string|null)} guard - Returns the reason when calls must not be made
+   */
+  setGuard(guard) {
+    this.guard = guard;
+  }
+
+  /**
+   * Install a PII redactor applied to everything sent to the model
+   * @param {PIIRedactor} redactor
+   */
+  setRedactor(redactor) {
+    this.redactor = redactor;
+  }
+
+  /**
+   * Replace personal data in a prompt or in chat messages with placeholders
+   */
+  async redact(value) {
+    if (!this.redactor) return value;
+    await this.redactor.ensureFresh();
+    return this.redactor.redactDeep(value);
+  }
+
+  blockedReason() {
+    if (this.resilience?.breaker.isOpen()) {
+      const { retryAt } = this.resilience.breaker.getState();
+      return `${this.provider.name} is failing, ${retryAt ? `circuit open until ${retryAt}` : "trial call in progress"}`;
+    }
+    return this.guard ? this.guard() : null;
+  }
+
+  /**
+   * Fail early when the guard blocks calls
+   */
+  assertAllowed() {
+    const reason = this.blockedReason();
+    if (reason) {
+      throw new Error(`LLM call blocked: ${reason}`);
+    }
+  }
+
+  /**
+   * Whether the active provider can take part in a tool-calling loop
+   */
+  supportsTools() {
+    return this.provider.supportsTools();
+  }
+
+  /**
+   * Answer length for a handler: `handlers.<name>.maxTokens` in the
+   * configuration wins over the call site default
+   */
+  maxTokensFor(handler, fallback) {
+    return this.config.handlers?.[handler]?.maxTokens || fallback || this.config.maxTokens;
+  }
+
+  /**
+   * Tokens available for prompt context
+   * The model window minus the answer length and the fixed prompt text,
+   * capped by `contextBudget` when configured.
+   * @param {object} [options] - { handler, maxTokens, reserved }
+   */
+  contextBudget(options = {}) {
+    const available = this.config.contextWindow - this.maxTokensFor(options.handler, options.maxTokens) - (options.reserved || 0);
+    const budget = this.config.contextBudget ? Math.min(this.config.contextBudget, available) : available;
+    return Math.max(0, budget);
+  }
+
+  /**
+   * Name and model of the active provider, for logging
+   */
+  describe() {
+    return this.provider.describe();
+  }
+
+  /**
+   * Provider health for status endpoints
+   */
+  health() {
+    return {
+      provider: this.provider.name,
+      model: this.provider.model,
+      configured: this.provider.isConfigured(),
+      available: this.isAvailable(),
+      blockedReason: this.blockedReason(),
+      ...(this.resilience ? this.resilience.getHealth() : { circuit: null })
+    };
+  }
+
+  /**
+   * Send a prompt to the configured model
+   * @param {string} prompt - Full prompt text
+   * @param {object} [options] - { maxTokens, temperature, timeout, model, handler, stream, restore }
+   * With `stream: true` inside a streamed request, tokens are published as they arrive.
+   * With `restore: true` PII placeholders in the reply are replaced by the values (for replies that are parsed, not shown).
+   * @returns {Promise<{text: string, model: string, provider: string, usage: object, latency: number}>}
+   */
+  async complete(prompt, options = {}) {
+    this.assertAllowed();
+
+    const request = {
+      prompt: await this.redact(prompt),
+      model: options.model || this.provider.model,
+      maxTokens: this.maxTokensFor(options.handler, options.maxTokens),
+      temperature: options.temperature ?? this.config.temperature,
+      timeout: options.timeout || this.config.timeout
+    };
+
+    const streaming = options.stream && progress.isActive();
+    progress.status('llm', `Calling AI (${this.provider.name})`);
+
+    const start = Date.now();
+    const result = streaming ?
+      await this.provider.stream(request, token => progress.token(token)) :
+      await this.provider.complete(request);
+    const latency = Date.now() - start;
+
+    console.log(`🤖 LLM ${this.provider.name}/${result.model} answered${options.handler ? ` for ${options.handler}` : ''} in ${latency}ms`);
+
+    this.emit('usage', {
+      handler: options.handler,
+      provider: this.provider.name,
+      model: result.model,
+      usage: result.usage || {},
+      latency,
+      promptChars: prompt.length,
+      completionChars: (result.text || "").length
+    });
+
+    const text = result.text || "";
+    return {
+      text: options.restore && this.redactor ? this.redactor.restore(text) : text,
+      model: result.model,
+      provider: this.provider.name,
+      usage: result.usage || {},
+      latency
+    };
+  }
+
+  /**
+   * Run one chat turn, offering the given tools to the model
+   * Tool call arguments come back with PII placeholders restored, as they are executed, not shown.
+   * @param {Array<object>} messages - Normalized messages (see BaseProvider.chat)
+   * @param {object} [options] - { tools, maxTokens, temperature, timeout, model, handler }
+   * @returns {Promise<{text: string, toolCalls: Array, model: string, provider: string, usage: object, latency: number}>}
+   */
+  async chat(messages, options = {}) {
+    this.assertAllowed();
+
+    const request = {
+      messages: await this.redact(messages),
+      tools: options.tools || [],
+      model: options.model || this.provider.model,
+      maxTokens: this.maxTokensFor(options.handler, options.maxTokens),
+      temperature: options.temperature ?? this.config.temperature,
+      timeout: options.timeout || this.config.timeout
+    };
+
+    progress.status('llm', `Calling AI (${this.provider.name})`);
+
+    const start = Date.now();
+    const result = await this.provider.chat(request);
+    const latency = Date.now() - start;
+
+    const toolCalls = (result.toolCalls || []).map(call => this.redactor ?
+      { ...call, arguments: this.redactor.restoreDeep(call.arguments) } :
+      call);
+    console.log(`🤖 LLM ${this.provider.name}/${result.model} ${toolCalls.length ? `requested ${toolCalls.length} tool call(s)` : 'answered'}${options.handler ? ` for ${options.handler}` : ''} in ${latency}ms`);
+
+    this.emit('usage', {
+      handler: options.handler,
+      provider: this.provider.name,
+      model: result.model,
+      usage: result.usage || {},
+      latency,
+      promptChars: messages.reduce((sum, message) => sum + String(message.content || "").length, 0),
+      completionChars: (result.text || "").length + JSON.stringify(toolCalls).length
+    });
+
+    return {
+      text: result.text || "",
+      toolCalls,
+      model: result.model,
+      provider: this.provider.name,
+      usage: result.usage || {},
+      latency
+    };
+  }
+}
+
+module.exports = LLMClient;
@@ -0,0 +1,205 @@
+const axios = require("axios");
+
+/**
+ * Base class for LLM provider adapters
+ * Subclasses translate a normalized completion request into the vendor
+ * specific HTTP payload and parse the vendor response back
+ */
+class BaseProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.name = config.kind;
+    this.model = config.model;
+    this.url = config.url ? config.url.replace(/\/+$/, "") : undefined;
+    this.apiKey = config.credentials?.apiKey || (config.apiKeyEnv ? process.env[config.apiKeyEnv] : undefined);
+  }
+
+  /**
+   * Whether the provider has everything it needs to make calls
+   */
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  /**
+   * Run a completion request
+   * @param {object} request - { prompt, maxTokens, temperature, timeout }
+   * @returns {Promise<{text: string, model: string, usage: object, raw: object}>}
+   */
+  async complete(request) {
+    const { url, body, headers } = this.buildRequest(request);
+
+    const response = await axios.post(url, body, {
+      timeout: request.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SAP-Copilot/1.0',
+        ...headers
+      }
+    });
+
+    return {
+      ...this.parseResponse(response.data),
+      model: request.model,
+      raw: response.data
+    };
+  }
+
+  /**
+   * Run a completion request and report the reply incrementally
+   * Providers without a streaming request fall back to a single chunk.
+   * @param {object} request - Same as for complete()
+   * @param {function(string)} onToken - Called with each piece of text
+   */
+  async stream(request, onToken) {
+    const streamRequest = this.buildStreamRequest(request);
+    if (!streamRequest) {
+      const result = await this.complete(request);
+      if (result.text) onToken(result.text);
+      return result;
+    }
+
+    const response = await axios.post(streamRequest.url, streamRequest.body, {
+      timeout: request.timeout,
+      responseType: 'stream',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SAP-Copilot/1.0',
+        ...streamRequest.headers
+      }
+    });
+
+    let text = "";
+    let usage = {};
+    let buffer = "";
+
+    const handleLine = (line) => {
+      const event = line.trim() ? this.parseStreamLine(line.trim()) : null;
+      if (!event) return;
+      if (event.text) {
+        text += event.text;
+        onToken(event.text);
+      }
+      if (event.usage) {
+        usage = event.usage;
+      }
+    };
+
+    for await (const chunk of response.data) {
+      buffer += chunk.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffer);
+
+    return { text: text.trim(), usage, model: request.model };
+  }
+
+  /**
+   * Whether the provider supports multi-turn chat with tool calls
+   */
+  supportsTools() {
+    return false;
+  }
+
+  /**
+   * Run a chat turn with tool definitions
+   * Messages use a normalized shape:
+   * - { role: "system" | "user", content }
+   * - { role: "assistant", content, toolCalls: [{ id, name, arguments }] }
+   * - { role: "tool", toolCallId, name, arguments, content }
+   * @param {object} request - { messages, tools, model, maxTokens, temperature, timeout }
+   * @returns {Promise<{text: string, toolCalls: Array, model: string, usage: object, raw: object}>}
+   */
+  async chat(request) {
+    const { url, body, headers } = this.buildChatRequest(request);
+
+    const response = await axios.post(url, body, {
+      timeout: request.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SAP-Copilot/1.0',
+        ...headers
+      }
+    });
+
+    return {
+      ...this.parseChatResponse(response.data),
+      model: request.model,
+      raw: response.data
+    };
+  }
+
+  /**
+   * Build the HTTP request for a chat turn - implemented by tool-capable subclasses
+   */
+  buildChatRequest(request) {
+    throw new Error(`Tool calling not supported by provider "${this.name}"`);
+  }
+
+  /**
+   * Parse a chat response into { text, toolCalls, usage }
+   */
+  parseChatResponse(data) {
+    throw new Error(`Tool calling not supported by provider "${this.name}"`);
+  }
+
+  /**
+   * Parse the JSON content of a tool result message
+   */
+  static parseToolContent(content) {
+    try {
+      return JSON.parse(content);
+    } catch {
+      return { result: content };
+    }
+  }
+
+  /**
+   * Build the HTTP request for a completion - implemented by subclasses
+   */
+  buildRequest(request) {
+    throw new Error(`buildRequest not implemented for provider "${this.name}"`);
+  }
+
+  /**
+   * Parse the HTTP response body - implemented by subclasses
+   */
+  parseResponse(data) {
+    throw new Error(`parseResponse not implemented for provider "${this.name}"`);
+  }
+
+  /**
+   * Build the HTTP request for a streamed completion - null if unsupported
+   */
+  buildStreamRequest(request) {
+    return null;
+  }
+
+  /**
+   * Parse one line of a streamed response into { text, usage } (or null to skip)
+   */
+  parseStreamLine(line) {
+    return null;
+  }
+
+  /**
+   * Parse the JSON payload of a Server-Sent Events `data:` line
+   */
+  static parseSSEData(line) {
+    if (!line.startsWith('data:')) return null;
+    const payload = line.substring(5).trim();
+    if (!payload || payload === '[DONE]') return null;
+    return JSON.parse(payload);
+  }
+
+  /**
+   * Describe the provider for logging (never includes the key itself)
+   */
+  describe() {
+    return `${this.name} (${this.model})`;
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,183 @@
+const crypto = require("crypto");
+const BaseProvider = require("./base-provider");
+
+// JSON schema types mapped to Cohere parameter definition types
+const PARAMETER_TYPES = {
+  string: "str",
+  integer: "int",
+  number: "float",
+  boolean: "bool",
+  object: "Dict"
+};
+
+/**
+ * Cohere chat API adapter (v1/chat)
+ */
+class CohereProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      url: "https://api.cohere.ai/v1/chat",
+      model: "command",
+      apiKeyEnv: "COHERE_API_KEY",
+      ...config
+    });
+  }
+
+  buildRequest(request) {
+    return {
+      url: this.url,
+      body: {
+        model: request.model,
+        message: request.prompt,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature
+      },
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      }
+    };
+  }
+
+  buildStreamRequest(request) {
+    const httpRequest = this.buildRequest(request);
+    httpRequest.body.stream = true;
+    return httpRequest;
+  }
+
+  /**
+   * Cohere streams newline-delimited JSON events
+   */
+  parseStreamLine(line) {
+    const event = JSON.parse(line);
+    if (event.event_type === 'text-generation') {
+      return { text: event.text };
+    }
+    if (event.event_type === 'stream-end') {
+      return { usage: this.parseResponse(event.response).usage };
+    }
+    return null;
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  /**
+   * Map normalized messages onto Cohere's message / chat_history / tool_results
+   * The trailing batch of tool results is sent as `tool_results`; earlier
+   * rounds stay in the history as CHATBOT tool calls and TOOL results.
+   */
+  buildChatRequest(request) {
+    const messages = [...request.messages];
+    const preamble = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+    const conversation = messages.filter(m => m.role !== "system");
+
+    const toolResults = [];
+    while (conversation.length && conversation[conversation.length - 1].role === "tool") {
+      toolResults.unshift(this.toToolResult(conversation.pop()));
+    }
+
+    const last = conversation[conversation.length - 1];
+    const message = !toolResults.length && last?.role === "user" ? conversation.pop().content : "";
+
+    const chatHistory = [];
+    for (const entry of conversation) {
+      if (entry.role === "user") {
+        chatHistory.push({ role: "USER", message: entry.content });
+      } else if (entry.role === "assistant") {
+        chatHistory.push({
+          role: "CHATBOT",
+          message: entry.content || "",
+          tool_calls: entry.toolCalls?.map(call => ({ name: call.name, parameters: call.arguments || {} }))
+        });
+      } else if (entry.role === "tool") {
+        const previous = chatHistory[chatHistory.length - 1];
+        if (previous?.role === "TOOL") {
+          previous.tool_results.push(this.toToolResult(entry));
+        } else {
+          chatHistory.push({ role: "TOOL", tool_results: [this.toToolResult(entry)] });
+        }
+      }
+    }
+
+    const body = {
+      model: request.model,
+      message,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    };
+
+    if (preamble) body.preamble = preamble;
+    if (chatHistory.length) body.chat_history = chatHistory;
+    if (toolResults.length) body.tool_results = toolResults;
+    if (request.tools?.length) {
+      body.tools = request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        parameter_definitions: this.toParameterDefinitions(tool.parameters)
+      }));
+    }
+
+    return {
+      url: this.url,
+      body,
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`
+      }
+    };
+  }
+
+  parseChatResponse(data) {
+    return {
+      ...this.parseResponse(data),
+      toolCalls: (data?.tool_calls || []).map(call => ({
+        id: `call_${crypto.randomBytes(4).toString('hex')}`,
+        name: call.name,
+        arguments: call.parameters || {}
+      }))
+    };
+  }
+
+  /**
+   * Convert a normalized tool message into a Cohere tool result
+   */
+  toToolResult(message) {
+    const output = BaseProvider.parseToolContent(message.content);
+    return {
+      call: { name: message.name, parameters: message.arguments || {} },
+      outputs: Array.isArray(output) ? output : [output]
+    };
+  }
+
+  /**
+   * Convert a JSON schema object into Cohere parameter definitions
+   */
+  toParameterDefinitions(schema = {}) {
+    const required = schema.required || [];
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => {
+      let type = PARAMETER_TYPES[property.type] || "str";
+      if (property.type === "array") {
+        type = `List[${PARAMETER_TYPES[property.items?.type] || "str"}]`;
+      }
+
+      let description = property.description || "";
+      if (property.enum) description += ` (one of: ${property.enum.join(', ')})`;
+      if (property.items?.properties) description += ` Items: ${JSON.stringify(property.items.properties)}`;
+
+      return [name, { description: description.trim(), type, required: required.includes(name) }];
+    }));
+  }
+
+  parseResponse(data) {
+    const billed = data?.meta?.billed_units || {};
+    return {
+      text: data?.text?.trim() || "",
+      usage: {
+        inputTokens: billed.input_tokens,
+        outputTokens: billed.output_tokens
+      }
+    };
+  }
+}
+
+module.exports = CohereProvider;
@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const BaseProvider = require("./base-provider");
+
+/**
+ * Google Gemini generateContent API adapter
+ */
+class GeminiProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      url: "https://generativelanguage.googleapis.com/v1beta/models",
+      model: "gemini-1.5-flash",
+      apiKeyEnv: "GEMINI_API_KEY",
+      ...config
+    });
+  }
+
+  buildRequest(request) {
+    return {
+      url: `${this.url}/${request.model}:generateContent`,
+      body: {
+        contents: [{ role: "user", parts: [{ text: request.prompt }] }],
+        generationConfig: {
+          maxOutputTokens: request.maxTokens,
+          temperature: request.temperature
+        }
+      },
+      headers: {
+        'x-goog-api-key': this.apiKey
+      }
+    };
+  }
+
+  buildStreamRequest(request) {
+    const httpRequest = this.buildRequest(request);
+    httpRequest.url = `${this.url}/${request.model}:streamGenerateContent?alt=sse`;
+    return httpRequest;
+  }
+
+  parseStreamLine(line) {
+    const data = BaseProvider.parseSSEData(line);
+    if (!data) return null;
+    const parts = data.candidates?.[0]?.content?.parts || [];
+    return {
+      text: parts.map(part => part.text || "").join(""),
+      usage: data.usageMetadata ? this.parseResponse(data).usage : undefined
+    };
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  buildChatRequest(request) {
+    const { headers } = this.buildRequest(request);
+    const system = request.messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+
+    const contents = [];
+    for (const message of request.messages) {
+      if (message.role === "user") {
+        contents.push({ role: "user", parts: [{ text: message.content }] });
+      } else if (message.role === "assistant") {
+        const parts = message.content ? [{ text: message.content }] : [];
+        (message.toolCalls || []).forEach(call => parts.push({ functionCall: { name: call.name, args: call.arguments || {} } }));
+        contents.push({ role: "model", parts });
+      } else if (message.role === "tool") {
+        // All results of one round go back in a single turn
+        const part = { functionResponse: { name: message.name, response: { content: BaseProvider.parseToolContent(message.content) } } };
+        const previous = contents[contents.length - 1];
+        if (previous?.role === "function") {
+          previous.parts.push(part);
+        } else {
+          contents.push({ role: "function", parts: [part] });
+        }
+      }
+    }
+
+    const body = {
+      contents,
+      generationConfig: {
+        maxOutputTokens: request.maxTokens,
+        temperature: request.temperature
+      }
+    };
+
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+    if (request.tools?.length) {
+      body.tools = [{
+        functionDeclarations: request.tools.map(tool => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.parameters
+        }))
+      }];
+    }
+
+    return { url: `${this.url}/${request.model}:generateContent`, body, headers };
+  }
+
+  parseChatResponse(data) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    return {
+      ...this.parseResponse(data),
+      toolCalls: parts.filter(part => part.functionCall).map(part => ({
+        id: `call_${crypto.randomBytes(4).toString('hex')}`,
+        name: part.functionCall.name,
+        arguments: part.functionCall.args || {}
+      }))
+    };
+  }
+
+  parseResponse(data) {
+    const parts = data?.candidates?.[0]?.content?.parts || [];
+    const usage = data?.usageMetadata || {};
+    return {
+      text: parts.map(part => part.text || "").join("").trim(),
+      usage: {
+        inputTokens: usage.promptTokenCount,
+        outputTokens: usage.candidatesTokenCount
+      }
+    };
+  }
+}
+
+module.exports = GeminiProvider;
@@ -0,0 +1,125 @@
+const BaseProvider = require("./base-provider");
+
+/**
+ * Adapter for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, Azure OpenAI, SAP AI Core proxies, Ollama, vLLM, ...)
+ */
+class OpenAIProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      url: "https://api.openai.com/v1",
+      model: "gpt-4o-mini",
+      apiKeyEnv: "OPENAI_API_KEY",
+      ...config
+    });
+  }
+
+  /**
+   * Local OpenAI-compatible servers usually run without a key
+   */
+  isConfigured() {
+    return !!this.apiKey || this.config.requiresKey === false;
+  }
+
+  buildRequest(request) {
+    const headers = {};
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return {
+      url: `${this.url}/chat/completions`,
+      body: {
+        model: request.model,
+        messages: [{ role: "user", content: request.prompt }],
+        max_tokens: request.maxTokens,
+        temperature: request.temperature
+      },
+      headers
+    };
+  }
+
+  buildStreamRequest(request) {
+    const httpRequest = this.buildRequest(request);
+    httpRequest.body.stream = true;
+    httpRequest.body.stream_options = { include_usage: true };
+    return httpRequest;
+  }
+
+  parseStreamLine(line) {
+    const data = BaseProvider.parseSSEData(line);
+    if (!data) return null;
+    return {
+      text: data.choices?.[0]?.delta?.content || "",
+      usage: data.usage ? this.parseResponse(data).usage : undefined
+    };
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  buildChatRequest(request) {
+    const { headers } = this.buildRequest(request);
+
+    const messages = request.messages.map(message => {
+      switch (message.role) {
+        case "assistant":
+          return {
+            role: "assistant",
+            content: message.content || null,
+            tool_calls: message.toolCalls?.length ? message.toolCalls.map(call => ({
+              id: call.id,
+              type: "function",
+              function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+            })) : undefined
+          };
+        case "tool":
+          return { role: "tool", tool_call_id: message.toolCallId, content: message.content };
+        default:
+          return { role: message.role, content: message.content };
+      }
+    });
+
+    const body = {
+      model: request.model,
+      messages,
+      max_tokens: request.maxTokens,
+      temperature: request.temperature
+    };
+
+    if (request.tools?.length) {
+      body.tools = request.tools.map(tool => ({
+        type: "function",
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+    }
+
+    return { url: `${this.url}/chat/completions`, body, headers };
+  }
+
+  parseChatResponse(data) {
+    const message = data?.choices?.[0]?.message || {};
+    return {
+      ...this.parseResponse(data),
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function?.name,
+        arguments: BaseProvider.parseToolContent(call.function?.arguments || "{}")
+      }))
+    };
+  }
+
+  parseResponse(data) {
+    const usage = data?.usage || {};
+    return {
+      text: data?.choices?.[0]?.message?.content?.trim() || "",
+      usage: {
+        inputTokens: usage.prompt_tokens,
+        outputTokens: usage.completion_tokens
+      }
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
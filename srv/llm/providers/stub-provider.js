@@ -0,0 +1,97 @@
+const crypto = require("crypto");
+const BaseProvider = require("./base-provider");
+
+/**
+ * Local deterministic stub - never touches the network
+ * Replies are picked from configured rules ({ match, reply }) where `match`
+ * is a case-insensitive regex source tested against the prompt. Without a
+ * matching rule the reply is derived from a hash of the prompt, so the same
+ * prompt always produces the same answer.
+ */
+class StubProvider extends BaseProvider {
+  constructor(config = {}) {
+    super({
+      model: "stub",
+      responses: [],
+      ...config
+    });
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async complete(request) {
+    const rule = (this.config.responses || []).find(r => new RegExp(r.match, 'i').test(request.prompt));
+    const digest = crypto.createHash('sha256').update(request.prompt).digest('hex').substring(0, 8);
+    const text = rule ? rule.reply : `[stub ${digest}] This is a deterministic placeholder answer from the local LLM stub.`;
+
+    return {
+      text,
+      model: request.model,
+      usage: {
+        inputTokens: Math.ceil(request.prompt.length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      },
+      raw: { stub: true, digest }
+    };
+  }
+
+  supportsTools() {
+    return true;
+  }
+
+  /**
+   * Deterministic tool use: the first turn queries the entity named in the
+   * user message, the next turn summarizes whatever the tools returned
+   */
+  async chat(request) {
+    const userMessage = [...request.messages].reverse().find(m => m.role === "user")?.content || "";
+    const toolMessages = request.messages.filter(m => m.role === "tool");
+    const entityNames = request.tools?.find(tool => tool.name === "query_entity")?.parameters?.properties?.entity?.enum || [];
+
+    let text = "";
+    let toolCalls = [];
+
+    const lowerMessage = userMessage.toLowerCase();
+    const entity = entityNames.find(name => {
+      const lowerName = name.toLowerCase();
+      return lowerMessage.includes(lowerName) || lowerMessage.includes(lowerName.replace(/(ies|s)$/, ''));
+    });
+
+    if (!toolMessages.length && entity) {
+      toolCalls = [{ id: "stub_call_1", name: "query_entity", arguments: { entity, limit: 5 } }];
+    } else {
+      const summaries = toolMessages.map(message => {
+        const output = BaseProvider.parseToolContent(message.content);
+        if (output.error) return `${message.name} failed: ${output.error}`;
+        return `${output.entity || message.name}: ${output.count ?? output.groups?.length ?? 1} record(s)`;
+      });
+      text = summaries.length ?
+        `[stub] Looked up ${summaries.join('; ')}.` :
+        (await this.complete({ ...request, prompt: userMessage })).text;
+    }
+
+    return {
+      text,
+      toolCalls,
+      model: request.model,
+      usage: {
+        inputTokens: Math.ceil(JSON.stringify(request.messages).length / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      },
+      raw: { stub: true }
+    };
+  }
+
+  /**
+   * Emit the deterministic reply word by word
+   */
+  async stream(request, onToken) {
+    const result = await this.complete(request);
+    result.text.split(/(?<=\s)/).forEach(word => onToken(word));
+    return result;
+  }
+}
+
+module.exports = StubProvider;
@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const cds = require("@sap/cds");
+
+/**
+ * Record/Replay wrapper for LLM providers
+ * Captures every request/response pair to disk, keyed by a hash of the
+ * normalized request, and serves them back later without network access.
+ *
+ * Modes:
+ * - record: always call the real provider and store the result
+ * - replay: only serve stored results, a missing recording is an error
+ * - auto:   serve stored results, record the ones that are missing
+ *
+ * Enable with `cds.requires.llm.recording.mode`, e.g. via the `record` /
+ * `replay` profiles or `CDS_REQUIRES_LLM_RECORDING_MODE=replay`.
+ */
+
+const MODES = ["record", "replay", "auto"];
+
+class RecordReplayProvider {
+  constructor(provider, options = {}) {
+    if (!MODES.includes(options.mode)) {
+      throw new Error(`Unknown LLM recording mode "${options.mode}". Available: ${MODES.join(', ')}`);
+    }
+
+    this.provider = provider;
+    this.mode = options.mode;
+    this.dir = path.resolve(cds.root, options.dir || "test/llm-recordings");
+    this.name = provider.name;
+    this.model = provider.model;
+    this.stats = { hits: 0, misses: 0, recorded: 0 };
+  }
+
+  /**
+   * Replay never needs credentials
+   */
+  isConfigured() {
+    return this.mode === "replay" || this.provider.isConfigured();
+  }
+
+  describe() {
+    return `${this.provider.describe()} [${this.mode}]`;
+  }
+
+  /**
+   * Normalize a prompt so that cosmetic whitespace/case changes hit the same recording
+   */
+  static normalizePrompt(prompt) {
+    return String(prompt).replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  /**
+   * Compute the recording key for a request
+   */
+  static keyFor(request) {
+    const normalized = JSON.stringify({
+      prompt: request.messages ?
+        RecordReplayProvider.normalizePrompt(JSON.stringify(request.messages)) :
+        RecordReplayProvider.normalizePrompt(request.prompt),
+      tools: request.tools?.map(tool => tool.name),
+      model: request.model,
+      maxTokens: request.maxTokens,
+      temperature: request.temperature
+    });
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  async complete(request) {
+    const { key, file, recorded } = this.lookup(request);
+    if (recorded) return recorded;
+
+    const response = await this.provider.complete(request);
+    this.save(file, key, request, response);
+    return response;
+  }
+
+  async stream(request, onToken) {
+    const { key, file, recorded } = this.lookup(request);
+    if (recorded) {
+      if (recorded.text) onToken(recorded.text);
+      return recorded;
+    }
+
+    const response = await this.provider.stream(request, onToken);
+    this.save(file, key, request, response);
+    return response;
+  }
+
+  supportsTools() {
+    return this.provider.supportsTools();
+  }
+
+  async chat(request) {
+    const { key, file, recorded } = this.lookup(request);
+    if (recorded) return recorded;
+
+    const response = await this.provider.chat(request);
+    this.save(file, key, request, response);
+    return response;
+  }
+
+  /**
+   * Find the recording for a request - throws on a miss in replay mode
+   */
+  lookup(request) {
+    const key = RecordReplayProvider.keyFor(request);
+    const file = path.join(this.dir, `${key.substring(0, 16)}.json`);
+
+    if (this.mode !== "record" && fs.existsSync(file)) {
+      const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.stats.hits++;
+      console.log(`📼 Replaying LLM response ${key.substring(0, 16)}`);
+      return { key, file, recorded: { ...recording.response, replayed: true } };
+    }
+
+    if (this.mode === "replay") {
+      this.stats.misses++;
+      throw new Error(`No LLM recording found for request ${key.substring(0, 16)} in ${this.dir} - record it with \`npm run eval:record\``);
+    }
+
+    return { key, file, recorded: null };
+  }
+
+  /**
+   * Write a recording to disk
+   */
+  save(file, key, request, response) {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const recording = {
+      key,
+      provider: this.provider.name,
+      recordedAt: new Date().toISOString(),
+      request: {
+        prompt: request.prompt,
+        messages: request.messages,
+        tools: request.tools?.map(tool => tool.name),
+        model: request.model,
+        maxTokens: request.maxTokens,
+        temperature: request.temperature
+      },
+      response: {
+        text: response.text,
+        toolCalls: response.toolCalls,
+        model: response.model,
+        usage: response.usage
+      }
+    };
+
+    fs.writeFileSync(file, JSON.stringify(recording, null, 2));
+    this.stats.recorded++;
+    console.log(`📼 Recorded LLM response ${key.substring(0, 16)}`);
+  }
+}
+
+module.exports = RecordReplayProvider;
@@ -0,0 +1,144 @@
+const CircuitBreaker = require("./circuit-breaker");
+
+/**
+ * Resilience wrapper for LLM providers
+ * Retries transient failures (429, 5xx, dropped connections) with jittered
+ * exponential backoff and feeds every outcome into a circuit breaker. While
+ * the circuit is open calls fail immediately, so handlers go straight to
+ * their deterministic fallbacks instead of waiting for a timeout.
+ *
+ * Configure with `cds.requires.llm.resilience`
+ * ({ retries, baseDelay, maxDelay, failureThreshold, resetTimeout }).
+ */
+
+// Network errors worth another attempt (timeouts are not retried - they already took long)
+const TRANSIENT_CODES = ["ECONNRESET", "ECONNREFUSED", "EPIPE", "EAI_AGAIN"];
+
+class CircuitOpenError extends Error {
+  constructor(retryAt) {
+    super(`LLM provider unavailable (${retryAt ? `circuit open until ${retryAt}` : "trial call in progress"})`);
+    this.name = "CircuitOpenError";
+    this.circuitOpen = true;
+  }
+}
+
+class ResilientProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.model = provider.model;
+    this.retries = options.retries ?? 2;
+    this.baseDelay = options.baseDelay ?? 500;
+    this.maxDelay = options.maxDelay ?? 4000;
+    this.breaker = new CircuitBreaker(options);
+    this.stats = { retries: 0 };
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  describe() {
+    return this.provider.describe();
+  }
+
+  supportsTools() {
+    return this.provider.supportsTools();
+  }
+
+  complete(request) {
+    return this.execute(() => this.provider.complete(request));
+  }
+
+  chat(request) {
+    return this.execute(() => this.provider.chat(request));
+  }
+
+  /**
+   * Streams are only retried while no token has been delivered yet
+   */
+  stream(request, onToken) {
+    let started = false;
+    return this.execute(() => this.provider.stream(request, token => {
+      started = true;
+      onToken(token);
+    }), () => !started);
+  }
+
+  /**
+   * Whether a failure is worth retrying and counts against the circuit
+   */
+  static isTransient(error) {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return TRANSIENT_CODES.includes(error.code);
+  }
+
+  /**
+   * Whether a failure says the provider is unavailable (client errors do not)
+   */
+  static isOutage(error) {
+    return ResilientProvider.isTransient(error) || error.code === "ECONNABORTED" || error.code === "ETIMEDOUT";
+  }
+
+  /**
+   * Delay before the next attempt: full jitter over exponential backoff,
+   * or the provider's Retry-After when it asks for longer
+   */
+  backoff(attempt, error) {
+    const exponential = Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+    const jittered = Math.random() * exponential;
+    const retryAfter = parseFloat(error.response?.headers?.['retry-after']);
+    return isNaN(retryAfter) ? jittered : Math.min(this.maxDelay, Math.max(jittered, retryAfter * 1000));
+  }
+
+  /**
+   * Run a provider call with retries behind the circuit breaker
+   * @param {function(): Promise} call - The provider call
+   * @param {function(): boolean} [canRetry] - Extra condition for retrying
+   */
+  async execute(call, canRetry = () => true) {
+    if (!this.breaker.allowRequest()) {
+      this.breaker.reject();
+      throw new CircuitOpenError(this.breaker.getState().retryAt);
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const result = await call();
+        this.breaker.onSuccess();
+        return result;
+      } catch (error) {
+        const retry = attempt < this.retries && ResilientProvider.isTransient(error) && canRetry();
+        if (!retry) {
+          if (ResilientProvider.isOutage(error)) {
+            this.breaker.onFailure(error);
+          } else {
+            this.breaker.release();
+          }
+          throw error;
+        }
+
+        const delay = Math.round(this.backoff(attempt, error));
+        this.stats.retries++;
+        console.warn(`🔁 LLM call failed (${error.response?.status || error.code || error.message}), retry ${attempt + 1}/${this.retries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Health snapshot for status endpoints
+   */
+  getHealth() {
+    return {
+      circuit: this.breaker.getState(),
+      retries: this.stats.retries,
+      policy: { retries: this.retries, baseDelay: this.baseDelay, maxDelay: this.maxDelay, resetTimeout: this.breaker.resetTimeout }
+    };
+  }
+}
+
+ResilientProvider.CircuitOpenError = CircuitOpenError;
+
+module.exports = ResilientProvider;
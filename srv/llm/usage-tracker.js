@@ -0,0 +1,136 @@
+const cds = require("@sap/cds");
+
+/**
+ * LLM Usage Tracker
+ * Records tokens, latency, model and handler of every LLM call, persists
+ * them to `NorthwindService.AIUsage` and keeps today's token totals in memory to
+ * enforce daily quotas per user and for the whole copilot.
+ */
+
+// Rough average for English text, used when the provider reports no usage
+const CHARS_PER_TOKEN = 4;
+
+const USAGE_ENTITY = "NorthwindService.AIUsage";
+
+class UsageTracker {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.pricing] - Cost per 1000 tokens by model: { "<model>": { input, output } }
+   * @param {object} [options.quotas] - Daily token limits: { perUser, total }
+   */
+  constructor(options = {}) {
+    this.pricing = options.pricing || {};
+    this.quotas = options.quotas || {};
+    this.day = null;
+    this.totals = new Map(); // userId → tokens used today
+    this.total = 0;
+  }
+
+  static today() {
+    return new Date().toISOString().substring(0, 10);
+  }
+
+  static estimateTokens(chars) {
+    return Math.ceil((chars || 0) / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Reset the in-memory totals when the day changes
+   */
+  rollOver() {
+    const today = UsageTracker.today();
+    if (this.day !== today) {
+      this.day = today;
+      this.totals.clear();
+      this.total = 0;
+    }
+  }
+
+  /**
+   * Load today's totals from the database, e.g. after a restart
+   */
+  async restore() {
+    this.rollOver();
+    try {
+      const db = await cds.connect.to('db');
+      const rows = await db.run(SELECT.from(USAGE_ENTITY).columns('userId', 'sum(totalTokens) as tokens').where({ day: this.day }).groupBy('userId'));
+      rows.forEach(row => {
+        this.totals.set(row.userId, Number(row.tokens) || 0);
+        this.total += Number(row.tokens) || 0;
+      });
+      if (rows.length > 0) {
+        console.log(`📈 Restored today's AI usage: ${this.total} tokens by ${rows.length} user(s)`);
+      }
+    } catch (error) {
+      console.error("❌ Could not restore AI usage totals:", error.message);
+    }
+  }
+
+  /**
+   * Cost of a call from the configured pricing (0 when the model has no price)
+   */
+  costFor(model, inputTokens, outputTokens) {
+    const price = this.pricing[model];
+    if (!price) return 0;
+    return ((inputTokens * (price.input || 0)) + (outputTokens * (price.output || 0))) / 1000;
+  }
+
+  /**
+   * Record one LLM call
+   * @param {object} call - { handler, provider, model, usage, latency, promptChars, completionChars, user, sessionId }
+   * @returns {object} The stored usage record
+   */
+  record(call) {
+    this.rollOver();
+
+    const reported = call.usage?.inputTokens !== undefined && call.usage?.outputTokens !== undefined;
+    const inputTokens = reported ? call.usage.inputTokens : UsageTracker.estimateTokens(call.promptChars);
+    const outputTokens = reported ? call.usage.outputTokens : UsageTracker.estimateTokens(call.completionChars);
+    const now = new Date();
+
+    const entry = {
+      ID: cds.utils.uuid(),
+      timestamp: now.toISOString(),
+      day: this.day,
+      userId: call.user || "anonymous",
+      sessionId: call.sessionId || "",
+      handler: call.handler || "unknown",
+      provider: call.provider,
+      model: call.model,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      estimated: !reported,
+      latency: call.latency,
+      cost: this.costFor(call.model, inputTokens, outputTokens)
+    };
+
+    this.totals.set(entry.userId, (this.totals.get(entry.userId) || 0) + entry.totalTokens);
+    this.total += entry.totalTokens;
+
+    // Persisted in its own transaction so a failing request does not lose the record
+    cds.spawn(tx => tx.run(INSERT.into(USAGE_ENTITY).entries(entry)))
+      .on('failed', error => console.error("❌ Could not store AI usage:", error.message));
+
+    return entry;
+  }
+
+  /**
+   * Check the daily quotas for a user
+   * @returns {{exceeded: boolean, reason?: string, used: number, limit?: number}}
+   */
+  checkQuota(userId = "anonymous") {
+    this.rollOver();
+
+    const used = this.totals.get(userId) || 0;
+    if (this.quotas.perUser && used >= this.quotas.perUser) {
+      return { exceeded: true, reason: `daily AI quota of ${this.quotas.perUser} tokens reached for ${userId}`, used, limit: this.quotas.perUser };
+    }
+    if (this.quotas.total && this.total >= this.quotas.total) {
+      return { exceeded: true, reason: `daily AI quota of ${this.quotas.total} tokens reached for the copilot`, used: this.total, limit: this.quotas.total };
+    }
+    return { exceeded: false, used, limit: this.quotas.perUser };
+  }
+}
+
+module.exports = UsageTracker;
@@ -10,42 +10,35 @@ module.exports = {
     message: "Too many requests from this IP, please try again later."
   },
 
-  // Input validation for Gemini service
-  validateGeminiInput: function(req, res, next) {
-    const { prompt } = req.data || {};
-    
+  /**
+   * Input validation for the copilot prompt
+   * Checks the prompt shape, then lets the prompt guard score it for
+   * injection and abuse patterns (see srv/ai/prompt-guard.js).
+   * @param {string} prompt - User prompt
+   * @param {PromptGuard} guard - Guard with the configured policy
+   * @returns {{valid: boolean, error?: string, prompt?: string, verdict?: object}}
+   */
+  validateGeminiInput: function(prompt, guard) {
     // Check if prompt exists
-    if (!prompt) {
-      return req.error(400, "Prompt is required");
+    if (!prompt || typeof prompt !== 'string') {
+      return { valid: false, error: "Prompt must be a non-empty string" };
     }
-    
-    // Check prompt length
-    if (typeof prompt !== 'string' || prompt.trim().length === 0) {
-      return req.error(400, "Prompt must be a non-empty string");
+
+    if (prompt.trim().length === 0) {
+      return { valid: false, error: "Prompt cannot be empty" };
     }
-    
+
     if (prompt.length > 10000) {
-      return req.error(400, "Prompt is too long (maximum 10,000 characters)");
+      return { valid: false, error: "Prompt is too long (max 10,000 characters)" };
     }
-    
-    // Basic content filtering
-    const forbiddenPatterns = [
-      /\b(password|secret|key|token)\b/i,
-      /\b(hack|exploit|vulnerability)\b/i,
-      /\b(sql\s+injection|xss|csrf)\b/i
-    ];
-    
-    for (const pattern of forbiddenPatterns) {
-      if (pattern.test(prompt)) {
-        console.warn(`🚨 Potentially harmful prompt detected: ${prompt.substring(0, 100)}...`);
-        return req.error(400, "Prompt contains potentially harmful content");
-      }
+
+    const verdict = guard.inspect(prompt);
+    if (verdict.action === "block") {
+      return { valid: false, error: "Prompt was blocked by the prompt guard", verdict };
     }
-    
-    // Sanitize prompt
-    req.data.prompt = prompt.trim().replace(/\s+/g, ' ');
-    
-    next();
+
+    // With the strip policy the prompt comes back without the offending sentences
+    return { valid: true, prompt: verdict.prompt, verdict };
   },
 
   // Environment validation
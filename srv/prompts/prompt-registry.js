@@ -0,0 +1,326 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * Prompt Template Registry
+ * Loads versioned, per-locale prompt templates from `templates/<name>/`:
+ *
+ *   templates/universal-query/v1.txt      default locale
+ *   templates/universal-query/v1.de.txt   German variant of v1
+ *   templates/universal-query/v2.txt      next version
+ *
+ * Each file starts with a front matter block (description, variables) and
+ * uses {{variable}} placeholders. Active versions can be pinned per
+ * template; two versions can be A/B tested and their outcomes compared.
+ * Templates without a variant in the requested language tell the model to
+ * answer in that language.
+ */
+
+const TEMPLATE_DIR = path.join(__dirname, "templates");
+const FILE_PATTERN = /^(v\d+)(?:\.([a-z]{2}(?:[-_][a-z]{2})?))?\.txt$/i;
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Language the default-locale templates are written in
+const DEFAULT_LANGUAGE = "en";
+
+/**
+ * A single template file
+ */
+class PromptTemplate {
+  constructor({ name, version, locale, description, variables, body, responseLanguage }) {
+    this.name = name;
+    this.version = version;
+    this.locale = locale;
+    this.responseLanguage = responseLanguage || null;
+    this.description = description;
+    this.variables = variables;
+    this.body = body;
+  }
+
+  /**
+   * Identifier recorded with responses, e.g. "universal-query@v2" or "universal-query@v1.de"
+   */
+  get id() {
+    return `${this.name}@${this.version}${this.locale ? `.${this.locale}` : ''}`;
+  }
+
+  /**
+   * Fill in the placeholders - every declared variable must be provided
+   */
+  render(values = {}) {
+    const missing = this.variables.filter(variable => values[variable] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Missing variables for prompt ${this.id}: ${missing.join(', ')}`);
+    }
+    return this.body.replace(PLACEHOLDER, (match, variable) => variable in values ? String(values[variable]) : match);
+  }
+
+  /**
+   * Copy of the template that asks for answers in another language
+   */
+  respondingIn(language) {
+    return new PromptTemplate({
+      ...this,
+      responseLanguage: language,
+      body: `${PromptRegistry.languageDirective(language)}\n\n${this.body}`
+    });
+  }
+}
+
+class PromptRegistry {
+  /**
+   * @param {object} [options] - { dir, versions: { <template>: <pinned version> } }
+   */
+  constructor(options = {}) {
+    this.dir = options.dir || TEMPLATE_DIR;
+    this.pinned = options.versions || {};
+    this.templates = new Map();   // name → Map(version → Map(locale → PromptTemplate))
+    this.experiments = new Map(); // name → { versionA, versionB, split, startedAt }
+    this.stats = new Map();       // "name@version" → outcome counters
+    this.load();
+  }
+
+  /**
+   * (Re)load all template files from disk
+   */
+  load() {
+    this.templates.clear();
+
+    for (const name of fs.readdirSync(this.dir)) {
+      const templateDir = path.join(this.dir, name);
+      if (!fs.statSync(templateDir).isDirectory()) continue;
+
+      const versions = new Map();
+      for (const file of fs.readdirSync(templateDir)) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const [, version, locale = ""] = match;
+        const template = PromptRegistry.parseFile(fs.readFileSync(path.join(templateDir, file), "utf8"));
+        if (!versions.has(version)) versions.set(version, new Map());
+        versions.get(version).set(PromptRegistry.normalizeLocale(locale), new PromptTemplate({
+          name,
+          version,
+          locale: PromptRegistry.normalizeLocale(locale),
+          ...template
+        }));
+      }
+
+      if (versions.size > 0) this.templates.set(name, versions);
+    }
+
+    console.log(`📝 Prompt registry loaded ${this.templates.size} templates`);
+  }
+
+  /**
+   * Split a template file into front matter and body
+   */
+  static parseFile(content) {
+    const match = content.match(FRONT_MATTER);
+    const meta = {};
+    if (match) {
+      match[1].split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf(':');
+        if (separator > 0) meta[line.substring(0, separator).trim()] = line.substring(separator + 1).trim();
+      });
+    }
+
+    const body = (match ? content.substring(match[0].length) : content).trimEnd();
+    const declared = meta.variables ? meta.variables.split(',').map(v => v.trim()).filter(Boolean) : [];
+    const used = [...body.matchAll(PLACEHOLDER)].map(m => m[1]);
+
+    return {
+      description: meta.description || "",
+      variables: [...new Set([...declared, ...used])],
+      body
+    };
+  }
+
+  static normalizeLocale(locale) {
+    return String(locale || "").toLowerCase().replace('_', '-');
+  }
+
+  /**
+   * Instruction to answer in the user's language, for prompts written in English
+   */
+  static languageDirective(language) {
+    let name = language;
+    try {
+      name = new Intl.DisplayNames([DEFAULT_LANGUAGE], { type: "language" }).of(language);
+    } catch {
+      // Unknown code - use it as it is
+    }
+    return `LANGUAGE: The user writes in ${name}. Write everything meant for the user in ${name}; keep JSON keys, field names, IDs and product names unchanged.`;
+  }
+
+  /**
+   * Versions of a template, oldest first
+   */
+  getVersions(name) {
+    const versions = this.templates.get(name);
+    if (!versions) throw new Error(`Unknown prompt template "${name}"`);
+    return [...versions.keys()].sort((a, b) => parseInt(a.substring(1), 10) - parseInt(b.substring(1), 10));
+  }
+
+  /**
+   * Version used when no experiment is running: pinned in configuration, else the latest
+   */
+  getActiveVersion(name) {
+    const versions = this.getVersions(name);
+    return versions.includes(this.pinned[name]) ? this.pinned[name] : versions[versions.length - 1];
+  }
+
+  /**
+   * Get a specific template, falling back from "de-at" to "de" to the default locale
+   */
+  get(name, version, locale) {
+    const locales = this.templates.get(name)?.get(version);
+    if (!locales) throw new Error(`Unknown prompt template version ${name}@${version}`);
+
+    const normalized = PromptRegistry.normalizeLocale(locale);
+    return locales.get(normalized) || locales.get(normalized.split('-')[0]) || locales.get("") || locales.values().next().value;
+  }
+
+  /**
+   * Pick the template to use for a request
+   * @param {string} name - Template name
+   * @param {object} [options] - { locale, subject } - subject (e.g. user id) keeps A/B assignment stable
+   */
+  select(name, options = {}) {
+    const experiment = this.experiments.get(name);
+    let version = this.getActiveVersion(name);
+
+    if (experiment) {
+      const bucket = options.subject ?
+        parseInt(crypto.createHash('sha256').update(`${name}:${options.subject}`).digest('hex').substring(0, 8), 16) / 0xffffffff :
+        Math.random();
+      version = bucket < experiment.split ? experiment.versionA : experiment.versionB;
+    }
+
+    const template = this.get(name, version, options.locale);
+    const language = PromptRegistry.normalizeLocale(options.locale).split('-')[0];
+    if (language && language !== DEFAULT_LANGUAGE && template.locale.split('-')[0] !== language) {
+      return template.respondingIn(language);
+    }
+    return template;
+  }
+
+  /**
+   * Start an A/B test between two versions of a template
+   * @param {number} [split] - Share of requests that get versionA (0..1)
+   */
+  startExperiment(name, versionA, versionB, split = 0.5) {
+    const versions = this.getVersions(name);
+    for (const version of [versionA, versionB]) {
+      if (!versions.includes(version)) {
+        throw new Error(`Unknown version "${version}" of prompt template "${name}". Available: ${versions.join(', ')}`);
+      }
+    }
+    if (versionA === versionB) {
+      throw new Error("An experiment needs two different versions");
+    }
+    if (!(split > 0 && split < 1)) {
+      throw new Error("Split must be between 0 and 1");
+    }
+
+    const experiment = { template: name, versionA, versionB, split, startedAt: new Date().toISOString() };
+    this.experiments.set(name, experiment);
+    console.log(`🧪 Prompt experiment started: ${name} ${versionA} vs ${versionB} (${Math.round(split * 100)}/${Math.round((1 - split) * 100)})`);
+    return experiment;
+  }
+
+  /**
+   * Stop the A/B test of a template - the active version is used again
+   */
+  stopExperiment(name) {
+    const experiment = this.experiments.get(name);
+    if (!experiment) throw new Error(`No experiment running for prompt template "${name}"`);
+    this.experiments.delete(name);
+    console.log(`🧪 Prompt experiment stopped: ${name}`);
+    return experiment;
+  }
+
+  /**
+   * Record the outcome of a response produced with a template
+   * @param {PromptTemplate} template - Template returned by select()
+   * @param {object} outcome - { success, latency, outputTokens }
+   */
+  recordOutcome(template, outcome = {}) {
+    const stats = this.getStats(template.name, template.version);
+    stats.responses++;
+    if (outcome.success) stats.successes++;
+    stats.totalLatency += outcome.latency || 0;
+    stats.totalOutputTokens += outcome.outputTokens || 0;
+  }
+
+  /**
+   * Record user feedback for a template id as returned with a response
+   */
+  recordFeedback(templateId, helpful) {
+    const [name, versionAndLocale = ""] = String(templateId).split('@');
+    const version = versionAndLocale.split('.')[0];
+    this.get(name, version);
+
+    const stats = this.getStats(name, version);
+    if (helpful) {
+      stats.helpful++;
+    } else {
+      stats.notHelpful++;
+    }
+  }
+
+  getStats(name, version) {
+    const key = `${name}@${version}`;
+    if (!this.stats.has(key)) {
+      this.stats.set(key, { responses: 0, successes: 0, totalLatency: 0, totalOutputTokens: 0, helpful: 0, notHelpful: 0 });
+    }
+    return this.stats.get(key);
+  }
+
+  /**
+   * Compare the outcomes of all versions of a template
+   */
+  getResults(name) {
+    const experiment = this.experiments.get(name);
+    return this.getVersions(name).map(version => {
+      const stats = this.getStats(name, version);
+      const rated = stats.helpful + stats.notHelpful;
+      return {
+        template: name,
+        version,
+        active: experiment ? [experiment.versionA, experiment.versionB].includes(version) : version === this.getActiveVersion(name),
+        responses: stats.responses,
+        successRate: stats.responses ? stats.successes / stats.responses : null,
+        avgLatency: stats.responses ? Math.round(stats.totalLatency / stats.responses) : null,
+        avgOutputTokens: stats.responses ? Math.round(stats.totalOutputTokens / stats.responses) : null,
+        helpful: stats.helpful,
+        notHelpful: stats.notHelpful,
+        helpfulRate: rated ? stats.helpful / rated : null
+      };
+    });
+  }
+
+  /**
+   * Overview of all templates
+   */
+  list() {
+    return [...this.templates.keys()].sort().map(name => {
+      const experiment = this.experiments.get(name);
+      const locales = new Set();
+      this.templates.get(name).forEach(byLocale => byLocale.forEach((template, locale) => locale && locales.add(locale)));
+
+      return {
+        name,
+        description: this.get(name, this.getActiveVersion(name)).description,
+        versions: this.getVersions(name),
+        locales: [...locales],
+        activeVersion: this.getActiveVersion(name),
+        experiment: experiment ? `${experiment.versionA} vs ${experiment.versionB} (${Math.round(experiment.split * 100)}% ${experiment.versionA})` : null
+      };
+    });
+  }
+}
+
+module.exports = PromptRegistry;
@@ -83,8 +83,8 @@ class ReportGenerator {
       // Convert data to worksheet
       const worksheet = XLSX.utils.json_to_sheet(data);
       
-      // Add worksheet to workbook
-      XLSX.utils.book_append_sheet(workbook, worksheet, title);
+      // Add worksheet to workbook (sheet names are limited to 31 characters without : \ / ? * [ ])
+      XLSX.utils.book_append_sheet(workbook, worksheet, title.replace(/[:\\/?*[\]]/g, '').substring(0, 31).trim());
       
       // Write file
       XLSX.writeFile(workbook, filePath);
@@ -269,6 +269,15 @@ class ReportGenerator {
           countries: [...new Set(data.map(c => c.Country))].length,
           withEmail: data.filter(c => c.Email).length
         };
+      case 'orders':
+        return {
+          totalOrders: data.length,
+          totalFreight: data.reduce((sum, o) => sum + Number(o.Freight || 0), 0).toFixed(2),
+          shipped: data.filter(o => o.Status === 'Shipped').length,
+          processing: data.filter(o => o.Status === 'Processing').length,
+          pending: data.filter(o => o.Status === 'Pending').length,
+          countries: [...new Set(data.map(o => o.ShipCountry))].length
+        };
       default:
         return { totalRecords: data.length };
     }
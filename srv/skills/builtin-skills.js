@@ -0,0 +1,237 @@
+const Clarifier = require("../ai/clarifier");
+const TextToCQL = require("../ai/text-to-cql");
+const progress = require("../streaming/progress");
+
+/**
+ * Built-in Skills of SAP Copilot
+ * Scores are 0-1. A data query is always possible, so the `query` skill
+ * scores at least BASE_QUERY_SCORE and answers whatever no other skill
+ * claims with more confidence. Keywords that also occur in ordinary
+ * questions ("summary", "chart", "check") only add a little; they need the
+ * intent classifier to agree before they win over a data query.
+ */
+
+const BASE_QUERY_SCORE = 0.3;
+
+// Intents below this confidence are ignored by the skills
+const MIN_INTENT_CONFIDENCE = 0.5;
+
+const TRANSACTION_VERBS = /^(create|add|update|modify|delete|remove)\s/;
+
+// The transaction intent each verb stands for
+const VERB_INTENTS = {
+  create: 'CREATE_OPERATION', add: 'CREATE_OPERATION',
+  update: 'UPDATE_OPERATION', modify: 'UPDATE_OPERATION',
+  delete: 'DELETE_OPERATION', remove: 'DELETE_OPERATION'
+};
+
+// Record types after the verb ("update product 1", "add a new customer")
+const TRANSACTION_NOUN = /^(?:(?:a|an|the|new)\s+)*(?:products?|customers?|suppliers?|orders?|categor(?:y|ies)|items?)\b/;
+
+// Field changes the direct update reads ("update chai price to 19")
+const FIELD_CHANGE = /\s(?:(?:price|stock|id)\s+(?:to\s+)?-?\$?\d|name\s+(?:to\s+)?\S)/;
+
+// "show more", "next page", "load more results"
+const NEXT_PAGE_PATTERN = /^(?:(?:show|load|see|give|display|get)\s+(?:me\s+)?)?(?:some\s+)?(?:more|(?:the\s+)?next(?:\s+page)?)(?:\s+(?:results|rows|records|entries|items|page))?(?:\s+please)?[.!]?$/;
+
+const CASUAL_PHRASES = [
+  'all good', 'ok', 'okay', 'thanks', 'thank you', 'bye', 'goodbye',
+  'cool', 'nice', 'great', 'awesome', 'perfect', 'excellent',
+  'got it', 'understood', 'alright', 'fine', 'good', 'yes', 'no',
+  'sure', 'yep', 'nope', 'right', 'correct'
+];
+
+// Greetings, thanks and goodbyes that make up the whole prompt ("hi there!", "thanks a lot")
+const CASUAL_PATTERN = /^(?:hi|hello|hey|hiya|howdy|good (?:morning|afternoon|evening|day)|thanks|thank you|many thanks|cheers|bye|goodbye|see you(?: later)?|how are you)(?: (?:there|again|a lot|so much|very much|all|everyone|copilot|today))*[\s!.,?]*$/;
+
+const REPORT_KEYWORDS = ['report', 'export', 'download', 'pdf', 'excel', 'xlsx'];
+const WEAK_REPORT_KEYWORDS = ['generate', 'summary', 'analysis', 'statistics', 'chart', 'graph'];
+
+const ALERT_PATTERNS = [
+  /notify.*when/i,
+  /alert.*if/i,
+  /warn.*when/i,
+  /monitor.*for/i,
+  /watch.*for/i,
+  /set.*alert/i,
+  /create.*notification/i,
+  /threshold.*for/i
+];
+const ALERT_KEYWORDS = ['notify', 'alert', 'warn', 'notification', 'threshold', 'alarm'];
+const WEAK_ALERT_KEYWORDS = ['monitor', 'watch', 'trigger', 'reminder', 'check'];
+
+/**
+ * Confidence of the recognized intent if it is one of `intents`, else 0
+ */
+function intentScore(analysis, ...intents) {
+  const { intent, confidence = 0 } = analysis?.intent || {};
+  return intents.includes(intent) && confidence > MIN_INTENT_CONFIDENCE ? confidence : 0;
+}
+
+/**
+ * Best of several { score, reason } candidates
+ */
+function best(...candidates) {
+  return candidates.reduce((top, candidate) => candidate.score > top.score ? candidate : top, { score: 0, reason: "" });
+}
+
+const keywordIn = (lowerPrompt, keywords) => keywords.find(keyword => lowerPrompt.includes(keyword));
+
+module.exports = [
+  {
+    name: "clarification",
+    description: "Resume a request once a clarifying question is answered",
+    priority: 110,
+    canHandle(analysis, { prompt, clarification }) {
+      return Clarifier.answer(clarification, prompt) ? { score: 1, reason: `answers "${clarification.question}"` } : 0;
+    },
+    handle({ prompt, clarification, startTime, service }) {
+      return service.resumeClarification(clarification, Clarifier.answer(clarification, prompt), startTime);
+    }
+  },
+
+  {
+    name: "transaction",
+    description: "Create, update and delete records",
+    priority: 100,
+    canHandle(analysis, { lowerPrompt }) {
+      const verb = TRANSACTION_VERBS.exec(lowerPrompt);
+      if (!verb) return 0;
+      const rest = lowerPrompt.slice(verb[0].length);
+      if (TRANSACTION_NOUN.test(rest)) return { score: 1, reason: `"${verb[1]}" with a record type` };
+
+      // Without one the verb may be plain English ("add up the prices", "update me on low stock")
+      const intent = VERB_INTENTS[verb[1]];
+      return best(
+        { score: intent === 'UPDATE_OPERATION' && FIELD_CHANGE.test(rest) ? 0.9 : 0, reason: `"${verb[1]}" with a field change` },
+        { score: intentScore(analysis, intent), reason: `intent ${intent}` },
+        { score: 0.2, reason: `starts with "${verb[1]}"` }
+      );
+    },
+    handle({ prompt, startTime, service }) {
+      progress.status('route', 'Processing transaction');
+      return service.handleDirectTransaction(prompt, startTime);
+    }
+  },
+
+  {
+    name: "help",
+    description: "Explain what the copilot can do",
+    priority: 90,
+    intents: ['HELP_REQUEST'],
+    canHandle(analysis, { prompt, service }) {
+      return service.isHelpRequest(prompt) ? { score: 1, reason: "help request" } : 0;
+    },
+    handle({ prompt, analysis, startTime, service }) {
+      return service.handleHelpRequest(prompt, analysis, startTime);
+    }
+  },
+
+  {
+    name: "casual",
+    description: "Answer small talk",
+    priority: 80,
+    canHandle(analysis, { lowerPrompt }) {
+      const text = lowerPrompt.trim();
+      if (CASUAL_PHRASES.includes(text)) return { score: 0.95, reason: `"${text}"` };
+      return CASUAL_PATTERN.test(text) ? { score: 0.9, reason: "greeting" } : 0;
+    },
+    handle({ prompt, startTime, service }) {
+      return service.handleCasualChat(prompt, startTime);
+    }
+  },
+
+  {
+    name: "next-page",
+    description: "Fetch the next page of the previous result (\"show more\")",
+    priority: 75,
+    canHandle(analysis, { lowerPrompt, session }) {
+      if (!NEXT_PAGE_PATTERN.test(lowerPrompt.trim())) return 0;
+      return { score: 0.95, reason: session?.lastResult ? `continues ${session.lastResult.entity}` : "no previous result" };
+    },
+    handle({ session, startTime, service }) {
+      progress.status('route', 'Fetching the next page');
+      return service.handleNextPage(session, startTime);
+    }
+  },
+
+  {
+    name: "follow-up",
+    description: "Refine the previous result set (\"now sort them by price\")",
+    priority: 70,
+    canHandle(analysis, { isFollowUp, session }) {
+      return isFollowUp && session?.lastResult?.query ?
+        { score: 0.85, reason: `follows up on ${session.lastResult.entity}` } :
+        0;
+    },
+    // Declines when the prompt does not refine the previous query
+    handle({ prompt, session, startTime, service }) {
+      const refined = TextToCQL.refine(session.lastResult.query, prompt);
+      if (!refined) return null;
+
+      console.log(`🔁 Follow-up on previous ${session.lastResult.entity} result: ${refined.description}`);
+      progress.status('route', `Refining previous ${session.lastResult.entity} result`);
+      return service.handleStructuredQuery(prompt, startTime, refined);
+    }
+  },
+
+  {
+    name: "report",
+    description: "Generate PDF and Excel reports",
+    priority: 60,
+    intents: ['REPORT_REQUEST', 'REPORT_GENERATION'],
+    canHandle(analysis, { lowerPrompt }) {
+      const keyword = keywordIn(lowerPrompt, REPORT_KEYWORDS);
+      const weak = keywordIn(lowerPrompt, WEAK_REPORT_KEYWORDS);
+      const intent = intentScore(analysis, 'REPORT_REQUEST', 'REPORT_GENERATION');
+      return best(
+        { score: keyword ? 0.8 : 0, reason: `keyword "${keyword}"` },
+        { score: intent, reason: `intent ${analysis?.intent?.intent}` },
+        { score: weak ? 0.2 : 0, reason: `weak keyword "${weak}"` }
+      );
+    },
+    handle({ prompt, analysis, startTime, service }) {
+      progress.status('route', 'Generating report');
+      return service.handleReportingRequest(prompt, analysis, startTime);
+    }
+  },
+
+  {
+    name: "alert",
+    description: "Create, list and check alert rules",
+    priority: 50,
+    intents: ['ALERT_REQUEST', 'NOTIFICATION_REQUEST'],
+    canHandle(analysis, { prompt, lowerPrompt }) {
+      const pattern = ALERT_PATTERNS.find(regex => regex.test(prompt));
+      const keyword = keywordIn(lowerPrompt, ALERT_KEYWORDS);
+      const weak = keywordIn(lowerPrompt, WEAK_ALERT_KEYWORDS);
+      const intent = intentScore(analysis, 'ALERT_REQUEST', 'NOTIFICATION_REQUEST');
+      return best(
+        { score: pattern ? 0.9 : 0, reason: `pattern ${pattern}` },
+        { score: keyword ? 0.7 : 0, reason: `keyword "${keyword}"` },
+        { score: intent, reason: `intent ${analysis?.intent?.intent}` },
+        { score: weak ? 0.25 : 0, reason: `weak keyword "${weak}"` }
+      );
+    },
+    handle({ prompt, analysis, startTime, service }) {
+      progress.status('route', 'Processing alert request');
+      return service.handleAlertRequest(prompt, analysis, startTime);
+    }
+  },
+
+  {
+    name: "query",
+    description: "Answer questions about the business data",
+    priority: 0,
+    intents: ['DATA_QUERY'],
+    canHandle(analysis) {
+      const intent = intentScore(analysis, 'DATA_QUERY');
+      return intent ?
+        { score: BASE_QUERY_SCORE + 0.3 * intent, reason: `intent DATA_QUERY ${Math.round(intent * 100)}%` } :
+        { score: BASE_QUERY_SCORE, reason: "default" };
+    },
+    handle({ prompt, analysis, startTime, isFollowUp, service }) {
+      return service.handleDataRequest(prompt, analysis, startTime, { isFollowUp });
+    }
+  }
+];
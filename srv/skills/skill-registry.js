@@ -0,0 +1,111 @@
+/**
+ * Skill Registry for SAP Copilot
+ * Routes prompts to skills by confidence instead of a fixed if-chain. A
+ * skill declares how well it can handle a prompt and handles it:
+ *
+ *   {
+ *     name: "report",
+ *     description: "Generate PDF and Excel reports",
+ *     priority: 60,                                  // breaks ties, higher first
+ *     intents: ["REPORT_REQUEST"],                   // offered when the user picks among unclear intents
+ *     canHandle(analysis, request) → number | { score, reason },   // 0-1
+ *     handle(request) → response | null              // null passes the prompt on
+ *   }
+ *
+ * `analysis` is the `IntentRecognizer` result; `request` carries the
+ * normalized prompt, the session, its open clarifying question and the
+ * service. The router ranks skills by
+ * score, then priority, then registration order, and tries them in that
+ * order until one answers; the trace records every score and why.
+ */
+
+class SkillRegistry {
+
+  constructor() {
+    this.skills = [];
+  }
+
+  /**
+   * Add a skill; a skill with the same name is replaced
+   */
+  register(skill) {
+    if (!skill?.name || typeof skill.canHandle !== "function" || typeof skill.handle !== "function") {
+      throw new Error("A skill needs a name, canHandle(analysis, request) and handle(request)");
+    }
+    const index = this.skills.findIndex(existing => existing.name === skill.name);
+    const entry = { priority: 0, description: skill.name, ...skill };
+    if (index >= 0) {
+      this.skills[index] = entry;
+    } else {
+      this.skills.push(entry);
+    }
+    return this;
+  }
+
+  unregister(name) {
+    this.skills = this.skills.filter(skill => skill.name !== name);
+  }
+
+  get(name) {
+    return this.skills.find(skill => skill.name === name) || null;
+  }
+
+  /**
+   * First skill that answers an intent, or null
+   */
+  forIntent(intent) {
+    return this.skills.find(skill => skill.intents?.includes(intent)) || null;
+  }
+
+  list() {
+    return this.skills.map(({ name, description, priority }) => ({ name, description, priority }));
+  }
+
+  /**
+   * Score every skill for a prompt
+   * A skill that throws is logged and scores 0.
+   * @returns {Array<{skill: object, score: number, reason: string}>} Skills that can handle it, best first
+   */
+  rank(analysis, request) {
+    const scored = this.skills.map((skill, order) => {
+      let result;
+      try {
+        result = skill.canHandle(analysis, request);
+      } catch (error) {
+        console.warn(`⚠️ Skill ${skill.name} failed to score the prompt: ${error.message}`);
+        result = 0;
+      }
+      const { score = 0, reason = "" } = typeof result === "number" ? { score: result } : result || {};
+      return { skill, order, score: Math.max(0, Math.min(1, Number(score) || 0)), reason };
+    });
+
+    return scored
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score || b.skill.priority - a.skill.priority || a.order - b.order);
+  }
+
+  /**
+   * Answer a prompt with the best skill that accepts it
+   * @param {object} [options] - { skill: name of the skill to use instead of ranking, e.g. chosen by the user }
+   * @returns {Promise<{response: object|null, trace: {skill: string|null, score: number, reason: string, candidates: Array}}>}
+   */
+  async route(analysis, request, options = {}) {
+    const chosen = options.skill && this.get(options.skill);
+    const ranked = chosen ? [{ skill: chosen, score: 1, reason: "chosen by the user" }] : this.rank(analysis, request);
+    const candidates = ranked.map(({ skill, score, reason }) => ({ skill: skill.name, score: Math.round(score * 100) / 100, reason }));
+    console.log(`🧭 Skills: ${candidates.map(c => `${c.skill} ${c.score}${c.reason ? ` (${c.reason})` : ""}`).join(" > ") || "none"}`);
+
+    for (const [index, { skill, score, reason }] of ranked.entries()) {
+      const response = await skill.handle(request);
+      if (response) {
+        return { response, trace: { skill: skill.name, score: candidates[index].score, reason, candidates } };
+      }
+      candidates[index].declined = true;
+      console.log(`↪️ Skill ${skill.name} declined (score ${Math.round(score * 100) / 100})`);
+    }
+
+    return { response: null, trace: { skill: null, score: 0, reason: "", candidates } };
+  }
+}
+
+module.exports = SkillRegistry;
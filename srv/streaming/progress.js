@@ -0,0 +1,48 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Progress reporting for streamed copilot replies
+ * A reporter is bound to the async context of one prompt, so handlers deep
+ * in the pipeline can publish status events and tokens without threading a
+ * stream object through every call. Outside a streamed request all calls
+ * are no-ops.
+ */
+
+const storage = new AsyncLocalStorage();
+
+module.exports = {
+
+  /**
+   * Run `fn` with `reporter` ({ status, token }) bound to its async context
+   */
+  run: function(reporter, fn) {
+    return storage.run(reporter, fn);
+  },
+
+  /**
+   * Whether the current request is being streamed
+   */
+  isActive: function() {
+    return !!storage.getStore();
+  },
+
+  /**
+   * Publish an intermediate status event, e.g. ("query", "Querying Products")
+   */
+  status: function(stage, message, details = {}) {
+    const reporter = storage.getStore();
+    if (reporter) {
+      reporter.status({ stage, message, ...details });
+    }
+  },
+
+  /**
+   * Publish an incremental piece of the AI reply
+   */
+  token: function(text) {
+    const reporter = storage.getStore();
+    if (reporter && text) {
+      reporter.token(text);
+    }
+  }
+};
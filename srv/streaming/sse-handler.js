@@ -0,0 +1,101 @@
+const cds = require("@sap/cds");
+const express = require("express");
+const progress = require("./progress");
+
+/**
+ * Server-Sent Events endpoint for streaming copilot replies
+ * Runs the same pipeline as the `prompt` action and pushes events while it works:
+ * - start:  the prompt is being processed; it must not be resent after this ({ sessionId })
+ * - status: intermediate steps ({ stage, message })
+ * - token:  incremental draft of the AI reply ({ text }), before grounding checks and
+ *           with personal data still as placeholders - `done` carries the reply to show
+ * - done:   the final response object (same shape as the `prompt` action)
+ * - error:  unexpected failure ({ message })
+ */
+
+// Auth strategies that challenge the browser for a user name and password
+const BASIC_AUTH_KINDS = ["basic", "mocked"];
+
+/**
+ * Reject requests without an authenticated user
+ * Runs after CAP's middlewares, which set up `cds.context` (user, locale)
+ * from the request the same way as for the OData services.
+ */
+function requireUser(req, res, next) {
+  if (cds.context?.user?.is('authenticated-user')) {
+    return next();
+  }
+  if (BASIC_AUTH_KINDS.includes(cds.env.requires.auth?.kind)) {
+    res.setHeader('WWW-Authenticate', 'Basic realm="Users"');
+  }
+  res.status(401).json({ error: { code: '401', message: 'Unauthorized' } });
+}
+
+/**
+ * Express handler for GET /api/copilot/status: LLM availability, circuit
+ * breaker state and cache stats
+ */
+async function copilotStatus(req, res) {
+  try {
+    const service = await cds.connect.to('GeminiService');
+    res.json(service.getStatus());
+  } catch (error) {
+    console.error("❌ Error reading copilot status:", error);
+    res.status(500).json({ status: 'error', message: error.message });
+  }
+}
+
+/**
+ * Register the copilot routes on an express app, behind CAP's auth
+ */
+function mount(app) {
+  app.post('/api/copilot/stream', cds.middlewares.before, requireUser, express.json(), streamPrompt);
+  app.get('/api/copilot/status', cds.middlewares.before, requireUser, copilotStatus);
+}
+
+/**
+ * Write one SSE event to the response
+ */
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Express handler for POST /api/copilot/stream with body { prompt, sessionId }
+ */
+async function streamPrompt(req, res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => { closed = true; });
+
+  const reporter = {
+    status: (event) => !closed && writeEvent(res, 'status', event),
+    token: (text) => !closed && writeEvent(res, 'token', { text })
+  };
+
+  try {
+    const service = await cds.connect.to('GeminiService');
+    const { prompt, sessionId } = req.body || {};
+
+    writeEvent(res, 'start', { sessionId });
+    const result = await progress.run(reporter, () => service.processPrompt(prompt, sessionId));
+
+    if (!closed) {
+      writeEvent(res, 'done', result);
+    }
+  } catch (error) {
+    console.error("❌ Error in streamed prompt:", error);
+    if (!closed) {
+      writeEvent(res, 'error', { message: error.message });
+    }
+  } finally {
+    res.end();
+  }
+}
+
+module.exports = { mount, requireUser, streamPrompt, copilotStatus };
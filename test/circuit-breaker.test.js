@@ -0,0 +1,58 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const CircuitBreaker = require("../srv/llm/circuit-breaker");
+
+const { STATES } = CircuitBreaker;
+
+/**
+ * Breaker that opened after one failure and whose reset timeout has passed
+ */
+function expiredBreaker() {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1000 });
+  breaker.onFailure(new Error("unavailable"));
+  breaker.openedAt -= 1000;
+  return breaker;
+}
+
+describe("CircuitBreaker", () => {
+  it("lets a single trial call through while half-open", () => {
+    const breaker = expiredBreaker();
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    breaker.onSuccess();
+    assert.strictEqual(breaker.state, STATES.CLOSED);
+    assert.strictEqual(breaker.allowRequest(), true);
+  });
+
+  it("reopens when the trial call fails", () => {
+    const breaker = expiredBreaker();
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.onFailure(new Error("still unavailable"));
+    assert.strictEqual(breaker.state, STATES.OPEN);
+    assert.strictEqual(breaker.allowRequest(), false);
+  });
+
+  it("allows another trial call after a released one", () => {
+    const breaker = expiredBreaker();
+
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.release();
+    assert.strictEqual(breaker.allowRequest(), true);
+  });
+
+  it("does not change state when checking whether it is open", () => {
+    const breaker = expiredBreaker();
+
+    assert.strictEqual(breaker.isOpen(), false);
+    assert.strictEqual(breaker.state, STATES.OPEN);
+
+    breaker.allowRequest();
+    assert.strictEqual(breaker.isOpen(), true);
+    assert.strictEqual(breaker.state, STATES.HALF_OPEN);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const Clarifier = require("../srv/ai/clarifier");
+
+/**
+ * Question for a missing price, as kept in the session
+ */
+function priceQuestion() {
+  const session = {};
+  Clarifier.ask(session, {
+    reason: "missing_value",
+    question: 'What price should "Widget" have?',
+    slot: { name: "UnitPrice", type: "number" },
+    prompt: "create product Widget",
+    template: 'create product "Widget" price {value}',
+    options: [{ label: "$30.39 (catalog average)", value: "30.39" }, { label: "Cancel", value: Clarifier.CANCEL }]
+  });
+  return Clarifier.take(session);
+}
+
+describe("Clarifier", () => {
+  it("resumes the request with a typed value or a picked option", () => {
+    const question = priceQuestion();
+
+    assert.strictEqual(Clarifier.answer(question, "$9.99").prompt, 'create product "Widget" price 9.99');
+    assert.strictEqual(Clarifier.answer(question, "average").prompt, 'create product "Widget" price 30.39');
+    assert.deepStrictEqual(Clarifier.answer(question, "never mind"), { cancelled: true });
+  });
+
+  it("treats a single word that is no value as a wrong answer", () => {
+    const question = priceQuestion();
+
+    assert.deepStrictEqual(Clarifier.answer(question, "abc"), { invalid: true, value: "abc" });
+    assert.deepStrictEqual(Clarifier.answer(question, "-3"), { invalid: true, value: "-3" });
+    assert.strictEqual(Clarifier.answer(question, "show me all customers"), null);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const ConversationMemory = require("../srv/ai/conversation-memory");
+
+describe("ConversationMemory", () => {
+  it("keeps a session to the user who started it", () => {
+    const memory = new ConversationMemory();
+    const session = memory.getSession("chat-1", "alice");
+    memory.record(session, "show products", { reply: "Here are the products", success: true });
+
+    assert.strictEqual(memory.getSession("chat-1", "alice"), session);
+    assert.throws(() => memory.getSession("chat-1", "bob"), ConversationMemory.SessionOwnerError);
+    assert.strictEqual(memory.describe("chat-1", "bob"), null);
+  });
+
+  it("refuses to clear another user's session", () => {
+    const memory = new ConversationMemory();
+    memory.getSession("chat-1", "alice");
+
+    assert.throws(() => memory.clear("chat-1", "bob"), ConversationMemory.SessionOwnerError);
+    assert.strictEqual(memory.clear("chat-1", "alice"), true);
+  });
+
+  it("takes the entity of a touched record from the response metadata", () => {
+    const memory = new ConversationMemory();
+    const session = memory.getSession("chat-1", "alice");
+
+    // A supplier has no ProductName, but is not a customer either
+    memory.record(session, "delete supplier 4", { reply: "Deleted", success: true, type: "delete_success", data: { ID: 4, CompanyName: "Tokyo Traders" }, query: { entity: "Suppliers" } });
+    memory.record(session, "create customer Acme", { reply: "Created", success: true, type: "create_success", data: { ID: 92, CompanyName: "Acme" }, query: { entity: "Customers" } });
+    assert.deepStrictEqual(session.entities, { Suppliers: [4], Customers: [92] });
+
+    // Without metadata the record is not guessed
+    memory.record(session, "update it", { reply: "Updated", success: true, type: "update_success", data: { ID: 7, ProductName: "Tofu" } });
+    assert.deepStrictEqual(session.entities, { Suppliers: [4], Customers: [92] });
+  });
+});
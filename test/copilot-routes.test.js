@@ -0,0 +1,126 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const express = require("express");
+
+// Deterministic stub LLM
+process.env.CDS_ENV = process.env.CDS_ENV || "test";
+
+const cds = require("@sap/cds");
+const copilotRoutes = require("../srv/streaming/sse-handler");
+
+const AUTHORIZATION = `Basic ${Buffer.from("alice:").toString("base64")}`;
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+function parseEvents(body) {
+  return body.split("\n\n").filter(frame => frame.trim()).map(frame => {
+    const fields = {};
+    for (const line of frame.split("\n")) {
+      const separator = line.indexOf(": ");
+      fields[line.substring(0, separator)] = line.substring(separator + 2);
+    }
+    return { event: fields.event, data: JSON.parse(fields.data) };
+  });
+}
+
+describe("copilot routes", () => {
+  let server;
+  let baseUrl;
+
+  /**
+   * POST a prompt to the stream endpoint as alice and return the parsed events
+   */
+  async function stream(body) {
+    const response = await fetch(`${baseUrl}/api/copilot/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: AUTHORIZATION },
+      body: JSON.stringify(body)
+    });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get("content-type"), "text/event-stream");
+    return parseEvents(await response.text());
+  }
+
+  before(async () => {
+    // The service logs every step; stdout is kept for the test runner's own reports
+    mock.method(console, "log", () => {});
+    mock.method(console, "info", () => {});
+
+    // Serve the model with its seed data from an in-memory database
+    cds.root = path.resolve(__dirname, "..");
+    cds.model = cds.compile.for.nodejs(await cds.load("*"));
+    const db = await cds.connect.to("db", { kind: "sqlite", credentials: { url: ":memory:" } });
+    await cds.deploy(cds.model).to(db);
+    await cds.serve("all").from(cds.model);
+
+    const app = express();
+    copilotRoutes.mount(app);
+    server = app.listen(0);
+    await new Promise(resolve => server.once("listening", resolve));
+    baseUrl = `http://localhost:${server.address().port}`;
+  });
+
+  after(async () => {
+    // Stops the alert monitoring the service started
+    cds.emit("shutdown");
+    await new Promise(resolve => server.close(resolve));
+    mock.restoreAll();
+  });
+
+  it("rejects an unauthenticated stream request", async () => {
+    const response = await fetch(`${baseUrl}/api/copilot/stream`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ prompt: "delete product 1", sessionId: "anonymous-stream" })
+    });
+
+    assert.strictEqual(response.status, 401);
+    assert.notStrictEqual(response.headers.get("content-type"), "text/event-stream");
+  });
+
+  it("streams status events and tokens before the final response", async () => {
+    const events = await stream({ prompt: "what is the average price of products", sessionId: "stream-test" });
+    const names = events.map(({ event }) => event);
+
+    assert.deepStrictEqual(events[0], { event: "start", data: { sessionId: "stream-test" } });
+    assert.strictEqual(names.at(-1), "done");
+    assert.deepStrictEqual([...new Set(names)], ["start", "status", "token", "done"]);
+
+    // Status events precede the tokens of the AI call
+    const statuses = events.filter(({ event }) => event === "status").map(({ data }) => data);
+    assert.strictEqual(statuses[0].stage, "intent");
+    assert.ok(statuses.every(status => status.stage && status.message));
+    const llmCall = events.findIndex(({ event, data }) => event === "status" && data.stage === "llm");
+    assert.ok(llmCall > 0 && llmCall < names.indexOf("token"));
+
+    // Tokens are the draft of the reply that `done` carries
+    const draft = events.filter(({ event }) => event === "token").map(({ data }) => data.text).join("");
+    const result = events.at(-1).data;
+    assert.ok(draft.length > 0);
+    assert.strictEqual(result.success, true);
+    assert.strictEqual(result.reply, draft);
+    assert.ok(!names.includes("error"));
+  });
+
+  it("ends the stream with an error event when the prompt fails", async () => {
+    const service = await cds.connect.to("GeminiService");
+    const processPrompt = mock.method(service, "processPrompt", async () => {
+      throw new Error("Pipeline unavailable");
+    });
+
+    try {
+      const events = await stream({ prompt: "show products", sessionId: "stream-failure" });
+      assert.deepStrictEqual(events.map(({ event }) => event), ["start", "error"]);
+      assert.deepStrictEqual(events[1].data, { message: "Pipeline unavailable" });
+    } finally {
+      processPrompt.mock.restore();
+    }
+  });
+
+  it("rejects an unauthenticated status request", async () => {
+    const response = await fetch(`${baseUrl}/api/copilot/status`);
+    assert.strictEqual(response.status, 401);
+  });
+});
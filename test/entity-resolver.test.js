@@ -0,0 +1,89 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const path = require("path");
+const cds = require("@sap/cds");
+const EntityResolver = require("../srv/ai/entity-resolver");
+
+/**
+ * Resolved mentions without the alternatives
+ */
+function mentions(references) {
+  return references.map(({ type, id, name, mention, method }) => ({ type, id, name, mention, method }));
+}
+
+describe("EntityResolver", () => {
+  let db;
+
+  before(async () => {
+    // Master data from the seed files, in an in-memory database
+    cds.root = path.resolve(__dirname, "..");
+    cds.model = cds.compile.for.nodejs(await cds.load("*"));
+    db = await cds.connect.to("db", { kind: "sqlite", credentials: { url: ":memory:" } });
+    await cds.deploy(cds.model).to(db);
+  });
+
+  it("normalizes names to lowercase words without accents, possessives and plurals", () => {
+    assert.deepStrictEqual(EntityResolver.tokenize("Pâté Chef Anton's Gumbos"), ["pate", "chef", "anton", "gumbo"]);
+    assert.deepStrictEqual(EntityResolver.tokenize("Straße"), ["strasse"]);
+  });
+
+  it("measures edit distance with transpositions and phonetic keys", () => {
+    assert.strictEqual(EntityResolver.distance("kitten", "sitting"), 3);
+    assert.strictEqual(EntityResolver.distance("chai", "chia"), 1);
+    assert.strictEqual(EntityResolver.soundex("robert"), "R163");
+    assert.strictEqual(EntityResolver.soundex("rupert"), "R163");
+    assert.strictEqual(EntityResolver.soundex("ashcraft"), "A261");
+  });
+
+  it("only matches short words exactly or by prefix", () => {
+    assert.deepStrictEqual(EntityResolver.similarity("uk", "usa"), { score: 0, method: "none" });
+    assert.deepStrictEqual(EntityResolver.similarity("pain", "spain"), { score: 0, method: "none" });
+    assert.strictEqual(EntityResolver.similarity("germny", "germany").method, "fuzzy");
+  });
+
+  it("resolves misspelled, partial and plural names against the master data", async () => {
+    const resolver = new EntityResolver();
+
+    assert.deepStrictEqual(mentions(await resolver.resolve("show chaii")),
+      [{ type: "product", id: 1, name: "Chai", mention: "chaii", method: "phonetic" }]);
+    assert.deepStrictEqual(mentions(await resolver.resolve("products in beverage")),
+      [{ type: "category", id: 1, name: "Beverages", mention: "beverage", method: "exact" }]);
+    assert.deepStrictEqual(mentions(await resolver.resolve("customers in germny")),
+      [{ type: "country", id: "Germany", name: "Germany", mention: "germny", method: "fuzzy" }]);
+    assert.deepStrictEqual(mentions(await resolver.resolve("orders from alfreds futterkist")),
+      [{ type: "customer", id: 1, name: "Alfreds Futterkiste", mention: "alfred futterkist", method: "partial" }]);
+    assert.deepStrictEqual(mentions(await resolver.resolve("gumbo")),
+      [{ type: "product", id: 5, name: "Chef Anton's Gumbo Mix", mention: "gumbo", method: "partial" }]);
+  });
+
+  it("resolves several mentions in text order and ignores request words", async () => {
+    const resolver = new EntityResolver();
+
+    assert.deepStrictEqual((await resolver.resolve("compare chang and chai")).map(ref => ref.name), ["Chang", "Chai"]);
+    assert.deepStrictEqual(await resolver.resolve("show the pain of all products"), []);
+    assert.deepStrictEqual(EntityResolver.describe(await resolver.resolve("chaii in germny")), [
+      '"chaii" → Chai (product 1, 90% match)',
+      '"germny" → Germany (country, 86% match)'
+    ]);
+  });
+
+  it("restricts matches by type and confidence", async () => {
+    const resolver = new EntityResolver();
+
+    assert.strictEqual((await resolver.resolveOne("chaii", "product")).id, 1);
+    assert.strictEqual(await resolver.resolveOne("chaii", "customer"), null);
+    assert.deepStrictEqual(await resolver.resolve("germny", { minConfidence: 0.9 }), []);
+    assert.deepStrictEqual(await new EntityResolver({ minConfidence: 0.95 }).resolve("chaii"), []);
+  });
+
+  it("reloads the master data after writes to a source entity", async () => {
+    const resolver = new EntityResolver();
+    resolver.attach(db);
+    assert.deepStrictEqual(await resolver.resolve("zanzibar zest"), []);
+
+    await db.run(INSERT.into(db.entities.Products).entries({ ID: 999, ProductName: "Zanzibar Zest" }));
+    assert.strictEqual(resolver.dirty, true);
+    assert.deepStrictEqual(mentions(await resolver.resolve("zanzibar zest")),
+      [{ type: "product", id: 999, name: "Zanzibar Zest", mention: "zanzibar zest", method: "exact" }]);
+  });
+});
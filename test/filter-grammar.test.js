@@ -0,0 +1,59 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const cds = require("@sap/cds");
+const CatalogSchema = require("../srv/ai/catalog-schema");
+const FilterGrammar = require("../srv/ai/filter-grammar");
+const TextToCQL = require("../srv/ai/text-to-cql");
+
+/**
+ * OData filter the grammar reads from a request on an entity
+ */
+function filterOf(prompt, entityName = "Products") {
+  const entity = CatalogSchema.getEntity(entityName);
+  const { where } = FilterGrammar.parse(prompt, { entity, phrases: TextToCQL.fieldPhrases(entity) });
+  return FilterGrammar.toOData(entity, where);
+}
+
+describe("FilterGrammar", () => {
+  before(async () => {
+    cds.model = cds.compile.for.nodejs(await cds.load(`${__dirname}/../srv`));
+  });
+
+  it("reads ranges with between/and and from/to", () => {
+    assert.strictEqual(filterOf("products with price between 10 and 30"), "UnitPrice ge 10 and UnitPrice le 30");
+    assert.strictEqual(filterOf("products between $10 and $30"), "UnitPrice ge 10 and UnitPrice le 30");
+    assert.strictEqual(filterOf("stock from 5 to 15"), "UnitsInStock ge 5 and UnitsInStock le 15");
+  });
+
+  it("negates the condition after not", () => {
+    assert.strictEqual(filterOf("products that are not discontinued"), "Discontinued eq false");
+    assert.strictEqual(filterOf("products with price not over 20"), "UnitPrice le 20");
+    assert.strictEqual(filterOf("products with price not between 10 and 30"), "UnitPrice lt 10 or UnitPrice gt 30");
+  });
+
+  it("reads lists as in conditions", () => {
+    assert.strictEqual(filterOf("products in category 1, 2 or 3"), "CategoryID in (1,2,3)");
+    assert.strictEqual(filterOf("orders with status in (Shipped, Pending)", "Orders"), "Status in ('Shipped','Pending')");
+    assert.strictEqual(filterOf("customers where country is Germany or France", "Customers"), "Country in ('Germany','France')");
+  });
+
+  it("binds and tighter than or, and or tighter than clause words", () => {
+    assert.strictEqual(filterOf("price under 10 or stock over 100 and discontinued"),
+      "UnitPrice lt 10 or (UnitsInStock gt 100 and Discontinued eq true)");
+    assert.strictEqual(filterOf("products in category 1 with price under 10 or stock over 100"),
+      "CategoryID eq 1 and (UnitPrice lt 10 or UnitsInStock gt 100)");
+  });
+
+  it("groups conditions in parentheses", () => {
+    assert.strictEqual(filterOf("products with price over 20 and (stock under 10 or discontinued)"),
+      "UnitPrice gt 20 and (UnitsInStock lt 10 or Discontinued eq true)");
+    assert.strictEqual(filterOf("(price over 10 or stock over 5) and (discontinued or price under 3)"),
+      "(UnitPrice gt 10 or UnitsInStock gt 5) and (Discontinued eq true or UnitPrice lt 3)");
+    assert.strictEqual(filterOf("products not (discontinued or out of stock)"), "Discontinued eq false and UnitsInStock ne 0");
+  });
+
+  it("rejects unbalanced parentheses", () => {
+    assert.throws(() => filterOf("price over 20 and (stock under 10 or discontinued"), FilterGrammar.GroupingError);
+    assert.throws(() => filterOf("price over 20) and stock under 10"), FilterGrammar.GroupingError);
+  });
+});
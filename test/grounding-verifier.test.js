@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const GroundingVerifier = require("../srv/ai/grounding-verifier");
+
+const CONTEXT = {
+  products: [
+    { ID: 1, ProductName: "Chai", UnitPrice: 18, UnitsInStock: 39, UnitsOnOrder: 0, ReorderLevel: 10 },
+    { ID: 2, ProductName: "Chang", UnitPrice: 19, UnitsInStock: 17, UnitsOnOrder: 40, ReorderLevel: 25 }
+  ],
+  customers: [{ ID: 7, CompanyName: "Alfreds Futterkiste" }],
+  metrics: { averagePrice: 28.866 }
+};
+
+/**
+ * Verification summary of an answer against CONTEXT
+ */
+function verify(text, options) {
+  return GroundingVerifier.summarize(GroundingVerifier.verify(text, CONTEXT, options));
+}
+
+describe("GroundingVerifier", () => {
+  it("accepts prices and quantities that match the record", () => {
+    const result = GroundingVerifier.verify("Chai costs $18.00 and has 39 units in stock.", CONTEXT);
+
+    assert.deepStrictEqual(GroundingVerifier.summarize(result), { verified: true, checked: 2, mismatches: [] });
+    assert.deepStrictEqual(result.sources, ["Products(1)"]);
+  });
+
+  it("reports and flags values that differ from the record", () => {
+    const text = "Chai costs $25.00 with stock of 12.";
+    const result = GroundingVerifier.verify(text, CONTEXT);
+
+    assert.deepStrictEqual(GroundingVerifier.summarize(result).mismatches, [
+      { key: "Products(1)", field: "UnitPrice", stated: 25, actual: 18 },
+      { key: "Products(1)", field: "UnitsInStock", stated: 12, actual: 39 }
+    ]);
+    assert.strictEqual(GroundingVerifier.flag(text, result.mismatches),
+      "Chai costs $25.00 ⚠️ (records: $18.00) with stock of 12 ⚠️ (records: 39).");
+  });
+
+  it("attributes numbers per sentence when a line names several records", () => {
+    assert.deepStrictEqual(verify("Chai is $19. Chang is $18.\n- Chang: $19.00"), {
+      verified: false,
+      checked: 3,
+      mismatches: [
+        { key: "Products(1)", field: "UnitPrice", stated: 19, actual: 18 },
+        { key: "Products(2)", field: "UnitPrice", stated: 18, actual: 19 }
+      ]
+    });
+
+    // A sentence naming both records cannot be attributed, so it is not checked
+    assert.deepStrictEqual(verify("Chai is $19 and Chang is $18."), { verified: true, checked: 0, mismatches: [] });
+  });
+
+  it("checks units on order and skips recommended quantities and derived values", () => {
+    assert.deepStrictEqual(verify("Chang: 40 units on order. Reorder 100 units of Chai soon."), { verified: true, checked: 1, mismatches: [] });
+    assert.deepStrictEqual(verify("Chai inventory value is $702."), { verified: true, checked: 1, mismatches: [] });
+  });
+
+  it("reports IDs that are not in the context", () => {
+    const text = "Product ID 42 is popular. Customer 7 ordered.";
+    const result = GroundingVerifier.verify(text, CONTEXT);
+
+    assert.deepStrictEqual(GroundingVerifier.summarize(result).mismatches, [{ key: "Products(42)", field: "ID", stated: 42, actual: null }]);
+    assert.deepStrictEqual(result.sources, ["Customers(7)"]);
+    assert.strictEqual(GroundingVerifier.flag(text, result.mismatches),
+      "Product ID 42 ⚠️ (not in the provided records) is popular. Customer 7 ordered.");
+
+    // Records the model saw besides the context data count as well
+    assert.strictEqual(verify(text, { extra: [{ entity: "Products", rows: [{ ID: 42, ProductName: "Tofu" }] }] }).verified, true);
+  });
+
+  it("checks catalog metrics with rounding", () => {
+    assert.deepStrictEqual(verify("The average price is $28.87."), { verified: true, checked: 1, mismatches: [] });
+    assert.deepStrictEqual(verify("The average price is $35.00.").mismatches, [{ key: "metrics", field: "averagePrice", stated: 35, actual: 28.866 }]);
+  });
+
+  it("describes mismatches for the repair prompt", () => {
+    const { mismatches } = GroundingVerifier.verify("Chai costs $25.00. Product ID 42.", CONTEXT);
+
+    assert.strictEqual(GroundingVerifier.formatMismatches(mismatches), [
+      "- Products(1) UnitPrice: you wrote $25.00, the data says $18.00",
+      "- Products(42) is not in the business data; do not mention it"
+    ].join("\n"));
+  });
+});
@@ -0,0 +1,101 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const IntentClassifier = require("../srv/ai/intent-classifier");
+
+const EXAMPLES = [
+  { text: "show all products", intent: "QUERY" },
+  { text: "list products", intent: "QUERY" },
+  { text: "show customers", intent: "QUERY" },
+  { text: "list all customers", intent: "QUERY" },
+  { text: "delete product 5", intent: "DELETE" },
+  { text: "remove product 7", intent: "DELETE" },
+  { text: "delete customer 2", intent: "DELETE" },
+  { text: "remove the customer", intent: "DELETE" }
+];
+
+/**
+ * Write `content` to a file in a fresh temporary directory and return its path
+ */
+function temporaryFile(name, content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "intents-")), name);
+  if (content !== undefined) fs.writeFileSync(file, content);
+  return file;
+}
+
+describe("IntentClassifier", () => {
+  it("extracts words, bigrams and the first word, with numbers and plurals reduced", () => {
+    assert.deepStrictEqual(IntentClassifier.features("Show 3 Alerts now"),
+      ["show", "<num>", "alert", "now", "show <num>", "<num> alert", "alert now", "^ show"]);
+    assert.deepStrictEqual(IntentClassifier.features("  "), []);
+  });
+
+  it("counts features per intent", () => {
+    const model = IntentClassifier.fit(EXAMPLES, { alpha: 1 });
+
+    assert.strictEqual(model.alpha, 1);
+    assert.strictEqual(model.documents, 8);
+    assert.deepStrictEqual(Object.keys(model.intents), ["QUERY", "DELETE"]);
+    assert.strictEqual(model.intents.DELETE.documents, 4);
+    assert.strictEqual(model.intents.DELETE.counts["<num>"], 3);
+    assert.strictEqual(model.intents.DELETE.counts["^ remove"], 2);
+    assert.strictEqual(model.intents.QUERY.counts.delete, undefined);
+  });
+
+  it("predicts the intent with normalized probabilities", () => {
+    const classifier = IntentClassifier.train(EXAMPLES, { folds: 2 });
+    const prediction = classifier.predict("please delete product 9");
+
+    assert.strictEqual(prediction.intent, "DELETE");
+    assert.ok(prediction.confidence > 0.5 && prediction.confidence <= 1);
+    assert.ok(Math.abs(prediction.probabilities.QUERY + prediction.probabilities.DELETE - 1) < 0.01);
+    assert.strictEqual(classifier.predict("list the customers").intent, "QUERY");
+  });
+
+  it("declines texts without known features and works without a model", () => {
+    assert.strictEqual(IntentClassifier.train(EXAMPLES, { folds: 2 }).predict("xyzzy plugh"), null);
+    assert.strictEqual(new IntentClassifier().predict("show products"), null);
+  });
+
+  it("calibrates the temperature on held-out folds", () => {
+    const { model } = IntentClassifier.train(EXAMPLES, { folds: 2 });
+
+    assert.deepStrictEqual(Object.keys(model.evaluation), ["folds", "accuracy", "logLoss"]);
+    assert.strictEqual(model.evaluation.folds, 2);
+    assert.ok(model.temperature > 0);
+
+    // A higher temperature flattens the probabilities
+    const scores = new IntentClassifier(model).scores("delete product 9");
+    const sharp = IntentClassifier.softmax(scores, 1).DELETE;
+    const flat = IntentClassifier.softmax(scores, 10).DELETE;
+    assert.ok(flat < sharp && flat > 0.5);
+  });
+
+  it("saves and loads a model", () => {
+    const file = temporaryFile("model.json");
+    const classifier = IntentClassifier.train(EXAMPLES, { folds: 2 });
+    classifier.save(file);
+
+    assert.deepStrictEqual(IntentClassifier.load(file).toJSON(), classifier.toJSON());
+    assert.strictEqual(IntentClassifier.load(path.join(path.dirname(file), "missing.json")), null);
+  });
+
+  it("reports the line of an invalid utterance", () => {
+    const invalid = temporaryFile("utterances.jsonl", '{"text": "show products", "intent": "QUERY"}\n\n{"text": "oops"\n');
+    assert.throws(() => IntentClassifier.loadExamples(invalid), /^Error: utterances\.jsonl:3: invalid JSON/);
+
+    const unlabeled = temporaryFile("utterances.jsonl", '{"text": "show products"}\n');
+    assert.throws(() => IntentClassifier.loadExamples(unlabeled), /utterances\.jsonl:1: an example needs "text" and "intent"/);
+  });
+
+  it("ships a model trained on the current utterances", () => {
+    const examples = IntentClassifier.loadExamples();
+    const classifier = IntentClassifier.load();
+
+    assert.ok(classifier, "run npm run train-intents");
+    assert.strictEqual(classifier.model.documents, examples.length, "the utterances changed since training: run npm run train-intents");
+    assert.deepStrictEqual(examples.filter(({ text, intent }) => classifier.predict(text)?.intent !== intent), []);
+  });
+});
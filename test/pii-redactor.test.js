@@ -0,0 +1,39 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const cds = require("@sap/cds");
+const PIIRedactor = require("../srv/ai/pii-redactor");
+
+const MODEL = `
+  namespace test;
+  entity Contacts {
+    key ID : Integer;
+    @PersonalData.IsPotentiallyPersonal
+    ContactName : String;
+  }
+`;
+
+describe("PIIRedactor", () => {
+  let db;
+
+  before(async () => {
+    cds.model = cds.compile.for.nodejs(cds.parse.cdl(MODEL));
+    cds.env.requires.db = { kind: "sqlite", credentials: { url: ":memory:" } };
+    db = await cds.connect.to("db");
+  });
+
+  it("stays stale when loading the personal values fails", async () => {
+    const redactor = new PIIRedactor();
+
+    // The table is not deployed yet, so the load fails
+    await assert.rejects(() => redactor.ensureFresh());
+    assert.strictEqual(redactor.dirty, true);
+    await assert.rejects(() => redactor.ensureFresh());
+
+    await cds.deploy(cds.model).to(db);
+    await db.run(INSERT.into("test.Contacts").entries({ ID: 1, ContactName: "Maria Anders" }));
+
+    await redactor.ensureFresh();
+    assert.strictEqual(redactor.dirty, false);
+    assert.strictEqual(redactor.redact("Call Maria Anders"), "Call [PII:Contacts(1).ContactName]");
+  });
+});
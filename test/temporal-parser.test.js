@@ -0,0 +1,64 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+const TemporalParser = require("../srv/ai/temporal-parser");
+
+// Tuesday, 2024-08-20 12:00 UTC
+const now = new Date("2024-08-20T12:00:00Z");
+
+/**
+ * Start and end of the period the parser finds in a text
+ */
+function rangeOf(text, options = {}, parser = new TemporalParser()) {
+  const period = parser.parse(text, { now, locale: "en", ...options });
+  return period && [period.start, period.end];
+}
+
+describe("TemporalParser", () => {
+  it("follows the fiscal calendar for quarters and fiscal years", () => {
+    const fiscal = new TemporalParser({ fiscalYearStart: 4 });
+
+    assert.deepStrictEqual(rangeOf("orders in Q3 2024"), ["2024-07-01", "2024-09-30"]);
+    assert.deepStrictEqual(rangeOf("orders in Q1 2025", {}, fiscal), ["2024-04-01", "2024-06-30"]);
+    assert.deepStrictEqual(rangeOf("orders in FY2025", {}, fiscal), ["2024-04-01", "2025-03-31"]);
+    assert.deepStrictEqual(rangeOf("orders this quarter", {}, fiscal), ["2024-07-01", "2024-09-30"]);
+    assert.deepStrictEqual(rangeOf("orders in Q1 2024", {}, new TemporalParser({ fiscalYearStart: 4, fiscalYearNaming: "start" })),
+      ["2024-04-01", "2024-06-30"]);
+  });
+
+  it("reads dotted dates day first and slashed dates by locale", () => {
+    assert.deepStrictEqual(rangeOf("orders on 05.07.2024"), ["2024-07-05", "2024-07-05"]);
+    assert.deepStrictEqual(rangeOf("orders on 05/07/2024"), ["2024-05-07", "2024-05-07"]);
+    assert.deepStrictEqual(rangeOf("orders on 05/07/2024", { locale: "de" }), ["2024-07-05", "2024-07-05"]);
+    assert.deepStrictEqual(rangeOf("orders on 25/07/2024"), ["2024-07-25", "2024-07-25"]);
+    assert.deepStrictEqual(rangeOf("orders on 05/07/2024", {}, new TemporalParser({ dateOrder: "DMY" })), ["2024-07-05", "2024-07-05"]);
+  });
+
+  it("takes today from the configured time zone", () => {
+    const lateEvening = new Date("2024-08-20T22:30:00Z");
+    const auckland = new TemporalParser({ timeZone: "Pacific/Auckland" });
+
+    assert.deepStrictEqual(rangeOf("orders today", { now: lateEvening }), ["2024-08-20", "2024-08-20"]);
+    assert.deepStrictEqual(rangeOf("orders today", { now: lateEvening }, auckland), ["2024-08-21", "2024-08-21"]);
+
+    const period = auckland.parse("orders today", { now: lateEvening });
+    assert.strictEqual(period.startInstant, "2024-08-20T12:00:00.000Z");
+    assert.strictEqual(period.endInstant, "2024-08-21T12:00:00.000Z");
+    assert.throws(() => new TemporalParser({ timeZone: "Mars/Olympus" }), /Unknown time zone/);
+  });
+
+  it("rejects dates and weeks that do not exist instead of matching part of them", () => {
+    const { InvalidDateError } = TemporalParser;
+
+    assert.throws(() => rangeOf("orders in week 53 2024"), InvalidDateError);
+    assert.throws(() => rangeOf("orders in week 0"), InvalidDateError);
+    assert.throws(() => rangeOf("orders between 31.02.2024 and 05.03.2024"), InvalidDateError);
+    assert.throws(() => rangeOf("orders on 2024-13-01"), InvalidDateError);
+    assert.throws(() => rangeOf("orders on february 30, 2024"), InvalidDateError);
+    assert.deepStrictEqual(rangeOf("orders in week 53 2026"), ["2026-12-28", "2027-01-03"]);
+  });
+
+  it("swaps a range given end first", () => {
+    assert.deepStrictEqual(rangeOf("orders from 20.07.2024 to 10.07.2024"), ["2024-07-10", "2024-07-20"]);
+    assert.deepStrictEqual(rangeOf("orders between November and February"), ["2023-11-01", "2024-02-29"]);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const cds = require("@sap/cds");
+const TextToCQL = require("../srv/ai/text-to-cql");
+
+/**
+ * LLM client stub that answers every completion with `text`
+ */
+function llmAnswering(text) {
+  return {
+    isAvailable: () => true,
+    complete: async () => ({ text })
+  };
+}
+
+/**
+ * Condition on UnitPrice nested `depth` groups deep
+ */
+function nested(depth) {
+  let node = { field: "UnitPrice", op: "gt", value: 1 };
+  for (let level = 0; level < depth; level++) {
+    node = { [level % 2 ? "or" : "and"]: [node] };
+  }
+  return node;
+}
+
+describe("TextToCQL", () => {
+  before(async () => {
+    cds.model = cds.compile.for.nodejs(await cds.load(`${__dirname}/../srv`));
+  });
+
+  it("normalizes a valid query to the schema's names and caps its rows", () => {
+    const { valid, errors, query } = TextToCQL.validate({
+      entity: "products",
+      columns: ["productname", "UnitPrice"],
+      where: [{ field: "unitprice", op: "GT", value: 20 }],
+      orderBy: ["UnitPrice DESC"],
+      limit: 500
+    });
+
+    assert.strictEqual(valid, true, errors.join("; "));
+    assert.deepStrictEqual(query, {
+      entity: "Products",
+      columns: ["ProductName", "UnitPrice"],
+      where: [{ field: "UnitPrice", op: "gt", value: "20" }],
+      orderBy: [{ field: "UnitPrice", direction: "desc" }],
+      groupBy: [],
+      limit: 100
+    });
+  });
+
+  it("allows only SELECT queries on catalog entities", () => {
+    assert.deepStrictEqual(TextToCQL.validate({ operation: "DELETE", entity: "Products" }).errors,
+      ["Only SELECT queries are allowed, got DELETE"]);
+    assert.match(TextToCQL.validate({ entity: "Employees" }).errors[0], /^Unknown entity "Employees"\. Allowed: Products, /);
+    assert.deepStrictEqual(TextToCQL.validate(["Products"]).errors, ["Query must be an object"]);
+    assert.deepStrictEqual(TextToCQL.validate(null).errors, ["Query must be an object"]);
+  });
+
+  it("rejects unknown elements, operators and values that do not fit the type", () => {
+    const { valid, errors } = TextToCQL.validate({
+      entity: "Products",
+      columns: ["Password"],
+      where: [{ field: "UnitPrice", op: "regex", value: 1 }, { field: "UnitPrice", value: "cheap" }, { field: "Secret", value: 1 }]
+    });
+
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors, [
+      'Unknown element "Password" in columns of Products',
+      'Unsupported operator "regex"',
+      'Invalid value for UnitPrice: "cheap"',
+      'Unknown element "Secret" in where of Products'
+    ]);
+  });
+
+  it("checks aggregates and grouping", () => {
+    assert.deepStrictEqual(TextToCQL.validate({ entity: "Products", columns: ["ProductName", "avg(ProductName)", "sum(*)"] }).errors, [
+      "avg() needs a numeric element, ProductName is string",
+      "sum(*) is not allowed",
+      "Column ProductName must be aggregated or listed in groupBy"
+    ]);
+
+    // Groups without aggregates are counted, and the count can be sorted on
+    const { valid, query } = TextToCQL.validate({ entity: "Products", groupBy: ["CategoryID"], orderBy: [{ field: "count", direction: "desc" }] });
+    assert.strictEqual(valid, true);
+    assert.deepStrictEqual(query.columns, [{ fn: "count", field: "*", as: "count" }]);
+    assert.deepStrictEqual(query.orderBy, [{ field: "count", direction: "desc" }]);
+  });
+
+  it("limits condition groups and row counts", () => {
+    assert.strictEqual(TextToCQL.validate({ entity: "Products", where: [nested(4)] }).valid, true);
+    assert.deepStrictEqual(TextToCQL.validate({ entity: "Products", where: [nested(5)] }).errors, ["Conditions are nested deeper than 4 levels"]);
+    assert.deepStrictEqual(TextToCQL.validate({
+      entity: "Products",
+      where: [{ not: [{ field: "UnitPrice", value: 1 }, { field: "UnitPrice", value: 2 }] }],
+      limit: 0
+    }).errors, ["not needs exactly one condition", 'Invalid limit "0"']);
+    assert.deepStrictEqual(TextToCQL.validate({ entity: "Products", where: [{ field: "CategoryID", op: "in", values: [1, 2] }] }).query.where,
+      [{ field: "CategoryID", op: "in", values: ["1", "2"] }]);
+  });
+
+  it("compiles a valid query into CQL, a description and an OData filter", () => {
+    const { query } = TextToCQL.validate({ entity: "Products", columns: ["ProductName"], where: [{ field: "UnitPrice", op: "gt", value: 20 }], limit: 5 });
+    const compiled = TextToCQL.compile(query, "rules");
+
+    assert.deepStrictEqual(compiled.cql.SELECT.where, [{ ref: ["UnitPrice"] }, ">", { val: 20 }]);
+    assert.deepStrictEqual(compiled.cql.SELECT.limit, { rows: { val: 5 } });
+    assert.strictEqual(compiled.description, "ProductName of Products where UnitPrice > 20 (max 5 rows)");
+    assert.strictEqual(compiled.filter, "UnitPrice gt 20");
+  });
+
+  it("uses a valid LLM query and falls back to the rules when it is rejected", async () => {
+    const generated = await TextToCQL.generate("customers in france", {
+      llm: llmAnswering('{"entity":"Customers","where":[{"field":"Country","value":"France"}]}')
+    });
+    assert.strictEqual(generated.source, "llm");
+    assert.strictEqual(generated.filter, "Country eq 'France'");
+
+    const fallback = await TextToCQL.generate("products with price over 20", {
+      llm: llmAnswering('Sure: {"operation":"DELETE","entity":"Products"}')
+    });
+    assert.strictEqual(fallback.valid, true);
+    assert.strictEqual(fallback.source, "rules");
+    assert.strictEqual(fallback.filter, "UnitPrice gt 20");
+  });
+});
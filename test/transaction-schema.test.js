@@ -0,0 +1,75 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert");
+const cds = require("@sap/cds");
+const TransactionSchema = require("../srv/ai/transaction-schema");
+const PromptRegistry = require("../srv/prompts/prompt-registry");
+
+/**
+ * Fields of the errors a validation reports, with their messages
+ */
+function errorsOf(details, options) {
+  return Object.fromEntries(TransactionSchema.validate(details, options).errors.map(error => [error.field, error.message]));
+}
+
+describe("TransactionSchema", () => {
+  before(async () => {
+    cds.model = cds.compile.for.nodejs(await cds.load(`${__dirname}/../srv`));
+  });
+
+  it("accepts a complete create", () => {
+    const check = TransactionSchema.validate({ operation: "create", entity: "products", data: { ProductName: "Gadget", UnitPrice: 12.5, Category: "Dairy" } });
+    assert.strictEqual(check.valid, true);
+    assert.deepStrictEqual(check.value, { operation: "CREATE", entity: "Product", data: { ProductName: "Gadget", UnitPrice: 12.5, Category: "Dairy" }, conditions: {} });
+  });
+
+  it("reports unknown fields", () => {
+    assert.deepStrictEqual(errorsOf({ operation: "CREATE", entity: "Product", data: { ProductName: "Gadget", UnitPrice: 5, Colour: "red" } }),
+      { "data.Colour": "is not a known field" });
+    assert.deepStrictEqual(errorsOf({ operation: "UPDATE", entity: "Customer", data: { Category: "Dairy" }, conditions: { ID: 1 } }),
+      { "data.Category": "is not a known field" });
+  });
+
+  it("reports wrong types, lengths and negative amounts", () => {
+    assert.deepStrictEqual(errorsOf({ operation: "CREATE", entity: "Product", data: { ProductName: "x".repeat(101), UnitPrice: "12", UnitsInStock: 2.5 } }), {
+      "data.ProductName": "must be at most 100 characters",
+      "data.UnitPrice": "must be number, got string",
+      "data.UnitsInStock": "must be integer, got number"
+    });
+    assert.deepStrictEqual(errorsOf({ operation: "UPDATE", entity: "Product", data: { UnitPrice: -3 }, conditions: { ID: 1 } }),
+      { "data.UnitPrice": "must be at least 0" });
+  });
+
+  it("reports missing keys and required fields", () => {
+    assert.deepStrictEqual(errorsOf({ operation: "DELETE", entity: "Product", conditions: {} }), { "conditions.ID": "is required" });
+    assert.deepStrictEqual(errorsOf({ operation: "UPDATE", entity: "Product", data: { UnitPrice: 3 }, conditions: { ID: "1" } }),
+      { "conditions.ID": "must be integer, got string" });
+    assert.deepStrictEqual(errorsOf({ operation: "CREATE", entity: "Customer", data: { City: "Berlin" } }), { "data.CompanyName": "is required" });
+    assert.deepStrictEqual(TransactionSchema.requiredFields("Product", { ProductName: "Gadget" }), ["UnitPrice"]);
+  });
+
+  it("checks the operation against the recognized intent", () => {
+    assert.deepStrictEqual(errorsOf({ operation: "DELETE", entity: "Product", conditions: { ID: 1 } }, { intent: "UPDATE_OPERATION" }),
+      { operation: "must be UPDATE for this request, got DELETE" });
+    assert.deepStrictEqual(errorsOf({ operation: "CREATE", entity: "Order", data: {} }), { entity: "must be one of Product, Customer" });
+  });
+
+  it("parses JSON wrapped in prose and reports text that is none", () => {
+    const check = TransactionSchema.parse('Here you go: {"operation": "DELETE", "entity": "Product", "conditions": {"ID": 7}}');
+    assert.strictEqual(check.valid, true);
+    assert.strictEqual(TransactionSchema.parse("no JSON here").parsed, false);
+  });
+
+  it("lists the errors and the fields in the repair prompt", () => {
+    const check = TransactionSchema.validate({ operation: "CREATE", entity: "Product", data: { ProductName: "Gadget", UnitPrice: "cheap" } });
+    const repair = new PromptRegistry().get("transaction-repair", "v1").render({
+      prompt: "create product Gadget price cheap",
+      response: JSON.stringify({ operation: "CREATE" }),
+      errors: TransactionSchema.formatErrors(check.errors),
+      fields: TransactionSchema.describe()
+    });
+
+    assert.match(repair, /• \*\*data\.UnitPrice\*\* must be number, got string/);
+    assert.match(repair, /Product - key: ID; fields: ProductName \(string, required\), QuantityPerUnit \(string\), UnitPrice \(number, required\)/);
+    assert.match(repair, /Customer - key: ID; fields: CompanyName \(string, required\)/);
+  });
+});